@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * BehaviorGuard — bgctl
+ *
+ * Controls a running BehaviorGuard (headless daemon or desktop app) over
+ * its control socket (lib/control-socket.js). Runs on plain Node.
+ *
+ *   bgctl <command> [options]
+ *
+ * Commands that weaken protection or take data out (pause, reset-profile,
+ * export-profile, audit-key) ask for the unlock password. On a terminal the prompt is
+ * hidden; with piped input each prompt reads one line, e.g.
+ *   printf '%s\n%s\n' "$PW" "$PASSPHRASE" | bgctl export-profile me.json
+ */
+'use strict';
+
+const fs = require('fs');
+const { request, socketPath } = require('../lib/control-socket');
+
+const USAGE = `Usage: bgctl <command> [options]
+
+Commands:
+  status                 monitoring, lock and trust state
+  alerts                 newest alerts (--limit <n>, default 20)
+  train-status           training progress and enrolled profiles
+  pause                  stop monitoring (asks for the password)
+  resume                 start monitoring
+  lock                   show the lock screen
+  reset-profile          retrain the active profile (asks for the password)
+  export-profile <file>  write a profile file sealed with a passphrase (asks for the
+                         password and the passphrase); --id <profile id> for another profile
+  audit-key              print the audit chain key and head for tools/verify-audit.js
+                         (asks for the password)
+  dashboard              open the dashboard window
+
+Options:
+  --socket <path>        control socket (default: $BG_SOCKET, else the per-user runtime directory)
+  --json                 print the result as JSON
+`;
+
+const COMMANDS = ['status', 'alerts', 'train-status', 'pause', 'resume', 'lock', 'reset-profile', 'export-profile', 'audit-key', 'dashboard'];
+const PASSWORD = ['pause', 'reset-profile', 'export-profile', 'audit-key'];
+
+function parseArgs(argv) {
+  const opts = { json:false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    switch (a) {
+      case '--socket': opts.socket = argv[++i]; break;
+      case '--limit':  opts.limit = Number(argv[++i]); break;
+      case '--id':     opts.id = argv[++i]; break;
+      case '--json':   opts.json = true; break;
+      case '-h': case '--help': opts.help = true; break;
+      default:
+        if (a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+        rest.push(a);
+    }
+  }
+  [opts.cmd, opts.file] = rest;
+  if (opts.help) return opts;
+  if (!opts.cmd) throw new Error('No command given');
+  if (!COMMANDS.includes(opts.cmd)) throw new Error(`Unknown command ${opts.cmd}`);
+  if (opts.cmd === 'export-profile' && !opts.file) throw new Error('export-profile needs an output file');
+  return opts;
+}
+
+// ── Prompts ───────────────────────────────────────────────────
+let piped = null;   // remaining lines of non-terminal stdin
+
+function ask(question) {
+  if (!process.stdin.isTTY) {
+    if (!piped) piped = fs.readFileSync(0, 'utf8').split(/\r?\n/);
+    return Promise.resolve(piped.shift() || '');
+  }
+  return new Promise((resolve, reject) => {
+    const input = process.stdin;
+    let answer = '';
+    const done = () => { input.off('data', onData); input.setRawMode(false); input.pause(); process.stderr.write('\n'); };
+    const onData = chunk => {
+      for (const c of chunk) {
+        if (c === '\r' || c === '\n') { done(); return resolve(answer); }
+        if (c === '\u0003' || c === '\u0004') { done(); return reject(new Error('Cancelled')); }
+        answer = c === '\u007f' || c === '\b' ? answer.slice(0, -1) : answer + c;
+      }
+    };
+    process.stderr.write(question);
+    input.setRawMode(true); input.setEncoding('utf8'); input.resume();
+    input.on('data', onData);
+  });
+}
+
+// ── Output ────────────────────────────────────────────────────
+const pct = x => x === null || x === undefined ? '—' : `${Math.round(x)}%`;
+const dur = s => s >= 3600 ? `${Math.floor(s / 3600)}h ${Math.floor(s % 3600 / 60)}m` : `${Math.floor(s / 60)}m`;
+const row = (k, v) => console.log(`${k.padEnd(11)} ${v}`);
+
+const PRINT = {
+  status(s) {
+    row('monitoring', `${s.isMonitoring ? 'on' : s.monitorError ? `failed to start: ${s.monitorError}` : 'paused'}${s.headless ? ' (headless)' : ''}`);
+    row('screen', s.locked ? 'locked' : 'unlocked');
+    row('trust', s.isTraining ? `training ${s.trainPct}% (${s.phase} phase)` : pct(s.trustScore));
+    row('profile', `${s.user?.name || '—'}${s.profiles > 1 ? ` · ${s.profiles} profiles` : ''}${s.profileRev ? ` · revision ${s.profileRev}` : ''}`);
+    row('recording', s.recording ? 'on' : 'off');
+    row('dashboard', s.dashboard ? 'open' : 'closed');
+    row('version', s.version);
+  },
+  alerts(list) {
+    if (!list.length) { console.log('no alerts'); return; }
+    for (const a of list) console.log(`${new Date(a.ts).toLocaleString()}  ${String(a.severity).toUpperCase().padEnd(8)}  ${String(a.type).padEnd(7)}  ${a.msg}`);
+  },
+  'train-status'(t) {
+    row('active', `${t.user?.name || '—'}: ${t.isTraining ? `training ${t.trainPct}% (${t.phase} phase, ${dur(t.activeTime)} active, ${t.samples} samples)` : t.hasProfile ? 'trained' : 'not trained'}`);
+    t.profiles.forEach((p, i) => row(i ? '' : 'profiles', `${p.name} (${p.id}) · ${p.trained ? 'trained' : 'training'}${p.active ? ' · active' : ''}`));
+  },
+  pause:   r => console.log(r.monitoring ? 'still monitoring' : 'monitoring paused'),
+  resume:  r => console.log(r.monitoring ? 'monitoring' : `monitoring did not start${r.error ? `: ${r.error}` : ' (see the daemon log)'}`),
+  lock:    r => console.log(r.locked ? 'screen locked' : 'screen not locked'),
+  'reset-profile': r => console.log(`profile ${r.user?.name || ''} reset; training restarts`),
+  'audit-key': r => { row('key', r.key); row('head', r.head ? `${r.head.seq}:${r.head.hash}` : '—'); },
+  dashboard: ok => console.log(ok ? 'dashboard opened' : 'no dashboard yet: setup unfinished or the data store is locked'),
+};
+
+async function run(opts) {
+  const args = {}, send = { path:opts.socket || socketPath() };
+  if (opts.cmd === 'alerts' && opts.limit) args.limit = opts.limit;
+  if (PASSWORD.includes(opts.cmd)) send.password = await ask('BehaviorGuard password: ');
+  if (opts.cmd === 'export-profile') {
+    if (opts.id) args.id = opts.id;
+    args.passphrase = await ask('File passphrase: ');
+    if (process.stdin.isTTY && await ask('Confirm passphrase: ') !== args.passphrase) throw new Error('Passphrases do not match');
+  }
+  const result = await request(opts.cmd, args, send);
+  if (opts.cmd === 'export-profile') {
+    fs.writeFileSync(opts.file, JSON.stringify(result, null, 2), { mode:0o600 });
+    console.log(opts.json ? JSON.stringify({ written:opts.file }) : `profile written to ${opts.file}`);
+    return;
+  }
+  if (opts.json) console.log(JSON.stringify(result, null, 2));
+  else PRINT[opts.cmd](result);
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help) { console.log(USAGE); process.exit(0); }
+  run(opts).catch(err => { console.error(`bgctl: ${err.message}`); process.exit(1); });
+}
+
+module.exports = { parseArgs, run };
@@ -0,0 +1,226 @@
+/**
+ * BehaviorGuard Collector
+ *
+ * Self-hosted service that enrolled BehaviorGuard installs report to
+ * (protocol in lib/fleet-protocol.js), with a web dashboard for the
+ * security team: hosts, current risk, recent alerts, training status, the
+ * fleet policy and the enrollment code. Plain Node, no dependencies.
+ *
+ *   node collector/collector.js [options]
+ *
+ *   POST /v1/enroll, /v1/report     installs (enrollment code / signed reports)
+ *   GET  /                          dashboard
+ *   /api/...                        dashboard API, "Authorization: Bearer <admin token>"
+ *     GET hosts · GET|DELETE hosts/<id> · GET alerts?limit= · GET|PUT policy
+ *     GET enrollment · POST enrollment/rotate
+ *
+ * Installs only accept https://, or plain http to their own machine; give
+ * --tls-cert/--tls-key, or put the collector behind a TLS proxy.
+ */
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const http   = require('http');
+const https  = require('https');
+const crypto = require('crypto');
+const { FleetStore } = require('./fleet-store');
+const { PROTOCOL, MAX_BODY, CLOCK_SKEW_MS, signatureOk } = require('../lib/fleet-protocol');
+
+const DEFAULT_PORT = 8740;
+const ENROLL_FAILURES = 10;               // per address and window, then 429
+const ENROLL_WINDOW_MS = 10 * 60 * 1000;
+const DASHBOARD_CSP = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'; img-src data:; frame-ancestors 'none'";
+
+const USAGE = `Usage: node collector/collector.js [options]
+
+Options:
+  --data <dir>        state directory (default ./collector-data)
+  --port <n>          port (default ${DEFAULT_PORT})
+  --host <addr>       address to listen on (default 127.0.0.1)
+  --tls-cert <file>   serve HTTPS with this certificate chain (PEM)
+  --tls-key <file>    and this private key (PEM)
+  --show-secrets      print the enrollment code and admin token at start
+`;
+
+function parseArgs(argv) {
+  const opts = { data:path.resolve('collector-data'), port:DEFAULT_PORT, host:'127.0.0.1', showSecrets:false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--data':         opts.data = path.resolve(argv[++i]); break;
+      case '--port':         opts.port = Number(argv[++i]); break;
+      case '--host':         opts.host = argv[++i]; break;
+      case '--tls-cert':     opts.tlsCert = argv[++i]; break;
+      case '--tls-key':      opts.tlsKey = argv[++i]; break;
+      case '--show-secrets': opts.showSecrets = true; break;
+      case '-h': case '--help': opts.help = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(opts.port) || opts.port < 1 || opts.port > 65535) throw new Error('--port takes 1–65535');
+  if (!opts.tlsCert !== !opts.tlsKey) throw new Error('--tls-cert and --tls-key go together');
+  return opts;
+}
+
+function _send(res, status, body) {
+  res.writeHead(status, { 'Content-Type':'application/json', 'Cache-Control':'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function _same(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const x = crypto.createHash('sha256').update(a).digest(), y = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+function _body(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error('Request too large'), { status:413 })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Every body the collector takes is an object; anything else is the caller's error, not a 500.
+function _json(text) {
+  let body;
+  try { body = JSON.parse(text); } catch { throw Object.assign(new Error('Body is not JSON'), { status:400 }); }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw Object.assign(new Error('Body must be a JSON object'), { status:400 });
+  return body;
+}
+
+/** Request handler over `store`; `log` gets one line per enrollment, removal and policy change. */
+function createHandler(store, { log = console.log } = {}) {
+  const dashboard = fs.readFileSync(path.join(__dirname, 'dashboard.html'));
+  const failures = new Map();   // address → { n, since } of wrong enrollment codes
+
+  function throttled(ip, now) {
+    const f = failures.get(ip);
+    if (f && now - f.since > ENROLL_WINDOW_MS) failures.delete(ip);
+    return (failures.get(ip)?.n || 0) >= ENROLL_FAILURES;
+  }
+
+  async function enroll(req, res, ip) {
+    const now = Date.now();
+    if (throttled(ip, now)) return _send(res, 429, { error:'Too many failed enrollments — try again later' });
+    const body = _json(await _body(req));
+    if (body.protocol !== PROTOCOL) return _send(res, 400, { error:`Unsupported protocol ${body.protocol}; this collector speaks ${PROTOCOL}` });
+    const code = String(body.code || '').trim().toLowerCase();
+    if (!_same(code, store.config.enrollCode)) {
+      const f = failures.get(ip) || { n:0, since:now };
+      f.n++; failures.set(ip, f);
+      return _send(res, 403, { error:'Wrong enrollment code' });
+    }
+    const h = store.enroll(body.host, ip, now);
+    log(`[collector] enrolled ${h.name} (${h.id}) from ${ip}`);
+    _send(res, 201, { hostId:h.id, secret:h.secret, policy:store.policy });
+  }
+
+  // Signature first, then the time: nothing about a host's state leaks to an unsigned caller.
+  async function report(req, res, ip) {
+    const text = await _body(req), now = Date.now();
+    const h = store.get(req.headers['x-bg-host']), time = Number(req.headers['x-bg-time']);
+    if (!h) return _send(res, 401, { error:'Unknown host — enroll again', code:'unknown-host' });
+    if (!signatureOk(h.secret, req.headers['x-bg-signature'], req.headers['x-bg-time'], 'POST', '/v1/report', text))
+      return _send(res, 401, { error:'Bad signature', code:'bad-signature' });
+    if (!Number.isFinite(time) || Math.abs(now - time) > CLOCK_SKEW_MS) return _send(res, 401, { error:'Clock differs from the collector by more than 5 minutes', code:'clock' });
+    if (time <= h.lastTime) return _send(res, 401, { error:'Report replayed or out of order', code:'replay' });
+    const body = _json(text);
+    store.report(h, body, time, ip, now);
+    _send(res, 200, { policy:body.policyRev === store.policy.rev ? null : store.policy, reportSec:store.policy.reportSec });
+  }
+
+  async function admin(req, res, url) {
+    const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!m || !_same(m[1], store.config.adminToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return _send(res, 401, { error:'Missing or invalid admin token' });
+    }
+    const route = `${req.method} ${url.pathname.replace(/\/hosts\/[^/]+$/, '/hosts/:id')}`;
+    const id = decodeURIComponent(url.pathname.split('/')[3] || '');
+    switch (route) {
+      case 'GET /api/hosts':      return _send(res, 200, store.list());
+      case 'GET /api/hosts/:id': {
+        const d = store.detail(id);
+        return d ? _send(res, 200, d) : _send(res, 404, { error:'No such host' });
+      }
+      case 'DELETE /api/hosts/:id': {
+        const h = store.get(id);
+        if (!h) return _send(res, 404, { error:'No such host' });
+        store.remove(id);
+        log(`[collector] removed ${h.name} (${id})`);
+        return _send(res, 200, { removed:id });
+      }
+      case 'GET /api/alerts':     return _send(res, 200, store.alerts(Math.min(500, Number(url.searchParams.get('limit')) || 100)));
+      case 'GET /api/policy':     return _send(res, 200, store.policy);
+      case 'PUT /api/policy': {
+        const p = store.setPolicy(_json(await _body(req)));
+        log(`[collector] policy revision ${p.rev}: ${Object.keys(p.settings).join(', ') || 'no settings'}, reports every ${p.reportSec}s`);
+        return _send(res, 200, p);
+      }
+      case 'GET /api/enrollment': return _send(res, 200, { code:store.config.enrollCode, protocol:PROTOCOL });
+      case 'POST /api/enrollment/rotate': {
+        log('[collector] enrollment code rotated');
+        return _send(res, 200, { code:store.rotateCode(), protocol:PROTOCOL });
+      }
+    }
+    _send(res, 404, { error:'Not found' });
+  }
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://collector'), ip = req.socket.remoteAddress;
+    try {
+      if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+        res.writeHead(200, { 'Content-Type':'text/html; charset=utf-8', 'Content-Security-Policy':DASHBOARD_CSP,
+          'X-Content-Type-Options':'nosniff', 'Referrer-Policy':'no-referrer', 'Cache-Control':'no-store' });
+        return res.end(dashboard);
+      }
+      if (url.pathname === '/v1/enroll' || url.pathname === '/v1/report') {
+        if (req.method !== 'POST') return _send(res, 405, { error:`${req.method} not allowed` });
+        return await (url.pathname === '/v1/enroll' ? enroll : report)(req, res, ip);
+      }
+      if (url.pathname.startsWith('/api/')) return await admin(req, res, url);
+      _send(res, 404, { error:'Not found' });
+    } catch (err) {
+      if (!res.headersSent) _send(res, err.status || 500, { error:err.message });
+    }
+  };
+}
+
+function run(opts) {
+  const store = new FleetStore({ dir:opts.data });
+  const handler = createHandler(store);
+  const tls = opts.tlsCert && { cert:fs.readFileSync(opts.tlsCert), key:fs.readFileSync(opts.tlsKey) };
+  const server = tls ? https.createServer(tls, handler) : http.createServer(handler);
+  server.listen(opts.port, opts.host, () => {
+    const url = `${tls ? 'https' : 'http'}://${opts.host.includes(':') ? `[${opts.host}]` : opts.host}:${server.address().port}`;
+    console.log(`BehaviorGuard collector on ${url}/ · ${store.hosts.size} host${store.hosts.size === 1 ? '' : 's'} · data in ${opts.data}`);
+    if (!tls && !['127.0.0.1', 'localhost', '::1'].includes(opts.host))
+      console.log('warning: plain HTTP on a network address. Installs only report over https://; put a TLS proxy in front or pass --tls-cert/--tls-key');
+    if (store.created || opts.showSecrets) {
+      console.log(`enrollment code  ${store.config.enrollCode}`);
+      console.log(`admin token      ${store.config.adminToken}`);
+    } else console.log(`enrollment code and admin token: ${path.join(opts.data, 'collector.json')} (or --show-secrets)`);
+  });
+  const quit = () => { try { store.flush(); } finally { process.exit(0); } };
+  process.on('SIGINT', quit);
+  process.on('SIGTERM', quit);
+  return server;
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help) { console.log(USAGE); process.exit(0); }
+  try { run(opts); }
+  catch (err) { console.error('[collector] start failed:', err.message); process.exit(1); }
+}
+
+module.exports = { createHandler, run, DEFAULT_PORT };
@@ -0,0 +1,186 @@
+/**
+ * BehaviorGuard Collector — Fleet Store
+ *
+ * State of the collector in two JSON files under its data directory, both
+ * mode 0600:
+ *   collector.json  enrollment code, admin token, fleet policy
+ *   hosts.json      enrolled hosts with their secret, last status, the
+ *                   last day of trust summaries and their newest alerts
+ * Reports change hosts.json often; it is written at most every SAVE_MS
+ * (and by flush()), through a temporary file so a crash never leaves half
+ * of it.
+ */
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { normalizeFleetPolicy } = require('../lib/fleet-protocol');
+
+const SAVE_MS = 5000;
+const HOUR_MS = 60 * 60 * 1000;
+const KEEP_SUMMARIES_MS = 24 * HOUR_MS;
+const MAX_HOST_ALERTS = 200;
+const SEV = { low:0, medium:1, high:2, critical:3 };
+
+const _code = () => crypto.randomBytes(10).toString('hex').match(/.{5}/g).join('-');
+const _str = (v, max) => typeof v === 'string' ? v.slice(0, max) : null;
+
+function _readJson(file, fallback) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (err) { if (err.code === 'ENOENT') return fallback; throw new Error(`${file}: ${err.message}`); }
+}
+
+function _writeJson(file, value) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 1), { mode:0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// Status fields a host may report, with the types kept.
+function _status(s) {
+  const num = v => Number.isFinite(v) ? v : null;
+  return {
+    monitoring:!!s?.monitoring, locked:!!s?.locked, headless:!!s?.headless,
+    trust:num(s?.trust), isTraining:!!s?.isTraining, trainPct:num(s?.trainPct), phase:_str(s?.phase, 20),
+    user:_str(s?.user, 80), profiles:num(s?.profiles), trained:num(s?.trained),
+    version:_str(s?.version, 40), platform:_str(s?.platform, 20), hostname:_str(s?.hostname, 255),
+  };
+}
+
+function _alert(a) {
+  const ts = Number(a?.ts);
+  if (!Number.isFinite(ts) || !(a?.severity in SEV)) return null;
+  return { id:Number.isInteger(a.id) ? a.id : null, ts, type:_str(a.type, 20) || 'unknown', severity:a.severity, user:_str(a.user, 80), msg:_str(a.msg, 300) || '' };
+}
+
+class FleetStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir  data directory (created 0700 on demand)
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive:true, mode:0o700 });
+    const cfgFile = path.join(dir, 'collector.json');
+    const cfg = _readJson(cfgFile, null);
+    this.created = !cfg;
+    this.config = {
+      enrollCode:cfg?.enrollCode || _code(),
+      adminToken:cfg?.adminToken || crypto.randomBytes(32).toString('hex'),
+      policy:normalizeFleetPolicy(cfg?.policy || { rev:1, updatedAt:Date.now() }),
+    };
+    if (!cfg) this._saveConfig();
+    this.hosts = new Map((_readJson(path.join(dir, 'hosts.json'), { hosts:[] }).hosts || []).map(h => [h.id, h]));
+    this.saveTimer = null;
+  }
+
+  get policy() { return this.config.policy; }
+
+  /** Register a host; returns its record, secret included. */
+  enroll(host, ip, now = Date.now()) {
+    const h = {
+      id:`h_${crypto.randomBytes(6).toString('hex')}`,
+      secret:crypto.randomBytes(32).toString('base64url'),
+      name:_str(host?.name, 80) || _str(host?.hostname, 80) || 'unnamed',
+      hostname:_str(host?.hostname, 255), platform:_str(host?.platform, 20), version:_str(host?.version, 40),
+      enrolledAt:now, enrolledFrom:ip, lastSeen:null, lastTime:0, lastIp:null, policyRev:0,
+      status:null, summaries:[], alerts:[],
+    };
+    this.hosts.set(h.id, h);
+    this._save(true);
+    return h;
+  }
+
+  get(id) { return typeof id === 'string' ? this.hosts.get(id) || null : null; }
+
+  /** Apply a verified report (its signed time `time`) to host `h`. */
+  report(h, body, time, ip, now = Date.now()) {
+    h.lastSeen = now; h.lastTime = time; h.lastIp = ip;
+    h.status = _status(body?.status);
+    if (h.status.version) h.version = h.status.version;
+    if (Number.isInteger(body?.policyRev)) h.policyRev = body.policyRev;
+    for (const s of Array.isArray(body?.summaries) ? body.summaries : []) {
+      if (!Number.isFinite(s?.t) || !Number.isFinite(s?.trust) || !(s.n > 0)) continue;
+      const trustMin = Number.isFinite(s.trustMin) ? s.trustMin : s.trust, trustMax = Number.isFinite(s.trustMax) ? s.trustMax : s.trust;
+      const bot = Number.isFinite(s.bot) ? s.bot : s.bot === true ? 100 : 0;   // a bare verdict counts as a full score
+      const old = h.summaries.find(x => x.t === s.t);
+      if (!old) { h.summaries.push({ t:s.t, span:Number(s.span) || 0, n:s.n, trust:s.trust, trustMin, trustMax, bot }); continue; }
+      // The rest of a span already reported: merge, weighting the means by cycle count.
+      old.trust = Math.round((old.trust * old.n + s.trust * s.n) / (old.n + s.n) * 100) / 100; old.n += s.n;
+      old.trustMin = Math.min(old.trustMin, trustMin); old.trustMax = Math.max(old.trustMax, trustMax); old.bot = Math.max(old.bot, bot);
+    }
+    h.summaries = h.summaries.filter(s => s.t > now - KEEP_SUMMARIES_MS).sort((a, b) => a.t - b.t);
+    const known = new Set(h.alerts.map(a => a.id).filter(id => id !== null));
+    for (const raw of Array.isArray(body?.alerts) ? body.alerts : []) {
+      const a = _alert(raw);
+      if (a && (a.id === null || !known.has(a.id))) h.alerts.push(a);
+    }
+    h.alerts = h.alerts.sort((a, b) => b.ts - a.ts).slice(0, MAX_HOST_ALERTS);
+    this._save();
+  }
+
+  remove(id) {
+    const ok = this.hosts.delete(id);
+    if (ok) this._save(true);
+    return ok;
+  }
+
+  /** Dashboard row for `h`: no secret, with `online` and `risk`. */
+  view(h, now = Date.now()) {
+    const { secret, summaries, alerts, ...rest } = h;
+    const recent = alerts.filter(a => a.ts > now - HOUR_MS), day = alerts.filter(a => a.ts > now - 24 * HOUR_MS);
+    const worst = recent.reduce((m, a) => Math.max(m, SEV[a.severity]), -1), trust = h.status?.trust ?? null;
+    const risk = !h.status ? 'unknown'
+      : worst >= SEV.high || (trust !== null && trust < 40) ? 'high'
+      : worst >= SEV.medium || (trust !== null && trust < 60) || !h.status.monitoring ? 'medium'
+      : 'low';
+    const dayMin = summaries.length ? Math.min(...summaries.map(s => s.trustMin)) : null;
+    return { ...rest, online:!!h.lastSeen && now - h.lastSeen < 3 * this.policy.reportSec * 1000, risk, dayMin, alerts24h:day.length, lastAlert:alerts[0] || null };
+  }
+
+  list(now = Date.now()) {
+    return [...this.hosts.values()].map(h => this.view(h, now));
+  }
+
+  detail(id, now = Date.now()) {
+    const h = this.get(id);
+    return h && { ...this.view(h, now), summaries:h.summaries, alerts:h.alerts };
+  }
+
+  /** Newest alerts across all hosts, each with its host id and name. */
+  alerts(limit = 100) {
+    const out = [];
+    for (const h of this.hosts.values()) for (const a of h.alerts) out.push({ ...a, host:h.id, hostName:h.name });
+    return out.sort((a, b) => b.ts - a.ts).slice(0, limit);
+  }
+
+  /** New policy revision from the admin's settings and report interval. */
+  setPolicy({ settings, reportSec }) {
+    this.config.policy = normalizeFleetPolicy({ rev:this.policy.rev + 1, settings, reportSec, updatedAt:Date.now() });
+    this._saveConfig();
+    return this.policy;
+  }
+
+  rotateCode() {
+    this.config.enrollCode = _code();
+    this._saveConfig();
+    return this.config.enrollCode;
+  }
+
+  flush() {
+    if (this.saveTimer) { clearTimeout(this.saveTimer); this.saveTimer = null; }
+    _writeJson(path.join(this.dir, 'hosts.json'), { hosts:[...this.hosts.values()] });
+  }
+
+  _save(now = false) {
+    if (now) return this.flush();
+    if (!this.saveTimer) this.saveTimer = setTimeout(() => {
+      try { this.flush(); } catch (err) { console.error('[collector] hosts.json not written:', err.message); }
+    }, SAVE_MS);
+  }
+
+  _saveConfig() { _writeJson(path.join(this.dir, 'collector.json'), this.config); }
+}
+
+module.exports = { FleetStore };
@@ -0,0 +1,72 @@
+/**
+ * BehaviorGuard — Adaptive Profile
+ *
+ * Opt-in drift of a trained profile towards the user's current habits.
+ * Each accepted window pulls the baseline model centres (and the legacy
+ * feature snapshot) towards it with an exponential moving average. Within
+ * one calendar day a value may move at most DAILY_CAP robust scale units
+ * (DAILY_REL of itself for the snapshot) from where the day started, so an
+ * impostor who keeps scoring just high enough gains at most that much a day.
+ */
+'use strict';
+
+const ALPHA     = 0.01;   // EMA weight of one accepted window
+const DAILY_CAP = 0.5;    // model centre drift per day, in scale units
+const DAILY_REL = 0.05;   // legacy feature drift per day, relative
+
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+function _copy(x) { return x === undefined ? undefined : JSON.parse(JSON.stringify(x)); }
+
+function _step(cur, target, anchor, cap) {
+  const next = cur + ALPHA * (target - cur);
+  return Math.max(anchor - cap, Math.min(anchor + cap, next));
+}
+
+/** Revision entry for the profile history: what rollback restores. */
+function snapshot(profile) {
+  return {
+    rev: profile.rev || 0, ts: profile.revAt || profile.createdAt, reason: profile.revReason || 'trained',
+    features: _copy(profile.features), model: _copy(profile.model),
+  };
+}
+
+/**
+ * Pull `profile` towards one accepted window. `sample` is a baseline sample
+ * (see sampleFrom), `cur` the full-buffer features { ks, mouse, click, scroll }.
+ * Mutates the profile; returns true on the first change of a new day.
+ */
+function adaptProfile(profile, sample, cur, ts) {
+  const day = dayKey(ts), newDay = !profile.adapt || profile.adapt.day !== day;
+  if (newDay) {
+    profile.adapt = {
+      day, windows: 0,
+      anchor: {
+        centers: Object.fromEntries(Object.entries(profile.model?.channels || {}).map(([k, ch]) => [k, [...ch.center]])),
+        features: _copy(profile.features),
+      },
+    };
+  }
+  const { anchor } = profile.adapt;
+  for (const [name, ch] of Object.entries(profile.model?.channels || {})) {
+    const s = sample[name], a = anchor.centers[name];
+    if (!s || !a) continue;
+    ch.center = ch.center.map((c, j) => _step(c, s[ch.features[j]], a[j], DAILY_CAP * ch.scale[j]));
+  }
+  for (const [name, feats] of Object.entries(profile.features || {})) {
+    const c = cur[name], a = anchor.features?.[name];
+    if (!feats || !c || !a) continue;
+    for (const k of Object.keys(feats)) {
+      if (k === 'n' || !Number.isFinite(c[k]) || !Number.isFinite(a[k])) continue;
+      feats[k] = _step(feats[k], c[k], a[k], DAILY_REL * Math.abs(a[k]));
+    }
+  }
+  profile.adapt.windows++;
+  profile.adaptedAt = ts;
+  return newDay;
+}
+
+module.exports = { dayKey, snapshot, adaptProfile };
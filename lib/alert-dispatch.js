@@ -0,0 +1,182 @@
+/**
+ * BehaviorGuard — Alert Dispatch
+ *
+ * Runs the actions of matching alert rules (lib/alert-rules.js). Lock and
+ * pause run at once through host callbacks. Deliveries (command, webhook,
+ * syslog) go through a queue: a failed one is retried after 5 s, doubling
+ * up to 10 minutes, for MAX_ATTEMPTS attempts. The queue is handed to
+ * `persist` on every change so pending deliveries survive a restart.
+ * Main process only: uses Node's child_process, http(s), dgram and net.
+ */
+'use strict';
+
+const http   = require('http');
+const https  = require('https');
+const dgram  = require('dgram');
+const net    = require('net');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { actionsFor, formatAlert, syslogLine, loggerPriority, toJSON } = require('./alert-rules');
+
+const RETRY_BASE = 5000;
+const RETRY_MAX = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+const MAX_QUEUE = 500;
+const LOG_SIZE = 50;
+const TIMEOUT = 10000;
+const COMMAND_TIMEOUT = 15000;
+
+function retryDelay(attempts) { return Math.min(RETRY_MAX, RETRY_BASE * 2 ** (attempts - 1)); }
+
+function _target(a) {
+  switch (a.kind) {
+    case 'command': return a.command;
+    case 'webhook': return a.url;
+    case 'syslog':  return a.transport === 'local' ? `local ${a.format}` : `${a.transport}://${a.host}:${a.port} ${a.format}`;
+    default:        return a.kind;
+  }
+}
+
+class AlertDispatcher {
+  /**
+   * @param {object}   opts
+   * @param {object}   opts.source    { version, hostname } stamped on forwarded alerts
+   * @param {object}   opts.local     { lock(alert), pause(alert) }
+   * @param {Array}    [opts.queue]   pending deliveries restored from a previous run
+   * @param {Function} [opts.persist] called with the queue whenever it changes
+   * @param {Function} [opts.onLog]   called with each delivery log entry
+   */
+  constructor({ source, local, queue = [], persist = () => {}, onLog = () => {} }) {
+    this.source = source;
+    this.local = local;
+    this.queue = queue.filter(j => j && j.action && j.alert);
+    this.persist = persist;
+    this.onLog = onLog;
+    this.log = [];
+    this.timer = null;
+    this.busy = false;
+    this.stopped = false;
+    this._schedule();
+  }
+
+  /** Run every action of `rules` that matches `alert`. */
+  dispatch(alert, rules) {
+    const now = Date.now();
+    for (const a of actionsFor(rules, alert)) {
+      if (a.kind === 'lock' || a.kind === 'pause') {
+        if (alert.test) { this._record(a, alert, 0, true, 'skipped for a test alert'); continue; }
+        try { this.local[a.kind](alert); this._record(a, alert, 1, true); }
+        catch (err) { this._record(a, alert, 1, false, err.message); }
+        continue;
+      }
+      this.queue.push({ id:crypto.randomBytes(6).toString('hex'), action:a, alert, attempts:0, due:now });
+    }
+    if (this.queue.length > MAX_QUEUE) this.queue.splice(0, this.queue.length - MAX_QUEUE);
+    this.persist(this.queue);
+    this._pump();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+  }
+
+  pending() { return this.queue.length; }
+
+  _record(action, alert, attempt, ok, error = null) {
+    const entry = { ts:Date.now(), rule:action.rule, kind:action.kind, target:_target(action), alert:alert.id, test:!!alert.test, attempt, ok, error };
+    this.log.unshift(entry); if (this.log.length > LOG_SIZE) this.log.pop();
+    this.onLog(entry);
+  }
+
+  _schedule() {
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+    if (this.stopped || !this.queue.length) return;
+    const next = Math.min(...this.queue.map(j => j.due));
+    this.timer = setTimeout(() => { this.timer = null; this._pump(); }, Math.max(0, next - Date.now()));
+  }
+
+  async _pump() {
+    if (this.busy || this.stopped) return;
+    this.busy = true;
+    try {
+      for (let job; (job = this.queue.find(j => j.due <= Date.now()));) {
+        job.attempts++;
+        let error = null;
+        try { await this._deliver(job.action, job.alert); } catch (err) { error = err.message || String(err); }
+        this._record(job.action, job.alert, job.attempts, !error, error);
+        if (!error || job.attempts >= MAX_ATTEMPTS) this.queue.splice(this.queue.indexOf(job), 1);
+        else job.due = Date.now() + retryDelay(job.attempts);
+        this.persist(this.queue);
+        if (this.stopped) break;
+      }
+    } finally {
+      this.busy = false;
+      this._schedule();
+    }
+  }
+
+  _deliver(a, alert) {
+    switch (a.kind) {
+      case 'command': return this._command(a, alert);
+      case 'webhook': return this._webhook(a, alert);
+      case 'syslog':  return this._syslog(a, alert);
+    }
+    return Promise.reject(new Error(`Unknown action ${a.kind}`));
+  }
+
+  // No shell: the alert reaches the program as BG_ALERT_* variables and as JSON on stdin.
+  _command(a, alert) {
+    const json = JSON.stringify(toJSON(alert, this.source));
+    return new Promise((resolve, reject) => {
+      const child = execFile(a.command, a.args, {
+        timeout:COMMAND_TIMEOUT, windowsHide:true,
+        env:{ ...process.env, BG_ALERT:json, BG_ALERT_TYPE:alert.type, BG_ALERT_SEVERITY:alert.severity, BG_ALERT_MSG:alert.msg },
+      }, err => err ? reject(new Error(err.killed ? 'timed out' : err.code !== undefined ? `exit ${err.code}` : err.message)) : resolve());
+      child.stdin?.on('error', () => {});
+      child.stdin?.end(json);
+    });
+  }
+
+  // JSON POST; with a secret, X-BG-Signature carries an HMAC-SHA256 of the body.
+  _webhook(a, alert) {
+    const body = Buffer.from(JSON.stringify(toJSON(alert, this.source)));
+    const headers = { 'Content-Type':'application/json', 'Content-Length':body.length, 'User-Agent':`BehaviorGuard/${this.source.version}` };
+    if (a.secret) headers['X-BG-Signature'] = `sha256=${crypto.createHmac('sha256', a.secret).update(body).digest('hex')}`;
+    const lib = a.url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = lib.request(a.url, { method:'POST', headers, timeout:TIMEOUT }, res => {
+        res.resume();
+        res.on('end', () => res.statusCode >= 200 && res.statusCode < 300 ? resolve() : reject(new Error(`HTTP ${res.statusCode}`)));
+      });
+      req.on('timeout', () => req.destroy(new Error('timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  _syslog(a, alert) {
+    if (a.transport === 'local') {
+      // logger(1) writes to the local syslog socket, which journald also reads.
+      return new Promise((resolve, reject) => {
+        execFile('logger', ['-t', 'behaviorguard', '-p', loggerPriority(alert), '--', formatAlert(alert, a.format, this.source)],
+          { timeout:TIMEOUT }, err => err ? reject(new Error(`logger: ${err.message}`)) : resolve());
+      });
+    }
+    const line = Buffer.from(syslogLine(alert, a.format, this.source, process.pid));
+    if (a.transport === 'udp') {
+      return new Promise((resolve, reject) => {
+        const sock = dgram.createSocket(net.isIPv6(a.host) ? 'udp6' : 'udp4');
+        sock.send(line, a.port, a.host, err => { sock.close(); err ? reject(err) : resolve(); });
+      });
+    }
+    return new Promise((resolve, reject) => {
+      const sock = net.connect({ host:a.host, port:a.port, timeout:TIMEOUT }, () => sock.end(Buffer.concat([line, Buffer.from('\n')])));
+      sock.on('timeout', () => sock.destroy(new Error('timed out')));
+      sock.on('error', reject);
+      sock.on('close', hadError => { if (!hadError) resolve(); });
+    });
+  }
+}
+
+module.exports = { AlertDispatcher, retryDelay, MAX_ATTEMPTS };
@@ -0,0 +1,153 @@
+/**
+ * BehaviorGuard — Alert Rules
+ *
+ * A rule matches alerts by type and minimum severity and lists the actions
+ * to take. Formatting for SIEM forwarding (CEF, JSON, RFC 5424 syslog) lives
+ * here too; delivery and retries are in lib/alert-dispatch.js.
+ *
+ *   { id, name, enabled, match:{ types:[…] (empty = any), minSeverity },
+ *     actions:[ { kind:'lock' } | { kind:'pause' }
+ *             | { kind:'command', command, args:[…] }
+ *             | { kind:'webhook', url, secret? }
+ *             | { kind:'syslog', format:'cef'|'json', transport:'local'|'udp'|'tcp', host?, port? } ] }
+ */
+'use strict';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const TYPES = ['bot', 'replay', 'anomaly', 'auth'];   // auth: refused privileged actions (main.js)
+const ACTIONS = ['lock', 'pause', 'command', 'webhook', 'syslog'];
+const CEF_SEVERITY = { low:3, medium:5, high:8, critical:10 };
+const SYSLOG_SEVERITY = { low:5, medium:4, high:3, critical:2 };   // notice, warning, error, critical
+const SYSLOG_FACILITY = 10;                                         // authpriv
+const MAX_RULES = 32;
+const SECRET_MASK = '********';   // stands for a stored webhook secret outside the main process
+
+function _action(a) {
+  if (!a || !ACTIONS.includes(a.kind)) throw new Error(`Unknown action ${JSON.stringify(a?.kind)}`);
+  switch (a.kind) {
+    case 'command':
+      if (typeof a.command !== 'string' || !a.command.trim()) throw new Error('Command action needs a program');
+      return { kind:'command', command:a.command.trim(), args:Array.isArray(a.args) ? a.args.map(String) : [] };
+    case 'webhook': {
+      let u;
+      try { u = new URL(a.url); } catch { throw new Error(`Invalid webhook URL ${JSON.stringify(a.url)}`); }
+      if (!['http:', 'https:'].includes(u.protocol)) throw new Error('Webhook URL must be http or https');
+      return { kind:'webhook', url:u.href, ...(a.secret ? { secret:String(a.secret) } : {}) };
+    }
+    case 'syslog': {
+      const transport = ['udp', 'tcp'].includes(a.transport) ? a.transport : 'local';
+      const out = { kind:'syslog', format:a.format === 'json' ? 'json' : 'cef', transport };
+      if (transport !== 'local') {
+        const port = Number(a.port) || 514;
+        if (!a.host || port < 1 || port > 65535) throw new Error('Remote syslog needs a host and port');
+        Object.assign(out, { host:String(a.host), port });
+      }
+      return out;
+    }
+    default: return { kind:a.kind };
+  }
+}
+
+/** Checked copy of a rule from the renderer; throws on anything malformed. */
+function normalizeRule(r, id) {
+  if (!r || typeof r !== 'object') throw new Error('Rule must be an object');
+  const types = (r.match?.types || []).filter(t => TYPES.includes(t));
+  const minSeverity = SEVERITIES.includes(r.match?.minSeverity) ? r.match.minSeverity : 'low';
+  const actions = (r.actions || []).map(_action);
+  if (!actions.length) throw new Error('Rule needs at least one action');
+  return {
+    id:r.id || id, name:String(r.name || 'Rule').slice(0, 60), enabled:r.enabled !== false,
+    match:{ types, minSeverity }, actions,
+  };
+}
+
+function normalizeRules(rules, newId) {
+  if (!Array.isArray(rules)) throw new Error('Rules must be a list');
+  if (rules.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} rules`);
+  return rules.map(r => normalizeRule(r, newId()));
+}
+
+function matches(rule, alert) {
+  if (!rule.enabled) return false;
+  if (rule.match.types.length && !rule.match.types.includes(alert.type)) return false;
+  return SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(rule.match.minSeverity);
+}
+
+/** Copy of the rules with webhook secrets replaced by SECRET_MASK, for the renderer. */
+function redactRules(rules) {
+  return rules.map(r => ({ ...r, actions:r.actions.map(a => a.kind === 'webhook' && a.secret ? { ...a, secret:SECRET_MASK } : a) }));
+}
+
+/**
+ * Puts stored secrets back where a saved rule still carries SECRET_MASK: from the
+ * webhook with the same URL in the stored rule of the same id, otherwise dropped.
+ */
+function restoreSecrets(rules, stored) {
+  return rules.map(r => ({ ...r, actions:r.actions.map(a => {
+    if (a.kind !== 'webhook' || a.secret !== SECRET_MASK) return a;
+    const prev = stored.find(s => s.id === r.id)?.actions.find(s => s.kind === 'webhook' && s.url === a.url);
+    const { secret, ...rest } = a;
+    return prev?.secret ? { ...rest, secret:prev.secret } : rest;
+  }) }));
+}
+
+/** Deduplicated actions of every matching rule, each tagged with its rule id. */
+function actionsFor(rules, alert) {
+  const seen = new Set(), out = [];
+  for (const rule of rules) {
+    if (!matches(rule, alert)) continue;
+    for (const a of rule.actions) {
+      const key = JSON.stringify(a);
+      if (seen.has(key)) continue;
+      seen.add(key); out.push({ ...a, rule:rule.id });
+    }
+  }
+  return out;
+}
+
+// ── Formats ───────────────────────────────────────────────────
+// source = { product version, hostname }
+function toJSON(alert, source) {
+  return {
+    source:'behaviorguard', version:source.version, host:source.hostname,
+    id:alert.id, ts:alert.ts, time:new Date(alert.ts).toISOString(),
+    type:alert.type, severity:alert.severity, msg:alert.msg,
+    user:alert.user ? alert.user.name : null, test:!!alert.test,
+    factors:(alert.explain?.trust?.features || []).slice(0, 5).map(f => ({ feature:f.feature, label:f.label, deviation:f.deviation, unit:f.unit, share:f.share })),
+  };
+}
+
+const _cefHeader = s => String(s).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+const _cefValue  = s => String(s).replace(/\\/g, '\\\\').replace(/=/g, '\\=').replace(/\r?\n/g, '\\n');
+
+/** ArcSight Common Event Format, one line. */
+function toCEF(alert, source) {
+  const ext = {
+    rt:alert.ts, dvchost:source.hostname, cat:alert.type, msg:alert.msg,
+    ...(alert.user ? { suser:alert.user.name } : {}), externalId:alert.id,
+  };
+  return [
+    'CEF:0', 'BehaviorGuard', 'BehaviorGuard Desktop', source.version,
+    alert.type, alert.msg, CEF_SEVERITY[alert.severity] ?? 5,
+  ].map(_cefHeader).join('|') + '|' + Object.entries(ext).map(([k, v]) => `${k}=${_cefValue(v)}`).join(' ');
+}
+
+function formatAlert(alert, format, source) {
+  return format === 'json' ? JSON.stringify(toJSON(alert, source)) : toCEF(alert, source);
+}
+
+/** RFC 5424 line for remote syslog. */
+function syslogLine(alert, format, source, pid = 0) {
+  const pri = SYSLOG_FACILITY * 8 + (SYSLOG_SEVERITY[alert.severity] ?? 4);
+  return `<${pri}>1 ${new Date(alert.ts).toISOString()} ${source.hostname || '-'} behaviorguard ${pid || '-'} ${alert.type} - ${formatAlert(alert, format, source)}`;
+}
+
+/** Priority name for logger(1) -p. */
+function loggerPriority(alert) {
+  return `authpriv.${{ low:'notice', medium:'warning', high:'err', critical:'crit' }[alert.severity] || 'warning'}`;
+}
+
+module.exports = {
+  SEVERITIES, TYPES, ACTIONS, SECRET_MASK, normalizeRule, normalizeRules, redactRules, restoreSecrets, matches, actionsFor,
+  toJSON, toCEF, formatAlert, syslogLine, loggerPriority,
+};
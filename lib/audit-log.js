@@ -0,0 +1,209 @@
+/**
+ * BehaviorGuard — Audit Log
+ *
+ * Append-only, hash-chained record for incident response: one JSONL file
+ * per UTC day of writing (`audit-YYYY-MM-DD.jsonl`), each line
+ *   { seq, prev, hash, body }
+ * where `body` is the entry's JSON, sealed with AES-256-GCM as
+ * `enc:<base64 iv|tag|data>` while `seal()` is true, and
+ * hash = HMAC-SHA-256(chain key, seq, prev, body). The chain key is derived
+ * from the data key (chainKey()), so rewriting the log and recomputing the
+ * hashes takes that key. Every line names the hash of the one before it, so
+ * an edited, removed or reordered line breaks the chain. The hashes cover
+ * the stored text: verify() checks sealed entries without reading them.
+ * Without the chain key it can only check the links, which a forger can
+ * recompute; the result says so (`authenticated:false`). Lines cut off the
+ * end leave a valid chain: verify() catches that only against a copy of the
+ * last { seq, hash } kept elsewhere.
+ *
+ * Day files past the retention window are deleted; a plain 'retention'
+ * entry then records where the chain resumes, inside the chain like any
+ * other entry. Main process only: uses Node's fs and crypto.
+ */
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_RE = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const ENC = 'enc:';
+const GENESIS = '0'.repeat(64);
+const MAX_PROBLEMS = 50;
+
+const _day = t => new Date(t).toISOString().slice(0, 10);
+const _file = day => `audit-${day}.jsonl`;
+const _range = (a, b) => a === b ? `Entry ${a} is` : `Entries ${a}–${b} are`;
+const _hash = (key, seq, prev, body) => crypto.createHmac('sha256', key).update(`${seq}\n${prev}\n${body}`).digest('hex');
+
+/** Chain key for the data key `dataKey`: what tools/verify-audit.js --key takes, in hex. */
+function chainKey(dataKey) { return crypto.createHmac('sha256', dataKey).update('audit-chain').digest(); }
+
+function _line(text) {
+  try {
+    const l = JSON.parse(text);
+    return Number.isInteger(l?.seq) && typeof l.prev === 'string' && typeof l.hash === 'string' && typeof l.body === 'string' ? l : null;
+  } catch { return null; }
+}
+
+class AuditLog {
+  /**
+   * @param {object}   opts
+   * @param {string}   opts.dir            directory for the day files (created on demand)
+   * @param {Function} opts.key            returns the 32-byte data key, or null while it is unavailable
+   * @param {Function} [opts.macKey]       returns the chain key (default: chainKey() of the data key)
+   * @param {Function} [opts.seal]         whether new entries are sealed
+   * @param {number}   [opts.retentionDays]
+   */
+  constructor({ dir, key, macKey = () => { const k = key(); return k && chainKey(k); }, seal = () => true, retentionDays = 365 }) {
+    this.dir = dir;
+    this.key = key;
+    this.macKey = macKey;
+    this.seal = seal;
+    this.retentionDays = retentionDays;
+    this.unreadable = 0;   // entries skipped by the last read (sealed with a key no longer available)
+    const last = this._last(this._days());
+    this.seq = last?.seq || 0;
+    this.hash = last?.hash || GENESIS;
+  }
+
+  /**
+   * Append an entry ({ kind, msg, … }; `ts` defaults to now). With `plain` the body is
+   * never sealed. Returns the entry with its `seq` and `ts`.
+   */
+  append(entry, { plain = false } = {}) {
+    const e = { ...entry, ts:entry.ts ?? Date.now() };
+    const mk = this.macKey();
+    if (!mk) throw new Error('The audit chain key is not available');
+    const body = plain ? JSON.stringify(e) : this._encode(e);
+    const seq = this.seq + 1, hash = _hash(mk, seq, this.hash, body);
+    fs.mkdirSync(this.dir, { recursive:true, mode:0o700 });
+    fs.appendFileSync(path.join(this.dir, _file(_day(Date.now()))), JSON.stringify({ seq, prev:this.hash, hash, body }) + '\n', { mode:0o600 });
+    this.seq = seq; this.hash = hash;
+    return { seq, ...e };
+  }
+
+  /** Entries newest first, as { seq, …entry }. */
+  *newest() {
+    this.unreadable = 0;
+    for (const day of this._days().reverse()) {
+      const lines = this._read(day);
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        const e = this._entry(lines[i]);
+        if (e) yield e; else this.unreadable++;
+      }
+    }
+  }
+
+  /** Entries with from <= ts < to, oldest first. */
+  query(from, to) {
+    const out = [];
+    this.unreadable = 0;
+    for (const day of this._days()) {
+      if (Date.parse(day) + DAY_MS <= from) continue;   // written before `from`, so are its entries
+      for (const line of this._read(day)) {
+        if (!line) continue;
+        const e = this._entry(line);
+        if (!e) { this.unreadable++; continue; }
+        if (e.ts >= from && e.ts < to) out.push(e);
+      }
+    }
+    return out.sort((a, b) => a.ts - b.ts || a.seq - b.seq);
+  }
+
+  /**
+   * Check the chain across all files. `head` is the last { seq, hash } as recorded
+   * elsewhere; without it a cut-off end goes unnoticed. Without the chain key only the
+   * links are checked. Returns
+   * { ok, authenticated, entries, files, first, last, problems:[{ file, line, msg }] }.
+   */
+  verify(head = null) {
+    const problems = [], mk = this.macKey();
+    const note = (file, line, msg) => { if (problems.length < MAX_PROBLEMS) problems.push({ file, line, msg }); };
+    const days = this._days(), resumes = [];
+    let start = null, prev = null, seq = 0, entries = 0;
+    for (const day of days) {
+      this._read(day).forEach((text, i) => {
+        if (!text) return;
+        const l = _line(text), file = _file(day);
+        if (!l) { note(file, i + 1, 'Unreadable line'); return; }
+        if (mk && _hash(mk, l.seq, l.prev, l.body) !== l.hash) note(file, i + 1, `Entry ${l.seq} was altered`);
+        if (!start) start = { file, line:i + 1, seq:l.seq, prev:l.prev };
+        else if (l.seq !== seq + 1) note(file, i + 1, l.seq > seq + 1 ? `${_range(seq + 1, l.seq - 1)} missing` : `Entry ${l.seq} is out of order`);
+        else if (l.prev !== prev) note(file, i + 1, `Entry ${l.seq} does not follow entry ${seq}`);
+        if (!l.body.startsWith(ENC)) {
+          try { const b = JSON.parse(l.body); if (b.kind === 'retention') resumes.push(b); } catch { /* altered; noted above */ }
+        }
+        prev = l.hash; seq = l.seq; entries++;
+      });
+    }
+    // The chain starts at entry 1, or where a retention entry says the deleted files ended.
+    if (start && !(start.seq === 1 && start.prev === GENESIS) && !resumes.some(r => r.through === start.seq - 1 && r.hash === start.prev))
+      problems.unshift({ file:start.file, line:start.line, msg:`${_range(1, start.seq - 1)} missing from the start` });
+    if (head && head.seq > seq) note(null, null, `${_range(seq + 1, head.seq)} missing from the end`);
+    else if (head && head.seq === seq && head.hash !== (prev || GENESIS)) note(null, null, 'The last entry does not match the recorded head');
+    return { ok:!problems.length, authenticated:!!mk, entries, files:days.length, first:start?.seq ?? null, last:seq || null, problems };
+  }
+
+  /** Delete day files entirely outside the retention window; returns how many. */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const old = this._days().filter(day => Date.parse(day) + DAY_MS <= cutoff);
+    if (!old.length) return 0;
+    const last = this._last(old);
+    for (const day of old) fs.rmSync(path.join(this.dir, _file(day)), { force:true });
+    if (last) {
+      this.append({ kind:'retention', through:last.seq, hash:last.hash,
+        msg:`Deleted ${old.length} day file${old.length === 1 ? '' : 's'} older than ${this.retentionDays} days (entries up to ${last.seq})` }, { plain:true });
+    }
+    return old.length;
+  }
+
+  _days() {
+    let names;
+    try { names = fs.readdirSync(this.dir); } catch { return []; }
+    return names.map(n => FILE_RE.exec(n)?.[1]).filter(Boolean).sort();
+  }
+
+  _read(day) {
+    try { return fs.readFileSync(path.join(this.dir, _file(day)), 'utf8').split('\n'); } catch { return []; }
+  }
+
+  // Last intact line of the newest of `days`; a line torn by a crash is passed over.
+  _last(days) {
+    for (const day of days.slice().reverse()) {
+      const lines = this._read(day);
+      for (let i = lines.length - 1; i >= 0; i--) { const l = lines[i] && _line(lines[i]); if (l) return l; }
+    }
+    return null;
+  }
+
+  _entry(text) {
+    const l = _line(text), e = l && this._decode(l.body);
+    return e ? { seq:l.seq, ...e } : null;
+  }
+
+  _encode(entry) {
+    const json = JSON.stringify(entry), key = this.seal() ? this.key() : null;
+    if (!key) return json;
+    const iv = crypto.randomBytes(12), c = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([c.update(json, 'utf8'), c.final()]);
+    return ENC + Buffer.concat([iv, c.getAuthTag(), data]).toString('base64');
+  }
+
+  _decode(body) {
+    try {
+      if (!body.startsWith(ENC)) return JSON.parse(body);
+      const key = this.key();
+      if (!key) return null;
+      const raw = Buffer.from(body.slice(ENC.length), 'base64');
+      const d = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+      d.setAuthTag(raw.subarray(12, 28));
+      return JSON.parse(Buffer.concat([d.update(raw.subarray(28)), d.final()]).toString('utf8'));
+    } catch { return null; }
+  }
+}
+
+module.exports = { AuditLog, GENESIS, chainKey };
@@ -0,0 +1,196 @@
+/**
+ * BehaviorGuard — Baseline Model
+ *
+ * Statistical profile built from feature windows sampled during training.
+ * Each channel (keystroke / mouse / click / scroll) keeps a robust location (median)
+ * and scale (MAD) per feature plus a shrunk correlation matrix. A live
+ * window is scored by its Mahalanobis distance, rescaled so held-out
+ * training windows land where a chi-squared distribution says they should.
+ *
+ * Trust per channel is mapped from the chi-squared tail probability:
+ * 100 for typical windows, minus 25 points per decade of improbability.
+ */
+'use strict';
+
+const S = require('./stats');
+
+// `window` = number of most recent events a sample is extracted from, so
+// training windows and live windows are drawn from the same distribution.
+// `floor` = absolute scale floor for features that can sit at exactly 0.
+const CHANNELS = {
+  ks:     { weight:0.5,  window:150, features:['medDwell','madDwell','medFlight','madFlight','medIv','iqrIv','wpm'] },
+  mouse:  { weight:0.3,  window:300, features:['avgVel','stdVel','curvature','entropy','jitterFreq'],
+            floor:{ curvature:0.01, entropy:0.02, jitterFreq:0.5 } },
+  click:  { weight:0.2,  window:20,  features:['avgIv','avgDist','cpm'] },
+  scroll: { weight:0.15, window:120, features:['burstLen','medTick','cvTick','reversals','peakPos','interleave'],
+            floor:{ cvTick:0.05, reversals:0.02, peakPos:0.05, interleave:0.05 } },
+};
+
+const MODEL_VERSION = 1;
+const MIN_SAMPLES   = 8;     // per channel, below this the channel stays unmodelled
+const FOLDS         = 5;
+const SHRINKAGE     = 0.3;   // training windows overlap heavily, so correlations are over-estimated
+const DECADES       = 4;     // 100 → 0 trust across four decades of tail probability
+const POP_SPREAD    = 0.35;  // log-scale between-user spread used to synthesise impostor windows
+const IMPOSTORS_PER = 4;
+const SEED          = 0x42475244;
+
+function _clamp(x, lo, hi) { return Math.max(lo, Math.min(hi, x)); }
+
+function _vector(feats, names) {
+  if (!feats) return null;
+  const v = names.map(n => feats[n]);
+  return v.every(Number.isFinite) ? v : null;
+}
+
+/** Trim extracted features down to what the model uses. Returns null if no channel has data. */
+function sampleFrom(cur, t) {
+  const s = { t };
+  let any = false;
+  for (const [name, { features }] of Object.entries(CHANNELS)) {
+    const v = _vector(cur[name], features);
+    if (v) { s[name] = Object.fromEntries(features.map((f, i) => [f, v[i]])); any = true; }
+  }
+  return any ? s : null;
+}
+
+// ═════════════════════════════════════════════════════════════
+// FITTING
+// ═════════════════════════════════════════════════════════════
+function _fitChannel(names, rows, floor = {}) {
+  const cols   = names.map((_, j) => rows.map(r => r[j]));
+  const center = cols.map(c => S.median(c));
+  const scale  = cols.map((c, j) => Math.max(S.mad(c), 0.5 * S.std(c), 0.02 * Math.abs(center[j]), floor[names[j]] || 1e-6));
+  const z      = rows.map(r => r.map((x, j) => (x - center[j]) / scale[j]));
+  const zm     = names.map((_, j) => S.mean(z.map(v => v[j])));
+  const zs     = names.map((_, j) => S.std(z.map(v => v[j])) || 1);
+  const corr   = names.map((_, i) => names.map((_, j) => {
+    if (i === j) return 1;
+    const r = S.mean(z.map(v => (v[i] - zm[i]) * (v[j] - zm[j]))) / (zs[i] * zs[j]);
+    return _clamp(r, -1, 1) * (1 - SHRINKAGE);
+  }));
+  const inv = S.invert(corr) || names.map((_, i) => names.map((_, j) => i === j ? 1 : 0));
+  return { features:names, center, scale, inv, n:rows.length, s:1 };
+}
+
+function _fit(samples) {
+  const channels = {};
+  for (const [name, { features, floor }] of Object.entries(CHANNELS)) {
+    const rows = samples.map(s => _vector(s[name], features)).filter(Boolean);
+    if (rows.length >= MIN_SAMPLES) channels[name] = _fitChannel(features, rows, floor);
+  }
+  return Object.keys(channels).length ? { v:MODEL_VERSION, channels } : null;
+}
+
+function _distance(ch, feats) {
+  const v = _vector(feats, ch.features);
+  if (!v) return null;
+  const z = v.map((x, j) => (x - ch.center[j]) / ch.scale[j]);
+  return { d2:S.quadForm(z, ch.inv), z };
+}
+
+function _trust(ch, d2) {
+  const sf = S.chi2Sf(d2 / ch.s, ch.features.length);
+  return 100 * _clamp(1 + Math.log10(Math.max(sf, 1e-12)) / DECADES, 0, 1);
+}
+
+/** Weighted channel trust → overall trust (null if nothing was scored). */
+function _combine(parts) {
+  if (!parts.length) return null;
+  const tw = parts.reduce((s, p) => s + p.w, 0);
+  return parts.reduce((s, p) => s + p.trust * p.w, 0) / tw;
+}
+
+// Windows overlap in time, so folds are contiguous blocks rather than shuffled.
+function _heldOut(samples) {
+  const n = samples.length, out = [];
+  if (n < FOLDS * 2) return out;
+  const size = Math.ceil(n / FOLDS);
+  for (let f = 0; f < FOLDS; f++) {
+    const lo = f * size, hi = Math.min(n, lo + size);
+    const sub = _fit(samples.slice(0, lo).concat(samples.slice(hi)));
+    if (!sub) continue;
+    for (let i = lo; i < hi; i++) {
+      const d2 = {};
+      for (const [name, ch] of Object.entries(sub.channels)) {
+        const d = _distance(ch, samples[i][name]);
+        if (d) d2[name] = d.d2;
+      }
+      out.push({ sample:samples[i], d2 });
+    }
+  }
+  return out;
+}
+
+function _perturb(sample, rand) {
+  const out = {};
+  for (const name of Object.keys(CHANNELS)) {
+    if (!sample[name]) continue;
+    out[name] = Object.fromEntries(Object.entries(sample[name]).map(([k, v]) => [k, v * Math.exp(S.gaussian(rand) * POP_SPREAD)]));
+  }
+  return out;
+}
+
+function _calibrate(model, held, thresholds) {
+  const rand = S.mulberry32(SEED);
+  const genuine = held.map(h => _combine(Object.entries(h.d2)
+    .filter(([name]) => model.channels[name])
+    .map(([name, d2]) => ({ trust:_trust(model.channels[name], d2), w:CHANNELS[name].weight }))))
+    .filter(x => x !== null);
+  const impostor = [];
+  held.forEach(h => { for (let i = 0; i < IMPOSTORS_PER; i++) { const t = scoreModel(model, _perturb(h.sample, rand)); if (t.length) impostor.push(_combine(t)); } });
+  const rates = {};
+  for (const [level, thr] of Object.entries(thresholds)) {
+    rates[level] = {
+      threshold: thr,
+      frr: genuine.length  ? genuine.filter(t => t < thr).length / genuine.length : null,
+      far: impostor.length ? impostor.filter(t => t >= thr).length / impostor.length : null,
+    };
+  }
+  return {
+    method: `${FOLDS}-fold held-out training windows; synthetic impostors (log-spread ${POP_SPREAD})`,
+    genuine: genuine.length, impostors: impostor.length, rates,
+  };
+}
+
+/**
+ * Fit a baseline model from training windows (see sampleFrom).
+ * `thresholds` maps sensitivity level → trust threshold for the calibration report.
+ * Returns null when no channel has MIN_SAMPLES windows.
+ */
+function fitModel(samples, thresholds) {
+  const model = _fit(samples);
+  if (!model) return null;
+  const held = _heldOut(samples);
+  for (const [name, ch] of Object.entries(model.channels)) {
+    const d2 = held.map(h => h.d2[name]).filter(x => x !== undefined);
+    if (d2.length >= MIN_SAMPLES) ch.s = _clamp(S.median(d2) / S.chi2Median(ch.features.length), 0.5, 50);
+  }
+  model.calibration = _calibrate(model, held, thresholds);
+  return model;
+}
+
+// ═════════════════════════════════════════════════════════════
+// SCORING
+// ═════════════════════════════════════════════════════════════
+/**
+ * Score the current features ({ ks, mouse, click, scroll }) against a fitted model.
+ * Returns one part per channel that has both a model and current data:
+ *   { name, trust, d2, w, z: { feature: robust z-score }, value: { feature: x }, center: { feature: median } }
+ */
+function scoreModel(model, cur) {
+  const parts = [];
+  for (const [name, ch] of Object.entries(model.channels || {})) {
+    const d = _distance(ch, cur[name]);
+    if (!d) continue;
+    parts.push({
+      name, trust:_trust(ch, d.d2), d2:d.d2, w:CHANNELS[name].weight,
+      z: Object.fromEntries(ch.features.map((f, j) => [f, d.z[j]])),
+      value: Object.fromEntries(ch.features.map(f => [f, cur[name][f]])),
+      center: Object.fromEntries(ch.features.map((f, j) => [f, ch.center[j]])),
+    });
+  }
+  return parts;
+}
+
+module.exports = { CHANNELS, MODEL_VERSION, sampleFrom, fitModel, scoreModel };
@@ -0,0 +1,158 @@
+/**
+ * BehaviorGuard — Bot Detectors
+ *
+ * The engine's bot verdict is merged from a list of detectors, each
+ * { id, label, detect(input) → { score, isBot, signals } } with `score`
+ * 0–100 and signals shaped { id, reason, value, limit, points }. `input`
+ * is built by the engine once per cycle (see botInput there):
+ *   { ks, mouse, scroll, digraphs, moves, rollover }
+ *
+ * Two detectors ship: the fixed-threshold rules and a logistic-regression
+ * classifier over window features. The classifier's weights come from
+ * tools/train-bot.js. It is opt-in: the bundled bot-model.json was trained
+ * on generated streams only (tools/synth-input.js), not on real recordings.
+ */
+'use strict';
+
+const DEFAULT_MODEL = require('./bot-model.json');
+
+const MODEL_VERSION = 1;
+const RULES_BOT = 85;
+
+// Classifier features: name → [label, extractor]. Extractors return NaN when the channel is missing.
+const FEATURES = {
+  logIv:      ['Keystroke interval',       i => i.ks ? Math.log(Math.max(i.ks.medIv, 1)) : NaN],
+  ivCV:       ['Interval spread',          i => i.ks && i.ks.medIv > 0 ? i.ks.iqrIv / i.ks.medIv : NaN],
+  dwellCV:    ['Hold time spread',         i => i.ks && i.ks.medDwell > 0 ? i.ks.madDwell / i.ks.medDwell : NaN],
+  digraph:    ['Key-pair consistency',     i => i.ks && i.digraphs > 10 ? i.ks.digVar / Math.max(i.ks.madIv, 1) : NaN],
+  rollover:   ['Key rollover',             i => i.rollover ?? NaN],
+  entropy:    ['Direction entropy',        i => i.mouse ? i.mouse.entropy : NaN],
+  curvature:  ['Path curvature',           i => i.mouse ? i.mouse.curvature : NaN],
+  velCV:      ['Speed variation',          i => i.mouse && i.mouse.avgVel > 0 ? i.mouse.stdVel / i.mouse.avgVel : NaN],
+  jitter:     ['Tremor frequency',         i => i.mouse ? Math.log1p(i.mouse.jitterFreq) : NaN],
+  micro:      ['Micro-corrections',        i => i.moves && i.moves.length >= 20 ? microShare(i.moves) : NaN],
+  scrollCV:   ['Scroll tick consistency',  i => i.scroll ? i.scroll.cvTick : NaN],
+};
+
+/** Share of pointer steps that change direction slightly (hands correct constantly, scripts rarely). */
+function microShare(moves) {
+  let changes = 0;
+  for (let i = 2; i < moves.length; i++) {
+    const a1 = Math.atan2(moves[i - 1].y - moves[i - 2].y, moves[i - 1].x - moves[i - 2].x);
+    const a2 = Math.atan2(moves[i].y - moves[i - 1].y, moves[i].x - moves[i - 1].x);
+    if (Math.abs(a1 - a2) > 0.1 && Math.abs(a1 - a2) < Math.PI - 0.1) changes++;
+  }
+  return changes / (moves.length - 2);
+}
+
+// ═════════════════════════════════════════════════════════════
+// DETECTORS
+// ═════════════════════════════════════════════════════════════
+const rulesDetector = {
+  id: 'rules',
+  label: 'Threshold rules',
+  detect({ ks, mouse, scroll, digraphs, moves }) {
+    let score = 0; const signals = [];
+    const hit = (id, points, reason, value, limit) => { score += points; signals.push({ id, reason, value, limit, points }); };
+    if (mouse) {
+      if (mouse.entropy < 0.02) hit('mouseEntropy', 40, 'Mouse entropy < 0.02', mouse.entropy, 0.02);
+      const human = mouse.jitterFreq >= 3 && mouse.jitterFreq <= 12;
+      if (!human && mouse.jitterFreq > 0) hit('jitter', 30, `Jitter ${mouse.jitterFreq.toFixed(1)}Hz`, mouse.jitterFreq, '3–12');
+      if (mouse.curvature < 0.01) hit('curvature', 25, 'Perfect geometric paths', mouse.curvature, 0.01);
+    }
+    if (ks) {
+      if (ks.medIv < 30) hit('speed', 50, 'Superhuman speed <30ms', ks.medIv, 30);
+      const cv = ks.medIv > 0 ? ks.iqrIv / ks.medIv : 0;
+      if (cv < 0.15 && ks.n > 30) hit('keyCV', 25, `CV=${cv.toFixed(3)} too consistent`, cv, 0.15);
+      if (ks.digVar < 3 && digraphs > 10) hit('digraphVar', 20, 'Digraph variance too low', ks.digVar, 3);
+    }
+    if (scroll) {
+      // Synthetic wheel events repeat one rotation at a fixed cadence; hands never do.
+      if (scroll.cvTick < 0.05 && scroll.constAmount >= 0.95) hit('scrollCadence', 45, 'Fixed-cadence scroll ticks', scroll.cvTick, 0.05);
+      else if (scroll.cvTick < 0.05) hit('scrollCV', 25, `Scroll CV=${scroll.cvTick.toFixed(3)} too consistent`, scroll.cvTick, 0.05);
+    }
+    if (moves && moves.length >= 20) {
+      const share = microShare(moves);
+      if (share < 0.15) hit('microCorrections', 30, 'No micro-corrections', share, 0.15);
+    }
+    return { score:Math.min(100, score), isBot:score >= RULES_BOT, signals };
+  },
+};
+
+/** Raw feature vector (NaN = channel missing) in FEATURES order. */
+function featureVector(input) {
+  return Object.values(FEATURES).map(([, f]) => f(input));
+}
+
+function _sigmoid(x) { return 1 / (1 + Math.exp(-x)); }
+
+/** Scripted-input probability from a model and a raw feature vector, with per-feature contributions. */
+function classify(model, x) {
+  let s = model.bias;
+  const contrib = model.features.map((name, j) => {
+    const z = Number.isFinite(x[j]) ? (x[j] - model.mean[j]) / model.std[j] : 0;   // missing → training mean
+    const c = model.weights[j] * Math.max(-6, Math.min(6, z));
+    s += c;
+    return { name, c };
+  });
+  return { p:_sigmoid(s), contrib };
+}
+
+/** Logistic-regression detector; flags windows at or above the model's threshold. */
+function classifierDetector(model = DEFAULT_MODEL) {
+  parseBotModel(model);
+  return {
+    id: 'classifier',
+    label: 'Learned classifier',
+    model,
+    detect(input) {
+      const x = featureVector(input);
+      if (!x.some(Number.isFinite)) return { score:0, isBot:false, signals:[] };
+      const { p, contrib } = classify(model, x);
+      const score = Math.round(p * 100), signals = [];
+      if (p >= 0.5) {
+        const top = contrib.filter(c => c.c > 0).sort((a, b) => b.c - a.c).slice(0, 2).map(c => FEATURES[c.name][0]);
+        signals.push({ id:'classifier', reason:`Classifier: ${score}% scripted${top.length ? ` (${top.join(', ')})` : ''}`,
+                       value:Math.round(p * 1000) / 1000, limit:model.threshold, points:score });
+      }
+      return { score, isBot:p >= model.threshold, signals };
+    },
+  };
+}
+
+/** Throws unless `m` is a model tools/train-bot.js could have written for this feature set. */
+function parseBotModel(m) {
+  const n = Object.keys(FEATURES).length;
+  if (!m || m.v !== MODEL_VERSION) throw new Error('Unsupported bot model version');
+  if (!Array.isArray(m.features) || m.features.join() !== Object.keys(FEATURES).join()) throw new Error('Bot model features do not match this version');
+  for (const k of ['mean', 'std', 'weights'])
+    if (!Array.isArray(m[k]) || m[k].length !== n || !m[k].every(Number.isFinite)) throw new Error(`Bot model: bad ${k}`);
+  if (!m.std.every(s => s > 0)) throw new Error('Bot model: bad std');
+  if (!Number.isFinite(m.bias) || !(m.threshold > 0 && m.threshold < 1)) throw new Error('Bot model: bad bias or threshold');
+  return m;
+}
+
+/** Detector list for the engine: the rules, plus the classifier when `classifier` is true. */
+function createDetectors({ classifier = false, model } = {}) {
+  return classifier ? [rulesDetector, classifierDetector(model)] : [rulesDetector];
+}
+
+/**
+ * Merge detector verdicts: bot if any detector says so, confidence = highest score,
+ * signals concatenated (tagged with their detector).
+ */
+function combineVerdicts(results) {
+  const signals = results.flatMap(r => r.signals.map(s => ({ ...s, detector:r.id })));
+  return {
+    isBot: results.some(r => r.isBot),
+    confidence: results.reduce((m, r) => Math.max(m, r.score), 0),
+    reason: signals.map(s => s.reason).join('; '),
+    signals,
+    detectors: results.map(r => ({ id:r.id, score:r.score, isBot:r.isBot })),
+  };
+}
+
+module.exports = {
+  FEATURES, MODEL_VERSION, DEFAULT_MODEL, rulesDetector, classifierDetector, createDetectors, combineVerdicts,
+  featureVector, classify, parseBotModel, microShare,
+};
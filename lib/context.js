@@ -0,0 +1,115 @@
+/**
+ * BehaviorGuard — Context Sub-profiles
+ *
+ * Typing in an IDE looks different from typing in chat, and a touchpad
+ * from a mouse. The host tags input with a context { app, device } — the
+ * foreground window class and the pointer device kind, each null when
+ * unknown. Training windows carry the context key; every context with
+ * CONTEXT_MIN windows gets its own baseline model next to the global one,
+ * and scoring leans on it more as it approaches CONTEXT_FULL windows.
+ */
+'use strict';
+
+const { fitModel } = require('./baseline');
+
+const CONTEXT_MIN  = 20;   // windows before a context gets its own model
+const CONTEXT_FULL = 80;   // windows at which the context model fully replaces the global one
+const MAX_CONTEXTS = 12;   // most recently seen contexts kept per profile
+const REFIT_EVERY  = 10;   // windows between refits while a context is still filling up
+const DEVICES = ['mouse', 'touchpad', 'trackpoint', 'touch', 'pen'];
+const ANY = '*';
+
+function normalize(ctx) {
+  const app = typeof ctx?.app === 'string' ? ctx.app.trim().toLowerCase().slice(0, 64) : '';
+  return { app:app || null, device:DEVICES.includes(ctx?.device) ? ctx.device : null };
+}
+
+/** Stable key of a context, e.g. "code|mouse"; unknown parts are "*". */
+function contextKey(ctx) {
+  const c = normalize(ctx);
+  return `${c.app || ANY}|${c.device || ANY}`;
+}
+
+function parseKey(key) {
+  const [app, device] = String(key).split('|');
+  return { app:app === ANY ? null : app, device:device === ANY ? null : device };
+}
+
+/** 0 below CONTEXT_MIN windows, rising to 1 at CONTEXT_FULL. */
+function maturity(n) {
+  return n < CONTEXT_MIN ? 0 : Math.min(1, n / CONTEXT_FULL);
+}
+
+function _fit(entry, thresholds) {
+  entry.model = entry.windows.length >= CONTEXT_MIN ? fitModel(entry.windows, thresholds) : null;
+  // A full context never trains again, so its windows are no longer needed.
+  if (entry.samples >= CONTEXT_FULL) delete entry.windows;
+}
+
+function _prune(contexts) {
+  const keys = Object.keys(contexts).sort((a, b) => contexts[b].seen - contexts[a].seen);
+  keys.slice(MAX_CONTEXTS).forEach(k => { delete contexts[k]; });
+  return contexts;
+}
+
+/**
+ * Group training windows by their `ctx` key and fit one model per context.
+ * Untagged windows ("*|*") only feed the global model.
+ * Returns { key: { app, device, samples, seen, model, windows? } }.
+ */
+function fitContexts(samples, thresholds) {
+  const groups = {};
+  for (const s of samples) {
+    if (!s.ctx || s.ctx === `${ANY}|${ANY}`) continue;
+    (groups[s.ctx] = groups[s.ctx] || []).push(s);
+  }
+  const contexts = {};
+  for (const [key, rows] of Object.entries(groups)) {
+    const entry = { ...parseKey(key), samples:rows.length, seen:rows[rows.length-1].t, windows:rows.slice(-CONTEXT_FULL) };
+    _fit(entry, thresholds);
+    contexts[key] = entry;
+  }
+  return _prune(contexts);
+}
+
+/**
+ * Keep training a context after enrollment with one accepted window.
+ * Mutates `profile.contexts`; returns true when the profile changed.
+ */
+function addContextSample(profile, sample, thresholds) {
+  const key = sample.ctx;
+  if (!key || key === `${ANY}|${ANY}`) return false;
+  const contexts = profile.contexts = profile.contexts || {};
+  const entry = contexts[key] = contexts[key] || { ...parseKey(key), samples:0, seen:sample.t, model:null, windows:[] };
+  entry.seen = sample.t;
+  if (entry.samples >= CONTEXT_FULL) return false;
+  entry.windows = entry.windows || [];
+  entry.windows.push(sample); entry.samples++;
+  if (entry.samples === CONTEXT_MIN || (entry.samples > CONTEXT_MIN && entry.samples % REFIT_EVERY === 0) || entry.samples >= CONTEXT_FULL)
+    _fit(entry, thresholds);
+  _prune(contexts);
+  return true;
+}
+
+/** Dashboard list: [{ key, app, device, samples, pct, modelled }], most recently seen first. */
+function summarize(contexts) {
+  return Object.entries(contexts || {})
+    .sort((a, b) => b[1].seen - a[1].seen)
+    .map(([key, c]) => ({
+      key, app:c.app, device:c.device, samples:c.samples,
+      pct:Math.round(Math.min(1, c.samples / CONTEXT_FULL) * 100), modelled:!!c.model,
+    }));
+}
+
+/** Training-time counterpart of summarize(): counts the ctx keys of raw windows. */
+function countSamples(samples) {
+  const out = {};
+  for (const s of samples) {
+    if (!s.ctx || s.ctx === `${ANY}|${ANY}`) continue;
+    const c = out[s.ctx] = out[s.ctx] || { ...parseKey(s.ctx), samples:0, seen:0, model:null };
+    c.samples++; c.seen = s.t;
+  }
+  return out;
+}
+
+module.exports = { CONTEXT_MIN, CONTEXT_FULL, normalize, contextKey, maturity, fitContexts, addContextSample, summarize, countSamples };
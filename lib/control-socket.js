@@ -0,0 +1,158 @@
+/**
+ * BehaviorGuard — Control Socket
+ *
+ * Local control channel used by bgctl (bin/bgctl.js) and by the headless
+ * daemon: a Unix socket (a named pipe on Windows) speaking one JSON object
+ * per line.
+ *
+ *   → { id, cmd, args?, password? }
+ *   ← { id, ok:true, result } | { id, ok:false, error }
+ *
+ * The socket sits in a directory only its owner can enter, with mode 0600,
+ * so only the user running BehaviorGuard can connect. Commands that weaken
+ * protection carry the unlock password; main.js checks it. socketPath() and
+ * request() are also used by bgctl, which runs on plain Node.
+ */
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const net  = require('net');
+const path = require('path');
+
+const MAX_LINE = 64 * 1024;
+const MAX_CLIENTS = 8;
+const TIMEOUT_MS = 30 * 1000;
+
+/** Where the daemon listens: $BG_SOCKET, else a per-user runtime directory (a pipe on Windows). */
+function socketPath(env = process.env, platform = process.platform) {
+  if (env.BG_SOCKET) return env.BG_SOCKET;
+  const user = os.userInfo();
+  if (platform === 'win32') return `\\\\.\\pipe\\behaviorguard-${user.username}`;
+  const base = env.XDG_RUNTIME_DIR || path.join(os.tmpdir(), `behaviorguard-${user.uid}`);
+  return path.join(base, env.XDG_RUNTIME_DIR ? 'behaviorguard' : '', 'control.sock');
+}
+
+// The socket's directory: created 0700, and refused when it belongs to someone else.
+function _privateDir(dir) {
+  fs.mkdirSync(dir, { recursive:true, mode:0o700 });
+  const st = fs.statSync(dir);
+  if (typeof process.getuid === 'function' && st.uid !== process.getuid()) throw new Error(`${dir} belongs to another user`);
+  if (st.mode & 0o077) fs.chmodSync(dir, 0o700);
+}
+
+// True when something answers on `p` (a running daemon), false for a stale socket file.
+function _alive(p) {
+  return new Promise(resolve => {
+    const c = net.connect(p);
+    c.once('connect', () => { c.destroy(); resolve(true); });
+    c.once('error', () => resolve(false));
+  });
+}
+
+class ControlServer {
+  /**
+   * @param {object} opts
+   * @param {object} opts.commands  { name: async (args) => result }; a thrown error is sent back
+   * @param {string} [opts.path]    socket path (default socketPath())
+   */
+  constructor({ commands, path:p = socketPath() }) {
+    this.commands = commands;
+    this.path = p;
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  get running() { return !!this.server?.listening; }
+
+  /** Resolves once listening; rejects when another instance already answers on the path. */
+  async start() {
+    if (this.server) return this.path;
+    const pipe = process.platform === 'win32';
+    if (!pipe) {
+      _privateDir(path.dirname(this.path));
+      if (fs.existsSync(this.path)) {
+        if (await _alive(this.path)) throw new Error(`Another BehaviorGuard is listening on ${this.path}`);
+        fs.rmSync(this.path, { force:true });
+      }
+    }
+    const server = net.createServer(sock => this._connection(sock));
+    server.maxConnections = MAX_CLIENTS;
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.path, () => { server.off('error', reject); resolve(); });
+    });
+    if (!pipe) fs.chmodSync(this.path, 0o600);
+    server.on('error', err => console.error('[BG] Control socket:', err.message));
+    this.server = server;
+    return this.path;
+  }
+
+  stop() {
+    for (const s of this.sockets) s.destroy();
+    this.sockets.clear();
+    if (!this.server) return;
+    this.server.close(); this.server = null;
+    if (process.platform !== 'win32') fs.rmSync(this.path, { force:true });
+  }
+
+  _connection(sock) {
+    this.sockets.add(sock);
+    sock.setEncoding('utf8');
+    sock.setTimeout(TIMEOUT_MS, () => sock.destroy());
+    const drop = () => { this.sockets.delete(sock); };
+    sock.on('close', drop);
+    sock.on('error', drop);
+    let buf = '';
+    sock.on('data', chunk => {
+      buf += chunk;
+      if (buf.length > MAX_LINE && !buf.includes('\n')) { sock.end(JSON.stringify({ id:null, ok:false, error:'Request too large' }) + '\n'); return; }
+      let i;
+      while ((i = buf.indexOf('\n')) >= 0) {
+        const line = buf.slice(0, i).trim();
+        buf = buf.slice(i + 1);
+        if (line) this._handle(line).then(res => { if (!sock.destroyed) sock.write(JSON.stringify(res) + '\n'); });
+      }
+    });
+  }
+
+  async _handle(line) {
+    let req;
+    try { req = JSON.parse(line); } catch { return { id:null, ok:false, error:'Not JSON' }; }
+    const id = req?.id ?? null, fn = typeof req?.cmd === 'string' && Object.hasOwn(this.commands, req.cmd) ? this.commands[req.cmd] : null;
+    if (!fn) return { id, ok:false, error:`Unknown command ${JSON.stringify(req?.cmd)}` };
+    try {
+      const args = req.args && typeof req.args === 'object' ? req.args : {};
+      return { id, ok:true, result:(await fn(args, { password:typeof req.password === 'string' ? req.password : null })) ?? null };
+    } catch (err) {
+      return { id, ok:false, error:err.message };
+    }
+  }
+}
+
+/**
+ * Send one command and resolve with its result; rejects with the daemon's error, or
+ * with a "not running" error when nothing listens on the socket.
+ */
+function request(cmd, args = {}, { path:p = socketPath(), password = null, timeout = TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const sock = net.connect(p);
+    let buf = '', done = false;
+    const finish = (err, res) => { if (done) return; done = true; sock.destroy(); err ? reject(err) : resolve(res); };
+    sock.setEncoding('utf8');
+    sock.setTimeout(timeout, () => finish(new Error('No answer from BehaviorGuard')));
+    sock.once('connect', () => sock.write(JSON.stringify({ id:1, cmd, args, ...(password !== null ? { password } : {}) }) + '\n'));
+    sock.on('data', chunk => {
+      buf += chunk;
+      const i = buf.indexOf('\n');
+      if (i < 0) return;
+      let res;
+      try { res = JSON.parse(buf.slice(0, i)); } catch { return finish(new Error('Bad answer from BehaviorGuard')); }
+      res.ok ? finish(null, res.result) : finish(new Error(res.error || 'Command failed'));
+    });
+    sock.on('error', err => finish(['ENOENT', 'ECONNREFUSED'].includes(err.code) ? new Error(`BehaviorGuard is not running (nothing listens on ${p})`) : err));
+    sock.on('close', () => finish(new Error('Connection closed before an answer')));
+  });
+}
+
+module.exports = { ControlServer, socketPath, request };
@@ -0,0 +1,38 @@
+/**
+ * BehaviorGuard — Elevation
+ *
+ * The short-lived token sensitive IPC calls carry. A password check issues
+ * one, bound to the window that asked for it; a call is allowed while the
+ * token it carries is that window's and has not expired. Issuing again
+ * replaces the previous token. Main process only: uses Node's crypto.
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+class Elevation {
+  constructor({ ttl = 5 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    this.current = null;   // { token, sender, expires }
+  }
+
+  /** New token for renderer `sender` (a webContents id): { token, expires }. */
+  issue(sender, now = Date.now()) {
+    this.current = { token:crypto.randomBytes(32).toString('hex'), sender, expires:now + this.ttl };
+    return { token:this.current.token, expires:this.current.expires };
+  }
+
+  /** Expiry of the elevation when `token` is the live one of `sender`, else null. */
+  check(sender, token, now = Date.now()) {
+    const el = this.current;
+    if (!el || now > el.expires || el.sender !== sender || typeof token !== 'string' || token.length !== el.token.length) return null;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(el.token)) ? el.expires : null;
+  }
+
+  /** Whether any window holds a live elevation (the tray acts on the dashboard's). */
+  active(now = Date.now()) { return !!this.current && now < this.current.expires; }
+
+  clear() { this.current = null; }
+}
+
+module.exports = { Elevation };
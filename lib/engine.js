@@ -0,0 +1,803 @@
+/**
+ * BehaviorGuard — Detection Engine
+ *
+ * Headless scoring pipeline: raw input events in, trust / bot / replay
+ * verdicts out. Holds no Electron or uiohook references so it can be
+ * instantiated several times (main process, replay harness, web demo)
+ * and driven by an injected clock. Must stay free of Node built-ins
+ * beyond the guarded crypto fallback: the web demo bundles it as-is.
+ */
+'use strict';
+
+const webcrypto = globalThis.crypto || require('crypto').webcrypto;
+const { mean:_mean, std:_std, median:_med, mad:_mad, pct:_pct, iqr:_iqr } = require('./stats');
+const { CHANNELS, sampleFrom, fitModel, scoreModel } = require('./baseline');
+const { matchNGraphs } = require('./ngraph');
+const { snapshot, adaptProfile } = require('./adapt');
+const { PROFILE_VERSION } = require('./profile-schema');
+const { normalize:_ctxNormalize, contextKey, maturity, fitContexts, addContextSample, summarize:_ctxSummary, countSamples } = require('./context');
+const { explainScore, windowSnapshot, TRAIL } = require('./explain');
+const { createDetectors, combineVerdicts } = require('./bot-detect');
+const fixedText = require('./fixed-text');
+const { KEY_WINDOW, KEY_STRIDE, MOUSE_WINDOW, MOUSE_STRIDE, INSTANT_DWELL, PAIRING_LOG, keyFingerprint, mouseFingerprint, SequenceStore, matchReason, pairingVerdict } = require('./replay-detect');
+
+const QUICK_TARGET = 30  * 60 * 1000;
+const FULL_TARGET  = 120 * 60 * 1000;
+const ANOMALY_THRESHOLDS = { low:15, medium:30, high:50 };
+const ANOMALY_SMOOTHING = 0.5;       // weight of the newest score in the smoothed score the anomaly latch follows
+const ANOMALY_HYSTERESIS = 10;       // points above the threshold the smoothed score must regain before the next anomaly
+const SAMPLE_INTERVAL = 15 * 1000;   // training window sampling period
+const MAX_SAMPLES = 1000;
+const SCROLL_BURST_GAP = 300;        // ms between wheel ticks that still belong to one gesture
+const ADAPT_MIN_TRUST = 80;          // only windows this trusted may update the profile
+const ADAPT_QUIET = 30 * 60 * 1000;  // no adaptation this long after a bot / replay / anomaly verdict
+const MAX_HISTORY = 20;
+const IDENTIFY_MIN = 50;             // best match below this → unknown user
+const DEFAULT_NAME = 'Primary';
+const NGRAPH_WEIGHT = 0.5;           // share of the keystroke part taken by the n-graph match at full confidence
+const REPLAY_QUIET = 60 * 1000;      // one fingerprint / pairing verdict per kind this often while it persists
+const VERIFY_MIN_KEYS = 20;          // keystrokes a typing challenge needs before it is scored
+const VERIFY_DWELL_TOL = 0.6;        // relative hold-time deviation that costs the dwell share all its trust
+const VERIFY_FIXED_WEIGHT = 0.6;     // share of a challenge's trust taken by the enrolled phrase template, when there is one
+
+// ═════════════════════════════════════════════════════════════
+// UTILITIES
+// ═════════════════════════════════════════════════════════════
+function _hex(n)  { const a=webcrypto.getRandomValues(new Uint8Array(n)); return Array.from(a,b=>b.toString(16).padStart(2,'0')).join(''); }
+function _nonce() { return _hex(16); }
+function _hashPair(a,b){ return `${a}_${b}`; }
+// True if a sorted-by-t array has an entry strictly between lo and hi.
+function _anyBetween(arr,lo,hi){
+  let a=0,b=arr.length;
+  while(a<b){const m=(a+b)>>1;if(arr[m].t<=lo)a=m+1;else b=m;}
+  return a<arr.length&&arr[a].t<hi;
+}
+// Copied n-graph entries; live typing keeps pushing onto the latency arrays.
+function _copyGraphs(entries){ return [...entries].map(([k,v])=>[k,[...v]]); }
+
+// ═════════════════════════════════════════════════════════════
+// ENGINE
+// ═════════════════════════════════════════════════════════════
+class BehaviorEngine {
+  /**
+   * @param {object}   [opts]
+   * @param {Function} [opts.clock]       returns the current time in ms (default Date.now)
+   * @param {string}   [opts.sensitivity] low | medium | high
+   * @param {number}   [opts.quickTarget] active ms for the quick training phase
+   * @param {number}   [opts.fullTarget]  active ms for the full training phase
+   * @param {boolean}  [opts.adaptive]    let high-trust windows update the profile
+   * @param {Array}    [opts.botDetectors] bot detectors (default: the threshold rules, see bot-detect.js)
+   *
+   * Several users can be enrolled: every trained profile is scored and the
+   * best match is reported as `identity`. One user is active at a time; that
+   * is the one being trained, reset or rolled back.
+   */
+  constructor(opts={}) {
+    this.clock       = opts.clock || Date.now;
+    this.sensitivity = opts.sensitivity || 'medium';
+    this.quickTarget = opts.quickTarget || QUICK_TARGET;
+    this.fullTarget  = opts.fullTarget  || FULL_TARGET;
+    this.adaptive    = !!opts.adaptive;
+    this.adaptHold   = false;
+    this.botDetectors = opts.botDetectors || createDetectors();
+    this.profiles  = new Map();   // uid → trained profile
+    this.histories = new Map();   // uid → revision history
+    this.user = { id:null, name:null };
+    this.context = _ctxNormalize(null); this.contextKey = contextKey(null);
+    this.raw = null; this.session = null;
+    this.sequences = new SequenceStore(null);   // shared by all users; a replay is one whoever is enrolled
+    this.reset();
+  }
+
+  configure(opts={}) {
+    if (opts.sensitivity) this.sensitivity = opts.sensitivity;
+    if (opts.adaptive !== undefined) this.adaptive = !!opts.adaptive;
+    if (opts.botDetectors) this.botDetectors = opts.botDetectors;
+  }
+
+  /** Suspend adaptation while the lock screen is up (or anything else the host decides). */
+  holdAdaptation(on) { this.adaptHold = !!on; }
+
+  /** Start training the active user from scratch (drops their trained profile). */
+  reset() {
+    const now = this.clock();
+    if (this.user.id) { this.profiles.delete(this.user.id); this.histories.delete(this.user.id); }
+    this.raw = {
+      keydowns: new Map(), ksEvents: [], mouseEvts: [], clicks: [], scrolls: [],
+      digraphs: new Map(), trigraphs: new Map(), jitterBuf: [], samples: [],
+      lastRelease: null, nonce: _nonce(),
+      keyLog: [], ksTotal: 0, mouseTotal: 0, fpKeys: 0, fpMouse: 0, replayQuiet: {},
+    };
+    this.session = {
+      start: now, activeTime: 0, lastActive: null, lastTick: now, lastSample: 0,
+      isTraining: true, phase: 'quick', trainStart: null, ngraph: null,
+      profile: null, trustScore: null, breakdown: null, explanation: null, trail: [], smoothed: null, low: false, identity: null, context: null,
+      lastAdapt: 0, adaptQuietUntil: 0, lastCtxSample: 0,
+    };
+  }
+
+  // ── Users ─────────────────────────────────────────────────
+  /** Make `user` ({ id, name }) active and start training them. */
+  startTraining(user) {
+    this.user = { id:user.id, name:user.name };
+    this.reset();
+  }
+
+  /** Enroll a new user and start training them. Returns the new id. */
+  enroll(name) {
+    const id = 'user_'+_hex(6);
+    this.startTraining({ id, name });
+    return id;
+  }
+
+  /** Switch the active user to an already trained profile. */
+  selectUser(id) {
+    const p = this.profiles.get(id);
+    if (!p) return false;
+    this.loadProfile(p);
+    return true;
+  }
+
+  /** Add a trained profile as an identification candidate without activating it. */
+  addProfile(p) {
+    if (!p.name) p.name = DEFAULT_NAME;
+    this.profiles.set(p.uid, p);
+  }
+
+  removeProfile(id) {
+    if (id === this.user.id) return false;
+    this.histories.delete(id);
+    return this.profiles.delete(id);
+  }
+
+  users() {
+    return [...this.profiles.values()].map(p=>({ id:p.uid, name:p.name, createdAt:p.createdAt, active:p.uid===this.user.id }));
+  }
+
+  // ── Input ─────────────────────────────────────────────────
+  /**
+   * Feed one raw input event. Shape follows uiohook-napi:
+   *   { type:'keydown'|'keyup', keycode }
+   *   { type:'mousemove', x, y }
+   *   { type:'click', x, y, button }
+   *   { type:'wheel', rotation }
+   * Any event may carry `ctx: { app, device }`; it becomes the current context.
+   */
+  ingest(ev) {
+    if (ev && ev.ctx) this.setContext(ev.ctx);
+    switch (ev && ev.type) {
+      case 'keydown':   return this._onKeyDown(ev);
+      case 'keyup':     return this._onKeyUp(ev);
+      case 'mousemove': return this._onMouseMove(ev);
+      case 'click':     return this._onClick(ev);
+      case 'wheel':     return this._onWheel(ev);
+    }
+  }
+
+  /** Foreground app / input device the following input belongs to (null parts = unknown). */
+  setContext(ctx) {
+    const key = contextKey(ctx);
+    if (key === this.contextKey) return;
+    this.context = _ctxNormalize(ctx); this.contextKey = key;
+  }
+
+  _markActivity() {
+    const S = this.session, now = this.clock();
+    if (S.isTraining) {
+      if (!S.trainStart) S.trainStart = now;
+      if (S.lastActive && (now - S.lastActive) < 10000)
+        S.activeTime += (now - S.lastActive);
+    }
+    S.lastActive = now;
+  }
+
+  _onKeyDown(event) {
+    this._markActivity();
+    const RAW = this.raw, t = this.clock(), kc = event.keycode;
+    if (RAW.keydowns.has(kc)) return;   // auto-repeat
+    this._logPairing({ t, down:true, overlap:RAW.keydowns.size > 0, injected:!!event.injected });
+    RAW.keydowns.set(kc, t);
+  }
+
+  _onKeyUp(event) {
+    this._markActivity();
+    const RAW = this.raw;
+    const t = this.clock(), kc = event.keycode, dn = RAW.keydowns.get(kc);
+    this._logPairing({ t, down:false, orphan:dn === undefined, instant:dn !== undefined && t - dn < INSTANT_DWELL, injected:!!event.injected });
+    if (dn === undefined) return;
+    RAW.keydowns.delete(kc);
+    const dwell = t - dn;
+    const flight = RAW.lastRelease ? dn - RAW.lastRelease : null;
+    RAW.lastRelease = t;
+    if (dwell < 1 || dwell > 1000) return;
+    const ev = { kc, dwell, flight, ts: dn, nonce: RAW.nonce };
+    RAW.ksEvents.push(ev); RAW.ksTotal++;
+    if (RAW.ksEvents.length > 3000) RAW.ksEvents.shift();
+    if (RAW.ksEvents.length >= 2) {
+      const prev = RAW.ksEvents[RAW.ksEvents.length - 2];
+      const h = _hashPair(prev.kc, kc);
+      if (!RAW.digraphs.has(h)) RAW.digraphs.set(h, []);
+      const arr = RAW.digraphs.get(h); arr.push(dn - prev.ts);
+      if (arr.length > 30) arr.shift();
+    }
+    if (RAW.ksEvents.length >= 3) {
+      const [a, b] = RAW.ksEvents.slice(-3);
+      const h = _hashPair(_hashPair(a.kc, b.kc), kc);
+      if (!RAW.trigraphs.has(h)) RAW.trigraphs.set(h, []);
+      const arr = RAW.trigraphs.get(h); arr.push(dn - a.ts);
+      if (arr.length > 30) arr.shift();
+    }
+  }
+
+  _onMouseMove(event) {
+    this._markActivity();
+    const RAW = this.raw;
+    const t = this.clock(), ev = { x:event.x, y:event.y, t, nonce:RAW.nonce };
+    if (RAW.mouseEvts.length > 0) {
+      const p = RAW.mouseEvts[RAW.mouseEvts.length - 1], dt = (t - p.t) / 1000;
+      if (dt > 0 && dt < 0.5) {
+        const dx = event.x - p.x, dy = event.y - p.y;
+        ev.v = Math.sqrt(dx*dx + dy*dy) / dt;
+        if (p.v !== undefined) {
+          const acc = Math.abs(ev.v - p.v) / dt;
+          ev.acc = acc;
+          RAW.jitterBuf.push({ t, acc, v: ev.v });
+          if (RAW.jitterBuf.length > 200) RAW.jitterBuf.shift();
+        }
+      }
+    }
+    RAW.mouseEvts.push(ev); RAW.mouseTotal++;
+    if (RAW.mouseEvts.length > 2000) RAW.mouseEvts.shift();
+    if (event.injected) this._logPairing({ t, injected:true });
+  }
+
+  _onClick(event) {
+    this._markActivity();
+    const RAW = this.raw;
+    RAW.clicks.push({ x:event.x, y:event.y, t:this.clock(), btn:event.button, nonce:RAW.nonce });
+    if (RAW.clicks.length > 500) RAW.clicks.shift();
+    if (event.injected) this._logPairing({ t:this.clock(), injected:true });
+  }
+
+  // Press / release record for the pairing checks (see pairingVerdict in replay-detect.js).
+  _logPairing(e) {
+    const log = this.raw.keyLog;
+    log.push(e);
+    if (log.length > PAIRING_LOG) log.shift();
+  }
+
+  _onWheel(event) {
+    this._markActivity();
+    const RAW = this.raw;
+    RAW.scrolls.push({ amount:event.rotation, t:this.clock() });
+    if (RAW.scrolls.length > 300) RAW.scrolls.shift();
+  }
+
+  // ── Feature extraction ────────────────────────────────────
+  // `win` limits extraction to the most recent events (see CHANNELS in baseline.js).
+  extractKS(win) {
+    const RAW = this.raw;
+    const v = (win ? RAW.ksEvents.slice(-win) : RAW.ksEvents).filter(k => k.dwell && k.dwell < 1000);
+    if (v.length < 50) return null;
+    const dw = v.map(k=>k.dwell);
+    const fl = v.filter(k=>k.flight&&k.flight>0&&k.flight<2000).map(k=>k.flight);
+    const iv = [];
+    for (let i=1;i<v.length;i++){const d=v[i].ts-v[i-1].ts;if(d>0&&d<2000)iv.push(d);}
+    const digVars = [];
+    for (const [,t] of RAW.digraphs) { if(t.length>=3) digVars.push(_std(t)); }
+    return {
+      medDwell:_med(dw), madDwell:_mad(dw), p25Dwell:_pct(dw,25), p75Dwell:_pct(dw,75), iqrDwell:_iqr(dw),
+      avgDwell:_mean(dw), stdDwell:_std(dw),
+      medFlight:fl.length?_med(fl):0, madFlight:fl.length?_mad(fl):0,
+      medIv:iv.length?_med(iv):0, madIv:iv.length?_mad(iv):0, iqrIv:iv.length?_iqr(iv):0,
+      wpm:(()=>{if(v.length<10)return 0;const dur=(v[v.length-1].ts-v[0].ts)/60000;return dur>0?(v.length/5)/dur:0})(),
+      digVar:digVars.length?_med(digVars):0, n:v.length
+    };
+  }
+
+  extractMouse(win) {
+    const RAW = this.raw, m = win ? RAW.mouseEvts.slice(-win) : RAW.mouseEvts;
+    if (m.length < 30) return null;
+    const vels=[], angles=[];
+    for (let i=1;i<m.length;i++){
+      const a=m[i-1],b=m[i],dt=(b.t-a.t)/1000;
+      if(dt>0&&dt<0.5){
+        const dx=b.x-a.x,dy=b.y-a.y;
+        vels.push(Math.sqrt(dx*dx+dy*dy)/dt);
+        if(i>1) angles.push(Math.abs(Math.atan2(dy,dx)-Math.atan2(a.y-m[i-2].y,a.x-m[i-2].x)));
+      }
+    }
+    const entropy=(()=>{
+      if(angles.length<10)return 0;
+      const bins=new Array(10).fill(0),bs=Math.PI/10;
+      angles.forEach(x=>bins[Math.min(9,Math.floor(x/bs))]++);
+      let e=0;bins.forEach(c=>{if(c>0){const p=c/angles.length;e-=p*Math.log2(p);}});
+      return Math.min(1,Math.abs(e)/3.32);
+    })();
+    let jFreq=0,jAmp=0;
+    if(RAW.jitterBuf.length>=20){
+      const acc=RAW.jitterBuf.map(j=>j.acc).filter(x=>x!==undefined);
+      if(acc.length>=10){
+        const m2=_mean(acc);let zc=0;
+        for(let i=1;i<acc.length;i++)if((acc[i]-m2)*(acc[i-1]-m2)<0)zc++;
+        const dur=(RAW.jitterBuf[RAW.jitterBuf.length-1].t-RAW.jitterBuf[0].t)/1000;
+        jFreq=dur>0?(zc/2)/dur:0; jAmp=_std(acc);
+      }
+    }
+    return {avgVel:_mean(vels),stdVel:_std(vels),curvature:angles.length?_mean(angles)/Math.PI:0,entropy,jitterFreq:jFreq,jitterAmp:jAmp,n:m.length};
+  }
+
+  extractClick(win) {
+    const c = win ? this.raw.clicks.slice(-win) : this.raw.clicks;
+    if (c.length < 5) return null;
+    const ivs=[],dists=[];
+    for(let i=1;i<c.length;i++){
+      ivs.push(c[i].t-c[i-1].t);
+      const dx=c[i].x-c[i-1].x,dy=c[i].y-c[i-1].y;
+      dists.push(Math.sqrt(dx*dx+dy*dy));
+    }
+    const dur=(c[c.length-1].t-c[0].t)/60000;
+    return {avgIv:_mean(ivs),stdIv:_std(ivs),avgDist:_mean(dists),cpm:dur>0?c.length/dur:0,n:c.length};
+  }
+
+  /**
+   * Wheel features. Ticks closer than SCROLL_BURST_GAP form one burst (gesture):
+   * burstLen ticks per burst, medTick / cvTick within-burst timing, reversals
+   * direction changes per tick, peakPos where in a burst the fastest tick falls
+   * (0 = start, 1 = end), interleave share of within-burst gaps with pointer
+   * movement, constAmount share of ticks with the most common |rotation|.
+   */
+  extractScroll(win) {
+    const RAW = this.raw, s = win ? RAW.scrolls.slice(-win) : RAW.scrolls;
+    if (s.length < 20) return null;
+    const bursts=[[s[0]]];
+    for(let i=1;i<s.length;i++){
+      if(s[i].t-s[i-1].t<=SCROLL_BURST_GAP)bursts[bursts.length-1].push(s[i]); else bursts.push([s[i]]);
+    }
+    const ticks=[],peaks=[],m=RAW.mouseEvts,mStart=m.length?m[0].t:Infinity;
+    let gaps=0,moved=0;
+    for(const b of bursts){
+      const iv=[];
+      for(let i=1;i<b.length;i++){
+        iv.push(b[i].t-b[i-1].t);
+        if(b[i-1].t>=mStart){gaps++;if(_anyBetween(m,b[i-1].t,b[i].t))moved++;}
+      }
+      ticks.push(...iv);
+      if(iv.length>=3)peaks.push(iv.indexOf(Math.min(...iv))/(iv.length-1));
+    }
+    if(ticks.length<10)return null;
+    let rev=0;
+    for(let i=1;i<s.length;i++)if(Math.sign(s[i].amount)!==Math.sign(s[i-1].amount))rev++;
+    const counts=new Map();
+    s.forEach(x=>{const a=Math.abs(x.amount);counts.set(a,(counts.get(a)||0)+1);});
+    const mt=_mean(ticks);
+    return {
+      burstLen:_med(bursts.map(b=>b.length)), medTick:_med(ticks), cvTick:mt>0?_std(ticks)/mt:0,
+      reversals:rev/(s.length-1), peakPos:peaks.length?_mean(peaks):0.5, interleave:gaps?moved/gaps:0,
+      constAmount:Math.max(...counts.values())/s.length, bursts:bursts.length, n:s.length
+    };
+  }
+
+  // ── Bot + replay detection ────────────────────────────────
+  /** Bot detector input for the current window (see lib/bot-detect.js). */
+  botInput(ks=this.extractKS(), mouse=this.extractMouse(), scroll=this.extractScroll()) {
+    const RAW=this.raw,downs=RAW.keyLog.filter(e=>e.down===true);
+    return {ks,mouse,scroll,digraphs:RAW.digraphs.size,moves:RAW.mouseEvts.slice(-50),
+            rollover:downs.length>=20?downs.filter(e=>e.overlap).length/downs.length:null};
+  }
+
+  // Merged verdict of every detector; `signals` lists each rule that fired: { id, reason, value, limit, points, detector }.
+  detectBot(ks, mouse, scroll) {
+    const input=this.botInput(ks,mouse,scroll);
+    return combineVerdicts(this.botDetectors.map(d=>({id:d.id,...d.detect(input)})));
+  }
+
+  detectReplay() {
+    const recent=this.raw.ksEvents.slice(-20);
+    const nonces=new Set(recent.map(k=>k.nonce).filter(Boolean));
+    if(nonces.size>1)return{isReplay:true,reason:'Multiple session nonces'};
+    const ivs=[];
+    for(let i=1;i<recent.length;i++)ivs.push(recent[i].ts-recent[i-1].ts);
+    if(ivs.length>5&&new Set(ivs).size===1)return{isReplay:true,kind:'identical',reason:'Identical intervals'};
+    const run=this._checkRuns();
+    if(run&&this._replayDue(run.kind))return{isReplay:true,kind:run.kind,reason:matchReason(run.kind,run.age)};
+    const p=pairingVerdict(this.raw.keyLog,this.extractKS(100)?.medIv);
+    if(p&&this._replayDue(p.kind)){this.raw.keyLog=[];return{isReplay:true,kind:p.kind,reason:p.reason};}
+    return{isReplay:false};
+  }
+
+  /**
+   * Fingerprint every keystroke / pointer window completed since the last call
+   * and look it up in the sequence store. Every stride-th window is stored.
+   * Returns the first repeat ({ kind:'keys'|'mouse', age }) or null.
+   */
+  _checkRuns() {
+    const RAW=this.raw,store=this.sequences;
+    let hit=null;
+    const scan=(events,total,done,win,stride,fingerprint)=>{
+      const base=total-events.length;
+      for(let e=Math.max(done,base)+1;e<=total;e++){
+        const fp=fingerprint(events.slice(Math.max(0,e-base-win-1),e-base));
+        if(!fp)continue;
+        const m=store.check(fp,e%stride===0);
+        if(m&&!hit)hit={kind:fp.kind,age:m.age};
+      }
+      return total;
+    };
+    RAW.fpKeys=scan(RAW.ksEvents,RAW.ksTotal,RAW.fpKeys,KEY_WINDOW,KEY_STRIDE,w=>keyFingerprint(w,t=>store.mac(t)));
+    RAW.fpMouse=scan(RAW.mouseEvts,RAW.mouseTotal,RAW.fpMouse,MOUSE_WINDOW,MOUSE_STRIDE,mouseFingerprint);
+    return hit;
+  }
+
+  _replayDue(kind) {
+    const q=this.raw.replayQuiet,now=this.clock();
+    if(q[kind]>now)return false;
+    q[kind]=now+REPLAY_QUIET;
+    return true;
+  }
+
+  /** Restore the sequence store from sequenceStore() output (null starts an empty one); `key` see SequenceStore. */
+  loadSequenceStore(state,key) { this.sequences=new SequenceStore(state,key); }
+
+  sequenceStore() { return this.sequences.toJSON(); }
+
+  /** Keystrokes (ksEvents) pressed at or after `since`. */
+  typedSince(since) { return this.raw.ksEvents.filter(k=>k.ts>=since); }
+
+  /**
+   * Score the keystrokes typed since `since` (a fixed-text challenge) against every profile.
+   * Returns the best match { id, name, trust, keys, method } or null when too little was typed
+   * or no profile could be compared. Free text blends the n-graph match with the median hold
+   * time; when `phrase` is one the profile enrolled (lib/fixed-text.js) its template is
+   * weighed in and `method` is 'fixed-text'.
+   */
+  verifyTyping(since, phrase) {
+    const ev=this.typedSince(since);
+    if(ev.length<VERIFY_MIN_KEYS)return null;
+    const dwell=_med(ev.map(k=>k.dwell));
+    let best=null;
+    for(const p of this.profiles.values()){
+      const ng=matchNGraphs(ev,p), ft=phrase&&p.fixedText?fixedText.verify(p.fixedText,phrase,ev):null;
+      if(!ng&&!ft)continue;
+      const base=p.features?.ks?.medDwell, dev=base?Math.min(1,Math.abs(dwell-base)/base/VERIFY_DWELL_TOL):0;
+      const free=ng?0.8*ng.trust+0.2*100*(1-dev):null;
+      const trust=ft?(free===null?ft.trust:VERIFY_FIXED_WEIGHT*ft.trust+(1-VERIFY_FIXED_WEIGHT)*free):free;
+      if(!best||trust>best.trust)best={id:p.uid,name:p.name,trust,keys:ev.length,method:ft?'fixed-text':'free-text'};
+    }
+    return best;
+  }
+
+  /**
+   * Seed the active user's profile from fixed-text enrollment takes ([{ phrase, events }]).
+   * While training, this completes it at once from everything typed so far, the enrollment
+   * included; a trained profile only gains the phrase template. Returns the profile, or null
+   * when none could be built. Throws on takes buildTemplate() rejects.
+   */
+  enrollTyping(takes) {
+    const template=fixedText.buildTemplate(takes,this.clock());
+    const p=this.session.isTraining?this.completeTraining():this.profiles.get(this.user.id);
+    if(!p)return null;
+    p.fixedText=template;
+    return p;
+  }
+
+  // ── Risk calculation ──────────────────────────────────────
+  calcTrustScore() {
+    const SESSION = this.session;
+    if(!SESSION.profile||!SESSION.profile.features)return null;
+    const cur={ks:this.extractKS(),mouse:this.extractMouse(),click:this.extractClick(),scroll:this.extractScroll()};
+    if(!cur.ks&&!cur.mouse)return SESSION.trustScore;
+    const win=this._windowFeatures();
+    const scored=[...this.profiles.values()].map(p=>this._scoreProfile(p,cur,win)).filter(Boolean).sort((a,b)=>b.trust-a.trust);
+    if(!scored.length)return SESSION.trustScore;
+    const best=scored[0];
+    SESSION.ngraph=best.ngraph; SESSION.breakdown=best.breakdown; SESSION.context=best.context;
+    SESSION.identity={
+      id:best.profile.uid, name:best.profile.name, trust:best.trust, known:best.trust>=IDENTIFY_MIN,
+      candidates:scored.map(x=>({id:x.profile.uid,name:x.profile.name,trust:x.trust})),
+    };
+    const now=new Date(this.clock()),h=now.getHours(),day=now.getDay();
+    let adj=1.0;
+    if(h<5||h>=22)adj*=0.85; if(day===0||day===6)adj*=0.90; if(h>=5&&h<12)adj*=0.92;
+    const score=Math.max(0,Math.min(100,100-(100-best.trust)*adj));
+    SESSION.explanation=explainScore(best,score,adj);
+    return score;
+  }
+
+  /**
+   * Trust of the current window against one profile: { profile, trust, breakdown, ngraph, context, parts } or null.
+   * Each part carries `feats` (value, baseline, deviation, importance) for lib/explain.js.
+   */
+  _scoreProfile(profile, cur, win) {
+    if(!profile.features)return null;
+    const base=profile.features, model=profile.model, parts=[];
+    const zFeats=p=>Object.entries(p.z).map(([f,z])=>({feature:f,value:p.value[f],baseline:p.center[f],deviation:z,unit:'z',imp:z*z}));
+    if(model)scoreModel(model,win).forEach(p=>parts.push({name:p.name,r:100-p.trust,w:p.w,feats:zFeats(p)}));
+    const modelled=name=>parts.some(p=>p.name===name);
+    // Single-snapshot comparison for v3.0 profiles and channels the model could not fit.
+    // Each term is a 0–100 penalty; the part's risk is their mean.
+    const snapshotPart=(name,terms)=>{
+      const feats=terms.filter(Boolean);
+      parts.push({name,r:feats.length?feats.reduce((s,f)=>s+f.imp,0)/feats.length:0,w:CHANNELS[name].weight,feats});
+    };
+    const rel=(c,b,f,tol=1)=>b[f]>0?{feature:f,value:c[f],baseline:b[f],deviation:(c[f]-b[f])/b[f],unit:'ratio',imp:Math.min(1,Math.abs(c[f]-b[f])/b[f]/tol)*100}:null;
+    const abs=(c,b,f,k=1)=>({feature:f,value:c[f],baseline:b[f],deviation:c[f]-b[f],unit:'abs',imp:Math.min(1,Math.abs(c[f]-b[f])*k)*100});
+    if(cur.ks&&base.ks&&!modelled('ks')){
+      const c=cur.ks,b=base.ks;
+      snapshotPart('ks',[rel(c,b,'medDwell',0.6),rel(c,b,'madDwell',0.7),rel(c,b,'medFlight',0.7),rel(c,b,'medIv',0.65),rel(c,b,'wpm',0.6)]);
+    }
+    if(cur.mouse&&base.mouse&&!modelled('mouse')){
+      const c=cur.mouse,b=base.mouse;
+      snapshotPart('mouse',[rel(c,b,'avgVel'),abs(c,b,'curvature'),abs(c,b,'entropy')]);
+    }
+    if(cur.click&&base.click&&!modelled('click')){
+      const c=cur.click,b=base.click;
+      snapshotPart('click',[rel(c,b,'cpm',1.2),rel(c,b,'avgDist',1.2)]);
+    }
+    if(cur.scroll&&base.scroll&&!modelled('scroll')){
+      const c=cur.scroll,b=base.scroll;
+      snapshotPart('scroll',[rel(c,b,'medTick',0.8),rel(c,b,'burstLen'),abs(c,b,'interleave',2)]);
+    }
+    if(!parts.length)return null;
+    // A trained sub-profile for the current context takes over from the global one as it matures.
+    const cx=profile.contexts?.[this.contextKey], k=cx?.model?maturity(cx.samples):0;
+    if(k>0)scoreModel(cx.model,win).forEach(c=>{
+      const g=parts.find(p=>p.name===c.name);if(!g)return;
+      g.r=(1-k)*g.r+k*(100-c.trust);
+      if(g.feats.every(f=>f.unit==='z'))g.feats.forEach(f=>{const z=c.z[f.feature];if(z!==undefined)f.imp=(1-k)*f.imp+k*z*z;});
+    });
+    // Per-n-graph latencies are the strongest keystroke signal; blend them into the keystroke part.
+    const ng=matchNGraphs(this.raw.ksEvents,profile), ksPart=parts.find(p=>p.name==='ks');
+    if(ng&&ksPart){const k=NGRAPH_WEIGHT*ng.confidence;ksPart.r=(1-k)*ksPart.r+k*(100-ng.trust);ksPart.ngr=k*(100-ng.trust);ksPart.ngTrust=ng.trust;}
+    // Per-channel trust for the dashboard breakdown; channels without data stay null.
+    const breakdown={ks:null,mouse:null,click:null,scroll:null,digraph:ng?ng.trust:null};
+    parts.forEach(p=>{breakdown[p.name]=Math.max(0,Math.min(100,100-p.r));});
+    const tw=parts.reduce((s,x)=>s+x.w,0);
+    const risk=parts.reduce((s,x)=>s+x.r*x.w,0)/tw;
+    return {profile,trust:100-risk,breakdown,ngraph:ng,context:{key:this.contextKey,weight:k},parts};
+  }
+
+  // ── Analysis cycle ────────────────────────────────────────
+  /**
+   * Run one analysis cycle (the main process calls this every 3 s).
+   * While training it accrues active time and advances the phase; once a
+   * profile exists it scores the current window.
+   *
+   * Training result: { training:true, phase, trainPct, phaseChanged, profile }
+   *   `profile` is set only on the cycle that completed training.
+   * Scoring result:  { training:false, trustScore, breakdown, bot, replay,
+   *                    anomaly, adapted, identity, ngraph, ksFeats, mouseFeats, clickFeats, scrollFeats }
+   *   `anomaly` is { score, severity } on the cycle the smoothed score falls below the sensitivity
+   *   threshold; the next one needs a recovery of ANOMALY_HYSTERESIS points above it first.
+   *   `adapted` is null, or { id, rev, newRevision } when the window updated a profile.
+   *   `contextUpdated` is the id of a profile whose context sub-profile learned from the window, or null.
+   *   `identity` is the best-matching enrolled user: { id, name, trust, known, candidates }.
+   *   `explanation` is { trust, bot, window }: the per-feature breakdown (lib/explain.js), the bot
+   *   rules that fired and a snapshot of the window, for attaching to alerts.
+   */
+  evaluate() {
+    const SESSION = this.session, now = this.clock();
+    if(SESSION.isTraining&&SESSION.lastActive&&(now-SESSION.lastActive)<10000)
+      SESSION.activeTime+=(now-SESSION.lastTick);
+    SESSION.lastTick=now;
+    if(SESSION.isTraining){this._checkRuns();return this._checkTrainingProgress();}   // training input seeds the store
+    const score=this.calcTrustScore();
+    if(score===null)return {training:false,trustScore:null};
+    SESSION.trustScore=score;
+    SESSION.trail.push({t:now,v:score}); if(SESSION.trail.length>TRAIL)SESSION.trail.shift();
+    const ks=this.extractKS(),mouse=this.extractMouse(),click=this.extractClick(),scroll=this.extractScroll();
+    const bot=this.detectBot(ks,mouse,scroll);
+    const replay=this.detectReplay();
+    const thr=ANOMALY_THRESHOLDS[this.sensitivity]||30;
+    SESSION.smoothed=SESSION.smoothed===null?score:SESSION.smoothed+ANOMALY_SMOOTHING*(score-SESSION.smoothed);
+    let anomaly=null;
+    if(!SESSION.low&&SESSION.smoothed<thr){SESSION.low=true;anomaly={score,severity:score<20?'critical':'high'};}
+    else if(SESSION.low&&SESSION.smoothed>=thr+ANOMALY_HYSTERESIS)SESSION.low=false;
+    if(bot.isBot||replay.isReplay||anomaly)SESSION.adaptQuietUntil=now+ADAPT_QUIET;
+    const adapted=this._adapt(score,now), contextUpdated=this._trainContext(score,now);
+    const explanation={
+      trust:SESSION.explanation, bot:{score:bot.confidence,signals:bot.signals},
+      window:windowSnapshot({ksFeats:ks,mouseFeats:mouse,clickFeats:click,scrollFeats:scroll},SESSION.trail,this.context),
+    };
+    return {training:false,trustScore:score,breakdown:SESSION.breakdown,bot,replay,anomaly,adapted,contextUpdated,identity:SESSION.identity,ngraph:SESSION.ngraph,explanation,ksFeats:ks,mouseFeats:mouse,clickFeats:click,scrollFeats:scroll};
+  }
+
+  // ── Training ──────────────────────────────────────────────
+  trainingTarget() {
+    return this.session.phase==='quick'?this.quickTarget:this.fullTarget;
+  }
+
+  _windowFeatures() {
+    return {
+      ks:this.extractKS(CHANNELS.ks.window), mouse:this.extractMouse(CHANNELS.mouse.window),
+      click:this.extractClick(CHANNELS.click.window), scroll:this.extractScroll(CHANNELS.scroll.window),
+    };
+  }
+
+  // ── Adaptation ────────────────────────────────────────────
+  // Profile of the identified user if this window may be learned from, else null.
+  _acceptedProfile(score, now, last) {
+    const SESSION = this.session, id = SESSION.identity?.known ? SESSION.identity.id : null, p = this.profiles.get(id);
+    if(this.adaptHold||!p||score<ADAPT_MIN_TRUST||SESSION.low)return null;
+    if(now<SESSION.adaptQuietUntil||now-last<SAMPLE_INTERVAL)return null;
+    if(!SESSION.lastActive||(now-SESSION.lastActive)>=10000)return null;
+    return p;
+  }
+
+  // Only the identified user's profile adapts.
+  _adapt(score, now) {
+    const SESSION = this.session, p = this.adaptive ? this._acceptedProfile(score,now,SESSION.lastAdapt) : null;
+    if(!p)return null;
+    const id=p.uid, win=this._windowFeatures(), sample=sampleFrom(win,now);
+    if(!sample)return null;
+    const before=snapshot(p);
+    const newRevision=adaptProfile(p,sample,{ks:this.extractKS(),mouse:this.extractMouse(),click:this.extractClick(),scroll:this.extractScroll()},now);
+    if(newRevision){
+      // One revision per day: the history keeps the state before the day's first update.
+      this._pushHistory(id,before);
+      p.rev=(p.rev||0)+1; p.revAt=now; p.revReason='adapted';
+    }
+    SESSION.lastAdapt=now;
+    return {id,rev:p.rev||0,newRevision};
+  }
+
+  // Contexts keep filling up after enrollment from accepted windows until CONTEXT_FULL.
+  _trainContext(score, now) {
+    const SESSION = this.session, p = this._acceptedProfile(score,now,SESSION.lastCtxSample);
+    if(!p)return null;
+    const s=sampleFrom(this._windowFeatures(),now);
+    if(!s)return null;
+    s.ctx=this.contextKey; SESSION.lastCtxSample=now;
+    return addContextSample(p,s,ANOMALY_THRESHOLDS)?p.uid:null;
+  }
+
+  _pushHistory(id, entry) {
+    const h=this.historyOf(id);
+    h.push(entry);
+    // The originally trained revision is always kept.
+    if(h.length>MAX_HISTORY)h.splice(1,1);
+    this.histories.set(id,h);
+  }
+
+  historyOf(id=this.user.id) { return this.histories.get(id)||[]; }
+
+  /** Revision list of a profile (default: the active one), newest first: [{ rev, ts, reason, current }] */
+  profileHistory(id=this.user.id) {
+    const p = this.profiles.get(id);
+    if(!p)return [];
+    const cur={rev:p.rev||0,ts:p.revAt||p.createdAt,reason:p.revReason||'trained',current:true};
+    return [cur,...this.historyOf(id).slice().reverse().map(h=>({rev:h.rev,ts:h.ts,reason:h.reason,current:false}))];
+  }
+
+  /** Restore an earlier revision; the current one is kept in the history. Returns the profile or null. */
+  rollbackProfile(rev, id=this.user.id) {
+    const p = this.profiles.get(id), h = this.historyOf(id).find(x=>x.rev===rev);
+    if(!p||!h)return null;
+    this._pushHistory(id,snapshot(p));
+    p.features=JSON.parse(JSON.stringify(h.features));
+    p.model=h.model?JSON.parse(JSON.stringify(h.model)):null;
+    p.rev=Math.max(...this.historyOf(id).map(x=>x.rev))+1; p.revAt=this.clock(); p.revReason=`rollback to r${rev}`;
+    delete p.adapt;
+    return p;
+  }
+
+  /** Copy of a profile as it was at revision `rev` (the current one or from the history), or null. */
+  profileAt(rev, id=this.user.id) {
+    const p = this.profiles.get(id);
+    if(!p)return null;
+    const copy=JSON.parse(JSON.stringify(p));
+    if((p.rev||0)===rev)return copy;
+    const h=this.historyOf(id).find(x=>x.rev===rev);
+    if(!h)return null;
+    copy.features=JSON.parse(JSON.stringify(h.features));
+    copy.model=h.model?JSON.parse(JSON.stringify(h.model)):null;
+    copy.rev=h.rev; copy.revAt=h.ts; copy.revReason=h.reason;
+    delete copy.adapt;
+    return copy;
+  }
+
+  loadHistory(id, h) { if(Array.isArray(h)&&h.length)this.histories.set(id,h); else this.histories.delete(id); }
+
+  /** Record one feature window for the baseline model while the user is active. */
+  _sampleWindow() {
+    const SESSION = this.session, RAW = this.raw, now = this.clock();
+    if(!SESSION.lastActive||(now-SESSION.lastActive)>=10000)return;
+    if(now-SESSION.lastSample<SAMPLE_INTERVAL)return;
+    const s=sampleFrom(this._windowFeatures(),now);
+    if(!s)return;
+    s.ctx=this.contextKey; SESSION.lastSample=now;
+    RAW.samples.push(s);
+    if(RAW.samples.length>MAX_SAMPLES)RAW.samples.shift();
+  }
+
+  _checkTrainingProgress() {
+    const SESSION = this.session;
+    this._sampleWindow();
+    const pct=Math.min(100,(SESSION.activeTime/this.trainingTarget())*100);
+    const res={training:true,phase:SESSION.phase,trainPct:Math.round(pct),phaseChanged:false,profile:null};
+    if(pct>=100){
+      if(SESSION.phase==='quick'){
+        SESSION.phase='intermediate'; SESSION.activeTime=0; SESSION.lastActive=this.clock();
+        res.phase='intermediate'; res.trainPct=0; res.phaseChanged=true;
+      } else {
+        res.profile=this.completeTraining();
+        if(res.profile){res.training=false;res.phase='complete';}
+      }
+    }
+    return res;
+  }
+
+  /** Freeze the current window into a profile. Returns null if there is not enough data yet. */
+  completeTraining() {
+    const RAW = this.raw, SESSION = this.session;
+    const ks=this.extractKS(),mouse=this.extractMouse(),click=this.extractClick(),scroll=this.extractScroll();
+    if(!ks&&!mouse)return null;
+    const samples=[...RAW.samples];
+    const last=sampleFrom(this._windowFeatures(),this.clock());
+    if(last){last.ctx=this.contextKey;samples.push(last);}
+    const uid=this.user.id||'user_'+_hex(6), name=this.user.name||DEFAULT_NAME;
+    SESSION.profile={
+      uid, name, createdAt:this.clock(),
+      features:{ks,mouse,click,scroll},
+      model:fitModel(samples,ANOMALY_THRESHOLDS), contexts:fitContexts(samples,ANOMALY_THRESHOLDS),
+      digraphs:Object.fromEntries(_copyGraphs(RAW.digraphs)), trigraphs:Object.fromEntries(_copyGraphs(RAW.trigraphs)),
+      size:{keystrokes:RAW.ksEvents.length,mouse:RAW.mouseEvts.length,clicks:RAW.clicks.length,scrolls:RAW.scrolls.length,digraphs:RAW.digraphs.size,samples:samples.length},
+      v:PROFILE_VERSION
+    };
+    RAW.samples=[];
+    this.profiles.set(uid,SESSION.profile); this.histories.delete(uid); this.user={id:uid,name};
+    SESSION.isTraining=false; SESSION.phase='complete';
+    return SESSION.profile;
+  }
+
+  // ── Persistence ───────────────────────────────────────────
+  /** Add a trained profile and make its user active. */
+  loadProfile(p) {
+    const SESSION = this.session, RAW = this.raw;
+    this.addProfile(p); this.user={id:p.uid,name:p.name};
+    SESSION.profile=p; SESSION.isTraining=false; SESSION.phase='complete';
+    if(p.digraphs)RAW.digraphs=new Map(_copyGraphs(Object.entries(p.digraphs)));
+    if(p.trigraphs)RAW.trigraphs=new Map(_copyGraphs(Object.entries(p.trigraphs)));
+  }
+
+  restoreTraining(tr) {
+    const SESSION = this.session, RAW = this.raw;
+    if(!tr||!SESSION.isTraining)return;
+    SESSION.activeTime=tr.activeTime||0; SESSION.phase=tr.phase||'quick';
+    if(tr.ksEvents)RAW.ksEvents=tr.ksEvents;
+    if(tr.digs)RAW.digraphs=new Map(Object.entries(tr.digs));
+    if(tr.samples)RAW.samples=tr.samples;
+    SESSION.lastActive=this.clock();
+  }
+
+  /** Serializable training state, or null once training is complete. */
+  trainingSnapshot() {
+    const SESSION = this.session, RAW = this.raw;
+    if(!SESSION.isTraining)return null;
+    return {ksEvents:RAW.ksEvents.slice(-500),activeTime:SESSION.activeTime,phase:SESSION.phase,digs:Object.fromEntries(RAW.digraphs),samples:RAW.samples,saved:this.clock()};
+  }
+
+  stats() {
+    const SESSION = this.session, RAW = this.raw;
+    const pct=SESSION.isTraining?Math.min(100,(SESSION.activeTime/this.trainingTarget())*100):100;
+    return {
+      ks:RAW.ksEvents.length, mouse:RAW.mouseEvts.length, clicks:RAW.clicks.length, scrolls:RAW.scrolls.length, digs:RAW.digraphs.size,
+      isTraining:SESSION.isTraining, phase:SESSION.phase, activeTime:Math.floor(SESSION.activeTime/1000),
+      trainPct:Math.round(pct), trustScore:SESSION.trustScore, hasProfile:!!SESSION.profile,
+      samples:SESSION.isTraining?RAW.samples.length:(SESSION.profile?.size?.samples||0),
+      fixedText:fixedText.enrolledPhrases(SESSION.profile?.fixedText).length,
+      calibration:SESSION.profile?.model?.calibration?.rates?.[this.sensitivity]||null,
+      adaptive:this.adaptive, profileRev:SESSION.profile?.rev||0, adaptedAt:SESSION.profile?.adaptedAt||null,
+      user:{...this.user}, profiles:this.profiles.size, identity:SESSION.identity,
+      context:{...this.context,key:this.contextKey,weight:SESSION.context?.weight??0},
+      contexts:_ctxSummary(SESSION.isTraining?countSamples(RAW.samples):SESSION.profile?.contexts),
+      sessionStart:SESSION.start,
+    };
+  }
+
+  get profile()    { return this.session.profile; }
+  get trustScore() { return this.session.trustScore; }
+  get isTraining() { return this.session.isTraining; }
+}
+
+module.exports = { BehaviorEngine, QUICK_TARGET, FULL_TARGET, ANOMALY_THRESHOLDS, PROFILE_VERSION, IDENTIFY_MIN };
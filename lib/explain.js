@@ -0,0 +1,99 @@
+/**
+ * BehaviorGuard — Score Explanations
+ *
+ * Turns the per-channel parts of one trust computation into a per-feature
+ * breakdown: current value, profile baseline, deviation, nominal weight and
+ * share of the risk (100 − trust). A channel's risk is split across its
+ * features in proportion to their squared deviations; the n-graph blend of
+ * the keystroke channel is reported as its own pseudo-feature. Also builds
+ * the compact window snapshot stored with alerts and the records kept when
+ * the user answers "this was me" / "not me".
+ */
+'use strict';
+
+const { CHANNELS } = require('./baseline');
+
+const LABELS = {
+  medDwell:'Key hold time', madDwell:'Hold time spread', medFlight:'Key-to-key gap', madFlight:'Gap spread',
+  medIv:'Keystroke interval', iqrIv:'Interval spread', wpm:'Typing speed',
+  avgVel:'Mouse speed', stdVel:'Speed variation', curvature:'Path curvature', entropy:'Direction entropy', jitterFreq:'Tremor frequency',
+  avgIv:'Click interval', avgDist:'Click distance', cpm:'Click rate',
+  burstLen:'Scroll burst length', medTick:'Scroll tick timing', cvTick:'Scroll tick consistency', reversals:'Scroll reversals',
+  peakPos:'Scroll peak position', interleave:'Scroll / mouse interleaving',
+  ngraph:'Key-pair timing',
+};
+const VERDICTS = ['me', 'not-me'];
+const TRAIL = 10;   // trust scores kept in the window snapshot
+
+const _round = (x, d = 2) => Number.isFinite(x) ? Math.round(x * 10 ** d) / 10 ** d : null;
+
+/**
+ * @param {object} best    { profile, trust, parts } from the engine's profile scoring. Each part is
+ *                         { name, r, w, feats:[{ feature, value, baseline, deviation, unit, imp }], ngr? }
+ *                         where `ngr` is the risk the n-graph blend added to the keystroke part and
+ *                         `ngTrust` the n-graph match.
+ * @param {number} score   final trust after the time-of-day adjustment
+ * @param {number} adj     that adjustment (risk multiplier)
+ * @returns {{ profile, trust, adj, channels:Array, features:Array }} features sorted by share, largest first
+ */
+function explainScore(best, score, adj = 1) {
+  const tw = best.parts.reduce((s, p) => s + p.w, 0) || 1;
+  const total = best.parts.reduce((s, p) => s + p.r * p.w, 0) / tw;
+  const share = risk => total > 0 ? risk / total : 0;
+  const channels = [], features = [];
+  for (const p of best.parts) {
+    const risk = p.r * p.w / tw, ngRisk = (p.ngr || 0) * p.w / tw;
+    channels.push({ channel:p.name, trust:_round(100 - p.r, 1), weight:_round(p.w / tw, 3), share:_round(share(risk), 3) });
+    const imp = p.feats.reduce((s, f) => s + f.imp, 0);
+    for (const f of p.feats) {
+      const r = (risk - ngRisk) * (imp > 0 ? f.imp / imp : 1 / p.feats.length);
+      features.push({ channel:p.name, feature:f.feature, label:LABELS[f.feature] || f.feature,
+                      value:_round(f.value, 3), baseline:_round(f.baseline, 3), deviation:_round(f.deviation, 2), unit:f.unit,
+                      weight:_round(p.w / tw / p.feats.length, 3), share:_round(share(r), 3), points:_round(r * adj, 1) });
+    }
+    if (p.ngr !== undefined)
+      features.push({ channel:p.name, feature:'ngraph', label:LABELS.ngraph, value:_round(p.ngTrust, 1), baseline:100,
+                      deviation:null, unit:'match', weight:null, share:_round(share(ngRisk), 3), points:_round(ngRisk * adj, 1) });
+  }
+  features.sort((a, b) => b.share - a.share);
+  return { profile:{ id:best.profile.uid, name:best.profile.name }, trust:_round(score, 1), adj:_round(adj, 3), channels, features };
+}
+
+/** "Typing speed −38%" / "Key hold time +2.4σ" / "Key-pair timing 62% match". */
+function describe(f) {
+  if (f.unit === 'match') return `${f.label} ${Math.round(f.value)}% match`;
+  if (f.deviation === null) return f.label;
+  const sign = f.deviation >= 0 ? '+' : '−', d = Math.abs(f.deviation);
+  return f.unit === 'ratio' ? `${f.label} ${sign}${Math.round(d * 100)}%` : `${f.label} ${sign}${d.toFixed(1)}σ`;
+}
+
+/** The `n` largest contributors as one phrase, or '' when nothing stands out. */
+function topFactors(explanation, n = 2) {
+  const top = (explanation?.features || []).filter(f => f.share >= 0.1).slice(0, n);
+  return top.map(describe).join(', ');
+}
+
+/** Model features of the current window, the recent trust trail and the input context. */
+function windowSnapshot(r, trail, context) {
+  const feats = {};
+  for (const [name, { features }] of Object.entries(CHANNELS)) {
+    const cur = r[`${name}Feats`];
+    if (cur) feats[name] = Object.fromEntries(features.map(f => [f, _round(cur[f], 3)]).concat([['n', cur.n]]));
+  }
+  const t = trail.slice(-TRAIL);
+  return { from:t.length ? t[0].t : null, to:t.length ? t[t.length - 1].t : null,
+           trust:t.map(x => ({ t:x.t, v:_round(x.v, 1) })), features:feats, context:context || null };
+}
+
+/** Stored when the user answers an alert; enough to re-derive per-type thresholds later. */
+function feedbackRecord(alert, verdict, sensitivity, now = Date.now()) {
+  if (!VERDICTS.includes(verdict)) throw new Error(`Unknown verdict ${verdict}`);
+  const ex = alert.explain || {};
+  return {
+    alert:alert.id, ts:now, verdict, type:alert.type, severity:alert.severity, alertTs:alert.ts, sensitivity,
+    user:alert.user?.id || null, trust:ex.trust?.trust ?? null, bot:ex.bot?.score ?? null,
+    factors:(ex.trust?.features || []).slice(0, 5).map(f => ({ channel:f.channel, feature:f.feature, deviation:f.deviation, share:f.share })),
+  };
+}
+
+module.exports = { LABELS, VERDICTS, TRAIL, explainScore, describe, topFactors, windowSnapshot, feedbackRecord };
@@ -0,0 +1,134 @@
+/**
+ * BehaviorGuard — Fixed-text Typing
+ *
+ * Enrollment and verification on prompted phrases. Enrollment types each
+ * of a few phrases several times; the template keeps, per phrase, the
+ * median and spread of every hold time and key-to-key latency, indexed by
+ * key and occurrence so repeated letters stay apart. An attempt at an
+ * enrolled phrase is scored by the scaled Manhattan distance to the
+ * template (Killourhy & Maxion): the mean of |x − median| / spread over
+ * the features both share, each capped at FEATURE_CAP.
+ */
+'use strict';
+
+const { median, mad } = require('./stats');
+
+const TEMPLATE_VERSION = 1;
+
+// Digraph-rich lowercase phrases: the enrollment prompts and the step-up challenge.
+const PHRASES = [
+  'the quick brown fox jumps over the lazy dog',
+  'pack my box with five dozen liquor jugs',
+  'she sells sea shells on the sea shore',
+  'there is no place like home on a rainy night',
+  'we shall meet again when the river runs dry',
+  'every good thing starts with a single step',
+  'the early bird catches the morning train',
+  'a journey of a thousand miles begins today',
+];
+
+const ENROLL_PHRASES = 4;       // phrases prompted during enrollment
+const ENROLL_REPEATS = 3;       // times each one is typed
+const MAX_LATENCY    = 2000;    // longer gaps are pauses, not rhythm
+const SPREAD_MIN     = 12;      // ms; floor of a feature's spread
+const SPREAD_SHARE   = 0.15;    // … and at least this share of its median
+const FEATURE_CAP    = 4;       // one wild feature cannot sink an attempt on its own
+const MIN_COMPARED   = 12;      // shared features an attempt needs to be scored
+const D_GENUINE      = 1.1;     // distance mapped to 100 trust
+const D_IMPOSTOR     = 1.7;     // distance mapped to 0 trust
+
+/** Lower-case, collapse whitespace: what counts as typing the phrase correctly. */
+function normalizeText(s) { return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim(); }
+
+function phraseMatches(typed, phrase) { return normalizeText(typed) === normalizeText(phrase); }
+
+/** The first ENROLL_PHRASES phrases: what enrollment prompts for. */
+function enrollmentPhrases() { return PHRASES.slice(0, ENROLL_PHRASES); }
+
+/** Phrases a template can verify. */
+function enrolledPhrases(template) { return Object.keys(template?.phrases || {}); }
+
+/** A challenge phrase: one the template knows when there is one, else any. */
+function pickPhrase(template, rand = Math.random) {
+  const pool = enrolledPhrases(template).length ? enrolledPhrases(template) : PHRASES;
+  return pool[Math.floor(rand() * pool.length)];
+}
+
+/**
+ * Features of one take ({ kc, dwell, ts } ksEvents in order):
+ *   "d:<kc>:<i>"        hold time of the i-th press of a key
+ *   "g:<a>_<b>:<i>"     press-to-press latency of the i-th a→b pair
+ */
+function features(events) {
+  const out = {}, seen = {};
+  const put = (k, v) => { const i = seen[k] = (seen[k] || 0) + 1; out[`${k}:${i}`] = v; };
+  events.forEach((e, i) => {
+    put(`d:${e.kc}`, e.dwell);
+    const prev = events[i - 1];
+    if (prev && e.ts - prev.ts > 0 && e.ts - prev.ts <= MAX_LATENCY) put(`g:${prev.kc}_${e.kc}`, e.ts - prev.ts);
+  });
+  return out;
+}
+
+/**
+ * Template from enrollment takes [{ phrase, events }]. A feature is kept when it
+ * appears in most takes of its phrase. Throws when a phrase has fewer than two takes.
+ */
+function buildTemplate(takes, now = Date.now()) {
+  const byPhrase = new Map();
+  for (const t of takes) {
+    const k = normalizeText(t.phrase);
+    if (!byPhrase.has(k)) byPhrase.set(k, []);
+    byPhrase.get(k).push(features(t.events));
+  }
+  const phrases = {};
+  for (const [phrase, sets] of byPhrase) {
+    if (sets.length < 2) throw new Error(`"${phrase}" needs at least two takes`);
+    const vals = {};
+    for (const f of sets) for (const [k, v] of Object.entries(f)) (vals[k] = vals[k] || []).push(v);
+    const feats = {};
+    for (const [k, v] of Object.entries(vals)) {
+      if (v.length < Math.max(2, Math.ceil(sets.length * 0.6))) continue;
+      const m = median(v);
+      feats[k] = [Math.round(m), Math.round(Math.max(SPREAD_MIN, SPREAD_SHARE * m, 1.4826 * mad(v)))];
+    }
+    phrases[phrase] = { takes:sets.length, feats };
+  }
+  return { v:TEMPLATE_VERSION, phrases, createdAt:now };
+}
+
+/**
+ * Score a take of `phrase` against a template. Returns null when the phrase is not
+ * enrolled or shares fewer than MIN_COMPARED features, otherwise { trust, distance, compared }.
+ */
+function verify(template, phrase, events) {
+  const t = template?.phrases?.[normalizeText(phrase)];
+  if (!t) return null;
+  const cur = features(events);
+  let sum = 0, compared = 0;
+  for (const [k, [m, s]] of Object.entries(t.feats)) {
+    if (cur[k] === undefined) continue;
+    sum += Math.min(FEATURE_CAP, Math.abs(cur[k] - m) / s);
+    compared++;
+  }
+  if (compared < MIN_COMPARED) return null;
+  const distance = sum / compared;
+  const trust = 100 * Math.max(0, Math.min(1, (D_IMPOSTOR - distance) / (D_IMPOSTOR - D_GENUINE)));
+  return { trust, distance, compared };
+}
+
+/** Throws unless `t` is a template buildTemplate() could have written. */
+function checkTemplate(t) {
+  if (!t || t.v !== TEMPLATE_VERSION || !t.phrases || typeof t.phrases !== 'object') throw new Error('fixedText must be a typing template');
+  for (const [phrase, p] of Object.entries(t.phrases)) {
+    if (!p || !Number.isInteger(p.takes) || !p.feats || typeof p.feats !== 'object') throw new Error(`fixedText: bad entry for "${phrase}"`);
+    if (!Object.values(p.feats).every(f => Array.isArray(f) && f.length === 2 && f.every(Number.isFinite) && f[1] > 0))
+      throw new Error(`fixedText: bad features for "${phrase}"`);
+  }
+  return t;
+}
+
+module.exports = {
+  PHRASES, ENROLL_PHRASES, ENROLL_REPEATS, normalizeText, phraseMatches, enrollmentPhrases, enrolledPhrases, pickPhrase,
+  features, buildTemplate, verify, checkTemplate,
+};
@@ -0,0 +1,149 @@
+/**
+ * BehaviorGuard — Fleet Client
+ *
+ * Reports an enrolled install to a fleet collector (collector/, protocol in
+ * lib/fleet-protocol.js): every `reportSec` a signed report with the host
+ * status, trust summaries of the minutes since the last one and the alerts
+ * not yet delivered. Undelivered alerts and points wait in an outbox that
+ * is handed to `persist` on every change, so they survive a restart; a
+ * failed report is retried after 15 s, doubling up to 10 minutes. A newer
+ * policy in the answer goes to `onPolicy`.
+ * Main process only: uses Node's http(s).
+ */
+'use strict';
+
+const http  = require('http');
+const https = require('https');
+const { PROTOCOL, MAX_REPORT_ALERTS, REPORT_SEC, normalizeFleetPolicy, authHeaders, summarize } = require('./fleet-protocol');
+
+const RETRY_BASE = 15 * 1000;
+const RETRY_MAX = 10 * 60 * 1000;
+const TIMEOUT = 15 * 1000;
+const MAX_ALERTS = 1000;
+const MAX_POINTS = 24 * 60;   // a day of per-minute points
+
+function _post(base, route, body, headers = {}) {
+  const url = base + route, lib = url.startsWith('https:') ? https : http;
+  const data = Buffer.from(body);
+  return new Promise((resolve, reject) => {
+    const req = lib.request(url, { method:'POST', timeout:TIMEOUT,
+      headers:{ 'Content-Type':'application/json', 'Content-Length':data.length, ...headers } }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch { /* not JSON */ }
+        if (res.statusCode >= 200 && res.statusCode < 300 && json) return resolve(json);
+        const err = new Error(json?.error || `HTTP ${res.statusCode}`);
+        err.status = res.statusCode; err.code = json?.code || null;
+        reject(err);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+class FleetClient {
+  /**
+   * Register with a collector using its enrollment code. `host` is { name, hostname,
+   * platform, version }. Resolves with { hostId, secret, policy }.
+   */
+  static async enroll(url, code, host) {
+    const res = await _post(url, '/v1/enroll', JSON.stringify({ protocol:PROTOCOL, code, host }));
+    if (typeof res.hostId !== 'string' || typeof res.secret !== 'string') throw new Error('The collector sent an invalid enrollment');
+    return { hostId:res.hostId, secret:res.secret, policy:normalizeFleetPolicy(res.policy) };
+  }
+
+  /**
+   * @param {object}   opts
+   * @param {object}   opts.enrollment  { url, hostId, secret }
+   * @param {Function} opts.status      host status sent with every report
+   * @param {object}   [opts.outbox]    { alerts, points } undelivered by a previous run
+   * @param {Function} [opts.persist]   called with the outbox whenever it changes
+   * @param {object}   [opts.policy]    the policy in force (its rev and reportSec)
+   * @param {Function} [opts.onPolicy]  called with each newer policy
+   * @param {Function} [opts.onRevoked] called once the collector no longer knows this host
+   */
+  constructor({ enrollment, status, outbox = {}, persist = () => {}, policy = null, onPolicy = () => {}, onRevoked = () => {} }) {
+    this.enrollment = enrollment;
+    this.status = status;
+    this.outbox = { alerts:Array.isArray(outbox.alerts) ? outbox.alerts : [], points:Array.isArray(outbox.points) ? outbox.points : [] };
+    this.persist = persist;
+    this.policyRev = policy?.rev || 0;
+    this.reportSec = policy?.reportSec || REPORT_SEC.default;
+    this.onPolicy = onPolicy;
+    this.onRevoked = onRevoked;
+    this.lastContact = null;
+    this.lastError = null;
+    this.failures = 0;
+    this.timer = null;
+    this.busy = false;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this._schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+  }
+
+  /** Queue an alert (reduced by reportAlert() on the caller's side) for the next report. */
+  alert(a) {
+    this.outbox.alerts.push(a);
+    if (this.outbox.alerts.length > MAX_ALERTS) this.outbox.alerts.splice(0, this.outbox.alerts.length - MAX_ALERTS);
+    this.persist(this.outbox);
+  }
+
+  /** Queue a per-minute trust point; sent as a summary. */
+  point(p) {
+    this.outbox.points.push(p);
+    if (this.outbox.points.length > MAX_POINTS) this.outbox.points.splice(0, this.outbox.points.length - MAX_POINTS);
+    this.persist(this.outbox);
+  }
+
+  info() {
+    return { lastContact:this.lastContact, lastError:this.lastError, failures:this.failures, pendingAlerts:this.outbox.alerts.length, reportSec:this.reportSec, policyRev:this.policyRev };
+  }
+
+  /** Send one report now; resolves once it is answered or has failed. */
+  async report() {
+    if (this.busy || this.stopped) return;
+    this.busy = true;
+    const alerts = this.outbox.alerts.slice(0, MAX_REPORT_ALERTS), points = this.outbox.points.slice();
+    const { url, hostId, secret } = this.enrollment;
+    try {
+      const body = JSON.stringify({ protocol:PROTOCOL, status:this.status(), summaries:summarize(points), alerts, policyRev:this.policyRev });
+      const res = await _post(url, '/v1/report', body, authHeaders(hostId, secret, 'POST', '/v1/report', body));
+      const sentAlerts = new Set(alerts), sentPoints = new Set(points);
+      this.outbox.alerts = this.outbox.alerts.filter(a => !sentAlerts.has(a));
+      this.outbox.points = this.outbox.points.filter(p => !sentPoints.has(p));
+      this.persist(this.outbox);
+      this.lastContact = Date.now(); this.lastError = null; this.failures = 0;
+      if (res.policy && res.policy.rev > this.policyRev) {
+        const policy = normalizeFleetPolicy(res.policy);
+        this.policyRev = policy.rev; this.reportSec = policy.reportSec;
+        this.onPolicy(policy);
+      }
+    } catch (err) {
+      this.lastError = err.message; this.failures++;
+      if (err.status === 401 && err.code === 'unknown-host') { this.stop(); this.onRevoked(); }
+    } finally {
+      this.busy = false;
+      if (!this.stopped) this._schedule(this.failures ? Math.min(RETRY_MAX, RETRY_BASE * 2 ** (this.failures - 1)) : this.reportSec * 1000);
+    }
+  }
+
+  _schedule(delay) {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => { this.timer = null; this.report(); }, delay);
+  }
+}
+
+module.exports = { FleetClient };
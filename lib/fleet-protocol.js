@@ -0,0 +1,113 @@
+/**
+ * BehaviorGuard — Fleet Protocol
+ *
+ * What an enrolled install and the fleet collector (collector/) exchange,
+ * shared by both sides so they agree on signatures, summaries and policy.
+ *
+ *   POST /v1/enroll   { code, host }                      → { hostId, secret, policy }
+ *   POST /v1/report   { status, summaries, alerts, policyRev } → { policy | null, reportSec }
+ *
+ * Reports are signed with the host secret issued at enrollment:
+ *   X-BG-Host       host id
+ *   X-BG-Time       ms since epoch; the collector refuses a time more than
+ *                   CLOCK_SKEW_MS off, or not after the host's last accepted one
+ *   X-BG-Signature  sha256=HMAC-SHA256(secret, time \n method \n path \n body)
+ *
+ * Nothing behavioural beyond scores leaves the install: summaries carry
+ * trust and bot scores per span, alerts their type, severity and message.
+ * A policy only sets the detection settings in POLICY_SETTINGS.
+ * Main process and collector: uses Node's crypto.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { bucket } = require('./timeseries');
+const { normalizePolicy:normalizeResponse } = require('./response-policy');
+
+const PROTOCOL = 1;
+const MAX_BODY = 512 * 1024;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SUMMARY_MS = 15 * 60 * 1000;
+const MAX_REPORT_ALERTS = 100;
+const REPORT_SEC = { min:15, max:3600, default:60 };
+
+const _bool = v => typeof v === 'boolean' ? v : undefined;
+const _days = (lo, hi) => v => Number.isInteger(v) && v >= lo && v <= hi ? v : undefined;
+
+// Setting → validator returning the value, or undefined to drop it. Recording, the local
+// API, alert rules, start-up options, monitoring at start and encryption stay with the user
+// of the machine: a collector must not be able to switch detection off or unseal the data.
+const POLICY_SETTINGS = {
+  sensitivity:    v => ['low', 'medium', 'high'].includes(v) ? v : undefined,
+  notifications:  _bool,
+  autoBlock:      _bool,
+  systemLock:     _bool,
+  adaptive:       _bool,
+  botClassifier:  _bool,
+  historyDays:    _days(1, 3650),
+  auditDays:      _days(30, 3650),
+  responsePolicy: v => v && typeof v === 'object' ? normalizeResponse(v) : undefined,
+};
+
+/** Policy with known, valid settings only: { rev, reportSec, settings, updatedAt }. */
+function normalizeFleetPolicy(p) {
+  const settings = {};
+  for (const [k, check] of Object.entries(POLICY_SETTINGS)) {
+    const v = p?.settings?.[k] === undefined ? undefined : check(p.settings[k]);
+    if (v !== undefined) settings[k] = v;
+  }
+  const sec = Math.round(Number(p?.reportSec));
+  return {
+    rev:Number.isInteger(p?.rev) && p.rev > 0 ? p.rev : 0,
+    reportSec:Number.isFinite(sec) ? Math.max(REPORT_SEC.min, Math.min(REPORT_SEC.max, sec)) : REPORT_SEC.default,
+    settings,
+    updatedAt:Number(p?.updatedAt) || null,
+  };
+}
+
+function sign(secret, time, method, path, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${time}\n${method}\n${path}\n${body}`).digest('hex');
+}
+
+/** Headers for a signed request from `hostId`. */
+function authHeaders(hostId, secret, method, path, body, now = Date.now()) {
+  return { 'X-BG-Host':hostId, 'X-BG-Time':String(now), 'X-BG-Signature':sign(secret, now, method, path, body) };
+}
+
+/** True when `given` is the signature of this request under `secret`. */
+function signatureOk(secret, given, time, method, path, body) {
+  if (typeof given !== 'string' || !secret) return false;
+  const a = Buffer.from(given), b = Buffer.from(sign(secret, time, method, path, body));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** Per-minute trust points (lib/timeseries.js) folded into SUMMARY_MS spans, scores only. */
+function summarize(points, span = SUMMARY_MS) {
+  return bucket(points, span).map(p => ({ t:p.t, span, n:p.n, trust:p.trust, trustMin:p.trustMin, trustMax:p.trustMax, bot:p.bot }));
+}
+
+/** The part of an alert that is reported: no explanation, features or rule data. */
+function reportAlert(a) {
+  return { id:a.id ?? null, ts:a.ts, type:a.type, severity:a.severity, user:a.user?.name || null, msg:String(a.msg || '').slice(0, 300) };
+}
+
+function _loopback(host) {
+  return ['localhost', '127.0.0.1', '[::1]'].includes(host) || /^127\./.test(host);
+}
+
+/**
+ * Collector base URL without a trailing slash. HTTPS, or plain HTTP to this machine for a
+ * local test collector; throws otherwise.
+ */
+function collectorUrl(text) {
+  let u;
+  try { u = new URL(String(text || '').trim()); } catch { throw new Error('Not a valid URL'); }
+  if (u.protocol !== 'https:' && !(u.protocol === 'http:' && _loopback(u.hostname))) throw new Error('The collector must use https:// (plain http only to this machine)');
+  if (u.username || u.password || u.search || u.hash) throw new Error('The collector URL takes no credentials, query or fragment');
+  return `${u.origin}${u.pathname.replace(/\/+$/, '')}`;
+}
+
+module.exports = {
+  PROTOCOL, MAX_BODY, CLOCK_SKEW_MS, SUMMARY_MS, MAX_REPORT_ALERTS, REPORT_SEC, POLICY_SETTINGS,
+  normalizeFleetPolicy, authHeaders, signatureOk, summarize, reportAlert, collectorUrl,
+};
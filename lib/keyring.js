@@ -0,0 +1,81 @@
+/**
+ * BehaviorGuard — Data Key
+ *
+ * Each install generates one random 256-bit data key for the data store
+ * (profiles, training buffers, history, alerts). The key is never written
+ * in the clear; it is kept wrapped with AES-256-GCM twice:
+ *   machine  — by the OS secret store through Electron safeStorage, or, where
+ *              that has no real backend (headless Linux), by a 0600 key file
+ *              next to the store, so monitoring can start without the password
+ *   password — by a scrypt key derived from the unlock password, which can
+ *              always recover it (keyring reset, data directory copied elsewhere)
+ * Main process only: uses Node's crypto and fs.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+
+const KEY_LEN = 32;
+const KDF = { N:1 << 15, r:8, p:1 };
+const WEAK_BACKENDS = ['basic_text', 'unknown'];   // safeStorage "encryption" with a hard-coded key
+
+function generateKey() { return crypto.randomBytes(KEY_LEN); }
+
+function wrap(key, kek) {
+  const iv = crypto.randomBytes(12), c = crypto.createCipheriv('aes-256-gcm', kek, iv);
+  const data = Buffer.concat([c.update(key), c.final()]);
+  return { iv:iv.toString('base64'), tag:c.getAuthTag().toString('base64'), data:data.toString('base64') };
+}
+
+function unwrap(w, kek) {
+  const d = crypto.createDecipheriv('aes-256-gcm', kek, Buffer.from(w.iv, 'base64'));
+  d.setAuthTag(Buffer.from(w.tag, 'base64'));
+  return Buffer.concat([d.update(Buffer.from(w.data, 'base64')), d.final()]);
+}
+
+function _derive(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(String(password), salt, KEY_LEN, { N, r, p, maxmem:256 * N * r }, (err, k) => err ? reject(err) : resolve(k)));
+}
+
+async function wrapWithPassword(key, password) {
+  const salt = crypto.randomBytes(16);
+  return { kdf:{ alg:'scrypt', ...KDF, salt:salt.toString('base64') }, ...wrap(key, await _derive(password, salt, KDF)) };
+}
+
+/** The data key, or null if the password does not match. */
+async function unwrapWithPassword(w, password) {
+  try { return unwrap(w, await _derive(password, Buffer.from(w.kdf.salt, 'base64'), w.kdf)); }
+  catch { return null; }
+}
+
+/** True when safeStorage is backed by a real OS secret store. */
+function osStoreAvailable(safeStorage) {
+  if (!safeStorage || !safeStorage.isEncryptionAvailable()) return false;
+  if (process.platform !== 'linux' || !safeStorage.getSelectedStorageBackend) return true;
+  return !WEAK_BACKENDS.includes(safeStorage.getSelectedStorageBackend());
+}
+
+/** Wrap for this machine: OS secret store when possible, else a new 0600 key file. */
+function wrapForMachine(key, { safeStorage, keyFile }) {
+  if (osStoreAvailable(safeStorage))
+    return { method:'safeStorage', data:safeStorage.encryptString(key.toString('base64')).toString('base64') };
+  const fileKey = generateKey();
+  fs.writeFileSync(keyFile, fileKey.toString('base64'), { mode:0o600 });
+  return { method:'keyfile', ...wrap(key, fileKey) };
+}
+
+/** The data key, or null when this machine can no longer open it. */
+function unwrapForMachine(w, { safeStorage, keyFile }) {
+  try {
+    if (w.method === 'safeStorage') {
+      if (!safeStorage || !safeStorage.isEncryptionAvailable()) return null;
+      return Buffer.from(safeStorage.decryptString(Buffer.from(w.data, 'base64')), 'base64');
+    }
+    if (w.method === 'keyfile') return unwrap(w, Buffer.from(fs.readFileSync(keyFile, 'utf8'), 'base64'));
+  } catch {}
+  return null;
+}
+
+module.exports = { generateKey, wrapWithPassword, unwrapWithPassword, osStoreAvailable, wrapForMachine, unwrapForMachine };
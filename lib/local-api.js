@@ -0,0 +1,187 @@
+/**
+ * BehaviorGuard — Local API
+ *
+ * Opt-in HTTP + WebSocket server so other software on this machine (VPN
+ * clients, password managers, admin consoles) can read and react to risk.
+ * Listens on 127.0.0.1 only; every request needs the per-install bearer
+ * token, and a Host header naming the loopback address (DNS rebinding).
+ *
+ *   GET  /v1/stats                  stats payload, as the dashboard gets it
+ *   GET  /v1/risk                   latest risk update, null before the first scored cycle
+ *   GET  /v1/alerts?since=&limit=   alerts, newest first
+ *   POST /v1/lock                   show the lock screen
+ *   POST /v1/pause, /v1/resume      stop / start monitoring
+ *   GET  /v1/events                 WebSocket stream of { type, ts, data }
+ *
+ * Browsers cannot set headers on a WebSocket, so /v1/events also accepts
+ * ?access_token=. The WebSocket side is a minimal RFC 6455 server: unfragmented
+ * text frames out, close / ping handled, client messages ignored.
+ * Main process only: uses Node's http and crypto.
+ */
+'use strict';
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 7865;
+const HOST = '127.0.0.1';
+const MAX_CLIENTS = 16;
+const MAX_FRAME = 4096;        // largest client frame accepted; clients only send control frames
+const ALERT_LIMIT = 200;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function _tokenOk(given, token) {
+  if (typeof given !== 'string' || !token) return false;
+  const a = Buffer.from(given), b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function _frame(opcode, payload) {
+  const n = payload.length;
+  const head = n < 126 ? Buffer.from([0x80 | opcode, n])
+    : n < 65536 ? Buffer.from([0x80 | opcode, 126, n >> 8, n & 255])
+    : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(n)); return b; })()]);
+  return Buffer.concat([head, payload]);
+}
+
+function _send(res, status, body) {
+  res.writeHead(status, { 'Content-Type':'application/json', 'Cache-Control':'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+class LocalApi {
+  /**
+   * @param {object}   opts
+   * @param {string}   opts.token     bearer token clients must present
+   * @param {number}   [opts.port]    TCP port on 127.0.0.1 (default 7865)
+   * @param {object}   opts.handlers  { stats(), risk(), alerts(), lock(), pause(), resume() }
+   *                                  — may return promises; lock/pause/resume results are sent back
+   */
+  constructor({ token, port = DEFAULT_PORT, handlers }) {
+    this.token = token;
+    this.port = port;
+    this.handlers = handlers;
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  get running() { return !!this.server?.listening; }
+  get clients() { return this.sockets.size; }
+
+  /** Resolves once listening; rejects with the listen error (e.g. EADDRINUSE). */
+  start() {
+    if (this.server) return Promise.resolve(this.port);
+    const server = http.createServer((req, res) => {
+      this._request(req, res).catch(err => _send(res, 500, { error:err.message }));
+    });
+    server.on('upgrade', (req, socket) => this._upgrade(req, socket));
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, HOST, () => {
+        server.off('error', reject);
+        server.on('error', err => console.error('[BG] Local API:', err.message));
+        this.server = server;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    for (const s of this.sockets) s.destroy();
+    this.sockets.clear();
+    if (this.server) { this.server.close(); this.server = null; }
+  }
+
+  /** New token; connected stream clients authenticated with the old one are dropped. */
+  setToken(token) {
+    this.token = token;
+    for (const s of this.sockets) s.destroy();
+    this.sockets.clear();
+  }
+
+  /** Push one event to every stream client. */
+  broadcast(type, data) {
+    if (!this.sockets.size) return;
+    const frame = _frame(0x1, Buffer.from(JSON.stringify({ type, ts:Date.now(), data })));
+    for (const s of this.sockets) s.write(frame);
+  }
+
+  // Host must be the loopback address we listen on, so a rebinding DNS name cannot reach us.
+  _hostOk(req) {
+    return [`${HOST}:${this.port}`, `localhost:${this.port}`].includes(String(req.headers.host || '').toLowerCase());
+  }
+
+  _authorized(req, url) {
+    const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (m) return _tokenOk(m[1], this.token);
+    return url.pathname === '/v1/events' && _tokenOk(url.searchParams.get('access_token'), this.token);
+  }
+
+  async _request(req, res) {
+    const url = new URL(req.url, `http://${HOST}`);
+    if (!this._hostOk(req)) return _send(res, 403, { error:'Bad Host header' });
+    if (!this._authorized(req, url)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return _send(res, 401, { error:'Missing or invalid bearer token' });
+    }
+    const h = this.handlers, route = `${req.method} ${url.pathname}`;
+    switch (route) {
+      case 'GET /v1/stats': return _send(res, 200, await h.stats());
+      case 'GET /v1/risk':  return _send(res, 200, await h.risk());
+      case 'GET /v1/alerts': {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const limit = Math.min(ALERT_LIMIT, Number(url.searchParams.get('limit')) || ALERT_LIMIT);
+        return _send(res, 200, (await h.alerts()).filter(a => a.ts > since).slice(0, limit));
+      }
+      case 'POST /v1/lock':   return _send(res, 200, await h.lock());
+      case 'POST /v1/pause':  return _send(res, 200, await h.pause());
+      case 'POST /v1/resume': return _send(res, 200, await h.resume());
+      case 'GET /v1/events':  return _send(res, 426, { error:'WebSocket upgrade required' });
+    }
+    const known = ['/v1/stats', '/v1/risk', '/v1/alerts', '/v1/lock', '/v1/pause', '/v1/resume', '/v1/events'].includes(url.pathname);
+    _send(res, known ? 405 : 404, { error:known ? `${req.method} not allowed` : 'Not found' });
+  }
+
+  _upgrade(req, socket) {
+    const url = new URL(req.url, `http://${HOST}`);
+    const refuse = (status, text) => { socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`); };
+    if (url.pathname !== '/v1/events') return refuse(404, 'Not Found');
+    if (!this._hostOk(req)) return refuse(403, 'Forbidden');
+    if (!this._authorized(req, url)) return refuse(401, 'Unauthorized');
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers['sec-websocket-version'] !== '13' || !/websocket/i.test(req.headers.upgrade || '')) return refuse(400, 'Bad Request');
+    if (this.sockets.size >= MAX_CLIENTS) return refuse(503, 'Service Unavailable');
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    this.sockets.add(socket);
+    const drop = () => { this.sockets.delete(socket); };
+    socket.on('close', drop);
+    socket.on('error', drop);
+    let buf = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buf = Buffer.concat([buf, chunk]);
+      for (let f; (f = this._parse(buf));) {
+        buf = buf.subarray(f.size);
+        if (f.error || f.opcode === 0x8) { socket.end(_frame(0x8, Buffer.from([0x03, f.error ? 0xf1 : 0xe8]))); drop(); return; }
+        if (f.opcode === 0x9) socket.write(_frame(0xa, f.payload));
+      }
+    });
+  }
+
+  // One client frame from the head of buf, or null if incomplete. Client frames are always masked.
+  _parse(buf) {
+    if (buf.length < 2) return null;
+    const opcode = buf[0] & 0x0f, masked = buf[1] & 0x80;
+    let len = buf[1] & 0x7f, off = 2;
+    if (len === 126) { if (buf.length < 4) return null; len = buf.readUInt16BE(2); off = 4; }
+    else if (len === 127) return { error:true, size:buf.length };
+    if (!masked || len > MAX_FRAME) return { error:true, size:buf.length };
+    if (buf.length < off + 4 + len) return null;
+    const mask = buf.subarray(off, off + 4), payload = Buffer.from(buf.subarray(off + 4, off + 4 + len));
+    for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+    return { opcode, payload, size:off + 4 + len };
+  }
+}
+
+module.exports = { LocalApi, DEFAULT_PORT };
@@ -0,0 +1,94 @@
+/**
+ * BehaviorGuard — N-graph Matcher
+ *
+ * Compares per-digraph / per-trigraph latencies of the current typing window
+ * with the ones stored in the profile, using the two distances of Gunetti &
+ * Picardi over the n-graphs both sides share:
+ *   R — how differently the shared n-graphs are ordered by latency
+ *   A — the share of n-graphs whose latencies differ by more than A_RATIO
+ * Both are 0 for identical typing and drift towards ~0.6 for another typist.
+ */
+'use strict';
+
+const { median } = require('./stats');
+
+const WINDOW      = 300;   // most recent keystrokes the current n-graphs are built from
+const MAX_LATENCY = 2000;  // longer gaps are pauses, not rhythm
+const A_RATIO     = 1.25;
+const MIN_BASE    = 3;     // profile samples an n-graph needs before it is compared
+const MIN_SHARED  = 5;
+const FULL_SHARED = 40;    // shared n-graphs at which the match reaches full confidence
+const D_GENUINE   = 0.30;  // distance mapped to 100 trust
+const D_IMPOSTOR  = 0.55;  // distance mapped to 0 trust
+
+/** Same key format as the engine's digraph / trigraph maps. */
+function gramKey(kcs) { return kcs.join('_'); }
+
+/** Latencies (first press → last press) per n-graph in a run of ksEvents. */
+function collect(events, n) {
+  const out = new Map();
+  for (let i = n - 1; i < events.length; i++) {
+    const lat = events[i].ts - events[i-n+1].ts;
+    if (lat <= 0 || lat > MAX_LATENCY) continue;
+    const k = gramKey(events.slice(i-n+1, i+1).map(e => e.kc));
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(lat);
+  }
+  return out;
+}
+
+function _rDistance(pairs) {
+  const n = pairs.length;
+  if (n < 2) return 0;
+  const rank = key => {
+    const r = new Array(n);
+    pairs.map((p, i) => [p[key], i]).sort((a, b) => a[0] - b[0]).forEach(([, i], pos) => { r[i] = pos; });
+    return r;
+  };
+  const rc = rank('cur'), rb = rank('base');
+  let dis = 0;
+  for (let i = 0; i < n; i++) dis += Math.abs(rc[i] - rb[i]);
+  return dis / (n % 2 ? (n*n - 1) / 2 : n*n / 2);
+}
+
+function _aDistance(pairs) {
+  if (!pairs.length) return 0;
+  const similar = pairs.filter(p => Math.max(p.cur, p.base) / Math.min(p.cur, p.base) <= A_RATIO).length;
+  return 1 - similar / pairs.length;
+}
+
+function _compare(cur, base) {
+  const pairs = [];
+  let samples = 0;
+  for (const [k, lats] of cur) {
+    const b = base && base[k];
+    if (!b || b.length < MIN_BASE) continue;
+    pairs.push({ cur:median(lats), base:median(b) });
+    samples += lats.length;
+  }
+  return { shared:pairs.length, samples, r:_rDistance(pairs), a:_aDistance(pairs) };
+}
+
+/**
+ * Match recent ksEvents against a profile's { digraphs, trigraphs }.
+ * Returns null until MIN_SHARED n-graphs are shared, otherwise
+ *   { trust, confidence, distance, shared:{ di, tri }, samples }
+ * where `confidence` (0–1) grows with the number of shared n-graphs.
+ */
+function matchNGraphs(events, profile) {
+  if (!profile || !profile.digraphs) return null;
+  const recent = events.slice(-WINDOW);
+  const di  = _compare(collect(recent, 2), profile.digraphs);
+  const tri = _compare(collect(recent, 3), profile.trigraphs);
+  const shared = di.shared + tri.shared;
+  if (shared < MIN_SHARED) return null;
+  // Each order contributes in proportion to how many n-graphs it could compare.
+  const distance = [di, tri].reduce((s, g) => s + g.shared * (g.r + g.a) / 2, 0) / shared;
+  const trust = 100 * Math.max(0, Math.min(1, (D_IMPOSTOR - distance) / (D_IMPOSTOR - D_GENUINE)));
+  return {
+    trust, distance, confidence:Math.min(1, shared / FULL_SHARED),
+    shared:{ di:di.shared, tri:tri.shared }, samples:di.samples + tri.samples,
+  };
+}
+
+module.exports = { WINDOW, gramKey, collect, matchNGraphs };
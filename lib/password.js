@@ -0,0 +1,102 @@
+/**
+ * BehaviorGuard — Password Store
+ *
+ * Salted scrypt hashes for the unlock password and for both recovery
+ * secrets (security-question answers, recovery code), plus the back-off
+ * schedule for failed attempts. Main process only: it needs Node's crypto
+ * and is never bundled into the web demo.
+ *
+ * Record layout (store key `passwordData`, v2):
+ *   { v:2, password:<hash>, recovery:{ method, sq:{ q1, q2, a1:<hash>, a2:<hash> }|null, code:<hash>|null },
+ *     createdAt, updatedAt }
+ * where <hash> = { alg:'scrypt', N, r, p, salt, hash } (base64). Stores from
+ * before v2 keep their password as { alg:'sha256-legacy', hash } until the
+ * next successful unlock re-hashes it.
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const SCRYPT = { N:1 << 15, r:8, p:1 };
+const KEY_LEN = 32;
+const SALT_LEN = 16;
+const LEGACY_SALT = 'bg-salt-2024';
+const FREE_ATTEMPTS = 3;                // failures before any delay
+const BASE_DELAY = 2000;                // first delay, doubled per further failure
+const MAX_DELAY = 15 * 60 * 1000;
+
+function _scrypt(secret, salt, { N, r, p }) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(String(secret), salt, KEY_LEN, { N, r, p, maxmem:256 * N * r }, (err, key) => err ? reject(err) : resolve(key)));
+}
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(SALT_LEN);
+  const key = await _scrypt(secret, salt, SCRYPT);
+  return { alg:'scrypt', ...SCRYPT, salt:salt.toString('base64'), hash:key.toString('base64') };
+}
+
+/** Constant-time check of `secret` against a stored hash record. */
+async function verifySecret(secret, rec) {
+  if (!rec || typeof secret !== 'string') return false;
+  let key, want;
+  if (rec.alg === 'scrypt') {
+    want = Buffer.from(rec.hash, 'base64');
+    key = await _scrypt(secret, Buffer.from(rec.salt, 'base64'), rec);
+  } else if (rec.alg === 'sha256-legacy') {
+    want = Buffer.from(rec.hash, 'hex');
+    key = crypto.createHash('sha256').update(secret + LEGACY_SALT).digest();
+  } else return false;
+  return key.length === want.length && crypto.timingSafeEqual(key, want);
+}
+
+function needsRehash(rec) { return !rec || rec.alg !== 'scrypt' || rec.N < SCRYPT.N; }
+
+// Answers and codes are compared case- and whitespace-insensitively, as setup always did.
+function normalizeAnswer(s) { return String(s || '').trim().toLowerCase().replace(/\s+/g, ' '); }
+
+/** Hash a setup payload { password, recovery:{ method, sq:{ q1, a1, q2, a2 }|null, code|null } }. */
+async function createRecord(data, now = Date.now()) {
+  const rec = data.recovery || {};
+  return {
+    v:2, password:await hashSecret(data.password),
+    recovery:{
+      method:rec.method || null,
+      sq:rec.sq ? { q1:rec.sq.q1, q2:rec.sq.q2, a1:await hashSecret(normalizeAnswer(rec.sq.a1)), a2:await hashSecret(normalizeAnswer(rec.sq.a2)) } : null,
+      code:rec.code ? await hashSecret(normalizeAnswer(rec.code)) : null,
+    },
+    createdAt:now,
+  };
+}
+
+/** Upgrade a pre-v2 record (SHA-256 password, plaintext recovery). Returns null if already current. */
+async function migrateRecord(old) {
+  if (!old || old.v >= 2) return null;
+  const rec = old.recovery || {};
+  return {
+    v:2, password:{ alg:'sha256-legacy', hash:old.passwordHash },
+    recovery:{
+      method:rec.method || null,
+      sq:rec.sq ? { q1:rec.sq.q1, q2:rec.sq.q2, a1:await hashSecret(normalizeAnswer(rec.sq.a1)), a2:await hashSecret(normalizeAnswer(rec.sq.a2)) } : null,
+      code:rec.code ? await hashSecret(normalizeAnswer(rec.code)) : null,
+    },
+    createdAt:old.createdAt || Date.now(), ...(old.updatedAt ? { updatedAt:old.updatedAt } : {}),
+  };
+}
+
+/** What the renderer may see: the method and the question texts, never a hash. */
+function publicInfo(rec) {
+  if (!rec) return null;
+  return {
+    method:rec.recovery?.method || null,
+    questions:rec.recovery?.sq ? { q1:rec.recovery.sq.q1, q2:rec.recovery.sq.q2 } : null,
+    createdAt:rec.createdAt || null, updatedAt:rec.updatedAt || null,
+  };
+}
+
+/** Delay to enforce after `failures` consecutive failed attempts. */
+function backoffMs(failures) {
+  return failures < FREE_ATTEMPTS ? 0 : Math.min(MAX_DELAY, BASE_DELAY * 2 ** (failures - FREE_ATTEMPTS));
+}
+
+module.exports = { FREE_ATTEMPTS, hashSecret, verifySecret, needsRehash, normalizeAnswer, createRecord, migrateRecord, publicInfo, backoffMs };
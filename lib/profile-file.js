@@ -0,0 +1,70 @@
+/**
+ * BehaviorGuard — Profile Files
+ *
+ * Exported profiles are sealed with a passphrase: scrypt derives 64 bytes,
+ * the first half encrypts the profile JSON (AES-256-CBC) and the second
+ * half signs the whole envelope (HMAC-SHA256, encrypt-then-MAC), so a wrong
+ * passphrase and a modified file are both rejected before anything is parsed.
+ *
+ *   { format:'behaviorguard-profile', fileVersion:1, v:<profile version>, exportedAt,
+ *     kdf:{ alg:'scrypt', N, r, p, salt }, cipher:{ alg:'aes-256-cbc', iv, data }, mac }
+ *
+ * Binary fields are base64. Main process only: uses Node's crypto.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { PROFILE_VERSION } = require('./profile-schema');
+
+const FORMAT = 'behaviorguard-profile';
+const FILE_VERSION = 1;
+const KDF = { N:1 << 15, r:8, p:1 };
+const MIN_PASSPHRASE = 8;
+
+function _derive(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(String(passphrase), salt, 64, { N, r, p, maxmem:256 * N * r }, (err, k) => err ? reject(err) : resolve(k)));
+}
+
+// Everything but the MAC itself, in a fixed order.
+function _signed(env) {
+  return JSON.stringify([env.format, env.fileVersion, env.v, env.exportedAt, env.kdf, env.cipher]);
+}
+
+function _mac(key, env) { return crypto.createHmac('sha256', key).update(_signed(env)).digest(); }
+
+function isSealed(obj) { return !!obj && obj.format === FORMAT; }
+
+async function seal(profile, passphrase, now = Date.now()) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE) throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  const salt = crypto.randomBytes(16), iv = crypto.randomBytes(16);
+  const key = await _derive(passphrase, salt, KDF);
+  const c = crypto.createCipheriv('aes-256-cbc', key.subarray(0, 32), iv);
+  const data = Buffer.concat([c.update(JSON.stringify(profile), 'utf8'), c.final()]);
+  const env = {
+    format:FORMAT, fileVersion:FILE_VERSION, v:profile.v || PROFILE_VERSION, exportedAt:now,
+    kdf:{ alg:'scrypt', ...KDF, salt:salt.toString('base64') },
+    cipher:{ alg:'aes-256-cbc', iv:iv.toString('base64'), data:data.toString('base64') },
+  };
+  env.mac = _mac(key.subarray(32), env).toString('base64');
+  return env;
+}
+
+/** The profile object inside a sealed file (not yet migrated or validated). */
+async function open(env, passphrase) {
+  if (!isSealed(env)) throw new Error('Not a BehaviorGuard profile file');
+  if (env.fileVersion !== FILE_VERSION) throw new Error(`Unsupported profile file version ${env.fileVersion}`);
+  if (env.kdf?.alg !== 'scrypt' || env.cipher?.alg !== 'aes-256-cbc' || typeof env.mac !== 'string') throw new Error('Profile file is damaged');
+  const { N, r, p } = env.kdf;
+  // Bounds keep a crafted file from asking scrypt for unbounded memory or time.
+  if (![N, r, p].every(Number.isInteger) || N > KDF.N * 4 || r > 16 || p > 4) throw new Error('Profile file is damaged');
+  const key = await _derive(passphrase, Buffer.from(env.kdf.salt, 'base64'), env.kdf);
+  const want = _mac(key.subarray(32), env), got = Buffer.from(env.mac, 'base64');
+  if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) throw new Error('Wrong passphrase, or the file was modified');
+  const d = crypto.createDecipheriv('aes-256-cbc', key.subarray(0, 32), Buffer.from(env.cipher.iv, 'base64'));
+  const profile = JSON.parse(Buffer.concat([d.update(Buffer.from(env.cipher.data, 'base64')), d.final()]).toString('utf8'));
+  if (profile?.v !== env.v) throw new Error('Profile file is damaged');
+  return profile;
+}
+
+module.exports = { FORMAT, FILE_VERSION, MIN_PASSPHRASE, isSealed, seal, open };
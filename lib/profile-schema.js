@@ -0,0 +1,161 @@
+/**
+ * BehaviorGuard — Profile Schema
+ *
+ * The documented shape of a trained profile (`v` = PROFILE_VERSION), a
+ * validator for it, and the migration chain that upgrades profiles saved by
+ * older versions. Every profile that enters from outside (import, replay
+ * harness, web demo) goes through parseProfile(); see README "Profile files".
+ *
+ *   uid, name, createdAt              identity and enrollment time
+ *   features { ks, mouse, click, scroll }   full-buffer feature snapshot; a channel is null when untrained
+ *   model     baseline model (lib/baseline.js), null for profiles from before 3.1
+ *   contexts  { "app|device": { app, device, samples, seen, model, windows? } }
+ *   digraphs, trigraphs   { pair: [latency ms, …] }
+ *   size      event counts the profile was built from
+ *   fixedText typing-enrollment template (lib/fixed-text.js), absent until the user enrolls
+ *   rev, revAt, revReason, adapt, adaptedAt   adaptive-update state (lib/adapt.js)
+ */
+'use strict';
+
+const { checkTemplate } = require('./fixed-text');
+
+const PROFILE_VERSION = '3.1';
+const CHANNEL_NAMES = ['ks', 'mouse', 'click', 'scroll'];
+const UID_RE = /^[\w.-]{1,64}$/;
+const MAX_NAME = 40;
+// Revision reasons the engine writes: 'trained', 'adapted', 'rollback to r3'.
+const REASON_RE = /^[\w .-]{1,40}$/;
+const MAX_GRAPHS = 50000;   // n-graph entries; a real profile has a few thousand at most
+const MAX_ERRORS = 8;
+
+// ═════════════════════════════════════════════════════════════
+// MIGRATIONS
+// ═════════════════════════════════════════════════════════════
+// from-version → step returning the next version. parseProfile() applies
+// them in turn until the profile reaches PROFILE_VERSION.
+const MIGRATIONS = {
+  // 3.0: no scroll channel, no baseline model (scored by snapshot comparison).
+  '3.0': p => ({
+    ...p,
+    features:{ ...p.features, scroll:p.features?.scroll || null },
+    size:{ ...p.size, scrolls:p.size?.scrolls || 0 },
+    model:null,
+    v:'3.1',
+  }),
+};
+
+// Fields added within 3.1 (profile names, context sub-profiles) default in place.
+function _defaults(p) {
+  if (p.contexts === undefined) p.contexts = {};
+  return p;
+}
+
+/** Upgrade to PROFILE_VERSION. Returns { profile, from }; throws on an unknown version. */
+function migrate(raw) {
+  const from = raw?.v;
+  let p = raw;
+  for (let guard = 0; p && p.v !== PROFILE_VERSION; guard++) {
+    const step = MIGRATIONS[p.v];
+    if (!step || guard > Object.keys(MIGRATIONS).length) throw new Error(`Unsupported profile version ${JSON.stringify(p.v)}`);
+    p = step(p);
+  }
+  return { profile:p && typeof p === 'object' ? _defaults(p) : p, from };
+}
+
+// ═════════════════════════════════════════════════════════════
+// VALIDATION
+// ═════════════════════════════════════════════════════════════
+const _obj = x => !!x && typeof x === 'object' && !Array.isArray(x);
+const _num = x => typeof x === 'number' && Number.isFinite(x);
+const _nums = (a, n) => Array.isArray(a) && (n === undefined || a.length === n) && a.every(_num);
+
+function _checkModel(m, at, err) {
+  if (m === null) return;
+  if (!_obj(m) || !_obj(m.channels)) return err(`${at} must be a baseline model or null`);
+  for (const [name, ch] of Object.entries(m.channels)) {
+    const c = `${at}.channels.${name}`;
+    if (!CHANNEL_NAMES.includes(name)) { err(`${c}: unknown channel`); continue; }
+    if (!_obj(ch) || !Array.isArray(ch.features) || !ch.features.every(f => typeof f === 'string')) { err(`${c}.features must be a list of names`); continue; }
+    const n = ch.features.length;
+    if (!_nums(ch.center, n) || !_nums(ch.scale, n)) err(`${c}: center and scale need ${n} numbers`);
+    if (!Array.isArray(ch.inv) || ch.inv.length !== n || !ch.inv.every(r => _nums(r, n))) err(`${c}.inv must be a ${n}×${n} matrix`);
+    if (!_num(ch.n) || !_num(ch.s) || ch.s <= 0) err(`${c}: n and s must be numbers`);
+  }
+  if (m.calibration !== undefined && !_obj(m.calibration)) err(`${at}.calibration must be an object`);
+}
+
+function _checkFeatures(f, at, err) {
+  if (!_obj(f)) return err(`${at} must be an object`);
+  for (const [k, ch] of Object.entries(f)) {
+    if (!CHANNEL_NAMES.includes(k)) err(`${at}.${k}: unknown channel`);
+    else if (ch !== null && !(_obj(ch) && Object.values(ch).every(v => v === null || _num(v)))) err(`${at}.${k} must be null or a map of numbers`);
+  }
+}
+
+function _checkGraphs(g, at, err) {
+  if (!_obj(g)) return err(`${at} must be an object`);
+  const keys = Object.keys(g);
+  if (keys.length > MAX_GRAPHS) return err(`${at} has more than ${MAX_GRAPHS} entries`);
+  if (!keys.every(k => _nums(g[k]))) err(`${at}: every entry must be a list of latencies`);
+}
+
+const FIELDS = {
+  v:         (x, err) => x === PROFILE_VERSION || err(`v must be "${PROFILE_VERSION}"`),
+  uid:       (x, err) => (typeof x === 'string' && UID_RE.test(x)) || err('uid must be 1-64 letters, digits, "_", "-" or "."'),
+  name:      (x, err) => (typeof x === 'string' && x.trim() && x.length <= MAX_NAME) || err(`name must be 1-${MAX_NAME} characters`),
+  createdAt: (x, err) => (_num(x) && x > 0) || err('createdAt must be a timestamp'),
+  features:  (x, err) => _checkFeatures(x, 'features', err),
+  model:     (x, err) => _checkModel(x, 'model', err),
+  contexts:  (x, err) => {
+    if (!_obj(x)) return err('contexts must be an object');
+    for (const [key, c] of Object.entries(x)) {
+      if (!_obj(c) || !_num(c.samples) || !_num(c.seen)) { err(`contexts.${key}: samples and seen must be numbers`); continue; }
+      if (c.model !== undefined) _checkModel(c.model, `contexts.${key}.model`, err);
+      if (c.windows !== undefined && !(Array.isArray(c.windows) && c.windows.every(_obj))) err(`contexts.${key}.windows must be a list of windows`);
+    }
+  },
+  digraphs:  (x, err) => _checkGraphs(x, 'digraphs', err),
+  trigraphs: (x, err) => _checkGraphs(x, 'trigraphs', err),
+  size:      (x, err) => (_obj(x) && Object.values(x).every(_num)) || err('size must be a map of counts'),
+  rev:       (x, err) => (Number.isInteger(x) && x >= 0) || err('rev must be a non-negative integer'),
+  revAt:     (x, err) => _num(x) || err('revAt must be a timestamp'),
+  revReason: (x, err) => (typeof x === 'string' && REASON_RE.test(x)) || err('revReason must be 1-40 letters, digits, spaces, "_", "-" or "."'),
+  adapt:     (x, err) => (_obj(x) && _obj(x.anchor)) || err('adapt must be an object with an anchor'),
+  adaptedAt: (x, err) => x === null || _num(x) || err('adaptedAt must be a timestamp'),
+  fixedText: (x, err) => { try { checkTemplate(x); } catch (e) { err(e.message); } },
+};
+const REQUIRED = ['v', 'createdAt', 'features', 'size'];
+
+/** Schema errors of a current-version profile, at most MAX_ERRORS; [] when valid. */
+function validate(p) {
+  if (!_obj(p)) return ['profile must be an object'];
+  const errors = [], err = msg => { errors.push(msg); };
+  for (const k of REQUIRED) if (p[k] === undefined) err(`${k} is missing`);
+  for (const [k, v] of Object.entries(p)) {
+    if (!FIELDS[k]) err(`unknown field "${k}"`);
+    else if (v !== undefined) FIELDS[k](v, err);
+  }
+  if (_obj(p.features) && !p.features.ks && !p.features.mouse) err('features need a keystroke or mouse channel');
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/** Migrate then validate. Returns { profile, from }; throws with the schema errors. */
+function parseProfile(raw) {
+  const res = migrate(raw), errors = validate(res.profile);
+  if (errors.length) throw new Error(`Invalid profile: ${errors.join('; ')}`);
+  return res;
+}
+
+/** What an import confirmation shows: identity, age, size and per-channel coverage. */
+function summarize(p) {
+  const channels = Object.fromEntries(CHANNEL_NAMES.map(name => [name, {
+    features:!!p.features?.[name], modelled:!!p.model?.channels?.[name],
+  }]));
+  return {
+    uid:p.uid || null, name:p.name || null, v:p.v, createdAt:p.createdAt, rev:p.rev || 0,
+    size:{ ...p.size }, channels, contexts:Object.keys(p.contexts || {}).length,
+    digraphs:Object.keys(p.digraphs || {}).length,
+  };
+}
+
+module.exports = { PROFILE_VERSION, MIGRATIONS, migrate, validate, parseProfile, summarize };
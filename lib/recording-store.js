@@ -0,0 +1,135 @@
+/**
+ * BehaviorGuard — Recording Store
+ *
+ * Rotating files for recording mode (lib/recording.js has the line format).
+ * A recording is written in parts named `rec-<start>-<part>.jsonl`; each
+ * part opens with a meta line from `meta()` and is closed when it would
+ * grow past `maxBytes`. Only the newest `maxFiles` parts are kept, across
+ * recordings. Lines are buffered and appended by flush(), which write()
+ * also calls every FLUSH_LINES lines. Main process only: uses Node's fs.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const FILE_RE = /^rec-\d{8}-\d{6}-\d{3}\.jsonl$/;
+const FLUSH_LINES = 500;
+const HEAD_BYTES = 4096;   // enough for any meta line
+
+// 2026-10-19T14:03:07.123Z → 20261019-140307
+const _stamp = t => new Date(t).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+class RecordingStore {
+  /**
+   * @param {object}   opts
+   * @param {string}   opts.dir         directory for the parts (created on demand)
+   * @param {Function} [opts.meta]      fields for each part's meta line
+   * @param {number}   [opts.maxBytes]  size at which a part is closed
+   * @param {number}   [opts.maxFiles]  parts kept; the oldest are deleted
+   */
+  constructor({ dir, meta = () => ({}), maxBytes = 16 * 1024 * 1024, maxFiles = 8 }) {
+    this.dir = dir;
+    this.meta = meta;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.session = null;   // { stamp, part } while recording
+    this.file = null;
+    this.size = 0;
+    this.buf = [];
+  }
+
+  get active() { return !!this.session; }
+
+  /** Name of the part being written, or null. */
+  get current() { return this.file && path.basename(this.file); }
+
+  start(now = Date.now()) {
+    if (this.session) return;
+    this.session = { stamp:_stamp(now), part:0 };
+    try { this._open(now); }
+    catch (err) { this.session = null; this.file = null; throw err; }
+  }
+
+  /** Ends the recording; buffered lines are dropped if the final flush fails (the error is rethrown). */
+  stop() {
+    if (!this.session) return;
+    try { this.flush(); }
+    finally { this.session = null; this.file = null; this.buf = []; }
+  }
+
+  write(ev) {
+    if (!this.session) return;
+    const line = JSON.stringify(ev) + '\n';
+    if (this.size + line.length > this.maxBytes) { this.flush(); this._open(ev.t); }
+    this.buf.push(line); this.size += line.length;
+    if (this.buf.length >= FLUSH_LINES) this.flush();
+  }
+
+  flush() {
+    if (!this.file || !this.buf.length) return;
+    fs.appendFileSync(this.file, this.buf.join(''), { mode:0o600 });
+    this.buf = [];
+  }
+
+  /** Parts newest first: [{ name, size, modified, meta }]; meta is null when unreadable. */
+  list() {
+    return this._names().reverse().map(name => {
+      const file = path.join(this.dir, name), st = fs.statSync(file);
+      return { name, size:st.size, modified:st.mtimeMs, meta:this._head(file) };
+    });
+  }
+
+  /** Path of a part, complete up to the last write. */
+  pathOf(name) {
+    const file = this._path(name);
+    if (file === this.file) this.flush();
+    return file;
+  }
+
+  remove(name) {
+    const file = this._path(name);
+    if (file === this.file) throw new Error('That recording is still being written');
+    fs.rmSync(file, { force:true });
+  }
+
+  _open(now) {
+    const s = this.session;
+    s.part++;
+    fs.mkdirSync(this.dir, { recursive:true, mode:0o700 });
+    this.file = path.join(this.dir, `rec-${s.stamp}-${String(s.part).padStart(3, '0')}.jsonl`);
+    const head = JSON.stringify({ type:'meta', t:now, part:s.part, ...this.meta() }) + '\n';
+    fs.writeFileSync(this.file, head, { mode:0o600 });
+    this.size = head.length;
+    this._prune();
+  }
+
+  _prune() {
+    const names = this._names();
+    for (const name of names.slice(0, Math.max(0, names.length - this.maxFiles))) {
+      if (path.join(this.dir, name) !== this.file) fs.rmSync(path.join(this.dir, name), { force:true });
+    }
+  }
+
+  _names() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(n => FILE_RE.test(n)).sort();
+  }
+
+  _path(name) {
+    if (typeof name !== 'string' || !FILE_RE.test(name) || !fs.existsSync(path.join(this.dir, name))) throw new Error('Unknown recording');
+    return path.join(this.dir, name);
+  }
+
+  _head(file) {
+    const fd = fs.openSync(file, 'r'), buf = Buffer.alloc(HEAD_BYTES);
+    try {
+      const n = fs.readSync(fd, buf, 0, HEAD_BYTES, 0), line = buf.toString('utf8', 0, n).split('\n')[0];
+      const m = JSON.parse(line);
+      return m.type === 'meta' ? m : null;
+    } catch { return null; }
+    finally { fs.closeSync(fd); }
+  }
+}
+
+module.exports = { RecordingStore };
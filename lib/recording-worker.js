@@ -0,0 +1,26 @@
+/**
+ * BehaviorGuard — Recording Analysis Worker
+ *
+ * Electron utility process that runs lib/recording.js analyze(). An hour of
+ * recording takes many seconds to score, which the main process cannot
+ * spend while it runs the input hook and the lock screen. Receives one
+ * message { file, profile, sensitivity, classifier, model } and answers
+ * { result } (analyze()'s result plus the file's meta and skipped lines)
+ * or { error }.
+ */
+'use strict';
+
+const fs = require('fs');
+const { parseRecording, analyze } = require('./recording');
+const { createDetectors } = require('./bot-detect');
+
+process.parentPort.once('message', ({ data }) => {
+  try {
+    const { meta, events, skipped } = parseRecording(fs.readFileSync(data.file, 'utf8'));
+    const botDetectors = createDetectors({ classifier:data.classifier, model:data.model });
+    const result = analyze(events, { profile:data.profile, sensitivity:data.sensitivity, botDetectors });
+    process.parentPort.postMessage({ result:{ ...result, meta, skipped } });
+  } catch (err) {
+    process.parentPort.postMessage({ error:err.message });
+  }
+});
@@ -0,0 +1,134 @@
+/**
+ * BehaviorGuard — Session Recording
+ *
+ * Recording mode writes the raw input events the engine receives so a
+ * session can be scored again later ("why did it lock me at 3pm?"). A
+ * recording is a tools/replay.js event stream: one event per line with its
+ * millisecond timestamp `t`, each file led by a `{"type":"meta"}` line that
+ * the engine ignores apart from its `ctx`. In private recordings keycodes
+ * are replaced by a code for the key's class (keyClass); such a stream keeps
+ * hold and flight times but no text, so key-specific features (digraphs,
+ * n-graphs) cannot match a profile trained on real keys, and two keys of one
+ * class held at once read as one.
+ */
+'use strict';
+
+const { BehaviorEngine } = require('./engine');
+const { Downsampler } = require('./timeseries');
+const { topFactors } = require('./explain');
+
+const INPUT_TYPES = ['keydown', 'keyup', 'mousemove', 'click', 'wheel'];
+const SYNTHETIC_KINDS = ['injected', 'pairing'];
+const MAX_POINTS = 1500;
+
+// uiohook keycodes (scan codes, layout independent) by class. Letters and digits are
+// split by hand and row, so a private recording keeps the rhythm of alternating hands.
+const KEY_CLASSES = {
+  'digit-left':[2, 3, 4, 5, 6],        'digit-right':[7, 8, 9, 10, 11],
+  'top-left':[16, 17, 18, 19, 20],     'top-right':[21, 22, 23, 24, 25],
+  'home-left':[30, 31, 32, 33, 34],    'home-right':[35, 36, 37, 38],
+  'bottom-left':[44, 45, 46, 47, 48],  'bottom-right':[49, 50],
+  punctuation:[12, 13, 26, 27, 39, 40, 41, 43, 51, 52, 53],
+  space:[57], enter:[28, 3612], backspace:[14], delete:[3667], tab:[15], escape:[1],
+  modifier:[29, 3613, 42, 54, 56, 3640, 3675, 3676, 58],
+  function:[59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87, 88],
+  navigation:[3655, 3657, 3663, 3665, 3666, 57416, 57419, 57421, 57424],
+  numpad:[55, 69, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 3637],
+};
+const CLASS_OF = new Map(Object.entries(KEY_CLASSES).flatMap(([c, kcs]) => kcs.map(kc => [kc, c])));
+
+function keyClass(kc) { return CLASS_OF.get(kc) || 'other'; }
+
+/**
+ * Recording line for one event as the engine receives it. With `classCode(name)` keycodes
+ * become the code of their class; `ctx` is added when given. Null for other event types.
+ */
+function recordEvent(ev, t, { classCode = null, ctx = null } = {}) {
+  const out = { type:ev.type, t };
+  switch (ev.type) {
+    case 'keydown': case 'keyup': out.keycode = classCode ? classCode(keyClass(ev.keycode)) : ev.keycode; break;
+    case 'mousemove': out.x = ev.x; out.y = ev.y; break;
+    case 'click':     out.x = ev.x; out.y = ev.y; out.button = ev.button; break;
+    case 'wheel':     out.rotation = ev.rotation; break;
+    default: return null;
+  }
+  if (ev.injected) out.injected = true;
+  if (ctx) out.ctx = ctx;
+  return out;
+}
+
+/**
+ * { meta, events, skipped } of a recording file's text. `events` keeps the meta lines
+ * (their `ctx` applies); lines that do not parse, as after a crash mid-write, are skipped.
+ */
+function parseRecording(text) {
+  let meta = null, skipped = 0;
+  const events = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    let ev;
+    try { ev = JSON.parse(line); } catch { skipped++; continue; }
+    if (!ev || !Number.isFinite(ev.t)) { skipped++; continue; }
+    if (ev.type === 'meta' && !meta) meta = ev;
+    events.push(ev);
+  }
+  return { meta, events, skipped };
+}
+
+/**
+ * Score a recording against `profile` (plain profile JSON, left untouched), with an
+ * analysis cycle every `interval` ms of recording time as in the live loop. Returns
+ * { from, to, bucketMs, points, alerts, summary }: `points` are lib/timeseries.js points
+ * of `bucketMs` (at most MAX_POINTS), `alerts` { ts, type, severity, msg } as the cycles
+ * would have raised them.
+ */
+function analyze(events, { profile, interval = 3000, sensitivity = 'medium', botDetectors } = {}) {
+  if (!profile) throw new Error('No profile to score against');
+  const evs = events.filter(e => Number.isFinite(e?.t)).sort((a, b) => a.t - b.t);
+  const input = evs.filter(e => INPUT_TYPES.includes(e.type)).length;
+  if (!input) throw new Error('The recording holds no input events');
+
+  const from = evs[0].t, to = evs[evs.length - 1].t + interval;
+  const bucketMs = Math.max(interval, Math.ceil((to - from) / MAX_POINTS / interval) * interval);
+  let now = from;
+  const engine = new BehaviorEngine({ clock:() => now, sensitivity, botDetectors });
+  engine.loadProfile(JSON.parse(JSON.stringify(profile)));
+
+  const points = [], alerts = [], sampler = new Downsampler(p => points.push(p), bucketMs);
+  const summary = { events:input, cycles:0, scored:0, mean:null, min:null, bot:0, replay:0, anomaly:0 };
+  let sum = 0;
+  const cycle = () => {
+    const r = engine.evaluate();
+    summary.cycles++;
+    if (r.training || r.trustScore === null) return;
+    const score = r.trustScore, { bot, replay, anomaly } = r;
+    summary.scored++; sum += score;
+    summary.min = summary.min === null ? score : Math.min(summary.min, score);
+    sampler.add({ trustScore:score, botScore:bot.confidence, identity:r.identity, ksFeats:r.ksFeats, mouseFeats:r.mouseFeats, clickFeats:r.clickFeats }, now);
+    if (bot.isBot) { summary.bot++; alerts.push({ ts:now, type:'bot', severity:'critical', msg:`Bot activity: ${bot.reason}` }); }
+    if (replay.isReplay) {
+      summary.replay++;
+      alerts.push({ ts:now, type:'replay', severity:'high', msg:`${SYNTHETIC_KINDS.includes(replay.kind) ? 'Synthetic input' : 'Replay attack'}: ${replay.reason}` });
+    }
+    if (anomaly) {
+      const why = topFactors(r.explanation.trust);
+      summary.anomaly++;
+      alerts.push({ ts:now, type:'anomaly', severity:anomaly.severity, msg:`Trust score fell to ${Math.round(score)}%${why ? ` (${why})` : ''}` });
+    }
+  };
+
+  let next = from + interval;
+  for (const ev of evs) {
+    while (ev.t >= next) { now = next; cycle(); next += interval; }
+    now = ev.t;
+    engine.ingest(ev);
+  }
+  now = next; cycle();
+  sampler.flush();
+
+  if (summary.scored) summary.mean = Math.round(sum / summary.scored * 10) / 10;
+  if (summary.min !== null) summary.min = Math.round(summary.min * 10) / 10;
+  return { from, to, bucketMs, points, alerts, summary };
+}
+
+module.exports = { INPUT_TYPES, KEY_CLASSES, keyClass, recordEvent, parseRecording, analyze };
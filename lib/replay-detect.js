@@ -0,0 +1,224 @@
+/**
+ * BehaviorGuard — Replay & Synthetic Input Detection
+ *
+ * Replays: live keystroke and pointer runs are fingerprinted (timing of a
+ * fixed-length window, keyed by an HMAC of the key sequence or the coarse
+ * displacement of the path) and kept in a rolling SequenceStore. A
+ * new run whose timings sit within a few milliseconds of a stored run with
+ * the same key — closer than a person ever repeats themselves, but loose
+ * enough to survive added jitter — is a replay.
+ *
+ * Injection: keyup/keydown pairing that hands do not produce (releases
+ * within a few ms of the press, releases without a press, no rollover at
+ * speed) and events the input hook reports as injected.
+ *
+ * Key codes never enter the store, only their HMAC-SHA-256 (truncated to
+ * 128 bits) under a key the host passes in, the data key in the desktop
+ * app, or else under the store's random salt. The web demo has no synchronous
+ * HMAC and uses a salted non-cryptographic hash instead.
+ */
+'use strict';
+
+// Node's crypto in the main process and tools. The web demo bundles this file as-is: the
+// browser has WebCrypto randomness but no synchronous HMAC, hence _hashJs below.
+const nodeCrypto = globalThis.process?.versions?.node ? require('crypto') : null;
+
+const STORE_VERSION = 2;
+const KEY_WINDOW = 16, KEY_STRIDE = 8, KEY_MIN_DISTINCT = 4, KEY_MAX_GAP = 2000;
+const MOUSE_WINDOW = 24, MOUSE_STRIDE = 8, MOUSE_MIN_PATH = 150, MOUSE_CELL = 16;
+// Largest median / 90th-percentile timing difference (ms) still counted as the same run.
+// Two takes of the same text by one person differ by ~20 ms per interval.
+const TIMING_TOL = { median:8, p90:25 };
+// px, per-step displacement difference. Pointer timing is paced by the device's polling rate, so
+// the path has to carry the match: at least half of the steps must be exact.
+const STEP_TOL = { median:0, p90:2 };
+const MAX_ENTRIES = 4000;
+const MAX_PER_KEY = 8;
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+const INSTANT_DWELL = 10;               // ms; no finger releases a key this fast
+const PAIRING_LOG = 200;
+const PAIRING_MIN = 20;
+const ROLLOVER_MIN = 100, ROLLOVER_FAST_IV = 110;
+
+const MAC_HEX = 32;
+
+function _salt() {
+  const b = nodeCrypto ? nodeCrypto.randomBytes(32) : globalThis.crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+}
+
+function _mac(key, text) {
+  return nodeCrypto ? nodeCrypto.createHmac('sha256', key).update(text).digest('hex').slice(0, MAC_HEX) : _hashJs(key, text);
+}
+
+// Web demo only: FNV-1a over key and text in four differently seeded 32-bit lanes. It tells
+// key sequences apart but hides nothing; the demo's store never leaves the page's storage.
+function _hashJs(key, text) {
+  const enc = new TextEncoder();
+  const bytes = [...(typeof key === 'string' ? enc.encode(key) : key), 0, ...enc.encode(text)];
+  let out = '';
+  for (let lane = 0; lane < MAC_HEX / 8; lane++) {
+    let h = (0x811c9dc5 ^ Math.imul(lane + 1, 0x9e3779b9)) >>> 0;
+    for (const b of bytes) h = Math.imul(h ^ b, 0x01000193) >>> 0;
+    out += h.toString(16).padStart(8, '0');
+  }
+  return out;
+}
+
+function _pct(sorted, p) { return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]; }
+
+function _closeTimings(a, b) {
+  if (a.length !== b.length) return false;
+  const d = a.map((x, i) => Math.abs(x - b[i])).sort((x, y) => x - y);
+  return _pct(d, 0.5) <= TIMING_TOL.median && _pct(d, 0.9) <= TIMING_TOL.p90;
+}
+
+// ═════════════════════════════════════════════════════════════
+// FINGERPRINTS
+// ═════════════════════════════════════════════════════════════
+/**
+ * Keystroke run → { keys:[mac], timings:[intervals…, dwells…], t } or null.
+ * `events` are engine keystrokes ({ kc, dwell, ts }), oldest first; `mac` is the store's.
+ */
+function keyFingerprint(events, mac) {
+  if (events.length < KEY_WINDOW) return null;
+  const w = events.slice(-KEY_WINDOW);
+  if (new Set(w.map(e => e.kc)).size < KEY_MIN_DISTINCT) return null;
+  const iv = [];
+  for (let i = 1; i < w.length; i++) {
+    const d = w[i].ts - w[i - 1].ts;
+    if (d <= 0 || d > KEY_MAX_GAP) return null;
+    iv.push(d);
+  }
+  return { kind:'keys', keys:[mac(w.map(e => e.kc).join(','))], timings:iv.concat(w.map(e => e.dwell)), t0:w[0].ts, t:w[w.length - 1].ts };
+}
+
+/**
+ * Pointer run → { keys:[cell hashes], timings:[dt…], steps:[dx, dy, …], t } or null.
+ * Paths are compared by their shape, so a replay moved elsewhere on screen still matches;
+ * the 3×3 neighbourhood of the displacement cell absorbs jitter at cell edges.
+ */
+function mouseFingerprint(moves) {
+  if (moves.length < MOUSE_WINDOW + 1) return null;
+  const w = moves.slice(-(MOUSE_WINDOW + 1)), dt = [], steps = [];
+  let path = 0;
+  for (let i = 1; i < w.length; i++) {
+    const d = w[i].t - w[i - 1].t, dx = w[i].x - w[i - 1].x, dy = w[i].y - w[i - 1].y;
+    if (d <= 0 || d > 500) return null;
+    dt.push(d); steps.push(dx, dy); path += Math.hypot(dx, dy);
+  }
+  if (path < MOUSE_MIN_PATH) return null;
+  const cx = Math.round((w[w.length - 1].x - w[0].x) / MOUSE_CELL), cy = Math.round((w[w.length - 1].y - w[0].y) / MOUSE_CELL);
+  const keys = [];
+  for (let i = -1; i <= 1; i++) for (let j = -1; j <= 1; j++) keys.push(`m${cx + i},${cy + j}`);
+  return { kind:'mouse', keys, primary:`m${cx},${cy}`, timings:dt, steps, t0:w[0].t, t:w[w.length - 1].t };
+}
+
+function _sameRun(fp, e) {
+  if (!_closeTimings(fp.timings, e.timings)) return false;
+  if (fp.kind !== 'mouse') return true;
+  const d = fp.steps.map((x, i) => Math.abs(x - e.steps[i])).sort((x, y) => x - y);
+  return _pct(d, 0.5) <= STEP_TOL.median && _pct(d, 0.9) <= STEP_TOL.p90;
+}
+
+// ═════════════════════════════════════════════════════════════
+// STORE
+// ═════════════════════════════════════════════════════════════
+/**
+ * Rolling store of past runs. `state` is a previous toJSON() result (or null; a store
+ * from an older version starts over). Key sequences are MACed with `key` when given,
+ * else with the stored salt; load a store with the key it was written with.
+ */
+class SequenceStore {
+  constructor(state, key = null) {
+    const ok = state && state.v === STORE_VERSION && typeof state.salt === 'string';
+    this.salt = ok ? state.salt : _salt();
+    this.key = key || this.salt;
+    this.entries = new Map(ok ? state.entries : []);   // key → [{ t, timings, steps? }]
+    this.order = ok ? state.order.slice() : [];         // [key, t] oldest first, for eviction
+  }
+
+  get size() { return this.order.length; }
+
+  /** Truncated HMAC-SHA-256 of a key sequence, as stored (a plain hash in the web demo). */
+  mac(text) { return _mac(this.key, text); }
+
+  /**
+   * Stored run the fingerprint repeats ({ t, age }), or null. Every window is checked but only
+   * every stride-th is stored (`store`), so a replay of KEY_WINDOW + KEY_STRIDE keys always
+   * contains a window aligned with a stored one.
+   */
+  check(fp, store = true) {
+    let match = null;
+    for (const key of fp.keys) {
+      for (const e of this.entries.get(key) || []) {
+        if (e.t >= fp.t0) continue;   // overlaps the run itself
+        if (_sameRun(fp, e) && (!match || e.t > match.t)) match = e;
+      }
+    }
+    if (store) this._add(fp.primary || fp.keys[0], fp.kind === 'mouse' ? { t:fp.t, timings:fp.timings, steps:fp.steps } : { t:fp.t, timings:fp.timings });
+    return match ? { t:match.t, age:fp.t - match.t } : null;
+  }
+
+  prune(now) {
+    while (this.order.length && (this.order.length > MAX_ENTRIES || this.order[0][1] < now - MAX_AGE)) {
+      const [key, t] = this.order.shift(), list = this.entries.get(key);
+      if (!list) continue;
+      const i = list.findIndex(e => e.t === t);
+      if (i >= 0) list.splice(i, 1);
+      if (!list.length) this.entries.delete(key);
+    }
+  }
+
+  toJSON() { return { v:STORE_VERSION, salt:this.salt, entries:[...this.entries], order:this.order }; }
+
+  _add(key, entry) {
+    const list = this.entries.get(key) || [];
+    list.push(entry);
+    if (list.length > MAX_PER_KEY) {
+      const old = list.shift();
+      const i = this.order.findIndex(([k, t]) => k === key && t === old.t);
+      if (i >= 0) this.order.splice(i, 1);
+    }
+    this.entries.set(key, list);
+    this.order.push([key, entry.t]);
+    this.prune(entry.t);
+  }
+}
+
+/** "Keystroke timing repeats a run from 3 min ago". */
+function matchReason(kind, age) {
+  const s = Math.round(age / 1000);
+  const ago = s < 90 ? `${s} s` : s < 5400 ? `${Math.round(s / 60)} min` : s < 129600 ? `${Math.round(s / 3600)} h` : `${Math.round(s / 86400)} days`;
+  return `${kind === 'mouse' ? 'Pointer path' : 'Keystroke timing'} repeats a run from ${ago} ago`;
+}
+
+// ═════════════════════════════════════════════════════════════
+// INJECTION
+// ═════════════════════════════════════════════════════════════
+/**
+ * Pairing log entries (see the engine's key handlers):
+ *   { t, down:true, overlap, injected }   a press; overlap = another key was still held
+ *   { t, down:false, orphan, instant, injected }   a release
+ *   { t, injected:true }   an injected pointer event
+ * Returns { reason, kind } for the first rule that fires, or null.
+ */
+function pairingVerdict(log, medIv) {
+  const downs = log.filter(e => e.down === true), ups = log.filter(e => e.down === false);
+  const injected = log.filter(e => e.injected).length;
+  if (injected >= 3) return { kind:'injected', reason:`${injected} events reported as injected by the input hook` };
+  if (ups.length >= PAIRING_MIN) {
+    const instant = ups.filter(e => e.instant).length, orphan = ups.filter(e => e.orphan).length;
+    if (instant / ups.length >= 0.5) return { kind:'pairing', reason:`${Math.round(instant / ups.length * 100)}% of keys released within ${INSTANT_DWELL} ms of the press` };
+    if (orphan / ups.length >= 0.3) return { kind:'pairing', reason:`${orphan} key releases without a matching press` };
+  }
+  if (downs.length >= ROLLOVER_MIN && medIv > 0 && medIv < ROLLOVER_FAST_IV && !downs.some(e => e.overlap))
+    return { kind:'pairing', reason:`No key rollover in ${downs.length} keys at ${Math.round(60000 / medIv / 5)} WPM` };
+  return null;
+}
+
+module.exports = {
+  KEY_WINDOW, KEY_STRIDE, MOUSE_WINDOW, MOUSE_STRIDE, TIMING_TOL, INSTANT_DWELL, PAIRING_LOG,
+  keyFingerprint, mouseFingerprint, SequenceStore, matchReason, pairingVerdict,
+};
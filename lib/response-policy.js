@@ -0,0 +1,138 @@
+/**
+ * BehaviorGuard — Graduated Response Policy
+ *
+ * Decides how to react to a falling trust score, in stages of increasing
+ * disruption:
+ *   stepup    type a short phrase (lib/fixed-text.js); the keystrokes are scored against the profile
+ *   password  re-enter the password in a small prompt
+ *   lock      full lock screen
+ *
+ * The score is smoothed (EMA) and each stage is a Schmitt trigger: it arms
+ * when the smoothed score drops below `enter` and re-arms only after the
+ * score has recovered above `exit`, so a score hovering at a threshold
+ * fires the stage once instead of every cycle. A stage that fires again
+ * within its `cooldown` escalates to the next one, as does a failed,
+ * abandoned or timed-out challenge. Passing a stage grants `grace` during
+ * which it and the stages below it stay quiet.
+ */
+'use strict';
+
+const STAGES = ['stepup', 'password', 'lock'];
+const MIN = 60 * 1000;
+
+// Times in ms. `timeout` = how long a challenge may stay unanswered; `pass` = step-up typing trust needed.
+const DEFAULT_POLICY = {
+  smoothing: 0.5,
+  stepup:   { enabled:true, enter:45, exit:60, cooldown:10 * MIN, grace:15 * MIN, timeout:60 * 1000, attempts:2, pass:55 },
+  password: { enabled:true, enter:30, exit:50, cooldown:10 * MIN, grace:30 * MIN, timeout:120 * 1000, attempts:3 },
+  lock:     { enabled:true, enter:15, exit:40, cooldown:0,        grace:30 * MIN },
+};
+
+const RANGES = {
+  enter:[0, 100], exit:[0, 100], pass:[0, 100], attempts:[1, 10],
+  cooldown:[0, 24 * 60 * MIN], grace:[0, 24 * 60 * MIN], timeout:[10 * 1000, 10 * MIN],
+};
+
+const _num = (x, lo, hi, d) => Number.isFinite(Number(x)) ? Math.max(lo, Math.min(hi, Number(x))) : d;
+
+/** Policy with every field present and in range; unknown fields are dropped. */
+function normalizePolicy(p) {
+  const out = { smoothing:_num(p?.smoothing, 0.05, 1, DEFAULT_POLICY.smoothing) };
+  for (const s of STAGES) {
+    const d = DEFAULT_POLICY[s], c = p?.[s] || {}, st = {};
+    for (const [k, v] of Object.entries(d))
+      st[k] = k === 'enabled' ? (c.enabled === undefined ? v : !!c.enabled) : _num(c[k], RANGES[k][0], RANGES[k][1], v);
+    if (st.exit <= st.enter) st.exit = Math.min(100, st.enter + 5);
+    out[s] = st;
+  }
+  return out;
+}
+
+class ResponsePolicy {
+  constructor(policy) {
+    this.configure(policy);
+    this.reset();
+  }
+
+  configure(policy) { this.policy = normalizePolicy(policy); }
+
+  reset() {
+    this.ema = null;
+    this.armed = Object.fromEntries(STAGES.map(s => [s, false]));
+    this.lastFired = {};
+    this.graceUntil = {};
+    this.pending = null;   // { stage, since, expires }
+  }
+
+  /**
+   * Feed one trust score. Returns the stage to start now ({ stage, reason }) or null.
+   * While a challenge is pending only a more severe stage can take over.
+   */
+  update(score, now = Date.now()) {
+    if (!Number.isFinite(score)) return null;
+    const P = this.policy;
+    this.ema = this.ema === null ? score : this.ema + P.smoothing * (score - this.ema);
+    const fresh = [];
+    for (const s of STAGES) {
+      if (this.armed[s] && this.ema >= P[s].exit) this.armed[s] = false;
+      else if (!this.armed[s] && this.ema < P[s].enter) { this.armed[s] = true; fresh.push(s); }
+    }
+    const floor = this.pending ? STAGES.indexOf(this.pending.stage) : -1;
+    for (const s of fresh.reverse()) {
+      if (STAGES.indexOf(s) <= floor) break;
+      const act = this._start(s, now, `trust ${Math.round(this.ema)}% fell below ${P[s].enter}%`);
+      if (act) return act;
+    }
+    return null;
+  }
+
+  /** Pending challenge past its timeout → the next stage ({ stage, reason }) or null. */
+  expire(now = Date.now()) {
+    const p = this.pending;
+    if (!p || !p.expires || now < p.expires) return null;
+    return this.resolve(p.stage, false, now, 'timed out');
+  }
+
+  /**
+   * Outcome of the pending stage. Success grants grace to it and every stage below;
+   * failure returns the next stage to start (or null after the last).
+   */
+  resolve(stage, ok, now = Date.now(), why = 'failed') {
+    if (!this.pending || this.pending.stage !== stage) return null;
+    this.pending = null;
+    const i = STAGES.indexOf(stage);
+    if (ok) {
+      for (const s of STAGES.slice(0, i + 1)) this.graceUntil[s] = Math.max(this.graceUntil[s] || 0, now + this.policy[stage].grace);
+      this.ema = null;
+      return null;
+    }
+    for (let j = i + 1; j < STAGES.length; j++) {
+      const act = this._start(STAGES[j], now, `${stage} challenge ${why}`, true);
+      if (act) return act;
+    }
+    return null;
+  }
+
+  status(now = Date.now()) {
+    return {
+      ema: this.ema === null ? null : Math.round(this.ema * 10) / 10,
+      armed: { ...this.armed },
+      pending: this.pending ? { ...this.pending } : null,
+      grace: Object.fromEntries(STAGES.map(s => [s, Math.max(0, (this.graceUntil[s] || 0) - now)])),
+    };
+  }
+
+  // `force` skips grace: an escalation after a failure must not be absorbed by an earlier pass.
+  _start(stage, now, reason, force = false) {
+    const c = this.policy[stage], i = STAGES.indexOf(stage);
+    if (!c.enabled) return null;
+    if (!force && now < (this.graceUntil[stage] || 0)) return null;
+    if (this.lastFired[stage] && now - this.lastFired[stage] < c.cooldown && i < STAGES.length - 1)
+      return this._start(STAGES[i + 1], now, `${reason}; ${stage} repeated within cooldown`, force);
+    this.lastFired[stage] = now;
+    this.pending = { stage, since:now, expires:c.timeout ? now + c.timeout : null };
+    return { stage, reason };
+  }
+}
+
+module.exports = { STAGES, DEFAULT_POLICY, normalizePolicy, ResponsePolicy };
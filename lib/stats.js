@@ -0,0 +1,89 @@
+/**
+ * BehaviorGuard — Statistics helpers
+ *
+ * Pure numeric helpers shared by the engine and the baseline model.
+ */
+'use strict';
+
+function mean(a)   { return a.length ? a.reduce((s,x)=>s+x,0)/a.length : 0; }
+function std(a)    { const m=mean(a); return a.length?Math.sqrt(mean(a.map(x=>(x-m)**2))):0; }
+function median(a) { if(!a.length)return 0; const s=[...a].sort((x,y)=>x-y),m=Math.floor(s.length/2); return s.length%2?s[m]:(s[m-1]+s[m])/2; }
+function mad(a)    { const m=median(a); return median(a.map(x=>Math.abs(x-m)))*1.4826; }
+function pct(a,p)  { if(!a.length)return 0; const s=[...a].sort((x,y)=>x-y); const i=(p/100)*(s.length-1); const lo=Math.floor(i); return s[lo]*(1-(i%1))+(s[Math.ceil(i)]||s[lo])*(i%1); }
+function iqr(a)    { return pct(a,75)-pct(a,25); }
+
+// ── Linear algebra (small dense matrices) ─────────────────────
+/** Gauss-Jordan inverse with partial pivoting. Returns null for singular input. */
+function invert(m) {
+  const n=m.length, a=m.map((row,i)=>[...row,...Array.from({length:n},(_,j)=>i===j?1:0)]);
+  for(let c=0;c<n;c++){
+    let p=c;
+    for(let r=c+1;r<n;r++)if(Math.abs(a[r][c])>Math.abs(a[p][c]))p=r;
+    if(Math.abs(a[p][c])<1e-12)return null;
+    [a[c],a[p]]=[a[p],a[c]];
+    const d=a[c][c];
+    for(let j=0;j<2*n;j++)a[c][j]/=d;
+    for(let r=0;r<n;r++){
+      if(r===c)continue;
+      const f=a[r][c];
+      if(f)for(let j=0;j<2*n;j++)a[r][j]-=f*a[c][j];
+    }
+  }
+  return a.map(row=>row.slice(n));
+}
+
+/** x' M x */
+function quadForm(x, m) {
+  let s=0;
+  for(let i=0;i<x.length;i++)for(let j=0;j<x.length;j++)s+=x[i]*m[i][j]*x[j];
+  return s;
+}
+
+// ── Distributions ─────────────────────────────────────────────
+function _lnGamma(z) {
+  const g=[76.18009172947146,-86.50532032941677,24.01409824083091,-1.231739572450155,0.1208650973866179e-2,-0.5395239384953e-5];
+  let x=z,y=z,tmp=x+5.5; tmp-=(x+0.5)*Math.log(tmp);
+  let ser=1.000000000190015;
+  for(const c of g)ser+=c/++y;
+  return -tmp+Math.log(2.5066282746310005*ser/x);
+}
+
+/** Regularized lower incomplete gamma P(a, x). */
+function gammaP(a, x) {
+  if(x<=0)return 0;
+  const gln=_lnGamma(a);
+  if(x<a+1){
+    let ap=a,sum=1/a,del=sum;
+    for(let n=0;n<200;n++){ap++;del*=x/ap;sum+=del;if(Math.abs(del)<Math.abs(sum)*1e-12)break;}
+    return sum*Math.exp(-x+a*Math.log(x)-gln);
+  }
+  let b=x+1-a,c=1/1e-300,d=1/b,h=d;
+  for(let i=1;i<200;i++){
+    const an=-i*(i-a); b+=2;
+    d=an*d+b; if(Math.abs(d)<1e-300)d=1e-300;
+    c=b+an/c; if(Math.abs(c)<1e-300)c=1e-300;
+    d=1/d; const del=d*c; h*=del;
+    if(Math.abs(del-1)<1e-12)break;
+  }
+  return 1-Math.exp(-x+a*Math.log(x)-gln)*h;
+}
+
+/** Survival function of the chi-squared distribution with k degrees of freedom. */
+function chi2Sf(x, k) { return Math.max(0, 1-gammaP(k/2, x/2)); }
+
+/** Wilson-Hilferty approximation of the chi-squared median. */
+function chi2Median(k) { return k*(1-2/(9*k))**3; }
+
+// ── Seeded PRNG (reproducible calibration) ────────────────────
+function mulberry32(seed) {
+  let a=seed>>>0;
+  return ()=>{a=(a+0x6D2B79F5)>>>0;let t=a;t=Math.imul(t^(t>>>15),t|1);t^=t+Math.imul(t^(t>>>7),t|61);return((t^(t>>>14))>>>0)/4294967296;};
+}
+
+/** Standard normal draw from a uniform source (Box-Muller). */
+function gaussian(rand) {
+  const u=1-rand(),v=rand();
+  return Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v);
+}
+
+module.exports = { mean, std, median, mad, pct, iqr, invert, quadForm, gammaP, chi2Sf, chi2Median, mulberry32, gaussian };
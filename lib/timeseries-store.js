@@ -0,0 +1,97 @@
+/**
+ * BehaviorGuard — Time Series Store
+ *
+ * Append-only history for the desktop app: one JSONL file per UTC day
+ * (`YYYY-MM-DD.jsonl`) holding the per-minute points of lib/timeseries.js.
+ * While `seal()` is true (privacyMode on) each line is sealed with
+ * AES-256-GCM as `enc:<base64 iv|tag|data>`; plain and sealed lines may
+ * mix in one file. Files older than the retention window are deleted.
+ * Main process only: uses Node's fs and crypto.
+ */
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const ENC = 'enc:';
+
+const _day = t => new Date(t).toISOString().slice(0, 10);
+
+class TimeSeriesStore {
+  /**
+   * @param {object}   opts
+   * @param {string}   opts.dir            directory for the day files (created on demand)
+   * @param {Function} opts.key            returns the 32-byte data key, or null while it is unavailable
+   * @param {Function} [opts.seal]         whether new lines are sealed
+   * @param {number}   [opts.retentionDays]
+   */
+  constructor({ dir, key, seal = () => true, retentionDays = 30 }) {
+    this.dir = dir;
+    this.key = key;
+    this.seal = seal;
+    this.retentionDays = retentionDays;
+    this.unreadable = 0;   // lines skipped by the last query (sealed with a key no longer available)
+  }
+
+  append(point) {
+    fs.mkdirSync(this.dir, { recursive:true, mode:0o700 });
+    fs.appendFileSync(path.join(this.dir, `${_day(point.t)}.jsonl`), this._encode(point) + '\n', { mode:0o600 });
+  }
+
+  /** Points with from <= t < to, oldest first. */
+  query(from, to) {
+    const out = [];
+    this.unreadable = 0;
+    for (const day of this._days()) {
+      const start = Date.parse(day);
+      if (start + DAY_MS <= from || start >= to) continue;
+      for (const line of fs.readFileSync(path.join(this.dir, `${day}.jsonl`), 'utf8').split('\n')) {
+        if (!line) continue;
+        const p = this._decode(line);
+        if (!p) { this.unreadable++; continue; }
+        if (p.t >= from && p.t < to) out.push(p);
+      }
+    }
+    return out.sort((a, b) => a.t - b.t);
+  }
+
+  /** Delete day files entirely outside the retention window. */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    for (const day of this._days())
+      if (Date.parse(day) + DAY_MS <= cutoff) fs.rmSync(path.join(this.dir, `${day}.jsonl`), { force:true });
+  }
+
+  clear() { fs.rmSync(this.dir, { recursive:true, force:true }); }
+
+  _days() {
+    let names;
+    try { names = fs.readdirSync(this.dir); } catch { return []; }
+    return names.map(n => FILE_RE.exec(n)?.[1]).filter(Boolean).sort();
+  }
+
+  _encode(point) {
+    const json = JSON.stringify(point), key = this.seal() ? this.key() : null;
+    if (!key) return json;
+    const iv = crypto.randomBytes(12), c = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([c.update(json, 'utf8'), c.final()]);
+    return ENC + Buffer.concat([iv, c.getAuthTag(), data]).toString('base64');
+  }
+
+  _decode(line) {
+    try {
+      if (!line.startsWith(ENC)) return JSON.parse(line);
+      const key = this.key();
+      if (!key) return null;
+      const raw = Buffer.from(line.slice(ENC.length), 'base64');
+      const d = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+      d.setAuthTag(raw.subarray(12, 28));
+      return JSON.parse(Buffer.concat([d.update(raw.subarray(28)), d.final()]).toString('utf8'));
+    } catch { return null; }
+  }
+}
+
+module.exports = { TimeSeriesStore };
@@ -0,0 +1,97 @@
+/**
+ * BehaviorGuard — Trust Time Series
+ *
+ * Scored cycles arrive every few seconds; the history keeps one point per
+ * minute: the trust score (mean, min, max), the highest bot score, the
+ * identified user and the mean of a few key features. Queries re-bucket
+ * those points to any coarser step. Storage is up to the host (see
+ * lib/timeseries-store.js for the desktop app, web/bridge.js for the demo).
+ */
+'use strict';
+
+const POINT_MS = 60 * 1000;
+
+// point field → [risk-update feature group, feature]
+const FEATURES = {
+  wpm:     ['ksFeats', 'wpm'],
+  dwell:   ['ksFeats', 'medDwell'],
+  flight:  ['ksFeats', 'medFlight'],
+  vel:     ['mouseFeats', 'avgVel'],
+  entropy: ['mouseFeats', 'entropy'],
+  cpm:     ['clickFeats', 'cpm'],
+};
+const COLUMNS = ['t', 'n', 'trust', 'trustMin', 'trustMax', 'bot', 'user', ...Object.keys(FEATURES)];
+
+const _round = (x, d = 2) => Math.round(x * 10 ** d) / 10 ** d;
+
+/** Folds risk updates into per-minute points; `onPoint` gets each finished minute. */
+class Downsampler {
+  constructor(onPoint, step = POINT_MS) {
+    this.onPoint = onPoint;
+    this.step = step;
+    this.cur = null;
+  }
+
+  add(risk, t = Date.now()) {
+    if (risk?.trustScore === null || risk?.trustScore === undefined) return;
+    const slot = Math.floor(t / this.step) * this.step;
+    if (this.cur && this.cur.t !== slot) this.flush();
+    const c = this.cur = this.cur || { t:slot, n:0, sum:0, min:Infinity, max:-Infinity, bot:0, users:{}, feats:{} };
+    c.n++; c.sum += risk.trustScore;
+    c.min = Math.min(c.min, risk.trustScore); c.max = Math.max(c.max, risk.trustScore);
+    c.bot = Math.max(c.bot, risk.botScore || 0);
+    const uid = risk.identity?.known ? risk.identity.id : null;
+    if (uid) c.users[uid] = (c.users[uid] || 0) + 1;
+    for (const [k, [group, f]] of Object.entries(FEATURES)) {
+      const v = risk[group]?.[f];
+      if (!Number.isFinite(v)) continue;
+      const a = c.feats[k] = c.feats[k] || { sum:0, n:0 };
+      a.sum += v; a.n++;
+    }
+  }
+
+  flush() {
+    const c = this.cur;
+    if (!c) return null;
+    this.cur = null;
+    const user = Object.entries(c.users).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    const p = { t:c.t, n:c.n, trust:_round(c.sum / c.n), trustMin:_round(c.min), trustMax:_round(c.max), bot:Math.round(c.bot), user };
+    for (const [k, a] of Object.entries(c.feats)) p[k] = _round(a.sum / a.n);
+    this.onPoint(p);
+    return p;
+  }
+}
+
+/** Merge points into `size`-ms buckets, weighting means by cycle count. */
+function bucket(points, size) {
+  if (!size || size <= POINT_MS) return points;
+  const out = new Map();
+  for (const p of points) {
+    const t = Math.floor(p.t / size) * size;
+    const b = out.get(t) || { t, n:0, trust:0, trustMin:Infinity, trustMax:-Infinity, bot:0, users:{}, feats:{} };
+    b.trust += p.trust * p.n; b.n += p.n;
+    b.trustMin = Math.min(b.trustMin, p.trustMin); b.trustMax = Math.max(b.trustMax, p.trustMax);
+    b.bot = Math.max(b.bot, p.bot);
+    if (p.user) b.users[p.user] = (b.users[p.user] || 0) + p.n;
+    for (const k of Object.keys(FEATURES)) {
+      if (p[k] === undefined) continue;
+      const a = b.feats[k] = b.feats[k] || { sum:0, n:0 };
+      a.sum += p[k] * p.n; a.n += p.n;
+    }
+    out.set(t, b);
+  }
+  return [...out.values()].sort((a, b) => a.t - b.t).map(b => {
+    const p = { t:b.t, n:b.n, trust:_round(b.trust / b.n), trustMin:b.trustMin, trustMax:b.trustMax, bot:b.bot,
+                user:Object.entries(b.users).sort((x, y) => y[1] - x[1])[0]?.[0] || null };
+    for (const [k, a] of Object.entries(b.feats)) p[k] = _round(a.sum / a.n);
+    return p;
+  });
+}
+
+function toCSV(points) {
+  const cell = v => v === null || v === undefined ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return ['time', ...COLUMNS].join(',') + '\n' +
+    points.map(p => [new Date(p.t).toISOString(), ...COLUMNS.map(c => p[c])].map(cell).join(',')).join('\n') + '\n';
+}
+
+module.exports = { POINT_MS, FEATURES, COLUMNS, Downsampler, bucket, toCSV };
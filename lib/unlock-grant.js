@@ -0,0 +1,36 @@
+/**
+ * BehaviorGuard — Unlock Grant
+ *
+ * The lock screen ends only through a credential the main process checked.
+ * A successful password, phrase or recovery check from the lock form issues
+ * a grant bound to that renderer; the unlock call must come from the same
+ * renderer before the grant expires, and uses it up.
+ */
+'use strict';
+
+class UnlockGrant {
+  constructor({ ttl = 30 * 1000 } = {}) {
+    this.ttl = ttl;
+    this.grant = null;   // { sender, method, expires }
+  }
+
+  /** Grant an unlock to renderer `sender` (a webContents id) for `method`. */
+  issue(sender, method, now = Date.now()) {
+    this.grant = { sender, method, expires:now + this.ttl };
+  }
+
+  /**
+   * Use the grant up when `sender` holds an unexpired one; returns its method, else null
+   * (leaving the grant in place for its holder).
+   */
+  take(sender, now = Date.now()) {
+    const g = this.grant;
+    if (!g || g.sender !== sender || now > g.expires) return null;
+    this.grant = null;
+    return g.method;
+  }
+
+  clear() { this.grant = null; }
+}
+
+module.exports = { UnlockGrant };
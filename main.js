@@ -5,454 +5,1229 @@
 
 const {
   app, BrowserWindow, ipcMain, Tray, Menu,
-  nativeImage, Notification, dialog, screen
+  nativeImage, Notification, dialog, screen, safeStorage, utilityProcess
 } = require('electron');
+const fs     = require('fs');
 const path   = require('path');
+const os     = require('os');
 const crypto = require('crypto');
+const { execFile } = require('child_process');
 const Store  = require('electron-store');
+const { BehaviorEngine } = require('./lib/engine');
+const passwords = require('./lib/password');
+const keyring   = require('./lib/keyring');
+const profileFile   = require('./lib/profile-file');
+const profileSchema = require('./lib/profile-schema');
+const { LocalApi, DEFAULT_PORT:API_PORT } = require('./lib/local-api');
+const alertRules = require('./lib/alert-rules');
+const { AlertDispatcher } = require('./lib/alert-dispatch');
+const timeseries = require('./lib/timeseries');
+const { TimeSeriesStore } = require('./lib/timeseries-store');
+const explain = require('./lib/explain');
+const botDetect = require('./lib/bot-detect');
+const { ResponsePolicy, DEFAULT_POLICY } = require('./lib/response-policy');
+const fixedText = require('./lib/fixed-text');
+const recording = require('./lib/recording');
+const { RecordingStore } = require('./lib/recording-store');
+const { AuditLog, chainKey } = require('./lib/audit-log');
+const { ControlServer } = require('./lib/control-socket');
+const { FleetClient } = require('./lib/fleet-client');
+const { UnlockGrant } = require('./lib/unlock-grant');
+const { Elevation } = require('./lib/elevation');
+const fleetProtocol = require('./lib/fleet-protocol');
 
-const store = new Store({ name:'behaviorguard', encryptionKey:'bg-local-store-2024' });
+// config — settings, users, password hashes, wrapped data keys; no behavioural data.
+// vault  — profiles, training buffers, revision history, audit log head; encrypted with the
+//          per-install data key while privacyMode is on. Opened in initStorage().
+const store = new Store({ name:'behaviorguard-config' });
+const DATA_KEYS = ['profile','profiles','training','profileHistory','alerts'];
+let vault    = null;
+let DATA_KEY = null;
 
 // ── Globals ───────────────────────────────────────────────────
 let mainWindow  = null;
-let lockWindow  = null;
+let lockWindows = new Map();   // display id → { win, form } while the screen is locked
+let challengeWindow = null;
 let setupWindow = null;
 let tray        = null;
-let uIOhook     = null;
+let uIOhook     = null;   // the input hook, its listeners attached on the first start
 let isMonitoring = false;
 let isLocked     = false;
+let pendingStart = false;   // dashboard start deferred until the data key is unlocked
 
-// ── Raw behavioral data ───────────────────────────────────────
-const RAW = {
-  keydowns: new Map(), ksEvents: [], mouseEvts: [], clicks: [], scrolls: [],
-  digraphs: new Map(), trigraphs: new Map(), jitterBuf: [],
-  lastRelease: null, nonce: _nonce(), salt: null,
-};
-
-// ── Session state ─────────────────────────────────────────────
-const SESSION = {
-  start: Date.now(), activeTime: 0, lastActive: null, lastTick: Date.now(),
-  isTraining: true, phase: 'quick', trainStart: null,
-  profile: null, trustScore: null, consecutive: 0, lastCalc: 0,
-};
+// `--headless`: no tray, and no dashboard until bgctl or a second launch asks — see CONTROL.
+const HEADLESS = process.argv.includes('--headless');
+const EXIT_NOT_SET_UP = 78;   // EX_CONFIG; the systemd unit does not restart on it
+const singleInstance = app.requestSingleInstanceLock();
 
 // ── Settings ──────────────────────────────────────────────────
-let SETTINGS = store.get('settings', {
+// Replaced from the config store in initStorage().
+let SETTINGS = {
   enabled: true, sensitivity: 'medium', privacyMode: true,
-  notifications: true, autoBlock: false, autoStart: true, launchAtLogin: false,
-});
+  notifications: true, autoBlock: false, autoStart: true, launchAtLogin: false, adaptive: false,
+  apiEnabled: false, apiPort: API_PORT, historyDays: 30, botClassifier: false,
+  systemLock: false,                // also lock the OS session when the lock screen goes up
+  recording: false,                 // write raw input to userData/recordings — see RECORDING
+  auditDays: 365,                   // audit log retention — see AUDIT LOG
+  responsePolicy: DEFAULT_POLICY,   // stages used while autoBlock is on — see lib/response-policy.js
+};
 
-let ALERTS = store.get('alerts', []);
+let ALERTS = [];   // the Alerts page's view of the audit log, newest first
 
-const QUICK_TARGET = 30  * 60 * 1000;
-const FULL_TARGET  = 120 * 60 * 1000;
+// ── Detection engine ──────────────────────────────────────────
+const engine = new BehaviorEngine({ sensitivity: SETTINGS.sensitivity, adaptive: SETTINGS.adaptive });
 
-// ═════════════════════════════════════════════════════════════
-// UTILITIES
-// ═════════════════════════════════════════════════════════════
-function _nonce() { return crypto.randomBytes(16).toString('hex'); }
-function _mean(a) { return a.length ? a.reduce((s,x)=>s+x,0)/a.length : 0; }
-function _std(a)  { const m=_mean(a); return a.length?Math.sqrt(_mean(a.map(x=>(x-m)**2))):0; }
-function _med(a)  { if(!a.length)return 0; const s=[...a].sort((x,y)=>x-y),m=Math.floor(s.length/2); return s.length%2?s[m]:(s[m-1]+s[m])/2; }
-function _mad(a)  { const m=_med(a); return _med(a.map(x=>Math.abs(x-m)))*1.4826; }
-function _pct(a,p){ if(!a.length)return 0; const s=[...a].sort((x,y)=>x-y); const i=(p/100)*(s.length-1); const lo=Math.floor(i); return s[lo]*(1-(i%1))+(s[Math.ceil(i)]||s[lo])*(i%1); }
-function _iqr(a)  { return _pct(a,75)-_pct(a,25); }
-function _hashPair(a,b){ return `${a}_${b}`; }
+// Threshold rules plus, when switched on, the learned classifier. A model trained with
+// tools/train-bot.js may be dropped in as userData/bot-model.json; otherwise the bundled one is used.
+function botModel(){
+  const file=path.join(app.getPath('userData'),'bot-model.json');
+  if(!fs.existsSync(file))return undefined;
+  try{return botDetect.parseBotModel(JSON.parse(fs.readFileSync(file,'utf8')));}
+  catch(err){console.error('[BG] Custom bot model ignored:',err.message);}
+}
+
+function botDetectors(){
+  return botDetect.createDetectors({classifier:SETTINGS.botClassifier===true,model:botModel()});
+}
 
 // ═════════════════════════════════════════════════════════════
 // PASSWORD HELPERS
 // ═════════════════════════════════════════════════════════════
-function hashPassword(pw) {
-  return crypto.createHash('sha256').update(pw + 'bg-salt-2024').digest('hex');
-}
-function checkPassword(attempt) {
-  const stored = store.get('passwordData');
-  if (!stored) return false;
-  return hashPassword(attempt) === stored.passwordHash;
-}
+// Secrets never leave the main process: renderers send an attempt and get
+// { ok, retryIn, failures } back. Password and recovery failures share one
+// persisted counter, so neither a reload nor a restart resets the back-off.
+const MIN_PASSWORD = 6;
+const RESET_TOKEN_MS = 5 * 60 * 1000;
+let resetToken = null;   // issued by a successful recovery, spent by reset-password
+
 function hasSetup() {
   return !!store.get('passwordData', null);
 }
 
-// ═════════════════════════════════════════════════════════════
-// ACTIVITY TRACKING
-// ═════════════════════════════════════════════════════════════
-function markActivity() {
-  const now = Date.now();
-  if (SESSION.isTraining) {
-    if (!SESSION.trainStart) SESSION.trainStart = now;
-    if (SESSION.lastActive && (now - SESSION.lastActive) < 10000)
-      SESSION.activeTime += (now - SESSION.lastActive);
-    SESSION.lastActive = now;
-  }
+async function migratePasswordData() {
+  const next = await passwords.migrateRecord(store.get('passwordData', null));
+  if (next) store.set('passwordData', next);
 }
 
-// ═════════════════════════════════════════════════════════════
-// RAW EVENT HANDLERS
-// ═════════════════════════════════════════════════════════════
-function onKeyDown(event) {
-  if (!isMonitoring || !SETTINGS.enabled) return;
-  markActivity();
-  const t = Date.now(), kc = event.keycode;
-  if (!RAW.keydowns.has(kc)) RAW.keydowns.set(kc, t);
+function authStatus() {
+  const a = store.get('authAttempts', { failures:0, until:0 });
+  return { failures:a.failures, retryIn:Math.max(0, a.until - Date.now()) };
 }
 
-function onKeyUp(event) {
-  if (!isMonitoring || !SETTINGS.enabled) return;
-  markActivity();
-  const t = Date.now(), kc = event.keycode, dn = RAW.keydowns.get(kc);
-  if (dn === undefined) return;
-  RAW.keydowns.delete(kc);
-  const dwell = t - dn;
-  const flight = RAW.lastRelease ? dn - RAW.lastRelease : null;
-  RAW.lastRelease = t;
-  if (dwell < 1 || dwell > 1000) return;
-  const ev = { kc, dwell, flight, ts: dn, nonce: RAW.nonce };
-  RAW.ksEvents.push(ev);
-  if (RAW.ksEvents.length > 3000) RAW.ksEvents.shift();
-  if (RAW.ksEvents.length >= 2) {
-    const prev = RAW.ksEvents[RAW.ksEvents.length - 2];
-    const h = _hashPair(prev.kc, kc);
-    if (!RAW.digraphs.has(h)) RAW.digraphs.set(h, []);
-    const arr = RAW.digraphs.get(h); arr.push(dn - prev.ts);
-    if (arr.length > 30) arr.shift();
+function recordAttempt(ok) {
+  if (ok) { store.set('authAttempts', { failures:0, until:0 }); return { ok:true, failures:0, retryIn:0 }; }
+  const failures = authStatus().failures + 1, retryIn = passwords.backoffMs(failures);
+  store.set('authAttempts', { failures, until:Date.now() + retryIn });
+  return { ok:false, failures, retryIn };
+}
+
+async function verifyPassword(attempt) {
+  const st = authStatus();
+  if (st.retryIn > 0) return { ok:false, ...st };
+  const rec = store.get('passwordData', null);
+  if (!rec) return { ok:false, ...st };
+  const ok = await passwords.verifySecret(attempt, rec.password);
+  // Legacy SHA-256 hashes are replaced on the first successful unlock.
+  if (ok && passwords.needsRehash(rec.password)) store.set('passwordData.password', await passwords.hashSecret(attempt));
+  if (ok) await onPasswordVerified(attempt);
+  return recordAttempt(ok);
+}
+
+async function verifyRecovery(answer) {
+  const st = authStatus();
+  if (st.retryIn > 0) return { ok:false, ...st };
+  const r = store.get('passwordData.recovery', null);
+  let ok = false;
+  if (r?.method === 'sq' && r.sq && answer?.method === 'sq') {
+    const [a1, a2] = await Promise.all([
+      passwords.verifySecret(passwords.normalizeAnswer(answer.a1), r.sq.a1),
+      passwords.verifySecret(passwords.normalizeAnswer(answer.a2), r.sq.a2),
+    ]);
+    ok = a1 && a2;
+  } else if (r?.method === 'code' && r.code && answer?.method === 'code') {
+    ok = await passwords.verifySecret(passwords.normalizeAnswer(answer.code), r.code);
   }
-  if (RAW.ksEvents.length >= 3) {
-    const [a, b] = RAW.ksEvents.slice(-3);
-    const h = _hashPair(_hashPair(a.kc, b.kc), kc);
-    if (!RAW.trigraphs.has(h)) RAW.trigraphs.set(h, []);
-    const arr = RAW.trigraphs.get(h); arr.push(dn - a.ts);
-    if (arr.length > 30) arr.shift();
+  const res = recordAttempt(ok);
+  if (ok) {
+    resetToken = { value:crypto.randomBytes(32).toString('hex'), expires:Date.now() + RESET_TOKEN_MS };
+    res.resetToken = resetToken.value;
   }
+  return res;
 }
 
-function onMouseMove(event) {
-  if (!isMonitoring || !SETTINGS.enabled) return;
-  markActivity();
-  const t = Date.now(), ev = { x:event.x, y:event.y, t, nonce:RAW.nonce };
-  if (RAW.mouseEvts.length > 0) {
-    const p = RAW.mouseEvts[RAW.mouseEvts.length - 1], dt = (t - p.t) / 1000;
-    if (dt > 0 && dt < 0.5) {
-      const dx = event.x - p.x, dy = event.y - p.y;
-      ev.v = Math.sqrt(dx*dx + dy*dy) / dt;
-      if (p.v !== undefined) {
-        const acc = Math.abs(ev.v - p.v) / dt;
-        ev.acc = acc;
-        RAW.jitterBuf.push({ t, acc, v: ev.v });
-        if (RAW.jitterBuf.length > 200) RAW.jitterBuf.shift();
-      }
-    }
-  }
-  RAW.mouseEvts.push(ev);
-  if (RAW.mouseEvts.length > 2000) RAW.mouseEvts.shift();
+async function setPassword(pw) {
+  if (typeof pw !== 'string' || pw.length < MIN_PASSWORD) throw new Error(`Password must be at least ${MIN_PASSWORD} characters`);
+  store.set('passwordData.password', await passwords.hashSecret(pw));
+  store.set('passwordData.updatedAt', Date.now());
+  await wrapDataKeyWithPassword(pw);
+  return true;
 }
 
-function onClick(event) {
-  if (!isMonitoring || !SETTINGS.enabled) return;
-  markActivity();
-  RAW.clicks.push({ x:event.x, y:event.y, t:Date.now(), btn:event.button, nonce:RAW.nonce });
-  if (RAW.clicks.length > 500) RAW.clicks.shift();
+async function changePassword(current, next) {
+  const res = await verifyPassword(current);
+  if (!res.ok) return res;
+  await setPassword(next);
+  return res;
 }
 
-function onWheel(event) {
-  if (!isMonitoring || !SETTINGS.enabled) return;
-  markActivity();
-  RAW.scrolls.push({ amount:event.rotation, t:Date.now() });
-  if (RAW.scrolls.length > 300) RAW.scrolls.shift();
-}
-
-// ═════════════════════════════════════════════════════════════
-// FEATURE EXTRACTION
-// ═════════════════════════════════════════════════════════════
-function extractKS() {
-  const v = RAW.ksEvents.filter(k => k.dwell && k.dwell < 1000);
-  if (v.length < 50) return null;
-  const dw = v.map(k=>k.dwell);
-  const fl = v.filter(k=>k.flight&&k.flight>0&&k.flight<2000).map(k=>k.flight);
-  const iv = [];
-  for (let i=1;i<v.length;i++){const d=v[i].ts-v[i-1].ts;if(d>0&&d<2000)iv.push(d);}
-  const digVars = [];
-  for (const [,t] of RAW.digraphs) { if(t.length>=3) digVars.push(_std(t)); }
-  return {
-    medDwell:_med(dw), madDwell:_mad(dw), p25Dwell:_pct(dw,25), p75Dwell:_pct(dw,75), iqrDwell:_iqr(dw),
-    avgDwell:_mean(dw), stdDwell:_std(dw),
-    medFlight:fl.length?_med(fl):0, madFlight:fl.length?_mad(fl):0,
-    medIv:iv.length?_med(iv):0, madIv:iv.length?_mad(iv):0, iqrIv:iv.length?_iqr(iv):0,
-    wpm:(()=>{if(v.length<10)return 0;const dur=(v[v.length-1].ts-v[0].ts)/60000;return dur>0?(v.length/5)/dur:0})(),
-    digVar:digVars.length?_med(digVars):0, n:v.length
-  };
+async function resetPasswordWithToken(token, next) {
+  const t = resetToken;
+  if (!t || typeof token !== 'string' || Date.now() > t.expires || token.length !== t.value.length ||
+      !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(t.value))) throw new Error('Recovery expired — verify again');
+  await setPassword(next);
+  resetToken = null;
+  return true;
 }
 
-function extractMouse() {
-  const m = RAW.mouseEvts;
-  if (m.length < 30) return null;
-  const vels=[], angles=[];
-  for (let i=1;i<m.length;i++){
-    const a=m[i-1],b=m[i],dt=(b.t-a.t)/1000;
-    if(dt>0&&dt<0.5){
-      const dx=b.x-a.x,dy=b.y-a.y;
-      vels.push(Math.sqrt(dx*dx+dy*dy)/dt);
-      if(i>1) angles.push(Math.abs(Math.atan2(dy,dx)-Math.atan2(a.y-m[i-2].y,a.x-m[i-2].x)));
-    }
-  }
-  const entropy=(()=>{
-    if(angles.length<10)return 0;
-    const bins=new Array(10).fill(0),bs=Math.PI/10;
-    angles.forEach(x=>bins[Math.min(9,Math.floor(x/bs))]++);
-    let e=0;bins.forEach(c=>{if(c>0){const p=c/angles.length;e-=p*Math.log2(p);}});
-    return Math.min(1,Math.abs(e)/3.32);
-  })();
-  let jFreq=0,jAmp=0;
-  if(RAW.jitterBuf.length>=20){
-    const acc=RAW.jitterBuf.map(j=>j.acc).filter(x=>x!==undefined);
-    if(acc.length>=10){
-      const m2=_mean(acc);let zc=0;
-      for(let i=1;i<acc.length;i++)if((acc[i]-m2)*(acc[i-1]-m2)<0)zc++;
-      const dur=(RAW.jitterBuf[RAW.jitterBuf.length-1].t-RAW.jitterBuf[0].t)/1000;
-      jFreq=dur>0?(zc/2)/dur:0; jAmp=_std(acc);
-    }
+// ═════════════════════════════════════════════════════════════
+// INPUT CONTEXT
+// ═════════════════════════════════════════════════════════════
+// Input is tagged with the foreground application and the pointer device
+// kind. Both are looked up off the input path; anything that cannot be
+// determined (Wayland, Windows, macOS, several pointer kinds attached) stays null.
+const CONTEXT_POLL_MS=2000, DEVICE_POLL_MS=30000;
+let CONTEXT={app:null,device:null}, contextTimer=null, contextBusy=false, devicePolledAt=0;
+
+function runQuiet(cmd,args){
+  return new Promise(resolve=>execFile(cmd,args,{timeout:1000},(err,out)=>resolve(err?null:String(out))));
+}
+
+// X11 window class of the focused window: xprop, falling back to xdotool.
+async function foregroundApp(){
+  if(process.platform!=='linux'||!process.env.DISPLAY)return null;
+  const root=await runQuiet('xprop',['-root','_NET_ACTIVE_WINDOW']);
+  const id=root&&(root.match(/window id # (0x[0-9a-f]+)/i)||[])[1];
+  if(id&&!/^0x0+$/i.test(id)){
+    const cls=await runQuiet('xprop',['-id',id,'WM_CLASS']);
+    const m=cls&&cls.match(/"([^"]*)",\s*"([^"]*)"/);
+    if(m)return m[2]||m[1];
   }
-  return {avgVel:_mean(vels),stdVel:_std(vels),curvature:angles.length?_mean(angles)/Math.PI:0,entropy,jitterFreq:jFreq,jitterAmp:jAmp,n:m.length};
+  const name=await runQuiet('xdotool',['getactivewindow','getwindowclassname']);
+  return name&&name.trim()||null;
 }
 
-function extractClick() {
-  const c = RAW.clicks;
-  if (c.length < 5) return null;
-  const ivs=[],dists=[];
-  for(let i=1;i<c.length;i++){
-    ivs.push(c[i].t-c[i-1].t);
-    const dx=c[i].x-c[i-1].x,dy=c[i].y-c[i-1].y;
-    dists.push(Math.sqrt(dx*dx+dy*dy));
+// Pointer kind from /proc/bus/input/devices, known only when a single kind is attached.
+function pointerDevice(){
+  if(process.platform!=='linux')return null;
+  let txt;
+  try{txt=require('fs').readFileSync('/proc/bus/input/devices','utf8');}catch{return null;}
+  const kinds=new Set();
+  for(const block of txt.split(/\n\s*\n/)){
+    if(!/^H: Handlers=.*\bmouse\d/m.test(block))continue;
+    const name=(block.match(/^N: Name="([^"]*)"/m)||[])[1]||'';
+    kinds.add(/touchpad|trackpad|synaptics/i.test(name)?'touchpad':/trackpoint|pointing stick/i.test(name)?'trackpoint':'mouse');
   }
-  const dur=(c[c.length-1].t-c[0].t)/60000;
-  return {avgIv:_mean(ivs),stdIv:_std(ivs),avgDist:_mean(dists),cpm:dur>0?c.length/dur:0,n:c.length};
+  return kinds.size===1?[...kinds][0]:null;
 }
 
+async function pollContext(){
+  if(contextBusy)return;
+  contextBusy=true;
+  try{
+    const app=await foregroundApp();
+    let device=CONTEXT.device;
+    if(Date.now()-devicePolledAt>DEVICE_POLL_MS){device=pointerDevice();devicePolledAt=Date.now();}
+    if(app!==CONTEXT.app||device!==CONTEXT.device)CONTEXT={app,device};
+  }finally{contextBusy=false;}
+}
+
+function startContextPolling(){if(!contextTimer){pollContext();contextTimer=setInterval(pollContext,CONTEXT_POLL_MS);}}
+function stopContextPolling(){clearInterval(contextTimer);contextTimer=null;}
+
 // ═════════════════════════════════════════════════════════════
-// BOT + REPLAY DETECTION
+// RAW EVENT HANDLERS
 // ═════════════════════════════════════════════════════════════
-function detectBot(ks, mouse) {
-  let score=0; const reasons=[];
-  if(mouse){
-    if(mouse.entropy<0.02){score+=40;reasons.push('Mouse entropy < 0.02');}
-    const human=mouse.jitterFreq>=3&&mouse.jitterFreq<=12;
-    if(!human&&mouse.jitterFreq>0){score+=30;reasons.push(`Jitter ${mouse.jitterFreq.toFixed(1)}Hz`);}
-    if(mouse.curvature<0.01){score+=25;reasons.push('Perfect geometric paths');}
-  }
-  if(ks){
-    if(ks.medIv<30){score+=50;reasons.push('Superhuman speed <30ms');}
-    const cv=ks.medIv>0?ks.iqrIv/ks.medIv:0;
-    if(cv<0.15&&ks.n>30){score+=25;reasons.push(`CV=${cv.toFixed(3)} too consistent`);}
-    if(ks.digVar<3&&RAW.digraphs.size>10){score+=20;reasons.push('Digraph variance too low');}
-  }
-  if(RAW.mouseEvts.length>=20){
-    const r=RAW.mouseEvts.slice(-50);let changes=0;
-    for(let i=2;i<r.length;i++){
-      const a1=Math.atan2(r[i-1].y-r[i-2].y,r[i-1].x-r[i-2].x);
-      const a2=Math.atan2(r[i].y-r[i-1].y,r[i].x-r[i-1].x);
-      if(Math.abs(a1-a2)>0.1&&Math.abs(a1-a2)<Math.PI-0.1)changes++;
-    }
-    if((changes/(r.length-2))<0.15){score+=30;reasons.push('No micro-corrections');}
-  }
-  return {isBot:score>=85,confidence:Math.min(100,score),reason:reasons.join('; ')};
-}
-
-function detectReplay() {
-  const recent=RAW.ksEvents.slice(-20);
-  const nonces=new Set(recent.map(k=>k.nonce).filter(Boolean));
-  if(nonces.size>1)return{isReplay:true,reason:'Multiple session nonces'};
-  const ivs=[];
-  for(let i=1;i<recent.length;i++)ivs.push(recent[i].ts-recent[i-1].ts);
-  if(ivs.length>5&&new Set(ivs).size===1)return{isReplay:true,reason:'Identical intervals'};
-  return{isReplay:false};
-}
-
-// ═════════════════════════════════════════════════════════════
-// RISK CALCULATION
-// ═════════════════════════════════════════════════════════════
-function calcTrustScore() {
-  if(!SESSION.profile||!SESSION.profile.features)return null;
-  const cur={ks:extractKS(),mouse:extractMouse(),click:extractClick()};
-  if(!cur.ks&&!cur.mouse)return SESSION.trustScore;
-  const base=SESSION.profile.features, parts=[];
-  if(cur.ks&&base.ks){
-    let d=0,n=0;
-    const cmp=(cv,bv,tol=0.6)=>{if(bv>0){d+=Math.min(1,Math.abs(cv-bv)/bv/tol)*100;n++;}};
-    cmp(cur.ks.medDwell,base.ks.medDwell,0.6); cmp(cur.ks.madDwell,base.ks.madDwell,0.7);
-    cmp(cur.ks.medFlight,base.ks.medFlight,0.7); cmp(cur.ks.medIv,base.ks.medIv,0.65);
-    cmp(cur.ks.wpm,base.ks.wpm,0.6);
-    parts.push({r:n?d/n:0,w:0.5});
-  }
-  if(cur.mouse&&base.mouse){
-    let d=0,n=0;
-    if(base.mouse.avgVel>0){d+=Math.min(1,Math.abs(cur.mouse.avgVel-base.mouse.avgVel)/base.mouse.avgVel)*100;n++;}
-    d+=Math.min(1,Math.abs(cur.mouse.curvature-base.mouse.curvature))*100;n++;
-    d+=Math.min(1,Math.abs(cur.mouse.entropy-base.mouse.entropy))*100;n++;
-    parts.push({r:n?d/n:0,w:0.3});
-  }
-  if(cur.click&&base.click){
-    let d=0,n=0;
-    if(base.click.cpm>0){d+=Math.min(1,Math.abs(cur.click.cpm-base.click.cpm)/base.click.cpm/1.2)*100;n++;}
-    if(base.click.avgDist>0){d+=Math.min(1,Math.abs(cur.click.avgDist-base.click.avgDist)/base.click.avgDist/1.2)*100;n++;}
-    parts.push({r:n?d/n:0,w:0.2});
-  }
-  if(!parts.length)return SESSION.trustScore;
-  const tw=parts.reduce((s,x)=>s+x.w,0);
-  const risk=parts.reduce((s,x)=>s+x.r*x.w,0)/tw;
-  const h=new Date().getHours(),day=new Date().getDay();
-  let adj=1.0;
-  if(h<5||h>=22)adj*=0.85; if(day===0||day===6)adj*=0.90; if(h>=5&&h<12)adj*=0.92;
-  return Math.max(0,Math.min(100,100-risk*adj));
+// `injected` is only set by uiohook builds that report synthetic events (e.g. LLKHF_INJECTED on
+// Windows); stock uiohook-napi never does, and the timing and pairing checks carry detection alone.
+function onInput(ev) {
+  if (!isMonitoring || !SETTINGS.enabled) return;
+  engine.ingest(ev);
+  if (recorder?.active) recordInput(ev);
 }
+function onKeyDown(event)   { onInput({ type:'keydown',   keycode:event.keycode, injected:event.injected===true, ctx:CONTEXT }); }
+function onKeyUp(event)     { onInput({ type:'keyup',     keycode:event.keycode, injected:event.injected===true, ctx:CONTEXT }); }
+function onMouseMove(event) { onInput({ type:'mousemove', x:event.x, y:event.y, injected:event.injected===true, ctx:CONTEXT }); }
+function onClick(event)     { onInput({ type:'click',     x:event.x, y:event.y, button:event.button, injected:event.injected===true, ctx:CONTEXT }); }
+function onWheel(event)     { onInput({ type:'wheel',     rotation:event.rotation, ctx:CONTEXT }); }
 
 // ═════════════════════════════════════════════════════════════
 // ANALYSIS LOOP
 // ═════════════════════════════════════════════════════════════
 let analysisTimer=null;
+let lastRisk=null;   // latest risk-update payload, also served by the local API
 function startAnalysisLoop(){analysisTimer=setInterval(tick,3000);}
 function stopAnalysisLoop(){if(analysisTimer){clearInterval(analysisTimer);analysisTimer=null;}}
 
 function tick() {
   if(!isMonitoring)return;
-  const now=Date.now();
-  if(SESSION.isTraining&&SESSION.lastActive&&(now-SESSION.lastActive)<10000)
-    SESSION.activeTime+=(now-SESSION.lastTick);
-  SESSION.lastTick=now;
-  if(SESSION.isTraining){checkTrainingProgress();pushStats();return;}
-  const score=calcTrustScore();
+  const r=engine.evaluate();
+  if(r.training||r.profile){
+    if(r.phaseChanged){
+      notify('Quick training complete!','Full training has started. Keep using your computer.');
+      sendToRenderer('training-phase',{phase:r.phase});
+    }
+    if(r.profile)onTrainingComplete(r.profile);
+    pushStats();return;
+  }
+  const score=r.trustScore;
   if(score!==null){
-    SESSION.trustScore=score;
-    const ks=extractKS(),mouse=extractMouse(),click=extractClick();
-    const bot=detectBot(ks,mouse);
-    const replay=detectReplay();
-    if(bot.isBot){const a=addAlert({type:'bot',severity:'critical',msg:`Bot activity: ${bot.reason}`});sendToRenderer('alert',a);}
-    if(replay.isReplay){const a=addAlert({type:'replay',severity:'high',msg:`Replay attack: ${replay.reason}`});sendToRenderer('alert',a);}
-    const thr={low:15,medium:30,high:50}[SETTINGS.sensitivity]||30;
-    if(score<thr){
-      SESSION.consecutive++;
-      if(SESSION.consecutive>=3){
-        const a=addAlert({type:'anomaly',severity:score<20?'critical':'high',msg:`Trust score at ${Math.round(score)}% for 3+ cycles`});
-        sendToRenderer('alert',a);
-        if(SETTINGS.autoBlock&&score<20&&!isLocked)showLockScreen();
-        SESSION.consecutive=0;
-      }
-    } else {SESSION.consecutive=0;}
+    const{bot,replay,anomaly,identity,explanation}=r;
+    // Alerts name the enrolled user the behaviour matched, or null for an unknown user,
+    // and carry the per-feature explanation of the cycle that raised them.
+    const user=identity?.known?{id:identity.id,name:identity.name}:null;
+    if(bot.isBot){const a=addAlert({type:'bot',severity:'critical',user,msg:`Bot activity: ${bot.reason}`,explain:explanation});sendToRenderer('alert',a);}
+    if(replay.isReplay){const a=addAlert({type:'replay',severity:'high',user,msg:`${SYNTHETIC_KINDS.includes(replay.kind)?'Synthetic input':'Replay attack'}: ${replay.reason}`,explain:explanation});sendToRenderer('alert',a);}
+    if(anomaly){
+      const why=explain.topFactors(explanation.trust);
+      const a=addAlert({type:'anomaly',severity:anomaly.severity,user,explain:explanation,msg:`Trust score fell to ${Math.round(score)}% — ${user?`closest profile: ${user.name}`:'no enrolled profile matches'}${why?` (${why})`:''}`});
+      sendToRenderer('alert',a);
+    }
+    respond(score,identity,explanation);
+    if(r.adapted)onProfileAdapted(r.adapted);
+    if(r.contextUpdated)onContextTrained(r.contextUpdated);
     updateTray();
-    sendToRenderer('risk-update',{trustScore:score,botScore:bot.confidence,ksFeats:ks,mouseFeats:mouse,clickFeats:click});
+    lastRisk={trustScore:score,breakdown:r.breakdown,botScore:bot.confidence,botReason:bot.reason,identity,ngraph:r.ngraph,ksFeats:r.ksFeats,mouseFeats:r.mouseFeats,clickFeats:r.clickFeats,scrollFeats:r.scrollFeats,ts:Date.now()};
+    sendToRenderer('risk-update',lastRisk);
+    sampler.add(lastRisk);
   }
+  if(Date.now()-replaySavedAt>PROFILE_SAVE_MS)saveReplayStore();
+  if(recorder?.active)try{recorder.flush();}catch(err){recordingFailed(err);}
   pushStats();
 }
 
 function pushStats(){sendToRenderer('stats-update',buildStatsPayload());}
 
 function buildStatsPayload(){
-  const target=SESSION.phase==='quick'?QUICK_TARGET:FULL_TARGET;
-  const pct=SESSION.isTraining?Math.min(100,(SESSION.activeTime/target)*100):100;
-  return {
-    ks:RAW.ksEvents.length, mouse:RAW.mouseEvts.length, clicks:RAW.clicks.length, digs:RAW.digraphs.size,
-    isTraining:SESSION.isTraining, phase:SESSION.phase, activeTime:Math.floor(SESSION.activeTime/1000),
-    trainPct:Math.round(pct), trustScore:SESSION.trustScore, hasProfile:!!SESSION.profile,
-    sessionStart:SESSION.start, isMonitoring,
-  };
+  return {...engine.stats(), isMonitoring};
 }
 
 // ═════════════════════════════════════════════════════════════
 // TRAINING
 // ═════════════════════════════════════════════════════════════
-function checkTrainingProgress(){
-  const target=SESSION.phase==='quick'?QUICK_TARGET:FULL_TARGET;
-  const pct=Math.min(100,(SESSION.activeTime/target)*100);
-  if(pct>=100){
-    if(SESSION.phase==='quick'){
-      SESSION.phase='intermediate'; SESSION.activeTime=0; SESSION.lastActive=Date.now();
-      notify('Quick training complete!','Full training has started. Keep using your computer.');
-      sendToRenderer('training-phase',{phase:'intermediate'});
-    } else {completeTraining();}
-  }
-}
-
-function completeTraining(){
-  const ks=extractKS(),mouse=extractMouse(),click=extractClick();
-  if(!ks&&!mouse)return;
-  SESSION.profile={
-    uid:'user_'+crypto.randomBytes(6).toString('hex'), createdAt:Date.now(),
-    features:{ks,mouse,click},
-    digraphs:Object.fromEntries(RAW.digraphs), trigraphs:Object.fromEntries(RAW.trigraphs),
-    size:{keystrokes:RAW.ksEvents.length,mouse:RAW.mouseEvts.length,clicks:RAW.clicks.length,digraphs:RAW.digraphs.size},
-    v:'3.0'
-  };
-  SESSION.isTraining=false; SESSION.phase='complete';
-  store.set('profile',SESSION.profile); store.delete('training');
+function onTrainingComplete(profile){
+  vault.set(`profiles.${profile.uid}`,profile); vault.delete(`training.${profile.uid}`); vault.delete(`profileHistory.${profile.uid}`);
   notify('Training complete!','BehaviorGuard is now actively protecting you.');
-  sendToRenderer('training-complete',{size:SESSION.profile.size,createdAt:SESSION.profile.createdAt});
+  sendToRenderer('training-complete',{size:profile.size,createdAt:profile.createdAt});
   updateTray();
 }
 
+// Adapted profiles are written on each new revision and otherwise at most every PROFILE_SAVE_MS.
+const PROFILE_SAVE_MS=5*60*1000;
+const dirtyProfiles=new Set(); let profileSavedAt=0;
+function onProfileAdapted(a){
+  dirtyProfiles.add(a.id);
+  if(a.newRevision)vault.set(`profileHistory.${a.id}`,engine.historyOf(a.id));
+  if(a.newRevision||Date.now()-profileSavedAt>PROFILE_SAVE_MS)saveProfile();
+}
+
+function onContextTrained(id){
+  dirtyProfiles.add(id);
+  if(Date.now()-profileSavedAt>PROFILE_SAVE_MS)saveProfile();
+}
+
+// Timing fingerprints of past input runs (lib/replay-detect.js). Timings and key-sequence
+// HMACs under a key derived from the data key, never key codes; kept so a replay is
+// caught across restarts.
+const SYNTHETIC_KINDS=['injected','pairing'];
+let replaySavedAt=0;
+function replayKey(){return DATA_KEY&&crypto.createHmac('sha256',DATA_KEY).update('replay-store').digest();}
+
+function saveReplayStore(){
+  if(!vault)return;
+  vault.set('replayStore',engine.sequenceStore()); replaySavedAt=Date.now();
+}
+
+function saveProfile(){
+  if(!vault)return;
+  for(const id of dirtyProfiles){const p=engine.profiles.get(id);if(p)vault.set(`profiles.${id}`,p);}
+  dirtyProfiles.clear(); profileSavedAt=Date.now();
+}
+
+function rollbackProfile(rev){
+  const p=engine.rollbackProfile(rev);
+  if(!p)throw new Error(`No profile revision ${rev}`);
+  vault.set(`profiles.${p.uid}`,p); vault.set(`profileHistory.${p.uid}`,engine.historyOf(p.uid)); dirtyProfiles.delete(p.uid);
+  logAudit({kind:'profile',action:'rollback',user:{id:p.uid,name:p.name},msg:`Profile "${p.name}" rolled back to revision ${rev}`});
+  sendToRenderer('profile-loaded',{size:p.size,createdAt:p.createdAt});
+  return true;
+}
+
+// Typing enrollment (lib/fixed-text.js): the Training page prompts each phrase ENROLL_REPEATS
+// times. Keystrokes are read from the input hook, never from the page.
+let typingEnroll=null;   // { takes:[{ phrase, events }], since }
+
+function startTypingEnroll(){
+  if(!isMonitoring)throw new Error('Start monitoring first: enrollment reads keystrokes through the input hook');
+  typingEnroll={takes:[],since:Date.now()};
+  return{phrases:fixedText.enrollmentPhrases(),repeats:fixedText.ENROLL_REPEATS};
+}
+
+function addTypingTake(phrase,text){
+  if(!typingEnroll)throw new Error('No typing enrollment in progress');
+  if(!fixedText.enrollmentPhrases().includes(phrase))throw new Error('Unknown enrollment phrase');
+  const events=engine.typedSince(typingEnroll.since);
+  typingEnroll.since=Date.now();
+  if(!fixedText.phraseMatches(text,phrase))return{ok:false,why:'The text does not match the phrase'};
+  if(events.length<phrase.length*0.8)return{ok:false,why:'Too few keystrokes captured; type the phrase rather than pasting it'};
+  typingEnroll.takes.push({phrase,events});
+  return{ok:true,takes:typingEnroll.takes.length};
+}
+
+// Completes training at once when the user is still training; see engine.enrollTyping().
+// The template unlocks the lock screen and passes the step-up challenge, so replacing a
+// trained profile's takes an elevation (checked by the IPC handler) and is logged.
+function finishTypingEnroll(){
+  if(!typingEnroll)throw new Error('No typing enrollment in progress');
+  const{takes}=typingEnroll, wasTraining=engine.isTraining;
+  typingEnroll=null;
+  const had=!!engine.profile?.fixedText;
+  const p=engine.enrollTyping(takes);
+  if(!p)throw new Error('Not enough input for a profile yet; move the mouse and type a little more, then enroll again');
+  const n=fixedText.enrolledPhrases(p.fixedText).length;
+  logAudit({kind:'profile',action:'typing-enroll',user:{id:p.uid,name:p.name},replaced:had,msg:`Typing phrases ${had?'replaced':'enrolled'} for "${p.name}" (${n} phrase${n===1?'':'s'})${wasTraining?'; training completed':''}`});
+  if(wasTraining)onTrainingComplete(p);
+  else{dirtyProfiles.add(p.uid);saveProfile();pushStats();}
+  return{completed:wasTraining,phrases:n};
+}
+
 // ═════════════════════════════════════════════════════════════
 // STORAGE
 // ═════════════════════════════════════════════════════════════
-function loadProfile(){
-  const p=store.get('profile');
+function keyOptions(){return{safeStorage,keyFile:path.join(app.getPath('userData'),'data.key')};}
+// clearInvalidConfig off: a store opened in the wrong mode must throw, never be wiped.
+function vaultOptions(encrypted,name='behaviorguard-data'){return{name,clearInvalidConfig:false,...(encrypted?{encryptionKey:DATA_KEY.toString('hex')}:{})};}
+
+/**
+ * Load the data key and open the vault. Returns false when the key can only
+ * be recovered with the password (OS keyring reset, key file missing).
+ */
+function initStorage(){
+  SETTINGS={...SETTINGS,...store.get('settings',{})};
+  const keys=store.get('keys',null);
+  if(keys){
+    DATA_KEY=keyring.unwrapForMachine(keys.machine,keyOptions());
+    if(!DATA_KEY&&keys.password)return false;
+    if(!DATA_KEY){
+      // Nothing can open the old key any more: start a fresh vault, keep the old file aside.
+      // The audit log goes aside too: its chain can only be checked with the old key.
+      console.error('[BG] Data key lost; starting with an empty data store');
+      const old=path.join(app.getPath('userData'),'behaviorguard-data.json'), oldAudit=path.join(app.getPath('userData'),'audit');
+      if(fs.existsSync(old))fs.renameSync(old,`${old}.unreadable-${Date.now()}`);
+      if(fs.existsSync(oldAudit))fs.renameSync(oldAudit,`${oldAudit}.unverifiable-${Date.now()}`);
+    }
+  }
+  if(!DATA_KEY){
+    DATA_KEY=keyring.generateKey();
+    store.set('keys',{machine:keyring.wrapForMachine(DATA_KEY,keyOptions()),password:null});
+    store.delete('dataEncrypted');
+  }
+  openVault();
+  return true;
+}
+
+function openVault(){
+  const was=store.get('dataEncrypted',SETTINGS.privacyMode!==false);
+  for(const enc of [was,!was]){
+    try{vault=new Store(vaultOptions(enc));store.set('dataEncrypted',enc);break;}
+    catch(err){console.error(`[BG] Data store not readable as ${enc?'encrypted':'plain'}:`,err.message);}
+  }
+  if(!vault)throw new Error('Data store unreadable');
+  migrateLegacyStore();
+  setVaultEncryption(SETTINGS.privacyMode!==false);
+  initAudit();
+}
+
+/** privacyMode: rewrite the vault encrypted with the data key, or in plain JSON. */
+function setVaultEncryption(encrypted){
+  if(!vault||store.get('dataEncrypted')===encrypted)return;
+  const nextFile=path.join(app.getPath('userData'),'behaviorguard-data-next.json');
+  fs.rmSync(nextFile,{force:true});
+  const next=new Store(vaultOptions(encrypted,'behaviorguard-data-next'));
+  next.store=vault.store;
+  fs.renameSync(next.path,vault.path);
+  vault=new Store(vaultOptions(encrypted));
+  store.set('dataEncrypted',encrypted);
+}
+
+// Before 2.3 everything lived in one store encrypted with a key shipped in the source.
+function migrateLegacyStore(){
+  const file=path.join(app.getPath('userData'),'behaviorguard.json');
+  if(!fs.existsSync(file))return;
+  let old;
+  try{old=new Store({name:'behaviorguard',encryptionKey:'bg-local-store-2024'}).store;}
+  catch(err){console.error('[BG] Legacy store unreadable:',err.message);return;}
+  for(const[k,v]of Object.entries(old))(DATA_KEYS.includes(k)?vault:store).set(k,v);
+  SETTINGS=store.get('settings',SETTINGS);
+  fs.unlinkSync(file);
+}
+
+/** Wrap the data key with the password; called whenever the password is set or verified. */
+async function wrapDataKeyWithPassword(pw){
+  if(DATA_KEY)store.set('keys.password',await keyring.wrapWithPassword(DATA_KEY,pw));
+}
+
+/** After a successful unlock: recover a data key the machine could not open. */
+async function onPasswordVerified(pw){
+  const keys=store.get('keys',null);
+  if(!vault&&keys?.password){
+    DATA_KEY=await keyring.unwrapWithPassword(keys.password,pw);
+    if(!DATA_KEY)return;
+    store.set('keys.machine',keyring.wrapForMachine(DATA_KEY,keyOptions()));
+    try{openVault();}catch(err){console.error('[BG] Data store unavailable:',err.message);}
+  } else if(DATA_KEY&&!keys?.password) await wrapDataKeyWithPassword(pw);
+}
+
+// Per-user layout: users [{id,name,createdAt}], activeUser, and profiles /
+// training / profileHistory keyed by user id.
+function migrateStore(){
+  const p=vault.get('profile');
   if(p){
-    SESSION.profile=p; SESSION.isTraining=false; SESSION.phase='complete';
-    if(p.digraphs)RAW.digraphs=new Map(Object.entries(p.digraphs));
-    if(p.trigraphs)RAW.trigraphs=new Map(Object.entries(p.trigraphs));
+    const id=p.uid||`user_${crypto.randomBytes(6).toString('hex')}`, name=p.name||'Primary';
+    vault.set(`profiles.${id}`,{...p,uid:id,name});
+    store.set('users',[{id,name,createdAt:p.createdAt||Date.now()}]); store.set('activeUser',id);
+    const h=vault.get('profileHistory');
+    vault.delete('profileHistory'); if(Array.isArray(h))vault.set(`profileHistory.${id}`,h);
+    vault.delete('profile');
+  }
+  const tr=vault.get('training');
+  if(tr&&tr.ksEvents){
+    let id=store.get('activeUser');
+    if(!id){id=`user_${crypto.randomBytes(6).toString('hex')}`;store.set('users',[{id,name:'Primary',createdAt:Date.now()}]);store.set('activeUser',id);}
+    vault.set('training',{[id]:tr});
   }
-  const tr=store.get('training');
-  if(tr&&SESSION.isTraining){
-    SESSION.activeTime=tr.activeTime||0; SESSION.phase=tr.phase||'quick';
-    if(tr.ksEvents)RAW.ksEvents=tr.ksEvents;
-    if(tr.digs)RAW.digraphs=new Map(Object.entries(tr.digs));
-    SESSION.lastActive=Date.now();
+}
+
+function getUsers(){return store.get('users',[]);}
+
+function loadProfile(){
+  migrateStore();
+  const history=vault.get('profileHistory',{});
+  Object.values(vault.get('profiles',{})).forEach(p=>{engine.addProfile(p);engine.loadHistory(p.uid,history[p.uid]);});
+  engine.loadSequenceStore(vault.get('replayStore',null),replayKey()); replaySavedAt=Date.now();
+  const users=getUsers();
+  if(!users.length){
+    const id=engine.enroll('Primary');
+    store.set('users',[{id,name:'Primary',createdAt:Date.now()}]); store.set('activeUser',id);
+    return;
+  }
+  const active=store.get('activeUser');
+  activateUser(users.some(u=>u.id===active)?active:users[0].id);
+}
+
+/** Make a user active: their trained profile, or their training resumes. */
+function activateUser(id){
+  const u=getUsers().find(x=>x.id===id);
+  if(!u)throw new Error('Unknown profile');
+  saveTrainingProgress();
+  if(!engine.selectUser(id)){
+    engine.startTraining({id,name:u.name});
+    engine.restoreTraining(vault.get(`training.${id}`));
   }
+  store.set('activeUser',id);
 }
 
 function saveTrainingProgress(){
-  if(!SESSION.isTraining)return;
-  store.set('training',{ksEvents:RAW.ksEvents.slice(-500),activeTime:SESSION.activeTime,phase:SESSION.phase,digs:Object.fromEntries(RAW.digraphs),saved:Date.now()});
+  if(!vault)return;
+  const tr=engine.trainingSnapshot();
+  if(tr&&engine.user.id)vault.set(`training.${engine.user.id}`,tr);
 }
 
+/** Retrain the active user; other enrolled profiles are kept. */
 function resetProfile(){
-  SESSION.profile=null; SESSION.isTraining=true; SESSION.phase='quick';
-  SESSION.activeTime=0; SESSION.lastActive=null; SESSION.trustScore=null;
-  SESSION.consecutive=0; SESSION.trainStart=null;
-  RAW.ksEvents=[]; RAW.mouseEvts=[]; RAW.clicks=[]; RAW.scrolls=[];
-  RAW.digraphs.clear(); RAW.trigraphs.clear(); RAW.jitterBuf=[];
-  RAW.lastRelease=null; RAW.nonce=_nonce();
-  ALERTS=[]; store.delete('profile'); store.delete('training'); store.set('alerts',[]);
+  const id=engine.user.id, name=getUsers().find(u=>u.id===id)?.name||'';
+  engine.reset();
+  ALERTS=ALERTS.filter(a=>a.user?.id!==id);
+  vault.delete(`profiles.${id}`); vault.delete(`training.${id}`); vault.delete(`profileHistory.${id}`);
+  logAudit({kind:'profile',action:'reset',user:{id,name},msg:`Profile "${name}" reset for retraining`});
   sendToRenderer('profile-reset',{}); updateTray();
 }
 
+// ── Profile management ────────────────────────────────────────
+function listProfiles(){
+  return getUsers().map(u=>({...u,trained:engine.profiles.has(u.id),active:u.id===engine.user.id}));
+}
+
+function profilesChanged(){
+  sendToRenderer('profiles-changed',listProfiles()); pushStats(); updateTray();
+}
+
+function enrollProfile(name){
+  name=String(name||'').trim();
+  if(!name||name.length>40)throw new Error('Profile name must be 1–40 characters');
+  if(getUsers().some(u=>u.name.toLowerCase()===name.toLowerCase()))throw new Error(`A profile named "${name}" already exists`);
+  saveTrainingProgress();
+  const id=engine.enroll(name);
+  store.set('users',[...getUsers(),{id,name,createdAt:Date.now()}]); store.set('activeUser',id);
+  logAudit({kind:'profile',action:'enroll',user:{id,name},msg:`Profile "${name}" enrolled`});
+  profilesChanged();
+  return id;
+}
+
+function selectProfile(id){
+  activateUser(id);
+  profilesChanged();
+  return true;
+}
+
+function removeProfile(id){
+  if(id===engine.user.id)throw new Error('Switch to another profile before removing this one');
+  const u=getUsers().find(x=>x.id===id);
+  if(!u)throw new Error('Unknown profile');
+  engine.removeProfile(id);
+  store.set('users',getUsers().filter(x=>x.id!==id));
+  vault.delete(`profiles.${id}`); vault.delete(`training.${id}`); vault.delete(`profileHistory.${id}`);
+  ALERTS=ALERTS.filter(a=>a.user?.id!==id);
+  logAudit({kind:'profile',action:'remove',user:{id,name:u.name},msg:`Profile "${u.name}" removed`});
+  profilesChanged();
+  return true;
+}
+
+// ── Profile files ─────────────────────────────────────────────
+// Exports are sealed with a passphrase (lib/profile-file.js). Import takes two
+// calls: inspect decrypts, migrates and validates the file and returns a
+// summary; import-profile applies it once the current password checks out. An
+// unsigned file also needs the user's explicit go-ahead, and the audit log says so.
+const IMPORT_TTL_MS = 5 * 60 * 1000;
+let pendingImport = null;   // { token, profile, signed, expires }
+
+async function exportProfileFile(id=engine.user.id,passphrase){
+  const p=engine.profiles.get(id);
+  if(!p)throw new Error('No profile');
+  const sealed=await profileFile.seal(p,passphrase);
+  const slug=p.name.replace(/[^\w-]+/g,'_');
+  const{filePath}=await dialog.showSaveDialog({defaultPath:`bg_profile_${slug}_${Date.now()}.json`,filters:[{name:'JSON',extensions:['json']}]});
+  if(!filePath)return false;
+  fs.writeFileSync(filePath,JSON.stringify(sealed,null,2),{mode:0o600});
+  return true;
+}
+
+async function inspectProfileImport(passphrase){
+  const{filePaths}=await dialog.showOpenDialog({filters:[{name:'JSON',extensions:['json']}],properties:['openFile']});
+  if(!filePaths.length)return null;
+  let raw;
+  try{raw=JSON.parse(fs.readFileSync(filePaths[0],'utf8'));}catch{throw new Error('Not a profile file');}
+  // Plain JSON exports from before 2.3 still import, flagged as unsigned.
+  const signed=profileFile.isSealed(raw), exportedAt=signed?raw.exportedAt:null;
+  if(signed)raw=await profileFile.open(raw,passphrase);
+  const{profile,from}=profileSchema.parseProfile(raw);
+  const known=profile.uid&&getUsers().find(u=>u.id===profile.uid);
+  pendingImport={token:crypto.randomBytes(16).toString('hex'),profile,signed,expires:Date.now()+IMPORT_TTL_MS};
+  return{token:pendingImport.token,summary:{...profileSchema.summarize(profile),signed,exportedAt,migratedFrom:from!==profile.v?from:null,replaces:known?.name||null}};
+}
+
+async function applyProfileImport(token,password,allowUnsigned=false){
+  const pend=pendingImport;
+  if(!pend||token!==pend.token||Date.now()>pend.expires)throw new Error('Import expired — choose the file again');
+  if(!pend.signed&&allowUnsigned!==true)throw new Error('This file is unsigned — confirm that you made it to import it');
+  const res=await verifyPassword(password);
+  if(!res.ok)return res;
+  pendingImport=null;
+  const raw=pend.profile;
+  // Same uid replaces that profile; otherwise it is enrolled alongside the others.
+  const users=getUsers(), known=users.find(u=>u.id===raw.uid);
+  if(!raw.uid)raw.uid=`user_${crypto.randomBytes(6).toString('hex')}`;
+  if(!raw.name)raw.name=known?.name||`Imported ${users.length+1}`;
+  if(!known&&users.some(u=>u.name.toLowerCase()===raw.name.toLowerCase()))raw.name=`${raw.name.slice(0,27)} (${new Date(raw.createdAt).toLocaleDateString()})`;
+  saveTrainingProgress();
+  engine.loadProfile(raw); engine.loadHistory(raw.uid,null);
+  vault.set(`profiles.${raw.uid}`,raw); vault.delete(`training.${raw.uid}`); vault.delete(`profileHistory.${raw.uid}`);
+  store.set('users',known?users.map(u=>u.id===raw.uid?{...u,name:raw.name}:u):[...users,{id:raw.uid,name:raw.name,createdAt:raw.createdAt}]);
+  store.set('activeUser',raw.uid);
+  logAudit({kind:'profile',action:'import',user:{id:raw.uid,name:raw.name},signed:pend.signed,msg:`Profile "${raw.name}" imported${pend.signed?'':' from an unsigned file'}${known?', replacing the existing one':''}`});
+  sendToRenderer('profile-loaded',raw); profilesChanged();
+  return res;
+}
+
 // ═════════════════════════════════════════════════════════════
 // ALERTS
 // ═════════════════════════════════════════════════════════════
+// recordAlert only logs the entry; addAlert also notifies and runs the alert rules.
+// An alert's id is its audit log sequence number (null until the log opens).
+function recordAlert(a){
+  const{seq,kind,...rest}=logAudit({kind:'alert',...a});
+  const alert={...rest,id:seq??null};
+  ALERTS.unshift(alert); if(ALERTS.length>ALERT_VIEW_MAX)ALERTS.pop();
+  fleet?.alert(fleetProtocol.reportAlert(alert));
+  return alert;
+}
+
 function addAlert(a){
-  const alert={...a,ts:Date.now(),id:Date.now()+Math.random()};
-  ALERTS.unshift(alert); if(ALERTS.length>200)ALERTS.pop();
-  store.set('alerts',ALERTS.slice(0,100));
+  const alert=recordAlert(a);
   if(SETTINGS.notifications)notify('BehaviorGuard Alert',a.msg);
+  dispatcher?.dispatch(alert,getAlertRules());
   return alert;
 }
 
+// ── Feedback ──────────────────────────────────────────────────
+// "This was me" / "not me" from the alert drawer. The answer is kept on the
+// alert and as a record in the vault ('alertFeedback', newest FEEDBACK_MAX)
+// with the trust, bot score and top factors, for tuning thresholds later.
+const FEEDBACK_MAX=1000;
+function alertFeedback(id,verdict){
+  const alert=ALERTS.find(a=>a.id===id);
+  if(!alert)throw new Error('Unknown alert');
+  const rec=explain.feedbackRecord(alert,verdict,SETTINGS.sensitivity);
+  alert.feedback={verdict,ts:rec.ts};
+  logAudit({kind:'feedback',alert:id,verdict,msg:`Alert ${id} marked "${verdict==='me'?'was me':'not me'}"`});
+  vault.set('alertFeedback',[...vault.get('alertFeedback',[]).filter(f=>f.alert!==id),rec].slice(-FEEDBACK_MAX));
+  return alert.feedback;
+}
+
+// ── Alert rules ───────────────────────────────────────────────
+// Rules (config store 'alertRules') map alert type / severity to actions; see
+// lib/alert-rules.js. Undelivered webhooks, commands and syslog lines wait in
+// the vault ('alertOutbox') and are retried with back-off, across restarts too.
+let dispatcher=null;
+
+function getAlertRules(){return store.get('alertRules',[]);}
+
+function initAlertDispatch(){
+  if(dispatcher||!vault)return;
+  dispatcher=new AlertDispatcher({
+    source:{version:app.getVersion(),hostname:os.hostname()},
+    local:{lock:()=>showLockScreen(undefined,'rule'),pause:()=>stopMonitoring()},
+    queue:vault.get('alertOutbox',[]),
+    persist:q=>vault?.set('alertOutbox',q),
+    onLog:e=>{
+      if(!e.ok)console.error(`[BG] Alert action ${e.kind} → ${e.target} failed (attempt ${e.attempt}): ${e.error}`);
+      sendToRenderer('alert-delivery',e);
+    },
+  });
+}
+
+function saveAlertRules(rules){
+  const next=alertRules.normalizeRules(rules,()=>`rule_${crypto.randomBytes(4).toString('hex')}`);
+  store.set('alertRules',alertRules.restoreSecrets(next,getAlertRules()));
+  return alertRulesInfo();
+}
+
+// Webhook secrets stay in the main process: the renderer sees them masked and sends
+// the mask back for a secret it keeps (alertRules.restoreSecrets).
+function alertRulesInfo(){
+  return{rules:alertRules.redactRules(getAlertRules()),log:dispatcher?.log||[],pending:dispatcher?.pending()||0};
+}
+
+// A synthetic alert that just meets the rule; lock and pause are skipped. Its id is a
+// "test-<n>" string, never an audit sequence number, so it cannot stand for a logged alert.
+let testAlertSeq=0;
+function testAlertRule(id){
+  const rule=getAlertRules().find(r=>r.id===id);
+  if(!rule)throw new Error('Unknown rule');
+  initAlertDispatch();
+  const alert={type:rule.match.types[0]||'anomaly',severity:rule.match.minSeverity,user:null,msg:`BehaviorGuard test alert for rule "${rule.name}"`,test:true,ts:Date.now(),id:`test-${++testAlertSeq}`};
+  dispatcher.dispatch(alert,[{...rule,enabled:true}]);
+  return true;
+}
+
+// ═════════════════════════════════════════════════════════════
+// AUDIT LOG
+// ═════════════════════════════════════════════════════════════
+// Append-only, hash-chained record under userData/audit (lib/audit-log.js): alerts (lock
+// and auth entries too), alert feedback, setting changes, profile changes, monitoring
+// start/stop and fleet membership, sealed with the data key while privacyMode is on. The
+// chain hashes are keyed with chainKey(DATA_KEY); `bgctl audit-key` hands it out for offline
+// checks. The last { seq, hash } is kept in the vault ('auditHead') so verification notices
+// entries cut off the end. ALERTS is a view of the newest alerts: clearing it or resetting a profile
+// hides alerts from the Alerts page, the log keeps them. Kept for SETTINGS.auditDays,
+// pruned at start and daily.
+const ALERT_VIEW_MAX=200;
+let audit=null, auditPruneTimer=null;
+let auditQueue=[];   // entries logged before the vault opened (the data-key lock)
+
+function initAudit(){
+  if(audit||!vault)return;
+  audit=new AuditLog({
+    dir:path.join(app.getPath('userData'),'audit'),
+    key:()=>DATA_KEY, seal:()=>SETTINGS.privacyMode!==false,
+    retentionDays:auditDays(),
+  });
+  try{
+    // Alerts kept in the vault by earlier versions move into the log, oldest first.
+    const legacy=vault.get('alerts',null);
+    if(Array.isArray(legacy)){for(const{id,...a}of legacy.slice().reverse())audit.append({...a,kind:'alert',imported:true});vault.delete('alerts');}
+    for(const e of auditQueue)audit.append(e);
+    auditQueue=[];
+    saveAuditHead();
+  }catch(err){console.error('[BG] Audit log write failed:',err.message);}
+  pruneAudit();
+  auditPruneTimer=setInterval(pruneAudit,24*60*60*1000);
+  ALERTS=alertView();
+}
+
+function auditDays(){return Number(SETTINGS.auditDays)||365;}
+
+/** Append to the audit log (queued until it opens); returns the entry with its seq. */
+function logAudit(entry){
+  const e={...entry,ts:entry.ts||Date.now()};
+  if(!audit){auditQueue.push(e);return e;}
+  try{const r=audit.append(e);saveAuditHead();return r;}
+  catch(err){console.error('[BG] Audit log write failed:',err.message);return e;}
+}
+
+function saveAuditHead(){vault?.set('auditHead',{seq:audit.seq,hash:audit.hash});}
+
+function pruneAudit(){
+  try{if(audit?.prune())saveAuditHead();}catch(err){console.error('[BG] Audit log prune failed:',err.message);}
+}
+
+// Newest alerts back to the last "cleared from view" entry, without those of a profile
+// reset or removed since; feedback entries are folded into their alerts.
+function alertView(){
+  const out=[], feedback=new Map(), dropped=new Set();
+  for(const e of audit.newest()){
+    if(e.kind==='view'&&e.action==='clear')break;
+    if(e.kind==='feedback'&&!feedback.has(e.alert))feedback.set(e.alert,{verdict:e.verdict,ts:e.ts});
+    else if(e.kind==='profile'&&(e.action==='reset'||e.action==='remove'))dropped.add(e.user?.id);
+    else if(e.kind==='alert'&&!dropped.has(e.user?.id)){
+      const{seq,kind,...a}=e;
+      out.push(feedback.has(seq)?{...a,id:seq,feedback:feedback.get(seq)}:{...a,id:seq});
+      if(out.length>=ALERT_VIEW_MAX)break;
+    }
+  }
+  return out;
+}
+
+function clearAlertView(){
+  logAudit({kind:'view',action:'clear',msg:`Alerts cleared from view (${ALERTS.length} shown)`});
+  ALERTS=[];
+}
+
+/** Alerts logged with from <= ts < to, for charts: { id, ts, type, severity, msg }. */
+function loggedAlerts(from,to){
+  const list=audit?audit.query(from,to).filter(e=>e.kind==='alert'):ALERTS.filter(a=>a.ts>=from&&a.ts<to);
+  return list.map(({seq,id,ts,type,severity,msg})=>({id:seq??id,ts,type,severity,msg}));
+}
+
+function logSettingsChange(prev,next,origin=null){
+  const keys=Object.keys(next).filter(k=>JSON.stringify(prev[k])!==JSON.stringify(next[k]));
+  if(!keys.length)return keys;
+  const by=origin?.source==='fleet'?` by fleet policy revision ${origin.rev}`:'';
+  logAudit({kind:'settings',...origin,changed:Object.fromEntries(keys.map(k=>[k,{from:prev[k]??null,to:next[k]}])),msg:`Settings changed${by}: ${keys.join(', ')}`});
+  return keys;
+}
+
+// Audit page: up to `limit` entries older than seq `before` (newest first when omitted).
+function queryAudit(before=null,limit=200){
+  if(!audit)return{entries:[],seq:0,unreadable:0};
+  const entries=[];
+  for(const e of audit.newest()){
+    if(before&&e.seq>=before)continue;
+    entries.push({seq:e.seq,ts:e.ts,kind:e.kind,type:e.type||null,severity:e.severity||null,msg:e.msg||''});
+    if(entries.length>=Math.min(Number(limit)||200,1000))break;
+  }
+  return{entries,seq:audit.seq,unreadable:audit.unreadable};
+}
+
+function verifyAudit(){
+  if(!audit)throw new Error('The audit log is not open yet');
+  const res=audit.verify(vault.get('auditHead',null));
+  logAudit({kind:'audit',action:'verify',ok:res.ok,msg:res.ok?`Audit log verified: ${res.entries} entries intact`:`Audit log verification found ${res.problems.length} problem${res.problems.length===1?'':'s'}`});
+  return res;
+}
+
+// ═════════════════════════════════════════════════════════════
+// HISTORY
+// ═════════════════════════════════════════════════════════════
+// Per-minute trust points (lib/timeseries.js) appended to day files under
+// userData/timeseries, sealed with the data key while privacyMode is on.
+// Kept for SETTINGS.historyDays; pruned at start and then daily.
+const HISTORY_STEPS=[60e3,5*60e3,10*60e3,60*60e3,24*60*60e3];
+const HISTORY_MAX_POINTS=2000;
+let series=null, pruneTimer=null;
+const sampler=new timeseries.Downsampler(p=>{
+  fleet?.point({t:p.t,n:p.n,trust:p.trust,trustMin:p.trustMin,trustMax:p.trustMax,bot:p.bot});
+  if(!series)return;
+  try{series.append(p);}catch(err){console.error('[BG] History write failed:',err.message);}
+});
+
+function initHistory(){
+  if(series||!vault)return;
+  series=new TimeSeriesStore({
+    dir:path.join(app.getPath('userData'),'timeseries'),
+    key:()=>DATA_KEY, seal:()=>SETTINGS.privacyMode!==false,
+    retentionDays:historyDays(),
+  });
+  pruneHistory();
+  pruneTimer=setInterval(pruneHistory,24*60*60*1000);
+}
+
+function historyDays(){return Number(SETTINGS.historyDays)||30;}
+
+function pruneHistory(){
+  try{series?.prune();}catch(err){console.error('[BG] History prune failed:',err.message);}
+}
+
+// Buckets grow to the next step when the range would exceed HISTORY_MAX_POINTS.
+function queryHistory(from,to,bucketMs=60e3){
+  if(!series)return{points:[],alerts:[],bucketMs,unreadable:0};
+  from=Number(from); to=Number(to);
+  if(!Number.isFinite(from)||!Number.isFinite(to)||to<=from)throw new Error('Invalid range');
+  const step=HISTORY_STEPS.find(s=>s>=bucketMs&&(to-from)/s<=HISTORY_MAX_POINTS)||HISTORY_STEPS[HISTORY_STEPS.length-1];
+  const points=timeseries.bucket(series.query(from,to),step);
+  return{points,alerts:loggedAlerts(from,to),bucketMs:step,unreadable:series.unreadable};
+}
+
+async function exportHistory(from,to,format='csv'){
+  if(!series)throw new Error('No history');
+  const points=series.query(Number(from),Number(to));
+  if(!points.length)throw new Error('No history in this range');
+  const ext=format==='json'?'json':'csv';
+  const{filePath}=await dialog.showSaveDialog({defaultPath:`bg_history_${new Date(points[0].t).toISOString().slice(0,10)}.${ext}`,filters:[{name:ext.toUpperCase(),extensions:[ext]}]});
+  if(!filePath)return false;
+  const body=ext==='json'?JSON.stringify({from:Number(from),to:Number(to),stepMs:timeseries.POINT_MS,points},null,2):timeseries.toCSV(points);
+  fs.writeFileSync(filePath,body,{mode:0o600});
+  return points.length;
+}
+
+// ═════════════════════════════════════════════════════════════
+// RECORDING
+// ═════════════════════════════════════════════════════════════
+// Recording mode (Settings or tray) writes the events the engine receives to rotating
+// files under userData/recordings (lib/recording-store.js) while monitoring runs. With
+// privacyMode on, a keycode becomes a keyed hash of its key class (lib/recording.js).
+// Analytics → Recordings re-scores a file in a utility process against the active
+// profile's current or an older revision.
+const RECORDING_MAX_BYTES=16*1024*1024, RECORDING_MAX_FILES=8;
+let recorder=null, recCtx=null, recPrivacy=false, analyzing=false;
+
+function recordingStore(){
+  if(!recorder)recorder=new RecordingStore({
+    dir:path.join(app.getPath('userData'),'recordings'),maxBytes:RECORDING_MAX_BYTES,maxFiles:RECORDING_MAX_FILES,
+    // Every part restates the context, so it replays on its own.
+    meta:()=>{recCtx=CONTEXT;return{v:1,privacy:recPrivacy,user:{...engine.user},ctx:CONTEXT,version:app.getVersion()};},
+  });
+  return recorder;
+}
+
+// Records while the setting is on and monitoring runs; a privacyMode change starts a new recording.
+function applyRecording(){
+  const rec=recordingStore(), on=!!SETTINGS.recording&&isMonitoring, privacy=SETTINGS.privacyMode!==false;
+  if(rec.active&&(!on||privacy!==recPrivacy)){try{rec.stop();}catch(err){console.error('[BG] Recording flush failed:',err.message);}}
+  if(on&&!rec.active){
+    recPrivacy=privacy;
+    try{rec.start();}catch(err){console.error('[BG] Recording failed to start:',err.message);}
+  }
+}
+
+function toggleRecording(){
+  const prev=SETTINGS;
+  SETTINGS={...SETTINGS,recording:!SETTINGS.recording};
+  logSettingsChange(prev,SETTINGS);
+  store.set('settings',SETTINGS);
+  applyRecording(); updateTray();
+  sendToRenderer('settings-changed',SETTINGS);
+}
+
+function keyClassCode(name){return crypto.createHmac('sha256',DATA_KEY||'').update(name).digest().readUInt32BE(0);}
+
+function recordInput(ev){
+  const ctx=CONTEXT!==recCtx?(recCtx=CONTEXT):null;
+  try{recorder.write(recording.recordEvent(ev,Date.now(),{classCode:recPrivacy?keyClassCode:null,ctx}));}
+  catch(err){recordingFailed(err);}
+}
+
+// A write error ends this recording; the next monitoring start begins a new one.
+function recordingFailed(err){
+  console.error('[BG] Recording stopped:',err.message);
+  try{recorder.stop();}catch{}
+}
+
+function recordingsInfo(){
+  const rec=recordingStore();
+  let files=[];
+  try{files=rec.list();}catch(err){console.error('[BG] Recordings unreadable:',err.message);}
+  return{enabled:!!SETTINGS.recording,current:rec.active?rec.current:null,files};
+}
+
+function removeRecording(name){
+  recordingStore().remove(name);
+  return recordingsInfo();
+}
+
+// `name` of a stored part, or null to pick any recording file. `rev` defaults to the current revision.
+async function analyzeRecording(name,rev){
+  if(analyzing)throw new Error('An analysis is already running');
+  let file;
+  if(name)file=recordingStore().pathOf(name);
+  else{
+    const{filePaths}=await dialog.showOpenDialog({properties:['openFile'],filters:[{name:'Recordings',extensions:['jsonl']}]});
+    if(!filePaths?.length)return null;
+    file=filePaths[0];
+  }
+  const profile=engine.profileAt(rev===undefined||rev===null?(engine.profile?.rev||0):Number(rev));
+  if(!profile)throw new Error('No profile revision to score against');
+  analyzing=true;
+  try{
+    const res=await runAnalysis({file,profile,sensitivity:SETTINGS.sensitivity,classifier:SETTINGS.botClassifier===true,model:botModel()});
+    const live=loggedAlerts(res.from,res.to);
+    return{...res,name:path.basename(file),rev:profile.rev||0,live};
+  }finally{analyzing=false;}
+}
+
+function runAnalysis(data){
+  return new Promise((resolve,reject)=>{
+    const child=utilityProcess.fork(path.join(__dirname,'lib','recording-worker.js'),[],{serviceName:'BehaviorGuard recording analysis'});
+    let done=false;
+    child.once('message',m=>{done=true;child.kill();m.error?reject(new Error(m.error)):resolve(m.result);});
+    child.once('exit',code=>{if(!done)reject(new Error(`Analysis stopped (exit code ${code})`));});
+    child.postMessage(data);
+  });
+}
+
 // ═════════════════════════════════════════════════════════════
 // LOCK SCREEN
 // ═════════════════════════════════════════════════════════════
-function showLockScreen(){
-  if(isLocked||lockWindow)return;
-  isLocked=true;
-  const{width,height}=screen.getPrimaryDisplay().workAreaSize;
-  lockWindow=new BrowserWindow({
-    width,height,frame:false,alwaysOnTop:true,resizable:false,fullscreen:true,skipTaskbar:false,
+// One window per display: the primary one holds the unlock form, the others only cover
+// their screen. While locked a window refuses to close, and one that is destroyed or whose
+// renderer dies is opened again. The lock ends only through the 'unlock' IPC from the form
+// window, after a password, phrase or recovery check from that same window succeeded.
+// A lock in force when the app quit is restored at the next start (config 'lockedAt').
+const LOCK_GRANT_MS=30*1000, LOCK_REOPEN_MS=300;
+const LOCK_REASONS={policy:'low trust',rule:'alert rule',api:'local API request',control:'bgctl lock',restart:'still locked at startup',data:'data store needs the password'};
+const UNLOCK_METHODS={password:'password',phrase:'typed phrase',recovery:'account recovery'};
+let lockHash='';
+const unlockGrant=new UnlockGrant({ttl:LOCK_GRANT_MS});   // issued by grantUnlock()
+
+function showLockScreen(identity=engine.session.identity,reason=''){
+  if(isLocked)return;
+  isLocked=true; unlockGrant.clear(); elevation.clear(); engine.holdAdaptation(true);
+  const who=identity?.known?identity.name:'';
+  lockHash=`score=${Math.round(engine.trustScore||0)}&user=${encodeURIComponent(who)}&reason=${reason}`;
+  if(reason!=='data')store.set('lockedAt',Date.now());
+  coverDisplays();
+  logLockEvent('low',`Screen locked${LOCK_REASONS[reason]?`: ${LOCK_REASONS[reason]}`:''}`,identity);
+  if(SETTINGS.systemLock&&reason!=='data'&&reason!=='restart')lockSystemSession();
+  localApi?.broadcast('lock',{locked:true,reason:reason||null});
+}
+
+// Opens what is missing, drops windows of displays that went away. Also runs on display changes.
+function coverDisplays(){
+  if(!isLocked)return;
+  const primary=screen.getPrimaryDisplay().id, displays=screen.getAllDisplays();
+  for(const[id,l]of lockWindows){
+    if(displays.some(d=>d.id===id)&&l.form===(id===primary)&&!l.win.isDestroyed())continue;
+    lockWindows.delete(id);
+    if(!l.win.isDestroyed())l.win.destroy();
+  }
+  for(const d of displays)if(!lockWindows.has(d.id))openLockWindow(d,d.id===primary);
+}
+
+function openLockWindow(display,form){
+  const{x,y,width,height}=display.bounds;
+  const win=new BrowserWindow({
+    x,y,width,height,frame:false,alwaysOnTop:true,resizable:false,movable:false,minimizable:false,fullscreen:true,skipTaskbar:!form,
     webPreferences:{nodeIntegration:false,contextIsolation:true,preload:path.join(__dirname,'preload.js')}
   });
-  lockWindow.loadFile('lock.html',{hash:`score=${Math.round(SESSION.trustScore||0)}`});
-  lockWindow.setVisibleOnAllWorkspaces(true,{visibleOnFullScreen:true});
-  lockWindow.on('closed',()=>{lockWindow=null;isLocked=false;});
+  win.setAlwaysOnTop(true,'screen-saver');
+  win.setVisibleOnAllWorkspaces(true,{visibleOnFullScreen:true});
+  win.loadFile('lock.html',{hash:form?lockHash:'cover=1'});
+  win.on('close',e=>{if(isLocked&&!app.isQuiting)e.preventDefault();});
+  win.on('closed',()=>{
+    if(lockWindows.get(display.id)?.win===win)lockWindows.delete(display.id);
+    if(isLocked&&!app.isQuiting)setTimeout(coverDisplays,LOCK_REOPEN_MS);
+  });
+  win.webContents.on('render-process-gone',(_,d)=>{
+    console.error(`[BG] Lock screen renderer gone (${d.reason}); reopening`);
+    if(!win.isDestroyed())win.destroy();
+  });
+  if(form)win.on('blur',()=>{if(isLocked&&!win.isDestroyed())win.focus();});
+  lockWindows.set(display.id,{win,form});
+}
+
+// Optional (systemLock): the OS session lock on top, so the desktop needs the account password too.
+function lockSystemSession(){
+  const cmds={
+    linux:[['loginctl',['lock-session']],['xdg-screensaver',['lock']]],
+    win32:[['rundll32.exe',['user32.dll,LockWorkStation']]],
+  }[process.platform]||[];
+  const next=i=>{
+    if(i>=cmds.length){console.error('[BG] System session lock unavailable');return;}
+    execFile(cmds[i][0],cmds[i][1],{timeout:5000},err=>{if(err)next(i+1);});
+  };
+  next(0);
+}
+
+// Lock events go to the alert log without notifications or alert rules: a rule that
+// locks on any alert would otherwise lock again on every unlock.
+function logLockEvent(severity,msg,identity=null){
+  const user=identity?.known?{id:identity.id,name:identity.name}:null;
+  sendToRenderer('alert',recordAlert({type:'lock',severity,user,msg}));
+}
+
+function isLockForm(sender){
+  return[...lockWindows.values()].some(l=>l.form&&!l.win.isDestroyed()&&l.win.webContents.id===sender?.id);
+}
+
+// Passes `res` through; a success from the lock form while locked earns a one-shot unlock grant.
+function grantUnlock(e,method,res){
+  if((res===true||res?.ok)&&isLocked&&isLockForm(e.sender))unlockGrant.issue(e.sender.id,method);
+  return res;
+}
+
+// Typed-phrase unlock: a phrase from the active profile's enrollment, scored by its template.
+// Shares the password's failure count and back-off. Offered only while the input hook runs.
+const PHRASE_UNLOCK_MIN=70;
+let lockPhrase=null;   // { phrase, since }
+
+function getLockPhrase(){
+  const tpl=engine.profile?.fixedText;
+  if(!isLocked||!isMonitoring||!fixedText.enrolledPhrases(tpl).length)return null;
+  lockPhrase={phrase:fixedText.pickPhrase(tpl),since:Date.now()};
+  return{phrase:lockPhrase.phrase};
+}
+
+function verifyLockPhrase(text){
+  const st=authStatus();
+  if(st.retryIn>0||!lockPhrase)return{ok:false,...st};
+  const{phrase,since}=lockPhrase;
+  lockPhrase.since=Date.now();
+  const v=fixedText.phraseMatches(text,phrase)?engine.verifyTyping(since,phrase):null;
+  return{...recordAttempt(v?.method==='fixed-text'&&v.trust>=PHRASE_UNLOCK_MIN),trust:v?Math.round(v.trust):null};
 }
 
-function unlockScreen(){
-  if(lockWindow)lockWindow.close();
-  isLocked=false;
+function unlockScreen(sender){
+  if(!isLocked)return false;
+  const method=isLockForm(sender)?unlockGrant.take(sender.id):null;
+  if(!method){
+    logLockEvent('high','Unlock refused: no verified credential');
+    throw new Error('Unlock refused — verify again');
+  }
+  lockPhrase=null; isLocked=false;
+  store.delete('lockedAt');
+  for(const{win}of lockWindows.values())if(!win.isDestroyed())win.destroy();
+  lockWindows.clear();
+  engine.holdAdaptation(false);
+  localApi?.broadcast('lock',{locked:false});
+  policy.resolve('lock',true);
+  logLockEvent('low',`Unlocked with ${UNLOCK_METHODS[method]}`);
+  if(pendingStart&&vault){pendingStart=false;startDashboard();}
+  return true;
+}
+
+// ═════════════════════════════════════════════════════════════
+// GRADUATED RESPONSE
+// ═════════════════════════════════════════════════════════════
+// While autoBlock is on, falling trust escalates step-up phrase → password → lock
+// (lib/response-policy.js). The first two run in a small always-on-top window.
+const policy=new ResponsePolicy(SETTINGS.responsePolicy);
+const STAGE_ALERT={stepup:['medium','Typing check requested'],password:['high','Password re-entry requested'],lock:['critical','Session locked']};
+let challenge=null;   // { stage, phrase, since, attempts, expires } of the open challenge window
+
+function respond(score,identity,explanation){
+  if(!SETTINGS.autoBlock||isLocked)return;
+  const act=policy.update(score)||policy.expire();
+  if(challenge&&policy.pending?.stage!==challenge.stage)closeChallenge();
+  if(act)startResponse(act,identity,explanation);
+}
+
+function startResponse({stage,reason},identity=engine.session.identity,explanation=null){
+  const[severity,label]=STAGE_ALERT[stage], user=identity?.known?{id:identity.id,name:identity.name}:null;
+  sendToRenderer('alert',addAlert({type:'anomaly',severity,user,explain:explanation,msg:`${label}: ${reason}`}));
+  if(stage==='lock'){closeChallenge();showLockScreen(identity,'policy');return;}
+  openChallenge(stage);
+}
+
+function openChallenge(stage){
+  closeChallenge();
+  const c=policy.policy[stage];
+  challenge={stage,phrase:stage==='stepup'?fixedText.pickPhrase(engine.profile?.fixedText):null,since:Date.now(),attempts:c.attempts,expires:policy.pending?.expires||null};
+  engine.holdAdaptation(true);
+  const win=challengeWindow=new BrowserWindow({
+    width:460,height:380,frame:false,alwaysOnTop:true,resizable:false,skipTaskbar:true,center:true,
+    webPreferences:{nodeIntegration:false,contextIsolation:true,preload:path.join(__dirname,'preload.js')}
+  });
+  win.loadFile('challenge.html');
+  win.setVisibleOnAllWorkspaces(true,{visibleOnFullScreen:true});
+  // Closing the window counts as a failed attempt at the stage; closeChallenge() clears `challenge` first.
+  win.on('closed',()=>{if(challengeWindow===win)challengeWindow=null;if(challenge?.stage===stage)failChallenge('abandoned');});
+}
+
+function closeChallenge(){
+  const win=challengeWindow;
+  challenge=null; challengeWindow=null;
+  if(win&&!win.isDestroyed())win.close();
+  if(!isLocked)engine.holdAdaptation(false);
+}
+
+function failChallenge(why){
+  const stage=challenge.stage;
+  closeChallenge();
+  const next=policy.resolve(stage,false,Date.now(),why);
+  if(next)startResponse(next);
+}
+
+// stepup: the phrase must match and its keystrokes must score at least `pass` against an
+// enrolled profile; password: the usual check with back-off. Result { ok, done, why, attempts }.
+async function submitChallenge(answer){
+  const c=challenge;
+  if(!c)return{ok:false,done:true,why:'No challenge pending'};
+  let ok=false, why='';
+  if(c.stage==='stepup'){
+    const v=fixedText.phraseMatches(answer,c.phrase)?engine.verifyTyping(c.since,c.phrase):undefined;
+    ok=!!v&&v.trust>=policy.policy.stepup.pass;
+    why=ok?'':v===undefined?'The phrase does not match':v?'Typing rhythm does not match your profile':'Not enough typing to compare';
+  }else{
+    const r=await verifyPassword(String(answer||''));
+    ok=r.ok; why=ok?'':r.retryIn?`Too many attempts — wait ${Math.ceil(r.retryIn/1000)}s`:'Incorrect password';
+  }
+  if(challenge!==c)return{ok:false,done:true,why:'Challenge expired'};
+  if(ok){closeChallenge();policy.resolve(c.stage,true);return{ok:true,done:true};}
+  if(--c.attempts>0){c.since=Date.now();return{ok:false,done:false,why,attempts:c.attempts};}
+  failChallenge('failed');
+  return{ok:false,done:true,why};
+}
+
+// ═════════════════════════════════════════════════════════════
+// ELEVATION
+// ═════════════════════════════════════════════════════════════
+// Sensitive IPC (pause, reset, settings, exports, clearing alerts, …) needs an elevation: a password
+// check through 'elevate' issues a token bound to the asking window and valid for ELEVATION_MS.
+// The preload keeps it and passes it with each privileged call; page scripts never see it.
+// Profile import checks the password itself. Every privileged action is logged as an 'auth'
+// entry; a refused one is a full alert, so alert rules see it.
+const ELEVATION_MS=5*60*1000;
+const elevation=new Elevation({ttl:ELEVATION_MS});
+
+async function elevate(e,password,action){
+  const res=await verifyPassword(password);
+  if(!res.ok){logPrivileged(action,false,res.retryIn?'too many attempts':'wrong password','medium');return res;}
+  return{...res,...elevation.issue(e.sender.id)};
+}
+
+// Expiry of the sender's elevation when `token` is it, else null.
+function elevationFor(sender,token){
+  return elevation.check(sender?.id,token);
+}
+
+// Throws unless the call carries a live elevation; logs the outcome either way.
+function authorize(e,token,action){
+  if(!elevationFor(e.sender,token)){logPrivileged(action,false,'no password check');throw new Error('Password required');}
+  logPrivileged(action,true);
+}
+
+// A call without an elevation is 'high'; a mistyped password only 'medium'.
+function logPrivileged(action,ok,why='',severity='high'){
+  if(ok){sendToRenderer('alert',recordAlert({type:'auth',severity:'low',user:null,msg:`Allowed: ${action}`}));return;}
+  sendToRenderer('alert',addAlert({type:'auth',severity,user:null,msg:`Refused: ${action} (${why})`}));
+}
+
+// Privileged tray items run while the dashboard holds an elevation, else the dashboard asks
+// for the password (`request` names the item for its 'elevate-request' handler).
+function trayPrivileged(action,request,fn){
+  if(elevation.active()){logPrivileged(action,true);fn();return;}
+  if(!mainWindow||mainWindow.isDestroyed()){logPrivileged(action,false,'no dashboard to ask for the password');return;}
+  mainWindow.show(); mainWindow.focus();
+  sendToRenderer('elevate-request',request);
+}
+
+function trayToggleMonitoring(){
+  if(!isMonitoring){startMonitoring();return;}
+  trayPrivileged('Pause monitoring (tray)','pause',stopMonitoring);
+}
+
+// With privacyMode off a recording holds raw keycodes: as sensitive as the setting it flips.
+function trayToggleRecording(){
+  trayPrivileged(`${SETTINGS.recording?'Stop':'Start'} recording (tray)`,'recording',toggleRecording);
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -474,15 +1249,17 @@ function createTray(){
 
 function updateTray(){
   if(!tray)return;
-  const score=SESSION.trustScore;
+  const score=engine.trustScore;
   const label=score===null?'Training…':score>=70?`Verified ${Math.round(score)}%`:score>=40?`Uncertain ${Math.round(score)}%`:`Suspicious ${Math.round(score)}%`;
   tray.setToolTip(`BehaviorGuard — ${label}`);
   const menu=Menu.buildFromTemplate([
     {label:`BehaviorGuard — ${label}`,enabled:false},
     {label:isMonitoring?'Monitoring active':'Monitoring paused',enabled:false},
+    {label:`Profile: ${engine.user.name||'—'}`,enabled:false},
     {type:'separator'},
     {label:'Show Dashboard',click:()=>{mainWindow?.show();}},
-    {label:isMonitoring?'Pause Monitoring':'Resume Monitoring',click:toggleMonitoring},
+    {label:isMonitoring?'Pause Monitoring':'Resume Monitoring',click:trayToggleMonitoring},
+    {label:SETTINGS.recording?'Stop Recording':'Start Recording',click:trayToggleRecording},
     {type:'separator'},
     {label:'Alerts',click:()=>{mainWindow?.show();sendToRenderer('navigate','alerts');}},
     {label:'Settings',click:()=>{mainWindow?.show();sendToRenderer('navigate','settings');}},
@@ -503,31 +1280,42 @@ function notify(title,body){
 // ═════════════════════════════════════════════════════════════
 // MONITORING
 // ═════════════════════════════════════════════════════════════
+let trainingSaveTimer=null;
+let monitorError=null;   // why the last start failed, until one succeeds; shown by `bgctl status`
+
 function startMonitoring(){
   if(isMonitoring)return;
   try{
-    const{uIOhook:hook}=require('uiohook-napi');
-    uIOhook=hook;
-    hook.on('keydown',onKeyDown); hook.on('keyup',onKeyUp);
-    hook.on('mousemove',onMouseMove); hook.on('click',onClick); hook.on('wheel',onWheel);
-    hook.start();
-    isMonitoring=true;
-    startAnalysisLoop();
+    if(!uIOhook){
+      const{uIOhook:hook}=require('uiohook-napi');
+      hook.on('keydown',onKeyDown); hook.on('keyup',onKeyUp);
+      hook.on('mousemove',onMouseMove); hook.on('click',onClick); hook.on('wheel',onWheel);
+      uIOhook=hook;
+    }
+    uIOhook.start();
+    isMonitoring=true; monitorError=null;
+    logAudit({kind:'monitoring',action:'start',msg:'Monitoring started'});
+    startAnalysisLoop(); startContextPolling(); applyRecording();
     sendToRenderer('monitoring-status',true);
     updateTray();
-    setInterval(saveTrainingProgress,30000);
+    trainingSaveTimer=setInterval(saveTrainingProgress,30000);
   }catch(err){
     console.error('[BG] uiohook failed:',err.message);
-    isMonitoring=false;
-    dialog.showMessageBox({type:'warning',title:'Permission Required',message:'BehaviorGuard needs Accessibility permission.',detail:'Windows: Run as Administrator.\nmacOS: System Settings → Privacy → Accessibility → enable BehaviorGuard.',buttons:['OK']});
+    isMonitoring=false; monitorError=err.message;
+    logAudit({kind:'monitoring',action:'start',ok:false,error:err.message,msg:`Monitoring failed to start: ${err.message}`});
+    // A daemon has no one to show a dialog to: stderr, the audit log and bgctl status carry it.
+    if(!HEADLESS)dialog.showMessageBox({type:'warning',title:'Permission Required',message:'BehaviorGuard needs Accessibility permission.',detail:'Windows: Run as Administrator.\nmacOS: System Settings → Privacy → Accessibility → enable BehaviorGuard.',buttons:['OK']});
   }
 }
 
 function stopMonitoring(){
   if(!isMonitoring)return;
   isMonitoring=false;
+  logAudit({kind:'monitoring',action:'stop',msg:'Monitoring stopped'});
   if(uIOhook){try{uIOhook.stop();}catch{}}
-  stopAnalysisLoop(); saveTrainingProgress();
+  clearInterval(trainingSaveTimer); trainingSaveTimer=null;
+  stopAnalysisLoop(); stopContextPolling(); saveTrainingProgress(); sampler.flush(); applyRecording();
+  policy.reset(); closeChallenge();
   sendToRenderer('monitoring-status',false); updateTray();
 }
 
@@ -535,6 +1323,215 @@ function toggleMonitoring(){isMonitoring?stopMonitoring():startMonitoring();}
 
 function sendToRenderer(channel,data){
   if(mainWindow&&!mainWindow.isDestroyed())mainWindow.webContents.send(channel,data);
+  if(API_EVENTS[channel])localApi?.broadcast(API_EVENTS[channel],data);
+}
+
+// ═════════════════════════════════════════════════════════════
+// LOCAL API
+// ═════════════════════════════════════════════════════════════
+// Opt-in (Settings → Local API); see lib/local-api.js for the routes. The bearer token is
+// shown or replaced only with an elevation, so a pause through the API is logged as privileged.
+// Renderer channels mirrored to WebSocket clients, as stream event types.
+const API_EVENTS={'risk-update':'risk','alert':'alert','monitoring-status':'monitoring','training-complete':'training-complete'};
+let localApi=null, apiError=null;
+
+function apiToken(){
+  let t=store.get('apiToken',null);
+  if(!t){t=crypto.randomBytes(32).toString('hex');store.set('apiToken',t);}
+  return t;
+}
+
+async function applyApiSettings(){
+  const port=Number(SETTINGS.apiPort)||API_PORT;
+  if(localApi&&(!SETTINGS.apiEnabled||localApi.port!==port)){localApi.stop();localApi=null;}
+  apiError=null;
+  if(!SETTINGS.apiEnabled||localApi)return;
+  if(!Number.isInteger(port)||port<1024||port>65535){apiError='Port must be between 1024 and 65535';return;}
+  const api=new LocalApi({token:apiToken(),port,handlers:{
+    stats: ()=>buildStatsPayload(),
+    risk:  ()=>lastRisk,
+    alerts:()=>ALERTS,
+    lock:  ()=>{showLockScreen(undefined,'api');return{ok:true,locked:isLocked};},
+    pause: ()=>{logPrivileged('Pause monitoring (local API)',true);stopMonitoring();return{ok:true,monitoring:isMonitoring};},
+    resume:()=>{startMonitoring();return{ok:true,monitoring:isMonitoring};},
+  }});
+  try{await api.start();localApi=api;}
+  catch(err){apiError=err.code==='EADDRINUSE'?`Port ${port} is already in use`:err.message;console.error('[BG] Local API failed:',err.message);}
+}
+
+function apiInfo(){
+  return{enabled:!!SETTINGS.apiEnabled,port:Number(SETTINGS.apiPort)||API_PORT,running:!!localApi?.running,clients:localApi?.clients||0,error:apiError};
+}
+
+function regenerateApiToken(){
+  store.set('apiToken',crypto.randomBytes(32).toString('hex'));
+  localApi?.setToken(apiToken());
+  return apiToken();
+}
+
+// ═════════════════════════════════════════════════════════════
+// CONTROL
+// ═════════════════════════════════════════════════════════════
+// Control socket for bgctl (lib/control-socket.js, bin/bgctl.js), open whenever setup is
+// done, headless or not. Commands run the same operations as the IPC handlers. Those that
+// weaken protection or take data out carry the unlock password, checked on every call and
+// logged like a privileged IPC call.
+let control=null;
+
+async function startControl(){
+  if(control)return;
+  const c=new ControlServer({commands:CONTROL_COMMANDS});
+  try{await c.start();control=c;}
+  catch(err){console.error('[BG] Control socket unavailable:',err.message);}
+}
+
+async function controlAuthorize(password,action){
+  if(!password){logPrivileged(action,false,'no password');throw new Error('Password required');}
+  const res=await verifyPassword(password);
+  logPrivileged(action,res.ok,res.retryIn?'too many attempts':'wrong password','medium');
+  if(!res.ok)throw new Error(res.retryIn?`Too many attempts — try again in ${Math.ceil(res.retryIn/1000)}s`:'Password is incorrect');
+}
+
+function needVault(){if(!vault)throw new Error('The data store is locked — unlock the screen first');}
+
+const CONTROL_COMMANDS={
+  status:()=>({...buildStatsPayload(),monitorError,locked:isLocked,recording:!!recorder?.active,headless:HEADLESS,dashboard:!!mainWindow,version:app.getVersion()}),
+  alerts:({limit})=>ALERTS.slice(0,Math.max(1,Math.min(Number(limit)||20,ALERT_VIEW_MAX))),
+  'train-status':()=>{
+    const s=engine.stats();
+    return{user:s.user,isTraining:s.isTraining,phase:s.phase,trainPct:s.trainPct,activeTime:s.activeTime,samples:s.samples,hasProfile:s.hasProfile,profiles:listProfiles()};
+  },
+  pause:async(_,{password})=>{await controlAuthorize(password,'Pause monitoring (bgctl)');stopMonitoring();return{monitoring:isMonitoring};},
+  resume:()=>{startMonitoring();return{monitoring:isMonitoring,error:monitorError};},
+  lock:()=>{showLockScreen(undefined,'control');return{locked:isLocked};},
+  'reset-profile':async(_,{password})=>{
+    needVault();
+    await controlAuthorize(password,'Reset profile (bgctl)');
+    resetProfile();
+    return{user:{...engine.user}};
+  },
+  // The sealed file is returned; bgctl writes it where the caller asked.
+  'export-profile':async({id,passphrase},{password})=>{
+    needVault();
+    const p=engine.profiles.get(id||engine.user.id);
+    if(!p)throw new Error(id?'No trained profile with that id':'The active profile is not trained yet');
+    if(typeof passphrase!=='string'||passphrase.length<profileFile.MIN_PASSPHRASE)throw new Error(`Passphrase must be at least ${profileFile.MIN_PASSPHRASE} characters`);
+    await controlAuthorize(password,'Export profile (bgctl)');
+    return profileFile.seal(p,passphrase);
+  },
+  // Chain key for tools/verify-audit.js --key; it checks the log but opens nothing.
+  'audit-key':async(_,{password})=>{
+    needVault();
+    await controlAuthorize(password,'Show audit chain key (bgctl)');
+    return{key:chainKey(DATA_KEY).toString('hex'),head:vault.get('auditHead',null)};
+  },
+  dashboard:()=>showDashboard(),
+};
+
+// ═════════════════════════════════════════════════════════════
+// SETTINGS
+// ═════════════════════════════════════════════════════════════
+// Changes from the Settings page or a fleet policy. The policy has the last word on the
+// settings it names: a local change to one of them is put back.
+// Returns the keys that changed; `origin` ({ source, rev }) is recorded with them.
+function applySettings(s,origin=null){
+  const prev=SETTINGS;
+  SETTINGS={...SETTINGS,...s,...fleetPolicySettings()};
+  store.set('settings',SETTINGS);
+  const changed=logSettingsChange(prev,SETTINGS,origin);
+  engine.configure({sensitivity:SETTINGS.sensitivity,adaptive:SETTINGS.adaptive,botDetectors:botDetectors()});
+  policy.configure(SETTINGS.responsePolicy);
+  if(!SETTINGS.autoBlock){policy.reset();closeChallenge();}
+  try{setVaultEncryption(SETTINGS.privacyMode!==false);}catch(err){console.error('[BG] Data store re-encryption failed:',err.message);}
+  applyApiSettings();
+  if(series){series.retentionDays=historyDays();pruneHistory();}
+  if(audit){audit.retentionDays=auditDays();pruneAudit();}
+  applyRecording(); updateTray();
+  app.setLoginItemSettings({openAtLogin:!!SETTINGS.launchAtLogin});
+  return changed;
+}
+
+// ═════════════════════════════════════════════════════════════
+// FLEET
+// ═════════════════════════════════════════════════════════════
+// Optional reporting to a fleet collector (collector/, lib/fleet-client.js), joined from
+// setup or Settings with the collector's URL and enrollment code. Reports carry the host
+// status, per-span trust summaries and every logged alert without its explanation; no
+// input data. The enrollment and the policy in force are in the config store ('fleet'),
+// undelivered alerts and points in the vault ('fleetOutbox').
+let fleet=null;
+
+// Re-checked on read: a policy stored by an older version may name settings no longer allowed.
+function fleetPolicySettings(){
+  const f=store.get('fleet',null);
+  return f&&!f.revoked&&f.policy?fleetProtocol.normalizeFleetPolicy(f.policy).settings:{};
+}
+
+function fleetStatus(){
+  const s=engine.stats(), profiles=listProfiles();
+  return{monitoring:isMonitoring,locked:isLocked,headless:HEADLESS,trust:s.isTraining||!lastRisk?null:Math.round(lastRisk.trustScore),
+    isTraining:s.isTraining,trainPct:s.trainPct,phase:s.phase,user:s.user?.name||null,profiles:profiles.length,trained:profiles.filter(p=>p.trained).length,
+    version:app.getVersion(),platform:process.platform,hostname:os.hostname()};
+}
+
+function startFleet(){
+  const f=store.get('fleet',null);
+  if(fleet||!f?.hostId||f.revoked)return;
+  fleet=new FleetClient({
+    enrollment:f, status:fleetStatus, policy:f.policy,
+    outbox:vault?.get('fleetOutbox',{})||{},
+    persist:o=>vault?.set('fleetOutbox',o),
+    onPolicy:applyFleetPolicy,
+    onRevoked:()=>{
+      fleet=null; store.set('fleet.revoked',Date.now()); vault?.delete('fleetOutbox');
+      logAudit({kind:'fleet',action:'revoked',host:f.hostId,msg:`The collector at ${f.url} removed this host; reporting stopped`});
+      notify('BehaviorGuard','This computer was removed from its fleet and no longer reports.');
+    },
+  });
+  fleet.start();
+}
+
+// Every setting the revision changes is logged with its old and new value, and the user is told.
+function applyFleetPolicy(p){
+  store.set('fleet.policy',p);
+  logAudit({kind:'fleet',action:'policy',rev:p.rev,msg:`Fleet policy revision ${p.rev} applied${Object.keys(p.settings).length?` (${Object.keys(p.settings).join(', ')})`:''}`});
+  const changed=applySettings({},{source:'fleet',rev:p.rev});
+  if(changed.length)notify('BehaviorGuard',`Your fleet policy changed ${changed.join(', ')}.`);
+  sendToRenderer('settings-changed',SETTINGS);
+}
+
+async function fleetEnroll(url,code,name){
+  const f=store.get('fleet',null);
+  if(f?.hostId&&!f.revoked)throw new Error('Already reporting to a collector — leave that fleet first');
+  const base=fleetProtocol.collectorUrl(url);
+  if(typeof code!=='string'||!code.trim())throw new Error('Enter the enrollment code');
+  const host={name:String(name||'').trim().slice(0,80)||os.hostname(),hostname:os.hostname(),platform:process.platform,version:app.getVersion()};
+  let res;
+  try{res=await FleetClient.enroll(base,code,host);}
+  catch(err){throw new Error(`Enrollment failed: ${err.message}`);}
+  store.set('fleet',{url:base,hostId:res.hostId,secret:res.secret,name:host.name,enrolledAt:Date.now(),policy:res.policy});
+  vault?.delete('fleetOutbox');
+  logAudit({kind:'fleet',action:'enroll',host:res.hostId,msg:`Joined the fleet at ${base} as "${host.name}"`});
+  applyFleetPolicy(res.policy);
+  startFleet();
+  return fleetInfo();
+}
+
+// The settings the policy named stay as they are, but are the user's again.
+function fleetLeave(){
+  const f=store.get('fleet',null);
+  if(!f)return fleetInfo();
+  fleet?.stop(); fleet=null;
+  store.delete('fleet'); vault?.delete('fleetOutbox');
+  logAudit({kind:'fleet',action:'leave',host:f.hostId,msg:`Left the fleet at ${f.url}`});
+  return fleetInfo();
+}
+
+function fleetInfo(){
+  const f=store.get('fleet',null);
+  if(!f)return{enrolled:false};
+  return{enrolled:true,url:f.url,hostId:f.hostId,name:f.name,enrolledAt:f.enrolledAt,revoked:f.revoked||null,
+    policyRev:f.policy?.rev||0,managed:Object.keys(f.policy?.settings||{}),...(fleet?.info()||{})};
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -542,59 +1539,100 @@ function sendToRenderer(channel,data){
 // ═════════════════════════════════════════════════════════════
 ipcMain.handle('get-stats',    ()=>buildStatsPayload());
 ipcMain.handle('get-alerts',   ()=>ALERTS);
-ipcMain.handle('clear-alerts', ()=>{ALERTS=[];store.set('alerts',[]);return true;});
+ipcMain.handle('clear-alerts', (e,token)=>{authorize(e,token,'Clear alerts');clearAlertView();return true;});
+ipcMain.handle('query-audit',  (_,before,limit)=>queryAudit(before,limit));
+ipcMain.handle('verify-audit', ()=>verifyAudit());
+ipcMain.handle('alert-feedback',(_,id,verdict)=>alertFeedback(id,verdict));
 ipcMain.handle('get-settings', ()=>SETTINGS);
-ipcMain.handle('save-settings',(_, s)=>{
-  SETTINGS={...SETTINGS,...s};
-  store.set('settings',SETTINGS);
-  app.setLoginItemSettings({openAtLogin:!!SETTINGS.launchAtLogin});
+ipcMain.handle('save-settings',(e,token,s)=>{
+  authorize(e,token,'Change settings');
+  applySettings(s);
   return true;
 });
 ipcMain.handle('start-monitoring',()=>{startMonitoring();return isMonitoring;});
-ipcMain.handle('stop-monitoring', ()=>{stopMonitoring(); return isMonitoring;});
-ipcMain.handle('toggle-monitoring',()=>{toggleMonitoring();return isMonitoring;});
-ipcMain.handle('reset-profile',()=>{resetProfile();return true;});
-ipcMain.handle('export-profile',async()=>{
-  if(!SESSION.profile)throw new Error('No profile');
-  const{filePath}=await dialog.showSaveDialog({defaultPath:`bg_profile_${Date.now()}.json`,filters:[{name:'JSON',extensions:['json']}]});
-  if(!filePath)return false;
-  require('fs').writeFileSync(filePath,JSON.stringify(SESSION.profile,null,2));
-  return true;
-});
-ipcMain.handle('import-profile',async()=>{
-  const{filePaths}=await dialog.showOpenDialog({filters:[{name:'JSON',extensions:['json']}],properties:['openFile']});
-  if(!filePaths.length)return false;
-  const raw=JSON.parse(require('fs').readFileSync(filePaths[0],'utf8'));
-  SESSION.profile=raw; SESSION.isTraining=false;
-  store.set('profile',raw); sendToRenderer('profile-loaded',raw);
-  return true;
+ipcMain.handle('stop-monitoring', (e,token)=>{authorize(e,token,'Pause monitoring');stopMonitoring(); return isMonitoring;});
+ipcMain.handle('toggle-monitoring',(e,token)=>{if(isMonitoring)authorize(e,token,'Pause monitoring');toggleMonitoring();return isMonitoring;});
+ipcMain.handle('reset-profile',(e,token)=>{authorize(e,token,'Reset profile');resetProfile();return true;});
+ipcMain.handle('export-profile',(e,token,id,passphrase)=>{authorize(e,token,'Export profile');return exportProfileFile(id||undefined,passphrase);});
+ipcMain.handle('inspect-profile-import',(_,passphrase)=>inspectProfileImport(passphrase));
+ipcMain.handle('import-profile',async(_,token,password,allowUnsigned)=>{
+  const action=pendingImport?.token===token&&!pendingImport.signed?'Import profile (unsigned file)':'Import profile';
+  let res;
+  try{res=await applyProfileImport(token,password,allowUnsigned);}
+  catch(err){logPrivileged(action,false,err.message,'medium');throw err;}   // expired, unsigned without consent, invalid
+  logPrivileged(action,res.ok,res.retryIn?'too many attempts':'wrong password','medium');
+  return res;
 });
-ipcMain.handle('unlock',()=>unlockScreen());
+ipcMain.handle('get-profiles',  ()=>listProfiles());
+ipcMain.handle('query-history', (_,from,to,bucketMs)=>queryHistory(from,to,bucketMs));
+ipcMain.handle('export-history',(e,token,from,to,format)=>{authorize(e,token,'Export trust history');return exportHistory(from,to,format);});
+// Enrolling or switching starts a training run, which scores nothing until it completes.
+ipcMain.handle('enroll-profile',(e,token,name)=>{authorize(e,token,'Enroll profile');return enrollProfile(name);});
+ipcMain.handle('select-profile',(e,token,id)=>{authorize(e,token,'Switch profile');return selectProfile(id);});
+ipcMain.handle('remove-profile',(e,token,id)=>{authorize(e,token,'Remove profile');return removeProfile(id);});
+ipcMain.handle('get-profile-history',()=>engine.profileHistory());
+ipcMain.handle('rollback-profile',(e,token,rev)=>{authorize(e,token,'Roll back profile');return rollbackProfile(rev);});
+ipcMain.handle('list-recordings', ()=>recordingsInfo());
+ipcMain.handle('analyze-recording',(_,name,rev)=>analyzeRecording(name,rev));
+ipcMain.handle('toggle-recording',(e,token)=>{authorize(e,token,`${SETTINGS.recording?'Stop':'Start'} recording`);toggleRecording();return !!SETTINGS.recording;});
+ipcMain.handle('remove-recording',(e,token,name)=>{authorize(e,token,'Delete recording');return removeRecording(name);});
+ipcMain.handle('unlock',e=>unlockScreen(e.sender));
+ipcMain.handle('get-lock-phrase',()=>getLockPhrase());
+ipcMain.handle('verify-lock-phrase',(e,text)=>grantUnlock(e,'phrase',verifyLockPhrase(text)));
+ipcMain.handle('start-typing-enroll',()=>startTypingEnroll());
+ipcMain.handle('add-typing-take',(_,phrase,text)=>addTypingTake(phrase,text));
+ipcMain.handle('finish-typing-enroll',(e,token)=>{if(!engine.isTraining)authorize(e,token,'Replace typing phrases');return finishTypingEnroll();});
+ipcMain.handle('get-challenge',()=>challenge&&{stage:challenge.stage,phrase:challenge.phrase,attempts:challenge.attempts,expires:challenge.expires,score:Math.round(engine.trustScore||0)});
+ipcMain.handle('submit-challenge',(_,answer)=>submitChallenge(answer));
 ipcMain.handle('win-minimize',()=>mainWindow?.minimize());
 ipcMain.handle('win-maximize',()=>mainWindow?.isMaximized()?mainWindow?.unmaximize():mainWindow?.maximize());
 ipcMain.handle('win-hide',    ()=>mainWindow?.hide());
 ipcMain.handle('get-version', ()=>app.getVersion());
+ipcMain.handle('get-api-info',()=>apiInfo());
+ipcMain.handle('get-alert-rules',()=>alertRulesInfo());
+ipcMain.handle('save-alert-rules',(e,token,rules)=>{authorize(e,token,'Change alert rules');return saveAlertRules(rules);});
+ipcMain.handle('test-alert-rule',(e,token,id)=>{authorize(e,token,'Test alert rule');return testAlertRule(id);});
+ipcMain.handle('get-api-token',(e,token)=>{authorize(e,token,'Show API token');return apiToken();});
+ipcMain.handle('regenerate-api-token',(e,token)=>{authorize(e,token,'Regenerate API token');return regenerateApiToken();});
+ipcMain.handle('get-fleet-info',()=>fleetInfo());
+// Joining is privileged once set up; the setup wizard offers it before any elevation exists.
+ipcMain.handle('fleet-enroll',(e,token,url,code,name)=>{
+  if(!setupWindow||e.sender!==setupWindow.webContents)authorize(e,token,'Join a fleet');
+  return fleetEnroll(url,code,name);
+});
+ipcMain.handle('fleet-leave',(e,token)=>{authorize(e,token,'Leave the fleet');return fleetLeave();});
 
 // ── Password & Setup IPC ──────────────────────────────────────
 ipcMain.handle('has-setup',        ()=>hasSetup());
-ipcMain.handle('get-password-data',()=>store.get('passwordData',null));
-ipcMain.handle('check-password',   (_,attempt)=>checkPassword(attempt));
-ipcMain.handle('save-password',    (_,data)=>{
-  store.set('passwordData',{passwordHash:hashPassword(data.password),recovery:data.recovery,createdAt:Date.now()});
-  return true;
-});
-ipcMain.handle('reset-password',(_,newPw)=>{
-  const existing=store.get('passwordData',{});
-  store.set('passwordData',{...existing,passwordHash:hashPassword(newPw),updatedAt:Date.now()});
+ipcMain.handle('get-recovery-info',()=>passwords.publicInfo(store.get('passwordData',null)));
+ipcMain.handle('get-auth-status',  ()=>authStatus());
+ipcMain.handle('elevate',          (e,password,action)=>elevate(e,password,String(action||'Privileged action').slice(0,80)));
+ipcMain.handle('get-elevation',    (e,token)=>elevationFor(e.sender,token));
+ipcMain.handle('verify-password',  async(e,attempt)=>grantUnlock(e,'password',await verifyPassword(attempt)));
+ipcMain.handle('verify-recovery',  (_,answer)=>verifyRecovery(answer));
+ipcMain.handle('change-password',  (_,current,next)=>changePassword(current,next));
+ipcMain.handle('reset-password',   async(e,token,next)=>grantUnlock(e,'recovery',await resetPasswordWithToken(token,next)));
+ipcMain.handle('save-password',    async(_,data)=>{
+  // Setup only: an existing password is changed through change-password or recovery.
+  if(hasSetup())throw new Error('A password is already set');
+  if(typeof data?.password!=='string'||data.password.length<MIN_PASSWORD)throw new Error(`Password must be at least ${MIN_PASSWORD} characters`);
+  store.set('passwordData',await passwords.createRecord(data));
+  await wrapDataKeyWithPassword(data.password);
   return true;
 });
-ipcMain.handle('finish-setup',()=>{
+// Once, from the setup wizard after it saved the password; later calls change nothing.
+ipcMain.handle('finish-setup',e=>{
+  if(store.get('setupComplete')||!setupWindow||e.sender!==setupWindow.webContents)return false;
+  if(!hasSetup())throw new Error('Choose a password first');
   store.set('setupComplete',true);
+  startControl();
   // Close setup, open main dashboard
   if(setupWindow){setupWindow.close();setupWindow=null;}
   createMainWindow();
   setTimeout(()=>{
     loadProfile();
+    initAlertDispatch();
+    initHistory();
     sendToRenderer('stats-update',buildStatsPayload());
     if(SETTINGS.enabled){
       try{startMonitoring();}catch(e){console.error('Monitoring error:',e);}
@@ -637,11 +1675,12 @@ function createMainWindow(){
     mainWindow.show();
     setTimeout(()=>{
       sendToRenderer('stats-update',buildStatsPayload());
-      if(SESSION.profile)sendToRenderer('profile-loaded',{size:SESSION.profile.size,createdAt:SESSION.profile.createdAt});
+      if(engine.profile)sendToRenderer('profile-loaded',{size:engine.profile.size,createdAt:engine.profile.createdAt});
     },600);
   });
   mainWindow.on('close',(e)=>{
-    if(!app.isQuiting){
+    // Headless, the dashboard is a client that can go away; otherwise it hides to the tray.
+    if(!app.isQuiting&&!HEADLESS){
       e.preventDefault(); mainWindow.hide();
       if(Notification.isSupported())new Notification({title:'BehaviorGuard',body:'Still monitoring in the background.'}).show();
     }
@@ -652,22 +1691,61 @@ function createMainWindow(){
 // ═════════════════════════════════════════════════════════════
 // APP LIFECYCLE
 // ═════════════════════════════════════════════════════════════
-app.whenReady().then(()=>{
-  createTray();
+// Loads profiles and starts detection; the dashboard window opens unless running headless.
+function startDashboard(){
+  if(!HEADLESS)createMainWindow();
+  loadProfile();
+  initAlertDispatch();
+  initHistory();
+  applyApiSettings();
+  if(SETTINGS.enabled){
+    setTimeout(()=>{
+      try{startMonitoring();}
+      catch(e){console.error('Monitoring failed:',e);}
+    },2000);
+  }
+}
+
+/** Open (or bring up) the dashboard; false before setup or while the data store is locked. */
+function showDashboard(){
+  if(setupWindow){setupWindow.show();setupWindow.focus();return true;}
+  if(!hasSetup()||pendingStart)return false;
+  if(!mainWindow)createMainWindow();
+  else{mainWindow.show();mainWindow.focus();}
+  return true;
+}
+
+// A second launch attaches to this one: the dashboard opens here instead.
+if(!singleInstance)app.quit();
+app.on('second-instance',(_,argv)=>{if(!argv.includes('--headless'))showDashboard();});
+
+app.whenReady().then(async()=>{
+  if(!singleInstance)return;
+  let dataReady=false;
+  try{dataReady=initStorage();}catch(err){console.error('[BG] Data store unavailable:',err.message);}
+  engine.configure({sensitivity:SETTINGS.sensitivity,adaptive:SETTINGS.adaptive,botDetectors:botDetectors()});
+  policy.configure(SETTINGS.responsePolicy);
+  try{await migratePasswordData();}catch(err){console.error('[BG] Password store migration failed:',err.message);}
+  if(!HEADLESS)createTray();
+  screen.on('display-added',coverDisplays);
+  screen.on('display-removed',coverDisplays);
 
+  if(!hasSetup()&&HEADLESS){
+    console.error('[BG] Not set up yet: start BehaviorGuard once with a display to choose the password');
+    app.exit(EXIT_NOT_SET_UP);
+    return;
+  }
+  if(hasSetup()){startControl();startFleet();}
   if(!hasSetup()){
     // First run — show setup wizard only
     createSetupWindow();
+  } else if(!dataReady||store.get('lockedAt')){
+    // Data key only recoverable with the password, or quit while locked — dashboard starts on unlock
+    pendingStart=true;
+    showLockScreen(null,dataReady?'restart':'data');
   } else {
     // Returning user — go straight to dashboard
-    createMainWindow();
-    loadProfile();
-    if(SETTINGS.enabled){
-      setTimeout(()=>{
-        try{startMonitoring();}
-        catch(e){console.error('Monitoring failed:',e);}
-      },2000);
-    }
+    startDashboard();
   }
 
   app.on('activate',()=>{
@@ -682,8 +1760,14 @@ app.on('window-all-closed',()=>{
 
 app.on('before-quit',()=>{
   app.isQuiting=true;
-  saveTrainingProgress();
-  stopMonitoring();
+  localApi?.stop(); dispatcher?.stop(); control?.stop(); fleet?.stop();
+  if(pruneTimer)clearInterval(pruneTimer);
+  if(auditPruneTimer)clearInterval(auditPruneTimer);
+  if(!vault)return;
+  saveTrainingProgress(); saveProfile(); saveReplayStore();
+  stopMonitoring(); sampler.flush();
 });
 
-process.on('uncaughtException',err=>{console.error('[BG] Uncaught:',err);});
\ No newline at end of file
+process.on('uncaughtException',err=>{console.error('[BG] Uncaught:',err);});
+// systemd stops the daemon with SIGTERM: quit normally so profiles and training are saved.
+for(const sig of ['SIGTERM','SIGINT'])process.on(sig,()=>{app.isQuiting=true;app.quit();});
\ No newline at end of file
@@ -2,30 +2,92 @@
 
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Elevation token from elevate(); sent with privileged calls, never handed to the page.
+let elevation = null;
+
 contextBridge.exposeInMainWorld('bgAPI', {
   // ── Queries ───────────────────────────────────────────────
   getStats:        ()  => ipcRenderer.invoke('get-stats'),
   getAlerts:       ()  => ipcRenderer.invoke('get-alerts'),
   getSettings:     ()  => ipcRenderer.invoke('get-settings'),
   getVersion:      ()  => ipcRenderer.invoke('get-version'),
-  getPasswordData: ()  => ipcRenderer.invoke('get-password-data'),
+  getRecoveryInfo: ()  => ipcRenderer.invoke('get-recovery-info'),
+  getAuthStatus:   ()  => ipcRenderer.invoke('get-auth-status'),
   hasSetup:        ()  => ipcRenderer.invoke('has-setup'),
+  getProfileHistory: () => ipcRenderer.invoke('get-profile-history'),
+  getProfiles:     ()  => ipcRenderer.invoke('get-profiles'),
+  // Per-minute trust history re-bucketed to bucketMs (coarser if the range is long) — see main.js.
+  queryHistory:    (from, to, bucketMs) => ipcRenderer.invoke('query-history', from, to, bucketMs),
+  // Recording mode: { enabled, current, files:[{ name, size, modified, meta }] }, newest first.
+  listRecordings:  ()  => ipcRenderer.invoke('list-recordings'),
+  // Audit log, newest first: { entries:[{ seq, ts, kind, type, severity, msg }], seq, unreadable }.
+  queryAudit:      (before, limit) => ipcRenderer.invoke('query-audit', before, limit),
+  // Hash-chain check: { ok, authenticated, entries, files, first, last, problems:[{ file, line, msg }] }.
+  verifyAudit:     ()  => ipcRenderer.invoke('verify-audit'),
 
   // ── Commands ──────────────────────────────────────────────
-  saveSettings:     (s)  => ipcRenderer.invoke('save-settings', s),
-  clearAlerts:      ()   => ipcRenderer.invoke('clear-alerts'),
-  resetProfile:     ()   => ipcRenderer.invoke('reset-profile'),
-  exportProfile:    ()   => ipcRenderer.invoke('export-profile'),
-  importProfile:    ()   => ipcRenderer.invoke('import-profile'),
+  // Privileged (see elevate below): saveSettings, clearAlerts, resetProfile, enrollProfile,
+  // selectProfile, removeProfile, exportProfile, rollbackProfile, toggleRecording, removeRecording,
+  // exportHistory, saveAlertRules, testAlertRule, getApiToken, regenerateApiToken, fleetEnroll (outside setup), fleetLeave,
+  // stopMonitoring, toggleMonitoring when it would stop and finishTypingEnroll once trained.
+  saveSettings:     (s)  => ipcRenderer.invoke('save-settings', elevation, s),
+  clearAlerts:      ()   => ipcRenderer.invoke('clear-alerts', elevation),   // hides them; the audit log keeps them
+  alertFeedback:    (id, verdict) => ipcRenderer.invoke('alert-feedback', id, verdict),   // verdict: 'me' | 'not-me'
+  resetProfile:     ()   => ipcRenderer.invoke('reset-profile', elevation),
+  // Profile files are passphrase-sealed; import = inspect (summary + token), then import with the password.
+  // An unsigned (pre-2.3 plain JSON) file also needs allowUnsigned.
+  exportProfile:    (id, passphrase) => ipcRenderer.invoke('export-profile', elevation, id, passphrase),
+  inspectProfileImport: (passphrase) => ipcRenderer.invoke('inspect-profile-import', passphrase),
+  importProfile:    (token, password, allowUnsigned) => ipcRenderer.invoke('import-profile', token, password, allowUnsigned === true),
+  rollbackProfile:  (rev) => ipcRenderer.invoke('rollback-profile', elevation, rev),
+  // Re-score a stored recording (name) or a picked file (null) against a revision of the active profile.
+  analyzeRecording: (name, rev) => ipcRenderer.invoke('analyze-recording', name, rev),
+  toggleRecording:  ()   => ipcRenderer.invoke('toggle-recording', elevation),   // → recording on?
+  removeRecording:  (name) => ipcRenderer.invoke('remove-recording', elevation, name),
+  enrollProfile:    (name) => ipcRenderer.invoke('enroll-profile', elevation, name),
+  selectProfile:    (id) => ipcRenderer.invoke('select-profile', elevation, id),
+  removeProfile:    (id) => ipcRenderer.invoke('remove-profile', elevation, id),
   startMonitoring:  ()   => ipcRenderer.invoke('start-monitoring'),
-  stopMonitoring:   ()   => ipcRenderer.invoke('stop-monitoring'),
-  toggleMonitoring: ()   => ipcRenderer.invoke('toggle-monitoring'),
+  stopMonitoring:   ()   => ipcRenderer.invoke('stop-monitoring', elevation),
+  toggleMonitoring: ()   => ipcRenderer.invoke('toggle-monitoring', elevation),
   unlock:           ()   => ipcRenderer.invoke('unlock'),
+  // Typing enrollment: start → { phrases, repeats }; each take → { ok, why?, takes }; finish → { completed, phrases }.
+  startTypingEnroll:  ()             => ipcRenderer.invoke('start-typing-enroll'),
+  addTypingTake:      (phrase, text) => ipcRenderer.invoke('add-typing-take', phrase, text),
+  finishTypingEnroll: ()             => ipcRenderer.invoke('finish-typing-enroll', elevation),
+  // Local API: { enabled, port, running, clients, error }; the token itself is privileged.
+  getApiInfo:       ()   => ipcRenderer.invoke('get-api-info'),
+  getApiToken:      ()   => ipcRenderer.invoke('get-api-token', elevation),
+  regenerateApiToken: () => ipcRenderer.invoke('regenerate-api-token', elevation),
+  // Fleet collector: { enrolled, url, hostId, name, policyRev, managed:[setting], lastContact, lastError, … }.
+  getFleetInfo:     ()   => ipcRenderer.invoke('get-fleet-info'),
+  fleetEnroll:      (url, code, name) => ipcRenderer.invoke('fleet-enroll', elevation, url, code, name),
+  fleetLeave:       ()   => ipcRenderer.invoke('fleet-leave', elevation),
+  getAlertRules:    ()   => ipcRenderer.invoke('get-alert-rules'),
+  saveAlertRules:   (rules) => ipcRenderer.invoke('save-alert-rules', elevation, rules),
+  testAlertRule:    (id) => ipcRenderer.invoke('test-alert-rule', elevation, id),
+  exportHistory:    (from, to, format) => ipcRenderer.invoke('export-history', elevation, from, to, format),
 
   // ── Password & Setup ──────────────────────────────────────
-  savePassword:  (data) => ipcRenderer.invoke('save-password', data),
-  checkPassword: (pw)   => ipcRenderer.invoke('check-password', pw),
-  resetPassword: (pw)   => ipcRenderer.invoke('reset-password', pw),
+  // Verification results are { ok, failures, retryIn } — see main.js.
+  savePassword:   (data)      => ipcRenderer.invoke('save-password', data),
+  verifyPassword: (pw)        => ipcRenderer.invoke('verify-password', pw),
+  verifyRecovery: (answer)    => ipcRenderer.invoke('verify-recovery', answer),
+  changePassword: (cur, next) => ipcRenderer.invoke('change-password', cur, next),
+  resetPassword:  (token, pw) => ipcRenderer.invoke('reset-password', token, pw),
+  // Password check for privileged calls: { ok, failures, retryIn, expires? }; the token stays here.
+  async elevate(pw, action) {
+    const { token, ...res } = await ipcRenderer.invoke('elevate', pw, action);
+    if (token) elevation = token;
+    return res;
+  },
+  getElevation:   ()          => ipcRenderer.invoke('get-elevation', elevation),   // expiry or null
+  // Typed-phrase unlock: { phrase } or null when the profile has no enrolled phrases.
+  getLockPhrase:    ()     => ipcRenderer.invoke('get-lock-phrase'),
+  verifyLockPhrase: (text) => ipcRenderer.invoke('verify-lock-phrase', text),
+  // Graduated-response challenge window: { stage, phrase, attempts, expires, score } or null.
+  getChallenge:    ()       => ipcRenderer.invoke('get-challenge'),
+  submitChallenge: (answer) => ipcRenderer.invoke('submit-challenge', answer),
   finishSetup:   ()     => ipcRenderer.invoke('finish-setup'),
 
   // ── Window chrome ─────────────────────────────────────────
@@ -37,7 +99,8 @@ contextBridge.exposeInMainWorld('bgAPI', {
   on(channel, cb) {
     const ALLOWED = [
       'stats-update','risk-update','alert','monitoring-status',
-      'training-complete','training-phase','profile-loaded','profile-reset','navigate',
+      'training-complete','training-phase','profile-loaded','profile-reset','profiles-changed','navigate',
+      'alert-delivery','settings-changed','elevate-request',
     ];
     if (!ALLOWED.includes(channel)) return;
     const wrapped = (_, ...args) => cb(...args);
@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { dayKey, snapshot, adaptProfile } = require('../lib/adapt');
+const { stream, drive } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOON = new Date(2024, 2, 5, 12).getTime();
+
+function profile() {
+  return { rev:0, createdAt:NOON - DAY, features:{ ks:{ medDwell:100, n:50 } },
+           model:{ channels:{ ks:{ features:['medDwell'], center:[100], scale:[10] } } } };
+}
+
+// `n` accepted windows that all pull towards a dwell of 200 ms.
+function pull(p, n, ts) {
+  let newDay = 0;
+  for (let i = 0; i < n; i++) newDay += adaptProfile(p, { ks:{ medDwell:200 } }, { ks:{ medDwell:200, n:9 } }, ts + i);
+  return newDay;
+}
+
+test('drift within a day is capped however many windows agree', () => {
+  const p = profile();
+  assert.strictEqual(pull(p, 2000, NOON), 1, 'one new revision per day');
+  assert.strictEqual(p.model.channels.ks.center[0], 105);     // half a scale unit
+  assert.strictEqual(p.features.ks.medDwell, 105);             // 5% of itself
+  assert.strictEqual(p.features.ks.n, 50);
+  pull(p, 2000, NOON + DAY);
+  assert.strictEqual(p.model.channels.ks.center[0], 110);
+  assert.strictEqual(p.adapt.day, dayKey(NOON + DAY));
+});
+
+test('a snapshot is not changed by later adaptation', () => {
+  const p = profile(), s = snapshot(p);
+  pull(p, 100, NOON);
+  assert.deepStrictEqual({ rev:s.rev, reason:s.reason, center:s.model.channels.ks.center, dwell:s.features.ks.medDwell },
+                         { rev:0, reason:'trained', center:[100], dwell:100 });
+});
+
+test('an adapted profile keeps its trained revision and rolls back to it', () => {
+  const { engine } = drive(stream('human', { keys:2000 }), { quickTarget:60000, fullTarget:120000, adaptive:true });
+  assert.deepStrictEqual(engine.profileHistory().map(h => [h.rev, h.reason]), [[1, 'adapted'], [0, 'trained']]);
+  const trained = engine.profileAt(0);
+  assert.notDeepStrictEqual(engine.profile.features, trained.features);
+  const p = engine.rollbackProfile(0);
+  assert.deepStrictEqual([p.rev, p.revReason], [2, 'rollback to r0']);
+  assert.deepStrictEqual(p.features, trained.features);
+  assert.strictEqual(engine.rollbackProfile(7), null);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { AlertDispatcher, retryDelay, MAX_ATTEMPTS } = require('../lib/alert-dispatch');
+const { normalizeRules } = require('../lib/alert-rules');
+
+const SOURCE = { version:'1.2.3', hostname:'pc' };
+const ALERT = { id:42, ts:1700000000000, type:'bot', severity:'high', msg:'Bot detected', user:null };
+
+// A webhook receiver that answers `statuses` in turn (then 200); resolves with its requests.
+async function withReceiver(statuses, fn) {
+  const got = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => { got.push({ headers:req.headers, body }); res.writeHead(statuses.shift() || 200); res.end(); });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try { return await fn(`http://127.0.0.1:${server.address().port}/hook`, got); }
+  finally { server.close(); }
+}
+
+function dispatcher(opts = {}) {
+  const log = [], queues = [];
+  const d = new AlertDispatcher({ source:SOURCE, local:{ lock() { log.push('lock'); }, pause() { log.push('pause'); } },
+    persist:q => queues.push(q.length), onLog:e => log.push(e), ...opts });
+  return { d, log, queues };
+}
+
+const delivered = log => new Promise(r => { const t = setInterval(() => { if (log.some(e => e.kind === 'webhook')) { clearInterval(t); r(); } }, 5); });
+
+test('a webhook gets the alert as signed JSON', () => withReceiver([], async (url, got) => {
+  const { d, log } = dispatcher();
+  d.dispatch(ALERT, normalizeRules([{ id:'r', match:{}, actions:[{ kind:'webhook', url, secret:'s3cret' }] }], () => 'x'));
+  await delivered(log);
+  d.stop();
+  const [{ headers, body }] = got;
+  assert.strictEqual(headers['x-bg-signature'], `sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+  assert.deepStrictEqual([JSON.parse(body).msg, JSON.parse(body).host], ['Bot detected', 'pc']);
+  assert.deepStrictEqual([log[0].ok, log[0].attempt, d.pending()], [true, 1, 0]);
+}));
+
+test('a failed delivery stays queued for a retry with back-off', () => withReceiver([503], async (url, got) => {
+  const { d, log, queues } = dispatcher();
+  d.dispatch(ALERT, normalizeRules([{ id:'r', match:{}, actions:[{ kind:'webhook', url }] }], () => 'x'));
+  await delivered(log);
+  d.stop();
+  assert.deepStrictEqual([log[0].ok, log[0].error, d.pending(), got.length], [false, 'HTTP 503', 1, 1]);
+  assert.strictEqual(queues.at(-1), 1, 'the pending delivery was persisted');
+  assert.deepStrictEqual([1, 2, 3].map(retryDelay), [5000, 10000, 20000]);
+  assert.strictEqual(retryDelay(MAX_ATTEMPTS + 10), 10 * 60 * 1000);
+}));
+
+test('lock runs at once, and not for a test alert', () => {
+  const { d, log } = dispatcher();
+  const rules = normalizeRules([{ id:'r', match:{}, actions:[{ kind:'lock' }] }], () => 'x');
+  d.dispatch(ALERT, rules);
+  d.dispatch({ ...ALERT, id:'test-1', test:true }, rules);
+  d.stop();
+  assert.strictEqual(log.filter(e => e === 'lock').length, 1);
+  assert.deepStrictEqual(log.filter(e => e.kind === 'lock').map(e => [e.test, e.error]), [[false, null], [true, 'skipped for a test alert']]);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SECRET_MASK, normalizeRule, normalizeRules, redactRules, restoreSecrets, matches, actionsFor, toCEF, syslogLine } = require('../lib/alert-rules');
+
+const SOURCE = { version:'1.2.3', hostname:'pc' };
+const ALERT = { id:42, ts:Date.UTC(2024, 0, 2, 3, 4, 5), type:'bot', severity:'high', msg:'Bot | score=97', user:{ name:'Alice' } };
+
+const stored = normalizeRules([
+  { id:'r1', name:'SIEM', match:{ minSeverity:'high' }, actions:[{ kind:'webhook', url:'https://siem.example/hook', secret:'s3cret' }] },
+], () => 'unused');
+
+test('webhook secrets are masked for the renderer', () => {
+  const [r] = redactRules(stored);
+  assert.strictEqual(r.actions[0].secret, SECRET_MASK);
+  assert.strictEqual(stored[0].actions[0].secret, 's3cret');
+});
+
+test('a masked secret sent back keeps the stored one', () => {
+  const next = normalizeRules(redactRules(stored).map(r => ({ ...r, enabled:false })), () => 'unused');
+  assert.strictEqual(restoreSecrets(next, stored)[0].actions[0].secret, 's3cret');
+});
+
+test('a mask cannot pull a secret into another rule or URL', () => {
+  const moved = normalizeRules([
+    { id:'r2', match:{}, actions:[{ kind:'webhook', url:'https://siem.example/hook', secret:SECRET_MASK }] },
+    { id:'r1', match:{}, actions:[{ kind:'webhook', url:'https://evil.example/', secret:SECRET_MASK }] },
+  ], () => 'unused');
+  for (const r of restoreSecrets(moved, stored)) assert.ok(!('secret' in r.actions[0]), r.id);
+});
+
+test('malformed actions are refused when a rule is saved', () => {
+  for (const [action, why] of [
+    [{ kind:'webhook', url:'ftp://x.example/' }, /http or https/],
+    [{ kind:'command', command:'  ' }, /needs a program/],
+    [{ kind:'syslog', transport:'udp' }, /needs a host and port/],
+    [{ kind:'shell' }, /Unknown action "shell"/],
+  ]) assert.throws(() => normalizeRule({ match:{}, actions:[action] }, 'r'), why);
+  assert.throws(() => normalizeRule({ match:{}, actions:[] }, 'r'), /at least one action/);
+  const r = normalizeRule({ name:'x'.repeat(80), match:{ types:['bot', 'nope'], minSeverity:'urgent' }, actions:[{ kind:'lock' }] }, 'r9');
+  assert.deepStrictEqual([r.id, r.name.length, r.match], ['r9', 60, { types:['bot'], minSeverity:'low' }]);
+});
+
+test('rules match by type and minimum severity, and shared actions run once', () => {
+  const rules = normalizeRules([
+    { id:'a', match:{ types:['bot'], minSeverity:'high' }, actions:[{ kind:'lock' }, { kind:'command', command:'notify' }] },
+    { id:'b', match:{ minSeverity:'medium' }, actions:[{ kind:'command', command:'notify' }] },
+    { id:'c', enabled:false, match:{}, actions:[{ kind:'pause' }] },
+  ], () => 'unused');
+  assert.ok(matches(rules[0], ALERT));
+  assert.ok(!matches(rules[0], { ...ALERT, severity:'medium' }));
+  assert.ok(!matches(rules[0], { ...ALERT, type:'replay' }));
+  assert.deepStrictEqual(actionsFor(rules, ALERT).map(a => `${a.rule}:${a.kind}`), ['a:lock', 'a:command']);
+  assert.deepStrictEqual(actionsFor(rules, { ...ALERT, type:'anomaly', severity:'medium' }).map(a => `${a.rule}:${a.kind}`), ['b:command']);
+});
+
+test('CEF and syslog lines escape the message and carry the severity', () => {
+  assert.strictEqual(toCEF(ALERT, SOURCE),
+    'CEF:0|BehaviorGuard|BehaviorGuard Desktop|1.2.3|bot|Bot \\| score=97|8|rt=1704164645000 dvchost=pc cat=bot msg=Bot | score\\=97 suser=Alice externalId=42');
+  assert.match(syslogLine(ALERT, 'json', SOURCE, 7), /^<83>1 2024-01-02T03:04:05\.000Z pc behaviorguard 7 bot - \{"source":"behaviorguard"/);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, chainKey } = require('../lib/audit-log');
+
+const DATA_KEY = Buffer.alloc(32, 3);
+
+function withLog(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-audit-'));
+  try { return fn(dir, new AuditLog({ dir, key:() => DATA_KEY })); }
+  finally { fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+// Rewrite entry `seq` with a new body and recompute every hash from there on, keyed with `key`
+// (or unkeyed SHA-256, what a forger without the chain key could do).
+function forge(dir, seq, body, key) {
+  const file = path.join(dir, fs.readdirSync(dir)[0]);
+  let prev = null;
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(t => JSON.parse(t)).map(l => {
+    if (l.seq === seq) l.body = JSON.stringify(body);
+    if (l.seq >= seq) {
+      if (prev) l.prev = prev;
+      const h = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+      l.hash = h.update(`${l.seq}\n${l.prev}\n${l.body}`).digest('hex');
+    }
+    prev = l.hash;
+    return l;
+  });
+  fs.writeFileSync(file, lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+}
+
+test('an intact log verifies with the chain key', () => withLog((dir, log) => {
+  for (let i = 0; i < 5; i++) log.append({ kind:'settings', msg:`change ${i}` });
+  const res = new AuditLog({ dir, key:() => null, macKey:() => chainKey(DATA_KEY) }).verify({ seq:log.seq, hash:log.hash });
+  assert.deepStrictEqual([res.ok, res.authenticated, res.entries], [true, true, 5]);
+}));
+
+test('a rewritten entry with recomputed hashes fails with the chain key', () => withLog((dir, log) => {
+  for (let i = 0; i < 5; i++) log.append({ kind:'settings', msg:`change ${i}` }, { plain:true });
+  forge(dir, 3, { kind:'settings', msg:'nothing happened', ts:1 }, null);
+  const res = new AuditLog({ dir, key:() => null, macKey:() => chainKey(DATA_KEY) }).verify();
+  assert.strictEqual(res.ok, false);
+  assert.deepStrictEqual(res.problems.map(p => p.msg), [3, 4, 5].map(n => `Entry ${n} was altered`));
+  // Without the key only the links are checked, and the result says so.
+  const links = new AuditLog({ dir, key:() => null, macKey:() => null }).verify();
+  assert.deepStrictEqual([links.ok, links.authenticated], [true, false]);
+}));
+
+test('appending needs the chain key', () => withLog(dir => {
+  assert.throws(() => new AuditLog({ dir, key:() => null }).append({ kind:'settings', msg:'x' }), /chain key/);
+}));
+
+test('a deleted line and a cut-off end are reported', () => withLog((dir, log) => {
+  for (let i = 0; i < 6; i++) log.append({ kind:'settings', msg:`change ${i}` });
+  const head = { seq:log.seq, hash:log.hash };
+  const file = path.join(dir, fs.readdirSync(dir)[0]);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  fs.writeFileSync(file, lines.filter((l, i) => i !== 2 && i !== 5).join('\n') + '\n');
+  assert.deepStrictEqual(log.verify(head).problems.map(p => p.msg), ['Entry 3 is missing', 'Entry 6 is missing from the end']);
+}));
+
+test('sealed entries read back only with the data key', () => withLog((dir, log) => {
+  log.append({ kind:'alert', msg:'first', ts:1000 });
+  log.append({ kind:'alert', msg:'second', ts:2000 });
+  assert.ok(!fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8').includes('second'));
+  assert.deepStrictEqual([...log.newest()].map(e => e.msg), ['second', 'first']);
+  assert.deepStrictEqual(log.query(1500, 3000).map(e => [e.seq, e.msg]), [[2, 'second']]);
+  const keyless = new AuditLog({ dir, key:() => null, macKey:() => null });
+  assert.deepStrictEqual([keyless.query(0, 3000).length, keyless.unreadable], [0, 2]);
+}));
+
+test('pruned day files leave a retention entry the chain resumes from', () => withLog((dir, log) => {
+  for (let i = 0; i < 3; i++) log.append({ kind:'settings', msg:`change ${i}` });
+  fs.renameSync(path.join(dir, fs.readdirSync(dir)[0]), path.join(dir, 'audit-2020-01-01.jsonl'));
+  const later = new AuditLog({ dir, key:() => DATA_KEY, retentionDays:30 });
+  assert.strictEqual(later.prune(), 1);
+  const [retention] = [...later.newest()];
+  assert.deepStrictEqual([retention.kind, retention.through, retention.seq], ['retention', 3, 4]);
+  assert.deepStrictEqual([later.verify().ok, later.verify().first], [true, 4]);
+}));
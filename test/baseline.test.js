@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const S = require('../lib/stats');
+const { CHANNELS, sampleFrom, fitModel, scoreModel } = require('../lib/baseline');
+
+const THRESHOLDS = { low:15, medium:30, high:50 };
+const KS = { medDwell:95, madDwell:18, medFlight:70, madFlight:30, medIv:160, iqrIv:90, wpm:62 };
+
+// Keystroke windows scattered ±8% around `center`, as sampleFrom() keeps them.
+function windows(n, center = KS, seed = 1) {
+  const rand = S.mulberry32(seed);
+  return Array.from({ length:n }, (_, i) =>
+    sampleFrom({ ks:Object.fromEntries(Object.entries(center).map(([f, x]) => [f, x * (1 + 0.08 * S.gaussian(rand))])) }, i * 3000));
+}
+
+test('a channel needs enough training windows to be modelled', () => {
+  assert.strictEqual(fitModel(windows(5), THRESHOLDS), null);
+  const model = fitModel(windows(60), THRESHOLDS);
+  assert.deepStrictEqual(Object.keys(model.channels), ['ks']);
+  assert.deepStrictEqual(model.channels.ks.features, CHANNELS.ks.features);
+});
+
+test('typical windows score high and a shifted typist scores low', () => {
+  const model = fitModel(windows(60), THRESHOLDS);
+  const trust = cur => scoreModel(model, cur)[0].trust;
+  const own = windows(20, KS, 9).map(s => trust(s));
+  assert.ok(S.median(own) > 80, `own median ${S.median(own)}`);
+  const other = { ...KS, medDwell:140, medFlight:40, wpm:45 };
+  assert.ok(trust({ ks:other }) < 20, `other ${trust({ ks:other })}`);
+});
+
+test('scores explain themselves per feature and the calibration reports error rates', () => {
+  const model = fitModel(windows(60), THRESHOLDS);
+  const [part] = scoreModel(model, { ks:{ ...KS, medDwell:140 } });
+  assert.ok(Math.abs(part.z.medDwell) > Math.abs(part.z.wpm));
+  assert.strictEqual(part.value.medDwell, 140);
+  for (const level of Object.keys(THRESHOLDS)) {
+    const { frr, far } = model.calibration.rates[level];
+    assert.ok(frr >= 0 && frr <= 1 && far >= 0 && far <= 1, level);
+  }
+  assert.deepStrictEqual(scoreModel(model, { mouse:{ avgVel:1 } }), []);
+});
+
+test('chi-squared tail and robust spread behave as textbook values', () => {
+  assert.ok(Math.abs(S.chi2Sf(3.841, 1) - 0.05) < 0.001);
+  assert.ok(Math.abs(S.chi2Sf(S.chi2Median(7), 7) - 0.5) < 0.01);
+  assert.strictEqual(S.mad([1, 1, 1, 1]), 0);
+  assert.ok(Math.abs(S.mad([1, 2, 3, 4, 100]) - 1.4826) < 1e-9);
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDetectors, parseBotModel, DEFAULT_MODEL } = require('../lib/bot-detect');
+const { stream, drive } = require('./helpers');
+
+// Bot verdict over a whole generated stream, from a fresh engine (no one else's input in the window).
+function verdict(mode, opts, detectors) {
+  const { engine } = drive(stream(mode, opts));
+  if (detectors) engine.configure({ botDetectors:detectors });
+  return engine.detectBot();
+}
+
+test('the threshold rules are the only default detector', () => {
+  assert.deepStrictEqual(createDetectors().map(d => d.id), ['rules']);
+  assert.deepStrictEqual(createDetectors({ classifier:true }).map(d => d.id), ['rules', 'classifier']);
+});
+
+test('xdotool typing is flagged by the rules', () => {
+  const v = verdict('xdotool', { repeat:6 });
+  assert.ok(v.isBot, `confidence ${v.confidence}`);
+  assert.ok(['speed', 'keyCV'].every(id => v.signals.some(s => s.id === id)));
+});
+
+test('human input is not flagged, with or without the classifier', () => {
+  for (const seed of [1, 5, 9]) {
+    assert.strictEqual(verdict('human', { seed, keys:300 }).isBot, false, `seed ${seed}`);
+    assert.strictEqual(verdict('human', { seed, keys:300 }, createDetectors({ classifier:true })).isBot, false, `seed ${seed}, classifier`);
+  }
+});
+
+test('the classifier catches slower and humanized automation the rules let through', () => {
+  const detectors = createDetectors({ classifier:true });
+  for (const [mode, opts] of [['xdotool', { repeat:6, delay:100 }], ['humanized', { keys:300 }]]) {
+    assert.strictEqual(verdict(mode, opts).isBot, false, `${mode} by the rules`);
+    assert.ok(verdict(mode, opts, detectors).isBot, `${mode} with the classifier`);
+  }
+});
+
+test('a model for another feature set is rejected', () => {
+  const stale = { ...DEFAULT_MODEL, features:[...DEFAULT_MODEL.features, 'scrollAmt'] };
+  assert.throws(() => parseBotModel(stale), /features do not match/);
+  assert.throws(() => createDetectors({ classifier:true, model:{ ...DEFAULT_MODEL, threshold:1 } }), /bad bias or threshold/);
+  assert.strictEqual(parseBotModel(DEFAULT_MODEL), DEFAULT_MODEL);
+});
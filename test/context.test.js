@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const S = require('../lib/stats');
+const { sampleFrom } = require('../lib/baseline');
+const { CONTEXT_MIN, CONTEXT_FULL, normalize, contextKey, maturity, addContextSample, summarize } = require('../lib/context');
+const { stream, drive } = require('./helpers');
+
+const THRESHOLDS = { low:15, medium:30, high:50 };
+const KS = { medDwell:95, madDwell:18, medFlight:70, madFlight:30, medIv:160, iqrIv:90, wpm:62 };
+
+function window(i, ctx, rand) {
+  const s = sampleFrom({ ks:Object.fromEntries(Object.entries(KS).map(([f, x]) => [f, x * (1 + 0.08 * S.gaussian(rand))])) }, i * 3000);
+  return { ...s, ctx };
+}
+
+test('contexts are normalised to a stable key', () => {
+  assert.strictEqual(contextKey({ app:' Code ', device:'touchpad' }), 'code|touchpad');
+  assert.strictEqual(contextKey({ app:'firefox', device:'joystick' }), 'firefox|*');
+  assert.strictEqual(contextKey(null), '*|*');
+  assert.strictEqual(normalize({ app:'x'.repeat(100) }).app.length, 64);
+});
+
+test('a context gets its own model at CONTEXT_MIN windows and stops training when full', () => {
+  const rand = S.mulberry32(3), profile = {};
+  assert.strictEqual(addContextSample(profile, window(0, '*|*', rand), THRESHOLDS), false);
+  for (let i = 1; i < CONTEXT_MIN; i++) addContextSample(profile, window(i, 'code|mouse', rand), THRESHOLDS);
+  assert.strictEqual(profile.contexts['code|mouse'].model, null);
+  addContextSample(profile, window(CONTEXT_MIN, 'code|mouse', rand), THRESHOLDS);
+  assert.ok(profile.contexts['code|mouse'].model.channels.ks);
+  for (let i = CONTEXT_MIN; i < CONTEXT_FULL; i++) addContextSample(profile, window(i + 1, 'code|mouse', rand), THRESHOLDS);
+  assert.strictEqual(profile.contexts['code|mouse'].windows, undefined);
+  assert.strictEqual(addContextSample(profile, window(999, 'code|mouse', rand), THRESHOLDS), false);
+  assert.deepStrictEqual(summarize(profile.contexts).map(c => [c.key, c.pct, c.modelled]), [['code|mouse', 100, true]]);
+});
+
+test('scoring leans on a context model as it fills up', () => {
+  assert.deepStrictEqual([CONTEXT_MIN - 1, CONTEXT_MIN, CONTEXT_FULL, CONTEXT_FULL * 2].map(maturity), [0, CONTEXT_MIN / CONTEXT_FULL, 1, 1]);
+});
+
+test('training windows are tagged with the context of the input', () => {
+  const events = stream('human', { keys:600 }).map(e => ({ ...e, ctx:{ app:'Code', device:'mouse' } }));
+  const { engine } = drive(events, { quickTarget:60000, fullTarget:120000 });
+  assert.strictEqual(engine.contextKey, 'code|mouse');
+  const [c] = engine.stats().contexts;
+  assert.deepStrictEqual([c.key, c.modelled], ['code|mouse', false]);
+  assert.ok(c.samples > 0);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ControlServer, socketPath, request } = require('../lib/control-socket');
+const { parseArgs, run } = require('../bin/bgctl');
+
+async function withServer(commands, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-ctl-'));
+  const server = new ControlServer({ commands, path:path.join(dir, 'run', 'control.sock') });
+  try { await server.start(); return await fn(server); }
+  finally { server.stop(); fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+test('the socket path follows $BG_SOCKET, then the runtime directory', () => {
+  assert.strictEqual(socketPath({ BG_SOCKET:'/x/s.sock' }, 'linux'), '/x/s.sock');
+  assert.strictEqual(socketPath({ XDG_RUNTIME_DIR:'/run/user/5' }, 'linux'), '/run/user/5/behaviorguard/control.sock');
+  assert.match(socketPath({}, 'win32'), /^\\\\\.\\pipe\\behaviorguard-/);
+});
+
+test('commands answer with their result or their error, and the password is passed on', () => withServer({
+  status:async () => ({ locked:false }),
+  pause:(args, { password }) => { if (password !== 'pw') throw new Error('Password required'); return { monitoring:false }; },
+}, async server => {
+  const opts = { path:server.path, timeout:5000 };
+  assert.deepStrictEqual(await request('status', {}, opts), { locked:false });
+  await assert.rejects(request('pause', {}, opts), /Password required/);
+  assert.deepStrictEqual(await request('pause', {}, { ...opts, password:'pw' }), { monitoring:false });
+  await assert.rejects(request('toString', {}, opts), /Unknown command "toString"/);
+}));
+
+test('the socket is private, a second instance is refused and a stale file is replaced', () => withServer({}, async server => {
+  assert.strictEqual(fs.statSync(path.dirname(server.path)).mode & 0o777, 0o700);
+  assert.strictEqual(fs.statSync(server.path).mode & 0o777, 0o600);
+  await assert.rejects(new ControlServer({ commands:{}, path:server.path }).start(), /Another BehaviorGuard/);
+  server.stop();
+  await assert.rejects(request('status', {}, { path:server.path, timeout:5000 }), /not running/);
+  fs.writeFileSync(server.path, '');
+  await server.start();
+  assert.ok(server.running);
+}));
+
+test('bgctl checks its arguments and prints results as JSON on request', () => withServer({
+  lock:() => ({ ok:true, locked:true }),
+}, async server => {
+  assert.deepStrictEqual(parseArgs(['alerts', '--limit', '5']), { json:false, cmd:'alerts', file:undefined, limit:5 });
+  assert.throws(() => parseArgs(['export-profile']), /needs an output file/);
+  assert.throws(() => parseArgs(['shutdown']), /Unknown command/);
+  assert.throws(() => parseArgs(['status', '--force']), /Unknown option/);
+
+  const out = [], log = console.log;
+  console.log = s => out.push(s);
+  try { await run(parseArgs(['lock', '--json', '--socket', server.path])); }
+  finally { console.log = log; }
+  assert.deepStrictEqual(JSON.parse(out.join('\n')), { ok:true, locked:true });
+}));
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Elevation } = require('../lib/elevation');
+
+const ROOT = path.join(__dirname, '..');
+
+test('an elevation holds for the window it was issued to until it expires', () => {
+  const el = new Elevation({ ttl:60000 });
+  assert.strictEqual(el.check(3, 'x', 0), null);
+  const { token, expires } = el.issue(3, 1000);
+  assert.strictEqual(expires, 61000);
+  assert.strictEqual(el.check(3, token, 2000), expires);
+  assert.strictEqual(el.check(4, token, 2000), null, 'another window');
+  assert.strictEqual(el.check(3, token.replace(/^./, c => c === '0' ? '1' : '0'), 2000), null, 'another token');
+  assert.strictEqual(el.check(3, undefined, 2000), null);
+  assert.strictEqual(el.check(3, token, 61001), null, 'expired');
+  assert.ok(el.active(2000) && !el.active(61001));
+});
+
+test('issuing again or clearing revokes the previous token', () => {
+  const el = new Elevation();
+  const first = el.issue(3).token, second = el.issue(3).token;
+  assert.strictEqual(el.check(3, first), null);
+  assert.ok(el.check(3, second));
+  el.clear();
+  assert.strictEqual(el.check(3, second), null);
+  assert.ok(!el.active());
+});
+
+test('every call the preload sends an elevation with is authorized in main.js', () => {
+  const preload = fs.readFileSync(path.join(ROOT, 'preload.js'), 'utf8');
+  const main = fs.readFileSync(path.join(ROOT, 'main.js'), 'utf8');
+  const channels = [...preload.matchAll(/invoke\('([\w-]+)', elevation\b/g)].map(m => m[1]).filter(c => c !== 'get-elevation');
+  assert.ok(channels.includes('stop-monitoring') && channels.includes('save-settings'));
+  const handlers = new Map(main.split("ipcMain.handle('").slice(1).map(h => [h.slice(0, h.indexOf("'")), h]));
+  assert.deepStrictEqual(channels.filter(c => !/^[\w-]+',\s*(async)?\s*\(e,token\b[^]*authorize\(e,token,/.test(handlers.get(c) || '')), []);
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stream, drive, scored } = require('./helpers');
+
+const TARGETS = { quickTarget:60000, fullTarget:120000 };
+const mean = rs => rs.reduce((a, r) => a + r.trustScore, 0) / rs.length;
+
+// One trained engine shared by the scoring tests; each continues its clock a minute after the last stream.
+function trained() {
+  const events = stream('human', { keys:2000 });
+  const run = drive(events, TARGETS);
+  return { ...run, after:() => run.clock.now + 60000 };
+}
+
+test('training builds a profile once the full phase has enough active time', () => {
+  const { engine, results } = trained();
+  assert.ok(results.some(r => r.training && r.phase === 'quick'));
+  assert.ok(results.some(r => r.profile), 'training completed');
+  assert.ok(engine.profile);
+  assert.strictEqual(engine.stats().isTraining, false);
+});
+
+test('the owner scores high with no bot or replay flags', () => {
+  const owner = scored(trained().results);
+  assert.ok(owner.length > 20);
+  assert.ok(mean(owner) > 85, `mean trust ${mean(owner).toFixed(1)}`);
+  assert.deepStrictEqual(owner.filter(r => r.bot.isBot || r.replay.isReplay || r.anomaly), []);
+});
+
+test('someone else scores lower than the owner', () => {
+  const run = trained();
+  const other = scored(drive(stream('human', { seed:7, keys:800, start:run.after() }), run).results);
+  assert.ok(other.length > 10);
+  assert.ok(mean(other) < mean(scored(run.results)) - 10, `owner ${mean(scored(run.results)).toFixed(1)}, other ${mean(other).toFixed(1)}`);
+});
+
+test('xdotool typing after training is flagged in every scored cycle', () => {
+  const run = trained();
+  const bot = scored(drive(stream('xdotool', { repeat:8, start:run.after() }), run).results);
+  assert.ok(bot.length > 0);
+  for (const r of bot) assert.ok(r.bot.isBot || r.replay.isReplay, `cycle scored ${r.trustScore} unflagged`);
+});
+
+test('a restored training snapshot picks up where it left off', () => {
+  const events = stream('human', { keys:600 });
+  const { engine } = drive(events, TARGETS);
+  assert.ok(engine.stats().isTraining);
+  const snap = JSON.parse(JSON.stringify(engine.trainingSnapshot()));
+  const { engine:fresh } = drive(events.slice(0, 1), TARGETS);
+  fresh.restoreTraining(snap);
+  assert.deepStrictEqual([fresh.stats().activeTime, fresh.stats().phase, fresh.stats().samples],
+                         [engine.stats().activeTime, engine.stats().phase, engine.stats().samples]);
+});
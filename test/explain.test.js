@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { explainScore, describe, topFactors, feedbackRecord } = require('../lib/explain');
+const { stream, drive, scored } = require('./helpers');
+
+// Keystrokes carry all the risk: hold time three times as much as speed; mouse matches.
+const BEST = { profile:{ uid:'user_a', name:'Alice' }, trust:70, parts:[
+  { name:'ks', r:40, w:0.5, feats:[
+    { feature:'medDwell', value:140, baseline:95, deviation:3, unit:'z', imp:9 },
+    { feature:'wpm', value:50, baseline:62, deviation:-0.19, unit:'ratio', imp:3 },
+  ] },
+  { name:'mouse', r:0, w:0.5, feats:[{ feature:'avgVel', value:1, baseline:1, deviation:0, unit:'z', imp:0 }] },
+] };
+
+test('the risk is split across features by their deviations', () => {
+  const ex = explainScore(BEST, 80);
+  assert.deepStrictEqual(ex.channels.map(c => [c.channel, c.trust, c.share]), [['ks', 60, 1], ['mouse', 100, 0]]);
+  assert.deepStrictEqual(ex.features.map(f => [f.feature, f.share, f.points]), [['medDwell', 0.75, 15], ['wpm', 0.25, 5], ['avgVel', 0, 0]]);
+  assert.strictEqual(topFactors(ex), 'Key hold time +3.0σ, Typing speed −19%');
+});
+
+test('the n-graph blend is reported as its own factor', () => {
+  const best = { ...BEST, parts:[{ ...BEST.parts[0], ngr:10, ngTrust:62 }, BEST.parts[1]] };
+  const ng = explainScore(best, 80).features.find(f => f.feature === 'ngraph');
+  assert.deepStrictEqual([ng.share, describe(ng)], [0.25, 'Key-pair timing 62% match']);
+});
+
+test('feedback keeps the top factors and refuses unknown verdicts', () => {
+  const alert = { id:7, ts:1, type:'anomaly', severity:'high', user:{ id:'user_a' }, explain:{ trust:explainScore(BEST, 80) } };
+  const rec = feedbackRecord(alert, 'me', 'medium', 2);
+  assert.deepStrictEqual([rec.verdict, rec.trust, rec.factors[0].feature], ['me', 80, 'medDwell']);
+  assert.throws(() => feedbackRecord(alert, 'maybe', 'medium'), /Unknown verdict maybe/);
+});
+
+test('engine results explain every scored cycle', () => {
+  for (const r of scored(drive(stream('human', { keys:2000 }), { quickTarget:60000, fullTarget:120000 }).results)) {
+    const { trust } = r.explanation;
+    assert.strictEqual(trust.trust, Math.round(r.trustScore * 10) / 10);
+    const total = trust.features.reduce((s, f) => s + f.share, 0);
+    assert.ok(total === 0 || Math.abs(total - 1) < 0.02, `shares add up to ${total}`);
+  }
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fixedText = require('../lib/fixed-text');
+const { START, stream, drive } = require('./helpers');
+
+/** A typist with its own hold time per key and latency per key pair, and a little jitter. */
+function typist(seed) {
+  let a = seed;
+  const rand = () => (a = (Math.imul(a, 1664525) + 1013904223) >>> 0) / 4294967296;
+  const hold = new Map(), gap = new Map();
+  const pick = (m, k, lo, span) => { if (!m.has(k)) m.set(k, lo + span * rand()); return m.get(k); };
+  return (phrase, t0 = START) => {
+    let t = t0, prev = null;
+    return [...phrase].map(ch => {
+      const kc = ch.charCodeAt(0);
+      if (prev !== null) t += Math.round(pick(gap, `${prev}_${kc}`, 90, 220) * (0.95 + 0.1 * rand()));
+      prev = kc;
+      return { kc, dwell:Math.round(pick(hold, kc, 60, 90) * (0.95 + 0.1 * rand())), ts:t };
+    });
+  };
+}
+
+const takesOf = (type, phrases) => phrases.flatMap(phrase => Array.from({ length:fixedText.ENROLL_REPEATS }, () => ({ phrase, events:type(phrase) })));
+
+test('an enrolled typist verifies, another typist on the same phrase does not', () => {
+  const owner = typist(1), phrase = fixedText.enrollmentPhrases()[0];
+  const template = fixedText.checkTemplate(fixedText.buildTemplate(takesOf(owner, fixedText.enrollmentPhrases())));
+  assert.deepStrictEqual(fixedText.enrolledPhrases(template), fixedText.enrollmentPhrases());
+  const genuine = fixedText.verify(template, phrase.toUpperCase(), owner(phrase));
+  const impostor = fixedText.verify(template, phrase, typist(2)(phrase));
+  assert.ok(genuine.trust > 80 && genuine.compared >= 12, `genuine ${genuine.trust}`);
+  assert.ok(impostor.trust < 20, `impostor ${impostor.trust}`);
+  assert.strictEqual(fixedText.verify(template, fixedText.PHRASES[7], owner(fixedText.PHRASES[7])), null, 'not enrolled');
+});
+
+test('templates need two takes per phrase and a well-formed shape', () => {
+  const owner = typist(1), phrase = fixedText.PHRASES[0];
+  assert.throws(() => fixedText.buildTemplate([{ phrase, events:owner(phrase) }]), /at least two takes/);
+  assert.throws(() => fixedText.checkTemplate({ v:1, phrases:{ [phrase]:{ takes:3, feats:{ 'd:116:1':[80, 0] } } } }), /bad features/);
+  assert.throws(() => fixedText.checkTemplate({ v:2, phrases:{} }), /typing template/);
+});
+
+test('challenge phrases come from the template when it has any', () => {
+  assert.strictEqual(fixedText.pickPhrase(null, () => 0.99), fixedText.PHRASES[fixedText.PHRASES.length - 1]);
+  const template = { v:1, phrases:{ [fixedText.PHRASES[5]]:{ takes:3, feats:{} } } };
+  assert.strictEqual(fixedText.pickPhrase(template, () => 0.99), fixedText.PHRASES[5]);
+  assert.ok(fixedText.phraseMatches('  The quick  BROWN fox jumps over the lazy dog ', fixedText.PHRASES[0]));
+});
+
+test('a trained profile gains the template and scores the phrase as fixed text', () => {
+  const { engine, clock } = drive(stream('human', { keys:2000 }), { quickTarget:60000, fullTarget:120000 });
+  assert.strictEqual(engine.isTraining, false);
+  const owner = typist(1), phrase = fixedText.enrollmentPhrases()[1];
+  const p = engine.enrollTyping(takesOf(owner, fixedText.enrollmentPhrases()));
+  assert.deepStrictEqual(fixedText.enrolledPhrases(p.fixedText), fixedText.enrollmentPhrases());
+
+  const since = clock.now += 5000;
+  const events = owner(phrase, since).flatMap(k => [{ type:'keydown', t:k.ts, keycode:k.kc }, { type:'keyup', t:k.ts + k.dwell, keycode:k.kc }]);
+  for (const ev of events.sort((x, y) => x.t - y.t)) { clock.now = ev.t; engine.ingest(ev); }
+  const r = engine.verifyTyping(since, phrase);
+  assert.strictEqual(r.method, 'fixed-text');
+  assert.strictEqual(r.id, engine.user.id);
+  assert.ok(r.trust > 50, `trust ${r.trust}`);
+});
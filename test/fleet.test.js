@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FleetStore } = require('../collector/fleet-store');
+const { createHandler } = require('../collector/collector');
+const { PROTOCOL, REPORT_SEC, authHeaders, signatureOk, normalizeFleetPolicy, collectorUrl } = require('../lib/fleet-protocol');
+
+async function withCollector(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-fleet-'));
+  const store = new FleetStore({ dir });
+  const server = http.createServer(createHandler(store, { log:() => {} }));
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const call = (method, p, body, headers = {}) => fetch(`http://127.0.0.1:${server.address().port}${p}`, { method, headers, body })
+    .then(async res => ({ status:res.status, body:await res.json() }));
+  try { return await fn(store, call); }
+  finally { server.close(); store.flush(); fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+test('malformed summary fields are not stored', () => withCollector(async store => {
+  const h = store.enroll({ name:'pc' }, '127.0.0.1');
+  const t = Date.now() - 60000;
+  store.report(h, { summaries:[{ t, n:3, trust:80, trustMin:'x', trustMax:null, bot:{} }] }, Date.now(), '127.0.0.1');
+  store.report(h, { summaries:[{ t, n:1, trust:60, trustMin:55, trustMax:'<b>', bot:true }] }, Date.now() + 1, '127.0.0.1');
+  const [s] = h.summaries;
+  assert.deepStrictEqual({ trustMin:s.trustMin, trustMax:s.trustMax, bot:s.bot }, { trustMin:55, trustMax:80, bot:100 });
+}));
+
+test('a body that is not a JSON object is a 400, not a 500', () => withCollector(async (store, call) => {
+  const admin = { Authorization:`Bearer ${store.config.adminToken}` };
+  for (const body of ['null', '7', '[]', '{'])
+    assert.strictEqual((await call('POST', '/v1/enroll', body)).status, 400, `enroll ${body}`);
+  for (const body of ['null', '"x"'])
+    assert.strictEqual((await call('PUT', '/api/policy', body, admin)).status, 400, `policy ${body}`);
+  const ok = await call('POST', '/v1/enroll', JSON.stringify({ protocol:PROTOCOL, code:store.config.enrollCode, host:{ name:'pc' } }));
+  assert.strictEqual(ok.status, 201);
+}));
+
+test('a fleet policy keeps only the detection settings, validated', () => {
+  const p = normalizeFleetPolicy({ rev:3, reportSec:1, settings:{ sensitivity:'high', autoBlock:'yes', enabled:false, recording:true, localApi:false, auditDays:5 } });
+  assert.deepStrictEqual(p.settings, { sensitivity:'high' });
+  assert.deepStrictEqual([p.rev, p.reportSec], [3, REPORT_SEC.min]);
+  assert.deepStrictEqual(normalizeFleetPolicy(null), { rev:0, reportSec:REPORT_SEC.default, settings:{}, updatedAt:null });
+});
+
+test('collector URLs need https, or plain http to this machine', () => {
+  assert.strictEqual(collectorUrl(' https://fleet.example.com/bg/ '), 'https://fleet.example.com/bg');
+  assert.strictEqual(collectorUrl('http://127.0.0.1:8443'), 'http://127.0.0.1:8443');
+  assert.throws(() => collectorUrl('http://fleet.example.com'), /must use https/);
+  assert.throws(() => collectorUrl('https://u:p@fleet.example.com'), /no credentials/);
+  assert.throws(() => collectorUrl('fleet'), /Not a valid URL/);
+});
+
+test('reports are accepted only when signed with the host secret, once per time', () => withCollector(async (store, call) => {
+  const { body:{ hostId, secret } } = await call('POST', '/v1/enroll', JSON.stringify({ protocol:PROTOCOL, code:store.config.enrollCode, host:{ name:'pc' } }));
+  const body = JSON.stringify({ status:{ trustScore:90 }, summaries:[], alerts:[], policyRev:store.policy.rev }), now = Date.now();
+  const headers = authHeaders(hostId, secret, 'POST', '/v1/report', body, now);
+  assert.ok(signatureOk(secret, headers['X-BG-Signature'], now, 'POST', '/v1/report', body));
+  assert.ok(!signatureOk(secret, headers['X-BG-Signature'], now, 'POST', '/v1/report', body + ' '));
+
+  const forged = authHeaders(hostId, 'not the secret', 'POST', '/v1/report', body, now);
+  assert.strictEqual((await call('POST', '/v1/report', body, forged)).body.code, 'bad-signature');
+  const ok = await call('POST', '/v1/report', body, headers);
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.body.policy, null, 'host is on the current policy');
+  assert.strictEqual((await call('POST', '/v1/report', body, headers)).body.code, 'replay');
+  const stale = authHeaders(hostId, secret, 'POST', '/v1/report', body, now - 10 * 60 * 1000);
+  assert.strictEqual((await call('POST', '/v1/report', body, stale)).body.code, 'clock');
+}));
@@ -0,0 +1,41 @@
+/**
+ * Shared fixtures for the node:test suites: synthetic streams from
+ * tools/synth-input.js fed through the engine on a stream clock, the way
+ * tools/replay.js does it.
+ */
+'use strict';
+
+const { BehaviorEngine } = require('../lib/engine');
+const synth = require('../tools/synth-input');
+
+const START = 1700000000000;
+
+/** Events from a tools/synth-input.js generator, sorted; `opts` as on its command line. */
+function stream(mode, opts = {}) {
+  const defaults = { seed:1, start:START, keys:600, text:'The quick brown fox jumps over the lazy dog.',
+                     repeat:4, delay:mode === 'humanized' ? 120 : 12, dwell:null, moves:2, offset:0, length:30000, jitter:0, gap:60000 };
+  return synth[mode]({ ...defaults, ...opts }).sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Feed `events` to an engine, evaluating every `interval` ms of stream time. Without
+ * `engine` a new one is built from `opts` on a stream clock; pass back the returned
+ * `engine` and `clock` to go on with a later stream. Returns { engine, clock, results }.
+ */
+function drive(events, { engine, clock = { now:events[0].t }, interval = 3000, ...opts } = {}) {
+  engine = engine || new BehaviorEngine({ clock:() => clock.now, ...opts });
+  const results = [];
+  let next = events[0].t + interval;
+  for (const ev of events) {
+    while (ev.t >= next) { clock.now = next; results.push(engine.evaluate()); next += interval; }
+    clock.now = ev.t;
+    engine.ingest(ev);
+  }
+  clock.now = next; results.push(engine.evaluate());
+  return { engine, clock, results };
+}
+
+/** Results that carry a trust score (training over, enough data). */
+const scored = results => results.filter(r => !r.training && !r.profile && r.trustScore !== null);
+
+module.exports = { START, stream, drive, scored };
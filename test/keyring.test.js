@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keyring = require('../lib/keyring');
+
+// Stand-in for Electron's safeStorage with the given Linux backend.
+function safeStorage(backend) {
+  return {
+    isEncryptionAvailable:() => true, getSelectedStorageBackend:() => backend,
+    encryptString:s => Buffer.from(s, 'utf8').reverse(), decryptString:b => Buffer.from(b).reverse().toString('utf8'),
+  };
+}
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-keyring-'));
+  try { return fn(dir); }
+  finally { fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+test('the password copy opens only with the password', async () => {
+  const key = keyring.generateKey(), w = await keyring.wrapWithPassword(key, 'pw');
+  assert.ok(!JSON.stringify(w).includes(key.toString('base64')));
+  assert.deepStrictEqual(await keyring.unwrapWithPassword(w, 'pw'), key);
+  assert.strictEqual(await keyring.unwrapWithPassword(w, 'wrong'), null);
+});
+
+test('without a real OS secret store the machine copy uses a 0600 key file', { skip:process.platform !== 'linux' }, () => withDir(dir => {
+  const keyFile = path.join(dir, 'data.key'), key = keyring.generateKey();
+  assert.strictEqual(keyring.osStoreAvailable(safeStorage('basic_text')), false);
+  const w = keyring.wrapForMachine(key, { safeStorage:safeStorage('basic_text'), keyFile });
+  assert.strictEqual(w.method, 'keyfile');
+  assert.strictEqual(fs.statSync(keyFile).mode & 0o777, 0o600);
+  assert.deepStrictEqual(keyring.unwrapForMachine(w, { keyFile }), key);
+  fs.rmSync(keyFile);
+  assert.strictEqual(keyring.unwrapForMachine(w, { keyFile }), null);
+}));
+
+test('a real OS secret store wraps the machine copy', () => withDir(dir => {
+  const keyFile = path.join(dir, 'data.key'), key = keyring.generateKey(), store = safeStorage('gnome_libsecret');
+  const w = keyring.wrapForMachine(key, { safeStorage:store, keyFile });
+  assert.strictEqual(w.method, 'safeStorage');
+  assert.strictEqual(fs.existsSync(keyFile), false);
+  assert.deepStrictEqual(keyring.unwrapForMachine(w, { safeStorage:store, keyFile }), key);
+  assert.strictEqual(keyring.unwrapForMachine(w, { safeStorage:null, keyFile }), null);
+}));
@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { LocalApi } = require('../lib/local-api');
+
+const TOKEN = 'a'.repeat(64);
+const PORT = 20000 + process.pid % 20000;
+
+// http.request rather than fetch, which does not let a caller set Host.
+function call(method, path, { token = TOKEN, host = `127.0.0.1:${PORT}`, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host:'127.0.0.1', port:PORT, method, path, agent:false,
+      headers:{ host, ...(token ? { authorization:`Bearer ${token}` } : {}), ...headers } });
+    req.on('response', res => {
+      let text = '';
+      res.on('data', c => { text += c; });
+      res.on('end', () => resolve({ status:res.statusCode, body:text ? JSON.parse(text) : null }));
+    });
+    req.on('upgrade', (res, socket) => resolve({ status:res.statusCode, socket }));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function withApi(fn) {
+  const calls = [];
+  const api = new LocalApi({ token:TOKEN, port:PORT, handlers:{
+    stats:() => ({ isTraining:false }), risk:() => null,
+    alerts:() => [{ ts:3, msg:'c' }, { ts:2, msg:'b' }, { ts:1, msg:'a' }],
+    lock:() => { calls.push('lock'); return true; }, pause:async () => { calls.push('pause'); return false; }, resume:() => true,
+  } });
+  await api.start();
+  try { return await fn(api, calls); }
+  finally { api.stop(); }
+}
+
+test('every request needs the token and a loopback Host', () => withApi(async () => {
+  assert.strictEqual((await call('GET', '/v1/stats', { token:null })).status, 401);
+  assert.strictEqual((await call('GET', '/v1/stats', { token:'b'.repeat(64) })).status, 401);
+  assert.strictEqual((await call('GET', '/v1/stats', { host:`evil.example:${PORT}` })).status, 403);
+  assert.deepStrictEqual(await call('GET', '/v1/stats', { host:`localhost:${PORT}` }), { status:200, body:{ isTraining:false } });
+}));
+
+test('routes call their handlers', () => withApi(async (api, calls) => {
+  assert.deepStrictEqual((await call('GET', '/v1/alerts?since=1&limit=1')).body, [{ ts:3, msg:'c' }]);
+  assert.deepStrictEqual(await call('POST', '/v1/pause'), { status:200, body:false });
+  assert.strictEqual((await call('GET', '/v1/lock')).status, 405);
+  assert.strictEqual((await call('GET', '/v1/nothing')).status, 404);
+  assert.deepStrictEqual(calls, ['pause']);
+}));
+
+test('stream clients get broadcasts and are dropped with the old token', () => withApi(async api => {
+  const ws = { connection:'Upgrade', upgrade:'websocket', 'sec-websocket-version':'13', 'sec-websocket-key':'dGhlIHNhbXBsZSBub25jZQ==' };
+  assert.strictEqual((await call('GET', `/v1/events?access_token=${'b'.repeat(64)}`, { token:null, headers:ws })).status, 401);
+  const { status, socket } = await call('GET', `/v1/events?access_token=${TOKEN}`, { token:null, headers:ws });
+  assert.strictEqual(status, 101);
+  const frame = new Promise(r => socket.once('data', r));
+  api.broadcast('risk-update', { trust:91 });
+  const buf = await frame;
+  assert.strictEqual(buf[0], 0x81);
+  assert.deepStrictEqual(JSON.parse(buf.subarray(2)).data, { trust:91 });
+  const closed = new Promise(r => socket.once('close', r));
+  api.setToken('c'.repeat(64));
+  await closed;
+  assert.strictEqual(api.clients, 0);
+}));
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const S = require('../lib/stats');
+const { collect, matchNGraphs, gramKey } = require('../lib/ngraph');
+
+const KEYS = [30, 31, 32, 33, 34, 35, 36, 37];
+
+// ksEvents ({ kc, ts }) over a small alphabet; the latency of each key pair comes from
+// `style`, so two styles are two typists with their own rhythm.
+function typing(n, style, seed) {
+  const rand = S.mulberry32(seed), out = [];
+  let ts = 0, prev = KEYS[0];
+  for (let i = 0; i < n; i++) {
+    const kc = KEYS[Math.floor(rand() * KEYS.length)];
+    ts += (80 + ((prev * style + kc * 13) % 9) * 25) * (1 + 0.05 * S.gaussian(rand));
+    out.push({ kc, ts:Math.round(ts) });
+    prev = kc;
+  }
+  return out;
+}
+
+function profileOf(events) {
+  return { digraphs:Object.fromEntries(collect(events, 2)), trigraphs:Object.fromEntries(collect(events, 3)) };
+}
+
+test('n-graph latencies are keyed like the engine keys them', () => {
+  const g = collect([{ kc:30, ts:0 }, { kc:31, ts:120 }, { kc:32, ts:200 }, { kc:33, ts:5000 }], 2);
+  assert.deepStrictEqual([...g], [[gramKey([30, 31]), [120]], [gramKey([31, 32]), [80]]]);
+});
+
+test('the owner matches their profile and another typist does not', () => {
+  const profile = profileOf(typing(2000, 7, 1));
+  const own = matchNGraphs(typing(300, 7, 2), profile), other = matchNGraphs(typing(300, 11, 3), profile);
+  assert.ok(own.trust > 80, `own ${own.trust}`);
+  assert.ok(other.trust < 20, `other ${other.trust}`);
+  assert.strictEqual(own.confidence, 1);
+});
+
+test('no verdict until enough n-graphs are shared', () => {
+  const profile = profileOf(typing(2000, 7, 1));
+  assert.strictEqual(matchNGraphs(typing(4, 7, 2), profile), null);
+  assert.strictEqual(matchNGraphs(typing(300, 7, 2), { size:{} }), null);
+});
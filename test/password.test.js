@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const pw = require('../lib/password');
+
+test('passwords are stored as salted scrypt hashes and checked against them', async () => {
+  const a = await pw.hashSecret('correct horse'), b = await pw.hashSecret('correct horse');
+  assert.strictEqual(a.alg, 'scrypt');
+  assert.notStrictEqual(a.salt, b.salt);
+  assert.notStrictEqual(a.hash, b.hash);
+  assert.strictEqual(await pw.verifySecret('correct horse', a), true);
+  assert.strictEqual(await pw.verifySecret('Correct horse', a), false);
+  assert.strictEqual(await pw.verifySecret(null, a), false);
+  assert.strictEqual(pw.needsRehash(a), false);
+});
+
+test('a setup record holds no plaintext and recovery answers ignore case and spacing', async () => {
+  const rec = await pw.createRecord({ password:'pw', recovery:{ method:'sq', sq:{ q1:'Pet?', a1:'Rex', q2:'Town?', a2:'New  York' } } });
+  assert.doesNotMatch(JSON.stringify(rec), /Rex|New/);
+  assert.strictEqual(await pw.verifySecret(pw.normalizeAnswer(' new york '), rec.recovery.sq.a2), true);
+  assert.deepStrictEqual(pw.publicInfo(rec), { method:'sq', questions:{ q1:'Pet?', q2:'Town?' }, createdAt:rec.createdAt, updatedAt:null });
+});
+
+test('an old SHA-256 store migrates: recovery hashed now, the password on next unlock', async () => {
+  const old = { passwordHash:crypto.createHash('sha256').update('pw' + 'bg-salt-2024').digest('hex'), recovery:{ method:'code', code:'ABCD-1234' }, createdAt:5 };
+  const rec = await pw.migrateRecord(old);
+  assert.strictEqual(rec.v, 2);
+  assert.strictEqual(await pw.verifySecret('pw', rec.password), true);
+  assert.strictEqual(pw.needsRehash(rec.password), true);
+  assert.strictEqual(await pw.verifySecret('abcd-1234', rec.recovery.code), true);
+  assert.strictEqual(await pw.migrateRecord(rec), null);
+});
+
+test('failed attempts back off exponentially after the free ones, up to 15 minutes', () => {
+  assert.deepStrictEqual([0, 2, 3, 4, 5].map(pw.backoffMs), [0, 0, 2000, 4000, 8000]);
+  assert.strictEqual(pw.backoffMs(40), 15 * 60 * 1000);
+});
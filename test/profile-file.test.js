@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { seal, open, isSealed } = require('../lib/profile-file');
+const { PROFILE_VERSION, parseProfile } = require('../lib/profile-schema');
+
+const PROFILE = { v:PROFILE_VERSION, uid:'user_1', name:'Primary', createdAt:1700000000000, features:{ ks:{ medIv:120 } }, size:{ keystrokes:600 } };
+
+test('a sealed profile opens with its passphrase and hides its contents', async () => {
+  const env = await seal(PROFILE, 'long passphrase');
+  assert.ok(isSealed(env));
+  assert.doesNotMatch(JSON.stringify(env), /Primary|medIv/);
+  assert.deepStrictEqual(await open(env, 'long passphrase'), PROFILE);
+});
+
+test('a wrong passphrase or any changed field is refused before parsing', async () => {
+  const env = await seal(PROFILE, 'long passphrase');
+  await assert.rejects(open(env, 'other passphrase'), /Wrong passphrase, or the file was modified/);
+  await assert.rejects(open({ ...env, exportedAt:env.exportedAt + 1 }, 'long passphrase'), /the file was modified/);
+  await assert.rejects(open({ ...env, kdf:{ ...env.kdf, N:1 << 30 } }, 'long passphrase'), /damaged/);
+  await assert.rejects(open({ ...env, fileVersion:2 }, 'long passphrase'), /Unsupported profile file version 2/);
+  await assert.rejects(open(PROFILE, 'long passphrase'), /Not a BehaviorGuard profile file/);
+});
+
+test('passphrases shorter than eight characters are refused', async () => {
+  await assert.rejects(seal(PROFILE, 'short'), /at least 8 characters/);
+});
+
+test('older profiles are migrated and unknown versions refused', () => {
+  const { profile, from } = parseProfile({ ...PROFILE, v:'3.0' });
+  assert.deepStrictEqual([from, profile.v, profile.features.scroll, profile.model, profile.contexts], ['3.0', PROFILE_VERSION, null, null, {}]);
+  assert.throws(() => parseProfile({ ...PROFILE, v:'9.9' }), /Unsupported profile version "9.9"/);
+  assert.throws(() => parseProfile({ ...PROFILE, features:{ ks:{ medIv:'fast' } } }), /Invalid profile/);
+});
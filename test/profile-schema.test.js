@@ -0,0 +1,22 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PROFILE_VERSION, validate } = require('../lib/profile-schema');
+
+const base = { v:PROFILE_VERSION, createdAt:1700000000000, features:{ ks:{ medIv:120 } }, size:{ keystrokes:600 } };
+
+test('revision reasons the engine writes pass', () => {
+  for (const revReason of ['trained', 'adapted', 'rollback to r12'])
+    assert.deepStrictEqual(validate({ ...base, rev:3, revReason }), [], revReason);
+});
+
+test('markup or an overlong revision reason from a file is refused', () => {
+  for (const revReason of ['<img src onerror=alert(1)>', 'x'.repeat(41), '', 7])
+    assert.match(validate({ ...base, revReason }).join(), /revReason must be/, String(revReason));
+});
+
+test('names are limited to 40 characters', () => {
+  assert.deepStrictEqual(validate({ ...base, name:'Primary' }), []);
+  assert.match(validate({ ...base, name:'n'.repeat(41) }).join(), /name must be 1-40 characters/);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BehaviorEngine } = require('../lib/engine');
+const { START, stream, drive, scored } = require('./helpers');
+
+const TARGETS = { quickTarget:60000, fullTarget:120000 };
+
+// Profiles of two typists trained on separate engines, named and given fixed ids.
+function twoProfiles() {
+  const train = (seed, uid, name) => {
+    const events = stream('human', { seed, keys:2000 });
+    return { events, profile:{ ...drive(events, TARGETS).engine.profile, uid, name } };
+  };
+  return { alice:train(1, 'user_a', 'Alice'), bob:train(7, 'user_b', 'Bob') };
+}
+
+// A fresh engine with both enrolled, Alice active; its replay store is empty, so
+// feeding it a training stream again is new input to it.
+function household({ alice, bob }) {
+  const clock = { now:START }, engine = new BehaviorEngine({ clock:() => clock.now, ...TARGETS });
+  engine.loadProfile(alice.profile); engine.addProfile(bob.profile);
+  return { engine, clock };
+}
+
+test('the typist at the keyboard is identified among the enrolled users', () => {
+  const users = twoProfiles();
+  for (const [who, name] of [['alice', 'Alice'], ['bob', 'Bob']]) {
+    const ids = scored(drive(users[who].events.slice(-1500), household(users)).results).map(r => r.identity);
+    assert.ok(ids.length > 10);
+    const hits = ids.filter(i => i.known && i.name === name).length;
+    assert.ok(hits / ids.length > 0.8, `${name} identified in ${hits} of ${ids.length} cycles`);
+    assert.deepStrictEqual(ids[0].candidates.map(c => c.name).sort(), ['Alice', 'Bob']);
+  }
+});
+
+test('enrolling, switching and removing users', () => {
+  const { engine } = household(twoProfiles());
+  assert.strictEqual(engine.removeProfile('user_a'), false, 'the active user stays');
+  assert.ok(engine.selectUser('user_b'));
+  assert.deepStrictEqual(engine.users().map(u => [u.name, u.active]), [['Alice', false], ['Bob', true]]);
+  const id = engine.enroll('Carol');
+  assert.deepStrictEqual(engine.user, { id, name:'Carol' });
+  assert.strictEqual(engine.stats().isTraining, true);
+  assert.ok(engine.removeProfile('user_a'));
+  assert.deepStrictEqual(engine.users().map(u => u.name), ['Bob']);
+  assert.strictEqual(engine.selectUser('user_a'), false);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const recording = require('../lib/recording');
+const { RecordingStore } = require('../lib/recording-store');
+const { START, stream, drive } = require('./helpers');
+
+const TARGETS = { quickTarget:60000, fullTarget:120000 };
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-rec-'));
+  try { return fn(dir); }
+  finally { fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+test('private recordings keep the key class, not the key', () => {
+  const codes = Object.keys(recording.KEY_CLASSES).concat('other');
+  const classCode = c => 1000 + codes.indexOf(c);
+  const a = recording.recordEvent({ type:'keydown', keycode:30, injected:true }, 5, { classCode, ctx:'editor' });
+  assert.deepStrictEqual(a, { type:'keydown', t:5, keycode:classCode('home-left'), injected:true, ctx:'editor' });
+  assert.strictEqual(recording.recordEvent({ type:'keyup', keycode:31 }, 6, { classCode }).keycode, a.keycode);
+  assert.strictEqual(recording.recordEvent({ type:'keyup', keycode:31 }, 6).keycode, 31);
+  assert.strictEqual(recording.recordEvent({ type:'meta' }, 7), null);
+});
+
+test('parts rotate at maxBytes, old ones are pruned and each reads back with its meta', () => withDir(dir => {
+  const store = new RecordingStore({ dir, meta:() => ({ privacy:false }), maxBytes:2000, maxFiles:3 });
+  store.start(START);
+  const events = stream('human', { keys:200 });
+  for (const ev of events) store.write(recording.recordEvent(ev, ev.t));
+  const current = store.current;
+  assert.throws(() => store.remove(current), /still being written/);
+  store.stop();
+
+  const parts = store.list();
+  assert.strictEqual(parts.length, 3);
+  assert.strictEqual(parts[0].name, current);
+  assert.ok(parts.every(p => p.meta?.type === 'meta' && p.meta.privacy === false));
+  fs.appendFileSync(store.pathOf(current), '{"type":"keydown","t":');
+  const { meta, events:read, skipped } = recording.parseRecording(fs.readFileSync(store.pathOf(current), 'utf8'));
+  assert.strictEqual(meta.part, parts[0].meta.part);
+  assert.strictEqual(skipped, 1, 'a line cut off mid-write');
+  assert.deepStrictEqual(read.slice(-1)[0], recording.recordEvent(events.slice(-1)[0], events.slice(-1)[0].t));
+  assert.throws(() => store.pathOf('../secrets.jsonl'), /Unknown recording/);
+}));
+
+test('analysis scores a recording against a profile and marks the alerts', () => {
+  const { engine, clock } = drive(stream('human', { keys:2000 }), TARGETS);
+  const profile = JSON.parse(JSON.stringify(engine.profile)), before = JSON.stringify(profile);
+  const events = stream('xdotool', { repeat:8, start:clock.now + 60000 }).map(ev => recording.recordEvent(ev, ev.t));
+  const r = recording.analyze(events, { profile });
+  assert.strictEqual(JSON.stringify(profile), before, 'profile left untouched');
+  assert.ok(r.summary.scored > 0 && r.points.length > 0);
+  assert.ok(r.alerts.some(a => a.type === 'bot' || a.type === 'replay'));
+  assert.ok(r.alerts.every(a => a.ts >= r.from && a.ts <= r.to));
+  assert.throws(() => recording.analyze([{ type:'meta', t:1 }], { profile }), /no input events/);
+  assert.throws(() => recording.analyze(events, {}), /No profile/);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { KEY_WINDOW, KEY_STRIDE, INSTANT_DWELL, keyFingerprint, SequenceStore, pairingVerdict } = require('../lib/replay-detect');
+const synth = require('../tools/synth-input');
+const { stream, drive, scored } = require('./helpers');
+
+const KEY = Buffer.alloc(32, 7);
+
+// Engine-shaped keystrokes ({ kc, dwell, ts }) from a generated stream.
+function keystrokes(events) {
+  const down = new Map(), out = [];
+  for (const e of events) {
+    if (e.type === 'keydown') down.set(e.keycode, e.t);
+    else if (e.type === 'keyup' && down.has(e.keycode)) { out.push({ kc:e.keycode, dwell:e.t - down.get(e.keycode), ts:down.get(e.keycode) }); down.delete(e.keycode); }
+  }
+  return out.sort((a, b) => a.ts - b.ts);
+}
+
+// Every window of `ks` fingerprinted and checked like the engine does; returns the hits.
+function scan(store, ks) {
+  const hits = [];
+  for (let e = KEY_WINDOW; e <= ks.length; e++) {
+    const fp = keyFingerprint(ks.slice(e - KEY_WINDOW, e), t => store.mac(t));
+    const m = fp && store.check(fp, e % KEY_STRIDE === 0);
+    if (m) hits.push(m);
+  }
+  return hits;
+}
+
+const shift = (ks, by, jitter = () => 0) => ks.map(k => ({ ...k, ts:k.ts + by + jitter(), dwell:Math.max(1, k.dwell + jitter()) }));
+
+test('key fingerprints hold a MAC of the key sequence, not the key codes', () => {
+  const ks = keystrokes(stream('human', { keys:40 }));
+  const a = new SequenceStore(null, KEY), b = new SequenceStore(null, Buffer.alloc(32, 8));
+  const fp = keyFingerprint(ks.slice(0, KEY_WINDOW), t => a.mac(t));
+  assert.match(fp.keys[0], /^[0-9a-f]{32}$/);
+  assert.strictEqual(fp.keys[0], a.mac(ks.slice(0, KEY_WINDOW).map(k => k.kc).join(',')));
+  assert.notStrictEqual(fp.keys[0], b.mac(ks.slice(0, KEY_WINDOW).map(k => k.kc).join(',')));
+  assert.strictEqual(keyFingerprint(ks.slice(0, KEY_WINDOW - 1), t => a.mac(t)), null);
+});
+
+test('the web demo build keys sequences with a salted 128-bit hash', () => {
+  // Loaded as the browser bundle sees it: no process, so no node:crypto.
+  const mod = { exports:{} };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../lib/replay-detect.js'), 'utf8'),
+    { module:mod, exports:mod.exports, require, TextEncoder, crypto:globalThis.crypto });
+  const a = new mod.exports.SequenceStore(null), b = new mod.exports.SequenceStore(null);
+  assert.match(a.mac('30,31,32'), /^[0-9a-f]{32}$/);
+  assert.strictEqual(a.mac('30,31,32'), a.mac('30,31,32'));
+  assert.notStrictEqual(a.mac('30,31,32'), a.mac('30,31,33'));
+  assert.notStrictEqual(a.mac('30,31,32'), b.mac('30,31,32'));
+});
+
+test('a replayed run is caught, with or without jitter', () => {
+  const ks = keystrokes(stream('human', { keys:120 }));
+  for (const jitter of [0, 3]) {
+    const store = new SequenceStore(null, KEY);
+    assert.deepStrictEqual(scan(store, ks), [], 'the recording itself');
+    let n = 0;
+    const wobble = () => (n++ % 3 - 1) * jitter;
+    const hits = scan(store, shift(ks, 600000, wobble));
+    assert.ok(hits.length > 0, `jitter ${jitter}`);
+    assert.ok(hits.every(h => Math.abs(h.age - 600000) <= jitter), 'matched the recording');
+  }
+});
+
+test('new typing and another store key do not match', () => {
+  const ks = keystrokes(stream('human', { keys:200 }));
+  const store = new SequenceStore(null, KEY);
+  scan(store, ks.slice(0, 100));
+  assert.deepStrictEqual(scan(store, ks.slice(100)), []);
+  // Reloaded under its own key the store still knows the run; under another it cannot.
+  const saved = JSON.parse(JSON.stringify(store.toJSON()));
+  assert.ok(scan(new SequenceStore(saved, KEY), shift(ks.slice(0, 100), 600000)).length > 0);
+  assert.deepStrictEqual(scan(new SequenceStore(saved, Buffer.alloc(32, 8)), shift(ks.slice(0, 100), 600000)), []);
+});
+
+test('a store from an older version starts over with a fresh salt', () => {
+  const old = new SequenceStore({ v:1, salt:'00000000', entries:[['k', [{ t:1, timings:[] }]]], order:[['k', 1]] });
+  assert.strictEqual(old.size, 0);
+  assert.match(old.salt, /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(new SequenceStore(null).salt, old.salt);
+});
+
+test('the engine flags a jittered replay of earlier typing', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-test-'));
+  try {
+    const from = path.join(dir, 'rec.jsonl'), recorded = stream('human', { keys:2000 });
+    fs.writeFileSync(from, recorded.map(e => JSON.stringify(e)).join('\n') + '\n');
+    const played = synth.replay({ seed:1, from, offset:120000, length:60000, jitter:3, gap:60000 }).sort((a, b) => a.t - b.t);
+    const run = drive(recorded, { quickTarget:60000, fullTarget:120000 });
+    const replays = scored(drive(played, run).results).filter(r => r.replay.isReplay);
+    assert.ok(replays.some(r => r.replay.kind === 'keys'), replays.map(r => r.replay.reason).join('; ') || 'no replay flagged');
+  } finally {
+    fs.rmSync(dir, { recursive:true, force:true });
+  }
+});
+
+// ── Pairing ───────────────────────────────────────────────
+// Pairing log of `n` keys `iv` ms apart, each released `dwell` ms after its press.
+function pairingLog(n, iv, dwell) {
+  const log = [], held = [];
+  for (let i = 0; i < n; i++) {
+    const t = i * iv;
+    while (held.length && held[0] <= t) log.push({ t:held.shift(), down:false, orphan:false, instant:dwell < INSTANT_DWELL, injected:false });
+    log.push({ t, down:true, overlap:held.length > 0, injected:false });
+    held.push(t + dwell);
+  }
+  return log.concat(held.map(t => ({ t, down:false, orphan:false, instant:dwell < INSTANT_DWELL, injected:false })));
+}
+
+test('pairingVerdict passes balanced human typing', () => {
+  assert.strictEqual(pairingVerdict(pairingLog(150, 90, 110), 90), null);   // overlapping keys at speed
+  assert.strictEqual(pairingVerdict(pairingLog(150, 200, 90), 200), null);  // slow, one key at a time
+});
+
+test('pairingVerdict flags orphaned, instant and injected events', () => {
+  const orphaned = pairingLog(40, 200, 90).map((e, i) => e.down === false && i % 2 ? { ...e, orphan:true } : e);
+  assert.strictEqual(pairingVerdict(orphaned, 200)?.kind, 'pairing');
+  assert.match(pairingVerdict(orphaned, 200).reason, /without a matching press/);
+  assert.match(pairingVerdict(pairingLog(40, 200, 2), 200)?.reason, /released within/);
+  const injected = pairingLog(10, 200, 90).concat([1, 2, 3].map(t => ({ t, injected:true })));
+  assert.strictEqual(pairingVerdict(injected, 200)?.kind, 'injected');
+});
+
+test('pairingVerdict flags fast typing without rollover', () => {
+  assert.match(pairingVerdict(pairingLog(150, 60, 30), 60)?.reason, /No key rollover/);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readEvents } = require('../tools/replay');
+const { stream } = require('./helpers');
+
+const REPLAY = path.join(__dirname, '../tools/replay.js');
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-replay-'));
+  try { return fn(dir); }
+  finally { fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+function write(file, events) { fs.writeFileSync(file, events.map(e => JSON.stringify(e)).join('\n') + '\n'); }
+
+// --json output of tools/replay.js, one result per cycle.
+function replay(...args) {
+  return execFileSync(process.execPath, [REPLAY, ...args, '--json'], { encoding:'utf8' }).trim().split('\n').map(l => JSON.parse(l));
+}
+
+test('the harness trains a profile from a stream without Electron and scores against it later', () => withDir(dir => {
+  const owner = stream('human', { keys:2000 });
+  write(path.join(dir, 'train.jsonl'), owner);
+  const profile = path.join(dir, 'profile.json');
+  const training = replay(path.join(dir, 'train.jsonl'), '--quick', '60000', '--full', '120000', '--save-profile', profile);
+  assert.ok(training.some(r => r.profile), 'training completed');
+  assert.ok(JSON.parse(fs.readFileSync(profile, 'utf8')).features);
+
+  write(path.join(dir, 'bot.jsonl'), stream('xdotool', { repeat:8, start:owner.at(-1).t + 60000 }));
+  const bot = replay(path.join(dir, 'bot.jsonl'), '--profile', profile).filter(r => r.trustScore !== null && !r.training);
+  assert.ok(bot.length > 0);
+  assert.ok(bot.every(r => r.bot.isBot || r.replay.isReplay));
+}));
+
+test('input lines are sorted by time and a bad line is reported with its number', () => withDir(dir => {
+  const file = path.join(dir, 'events.jsonl');
+  fs.writeFileSync(file, '{"type":"keydown","t":20,"keycode":30}\n\n{"type":"keyup","t":10,"keycode":30}\n');
+  assert.deepStrictEqual(readEvents(file).map(e => e.t), [10, 20]);
+  fs.appendFileSync(file, '{"type":"keydown"}\n');
+  assert.throws(() => readEvents(file), /events\.jsonl:4: missing numeric "t"/);
+}));
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_POLICY, normalizePolicy, ResponsePolicy } = require('../lib/response-policy');
+
+const MIN = 60 * 1000;
+const T0 = 1700000000000;
+// No smoothing, so each score is the smoothed score.
+const policy = () => new ResponsePolicy({ ...DEFAULT_POLICY, smoothing:1 });
+const stages = (rp, scores, t0 = 0) => scores.map((s, i) => rp.update(s, t0 + i * 3000)?.stage || null);
+
+test('a score hovering at a threshold fires its stage once', () => {
+  const rp = policy();
+  assert.deepStrictEqual(stages(rp, [80, 40, 44, 41, 46]), [null, 'stepup', null, null, null]);
+});
+
+test('a failed or timed-out challenge escalates, a passed one grants grace', () => {
+  let rp = policy();
+  rp.update(40, 0);
+  assert.strictEqual(rp.resolve('stepup', false, 1000).stage, 'password');
+  assert.strictEqual(rp.expire(1000 + 119 * 1000), null);
+  assert.strictEqual(rp.expire(1000 + 120 * 1000).stage, 'lock');
+
+  rp = policy();
+  rp.update(40, 0);
+  assert.strictEqual(rp.resolve('stepup', true, 1000), null);
+  assert.deepStrictEqual(stages(rp, [70, 40], 2000), [null, null], 'within the stepup grace');
+  assert.ok(rp.status(8000).grace.stepup > 14 * MIN);
+});
+
+test('a stage that fires again within its cooldown escalates', () => {
+  const noGrace = () => new ResponsePolicy({ ...DEFAULT_POLICY, smoothing:1, stepup:{ ...DEFAULT_POLICY.stepup, grace:0 } });
+  let rp = noGrace();
+  rp.update(40, T0);
+  rp.resolve('stepup', true, T0 + 1000);
+  assert.deepStrictEqual(stages(rp, [70, 40], T0 + 3000), [null, 'password']);
+
+  rp = noGrace();
+  rp.update(40, T0);
+  rp.resolve('stepup', true, T0 + 1000);
+  assert.deepStrictEqual(stages(rp, [70, 40], T0 + 11 * MIN), [null, 'stepup'], 'after the cooldown');
+});
+
+test('a severe drop goes straight to the deepest stage it crosses', () => {
+  assert.deepStrictEqual(stages(policy(), [80, 10]), [null, 'lock']);
+});
+
+test('policies from settings are clamped and kept consistent', () => {
+  const p = normalizePolicy({ smoothing:9, stepup:{ enter:70, exit:50, timeout:1, bogus:1 }, lock:{ enabled:false } });
+  assert.deepStrictEqual([p.smoothing, p.stepup.enter, p.stepup.exit, p.stepup.timeout, p.stepup.bogus, p.lock.enabled],
+                         [1, 70, 75, 10000, undefined, false]);
+  assert.deepStrictEqual(normalizePolicy(null), DEFAULT_POLICY);
+});
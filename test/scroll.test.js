@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BehaviorEngine } = require('../lib/engine');
+const { START, stream, drive, scored } = require('./helpers');
+
+test('wheel ticks are grouped into gestures', () => {
+  const clock = { now:START }, engine = new BehaviorEngine({ clock:() => clock.now });
+  // Four gestures of six ticks 50 ms apart, a second between them; the last tick turns back.
+  for (let b = 0; b < 4; b++) for (let i = 0; i < 6; i++) {
+    clock.now = START + b * 1000 + i * 50;
+    engine.ingest({ type:'wheel', rotation:b === 3 && i === 5 ? -1 : 1 });
+  }
+  const s = engine.extractScroll();
+  assert.deepStrictEqual({ bursts:s.bursts, burstLen:s.burstLen, medTick:s.medTick, cvTick:s.cvTick },
+                         { bursts:4, burstLen:6, medTick:50, cvTick:0 });
+  assert.strictEqual(s.reversals, 1 / 23);
+});
+
+test('too few ticks give no scroll features', () => {
+  const clock = { now:START }, engine = new BehaviorEngine({ clock:() => clock.now });
+  for (let i = 0; i < 19; i++) { clock.now = START + i * 50; engine.ingest({ type:'wheel', rotation:1 }); }
+  assert.strictEqual(engine.extractScroll(), null);
+});
+
+test('scrolling is profiled in training and scored as its own channel', () => {
+  const { engine, results } = drive(stream('human', { keys:2000 }), { quickTarget:60000, fullTarget:120000 });
+  assert.ok(engine.profile.features.scroll.medTick > 0);
+  assert.ok(engine.profile.size.scrolls >= 20);
+  const withScroll = scored(results).filter(r => r.breakdown.scroll !== null);
+  assert.ok(withScroll.length > 0);
+  assert.ok(withScroll.every(r => r.breakdown.scroll >= 0 && r.breakdown.scroll <= 100));
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { POINT_MS, Downsampler, bucket, toCSV } = require('../lib/timeseries');
+const { TimeSeriesStore } = require('../lib/timeseries-store');
+
+const T0 = Date.UTC(2024, 0, 2);
+const DAY = 24 * 60 * 60 * 1000;
+const KEY = Buffer.alloc(32, 5);
+
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bg-series-'));
+  try { return fn(dir); }
+  finally { fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+const risk = (trustScore, extra = {}) => ({ trustScore, botScore:0, identity:{ known:true, id:'user_a' }, ksFeats:{ wpm:60 }, ...extra });
+
+test('scored cycles fold into one point per minute', () => {
+  const points = [], ds = new Downsampler(p => points.push(p));
+  ds.add(risk(90), T0 + 1000);
+  ds.add(risk(70, { botScore:40 }), T0 + 4000);
+  ds.add({ trustScore:null }, T0 + 7000);
+  ds.add(risk(80, { identity:{ known:false, id:'user_b' } }), T0 + POINT_MS + 1000);
+  ds.flush();
+  assert.deepStrictEqual(points, [
+    { t:T0, n:2, trust:80, trustMin:70, trustMax:90, bot:40, user:'user_a', wpm:60 },
+    { t:T0 + POINT_MS, n:1, trust:80, trustMin:80, trustMax:80, bot:0, user:null, wpm:60 },
+  ]);
+});
+
+test('coarser buckets weight means by cycle count', () => {
+  const pts = [{ t:T0, n:3, trust:90, trustMin:85, trustMax:95, bot:0, user:'a' }, { t:T0 + POINT_MS, n:1, trust:50, trustMin:50, trustMax:50, bot:70, user:'b' }];
+  assert.deepStrictEqual(bucket(pts, 10 * POINT_MS), [{ t:T0, n:4, trust:80, trustMin:50, trustMax:95, bot:70, user:'a' }]);
+  assert.strictEqual(bucket(pts, POINT_MS), pts);
+  assert.match(toCSV(pts).split('\n')[1], /^2024-01-02T00:00:00.000Z,1704153600000,3,90,85,95,0,a,/);
+});
+
+test('sealed day files read back with the key, and not without it', () => withDir(dir => {
+  let key = KEY;
+  const store = new TimeSeriesStore({ dir, key:() => key });
+  store.append({ t:T0, n:1, trust:90 });
+  store.append({ t:T0 + DAY, n:1, trust:80 });
+  assert.deepStrictEqual(fs.readdirSync(dir), ['2024-01-02.jsonl', '2024-01-03.jsonl']);
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, '2024-01-02.jsonl'), 'utf8'), /trust/);
+  assert.deepStrictEqual(store.query(T0, T0 + DAY).map(p => p.trust), [90]);
+  key = null;
+  assert.deepStrictEqual(store.query(T0, T0 + 2 * DAY), []);
+  assert.strictEqual(store.unreadable, 2);
+}));
+
+test('day files past the retention window are deleted', () => withDir(dir => {
+  const store = new TimeSeriesStore({ dir, key:() => KEY, seal:() => false, retentionDays:30 });
+  store.append({ t:T0, n:1, trust:90 });
+  store.append({ t:T0 + 20 * DAY, n:1, trust:80 });
+  store.prune(T0 + 40 * DAY);
+  assert.deepStrictEqual(store.query(0, Infinity).map(p => p.trust), [80]);
+}));
@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { featureVector, classify, combineVerdicts, parseBotModel } = require('../lib/bot-detect');
+const { windows, fit, metrics } = require('../tools/train-bot');
+const { stream } = require('./helpers');
+
+const OPTS = { threshold:0.9, l2:0.01, epochs:400, rate:0.1 };
+
+// Detector inputs every 3 s of a generated stream, as feature vectors.
+const vectors = (mode, opts) => windows(stream(mode, opts), 3000).map(featureVector);
+
+test('a classifier fitted on labelled windows separates unseen ones', () => {
+  const human = vectors('human', { seed:1, keys:600 }), bot = vectors('humanized', { seed:1, keys:600 });
+  const model = fit([...human, ...bot], [...human.map(() => 0), ...bot.map(() => 1)], OPTS);
+  assert.strictEqual(parseBotModel(model), model);
+  const unseen = { human:vectors('human', { seed:4, keys:300 }), bot:vectors('humanized', { seed:4, keys:300 }) };
+  const pred = [...unseen.human, ...unseen.bot].map(x => classify(model, x).p >= model.threshold);
+  const m = metrics(pred, [...unseen.human.map(() => 0), ...unseen.bot.map(() => 1)]);
+  assert.ok(m.precision >= 0.9 && m.recall >= 0.7, JSON.stringify(m));
+});
+
+test('precision and recall count the confusion matrix', () => {
+  assert.deepStrictEqual(metrics([true, true, false, false], [1, 0, 1, 0]),
+                         { precision:0.5, recall:0.5, f1:0.5, accuracy:0.5, tp:1, fp:1, fn:1, tn:1 });
+  assert.strictEqual(metrics([false], [0]).precision, null);
+});
+
+test('the engine flags a bot when any detector does, at the highest confidence', () => {
+  const v = combineVerdicts([
+    { id:'rules', isBot:false, score:30, signals:[] },
+    { id:'classifier', isBot:true, score:95, signals:[{ id:'p', reason:'classifier p=0.95' }] },
+  ]);
+  assert.deepStrictEqual([v.isBot, v.confidence, v.reason, v.signals[0].detector], [true, 95, 'classifier p=0.95', 'classifier']);
+});
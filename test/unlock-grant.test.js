@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { UnlockGrant } = require('../lib/unlock-grant');
+
+test('a grant unlocks once, for the renderer it was issued to', () => {
+  const g = new UnlockGrant({ ttl:30000 });
+  assert.strictEqual(g.take(7, 0), null, 'no verified credential yet');
+  g.issue(7, 'password', 1000);
+  assert.strictEqual(g.take(8, 2000), null, 'another window');
+  assert.strictEqual(g.take(7, 2000), 'password');
+  assert.strictEqual(g.take(7, 2000), null, 'used up');
+});
+
+test('a grant expires and is dropped when the screen locks again', () => {
+  const g = new UnlockGrant({ ttl:30000 });
+  g.issue(7, 'phrase', 1000);
+  assert.strictEqual(g.take(7, 31001), null);
+  g.issue(7, 'recovery', 40000);
+  g.clear();
+  assert.strictEqual(g.take(7, 40001), null);
+});
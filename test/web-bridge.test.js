@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { bundle } = require('../tools/build-web');
+
+const ROOT = path.join(__dirname, '..');
+
+// The web demo bundle in a context with only what a browser page has; returns its window.
+function loadDemo() {
+  const items = new Map(), window = { addEventListener() {} };
+  const localStorage = { getItem:k => items.get(k) ?? null, setItem:(k, v) => items.set(k, String(v)), removeItem:k => items.delete(k) };
+  vm.runInNewContext(bundle(path.join(ROOT, 'web/bridge.js')), {
+    window, localStorage, document:{ addEventListener() {} }, crypto:globalThis.crypto, TextEncoder,
+    setInterval, clearInterval, setTimeout, clearTimeout, console,
+  });
+  return window;
+}
+
+test('the web demo bundles the shared engine and runs without Node built-ins', async () => {
+  const src = bundle(path.join(ROOT, 'web/bridge.js'));
+  assert.match(src, /"lib\/engine\.js":\[function/);
+  const stats = await loadDemo().bgAPI.getStats();
+  assert.strictEqual(stats.isTraining, true);
+  assert.strictEqual(stats.phase, 'quick');
+  assert.strictEqual(stats.isMonitoring, false);
+});
+
+test('the demo bridge offers every call the desktop preload does', () => {
+  const preload = fs.readFileSync(path.join(ROOT, 'preload.js'), 'utf8');
+  const names = [...preload.matchAll(/^ {2}(\w+):/gm)].map(m => m[1]);
+  assert.ok(names.length > 40);
+  const api = loadDemo().bgAPI;
+  assert.deepStrictEqual(names.filter(n => !(n in api)), []);
+});
@@ -0,0 +1,85 @@
+/**
+ * BehaviorGuard — Web Demo Build
+ *
+ * Produces dist/web/: the dashboard plus a bundle of the shared detection
+ * engine and the browser bridge (web/bridge.js), so the browser-only demo
+ * runs the exact scoring code the desktop main process runs.
+ *
+ *   node tools/build-web.js
+ *
+ * The bundler is deliberately tiny: CommonJS modules with relative
+ * requires (.js / .json) only. Anything else is a build error.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const ROOT  = path.join(__dirname, '..');
+const OUT   = path.join(ROOT, 'dist', 'web');
+const ENTRY = path.join(ROOT, 'web', 'bridge.js');
+
+function resolveFrom(file, req) {
+  const base = path.resolve(path.dirname(file), req);
+  for (const cand of [base, base + '.js']) if (fs.existsSync(cand) && fs.statSync(cand).isFile()) return cand;
+  throw new Error(`${path.relative(ROOT, file)}: cannot resolve '${req}'`);
+}
+
+function collect(entry) {
+  const mods = new Map();
+  const visit = file => {
+    if (mods.has(file)) return;
+    const src = fs.readFileSync(file, 'utf8');
+    const deps = {};
+    mods.set(file, { src, deps });
+    if (file.endsWith('.json')) return;
+    for (const [, req] of src.matchAll(/require\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+      // Node built-ins must be guarded at the call site (see lib/engine.js).
+      if (!req.startsWith('.')) continue;
+      deps[req] = path.relative(ROOT, resolveFrom(file, req));
+      visit(resolveFrom(file, req));
+    }
+  };
+  visit(entry);
+  return mods;
+}
+
+function bundle(entry) {
+  const mods = collect(entry);
+  const defs = [...mods].map(([file, { src, deps }]) => {
+    const id = path.relative(ROOT, file);
+    const body = file.endsWith('.json') ? `module.exports=${src.trim()};` : src;
+    return `${JSON.stringify(id)}:[function(module,exports,require){\n${body}\n},${JSON.stringify(deps)}]`;
+  });
+  return `(function(){'use strict';
+const defs={${defs.join(',\n')}};
+const cache={};
+function load(id){
+  if(cache[id])return cache[id].exports;
+  const [fn,deps]=defs[id],module=cache[id]={exports:{}};
+  fn(module,module.exports,req=>{if(!(req in deps))throw new Error('Module not bundled: '+req);return load(deps[req]);});
+  return module.exports;
+}
+load(${JSON.stringify(path.relative(ROOT, entry))});
+})();
+`;
+}
+
+function build() {
+  fs.mkdirSync(OUT, { recursive:true });
+  fs.writeFileSync(path.join(OUT, 'bundle.js'), bundle(ENTRY));
+  const html = fs.readFileSync(path.join(ROOT, 'behaviorguard.html'), 'utf8');
+  const marker = '<script>';
+  const at = html.indexOf(marker);
+  if (at < 0) throw new Error('behaviorguard.html: inline <script> not found');
+  const out = html.slice(0, at) + '<script src="bundle.js"></script>\n' + html.slice(at);
+  fs.writeFileSync(path.join(OUT, 'index.html'), out);
+  console.log(`[BG] web demo written to ${path.relative(ROOT, OUT)}/`);
+}
+
+if (require.main === module) {
+  try { build(); }
+  catch (err) { console.error('[BG] web build failed:', err.message); process.exit(1); }
+}
+
+module.exports = { bundle };
@@ -0,0 +1,179 @@
+/**
+ * BehaviorGuard — Replay Harness
+ *
+ * Feeds a recorded event stream through the detection engine without
+ * Electron, uiohook or a display, and prints the verdicts over time.
+ *
+ *   node tools/replay.js <events.jsonl> [options]
+ *
+ * Each input line is one uiohook-shaped event with a millisecond timestamp:
+ *   {"type":"keydown","t":1700000000000,"keycode":30}
+ *   {"type":"mousemove","t":1700000000016,"x":640,"y":388}
+ *   {"type":"click","t":...,"x":...,"y":...,"button":1}
+ *   {"type":"wheel","t":...,"rotation":1}
+ * Any event may add "ctx":{"app":"code","device":"mouse"} to switch the
+ * input context (see lib/context.js), and "injected":true when the hook
+ * reported it as synthetic. tools/synth-input.js generates such streams.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { BehaviorEngine } = require('../lib/engine');
+const { parseProfile } = require('../lib/profile-schema');
+const { topFactors } = require('../lib/explain');
+const { createDetectors, parseBotModel } = require('../lib/bot-detect');
+
+const USAGE = `Usage: node tools/replay.js <events.jsonl> [options]
+
+Options:
+  --profile <file>       score against a saved profile instead of training;
+                         repeat to enroll several users (the first is active).
+                         Plain profile JSON, validated and migrated like an import
+  --save-profile <file>  write the profile built during the replay
+  --quick <ms>           active time for the quick training phase (default 30 min)
+  --full <ms>            active time for the full training phase (default 120 min)
+  --interval <ms>        analysis cycle length in stream time (default 3000)
+  --sensitivity <lvl>    low | medium | high (default medium)
+  --adaptive             let high-trust windows update the profile (see --save-profile)
+  --classifier           add the learned bot classifier to the threshold rules
+  --bot-model <file>     classifier model from tools/train-bot.js (default: bundled;
+                         implies --classifier)
+  --replay-store <file>  load the replay fingerprint store from this file (if it
+                         exists) and write it back afterwards, so a later run can
+                         catch a replay of this one
+  --json                 print one JSON result per cycle instead of a table
+`;
+
+function parseArgs(argv) {
+  const opts = { interval:3000, sensitivity:'medium', json:false, profiles:[] };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    switch (a) {
+      case '--profile':      opts.profiles.push(argv[++i]); break;
+      case '--save-profile': opts.saveProfile = argv[++i]; break;
+      case '--quick':        opts.quick = Number(argv[++i]); break;
+      case '--full':         opts.full = Number(argv[++i]); break;
+      case '--interval':     opts.interval = Number(argv[++i]); break;
+      case '--sensitivity':  opts.sensitivity = argv[++i]; break;
+      case '--adaptive':     opts.adaptive = true; break;
+      case '--replay-store': opts.replayStore = argv[++i]; break;
+      case '--bot-model':    opts.botModel = argv[++i]; break;
+      case '--classifier':   opts.classifier = true; break;
+      case '--json':         opts.json = true; break;
+      case '-h': case '--help': opts.help = true; break;
+      default:
+        if (a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+        rest.push(a);
+    }
+  }
+  opts.file = rest[0];
+  return opts;
+}
+
+function readEvents(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const events = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let ev;
+    try { ev = JSON.parse(line); }
+    catch { throw new Error(`${path.basename(file)}:${i+1}: invalid JSON`); }
+    if (typeof ev.t !== 'number') throw new Error(`${path.basename(file)}:${i+1}: missing numeric "t"`);
+    events.push(ev);
+  });
+  return events.sort((a, b) => a.t - b.t);
+}
+
+function fmtOffset(ms) {
+  const s = Math.floor(ms / 1000), m = Math.floor(s / 60);
+  return `+${String(m).padStart(3,'0')}:${String(s % 60).padStart(2,'0')}.${String(ms % 1000).padStart(3,'0')}`;
+}
+
+function formatRow(offset, r) {
+  if (r.training) return `${fmtOffset(offset)}  training  ${r.phase.padEnd(12)} ${String(r.trainPct).padStart(3)}%${r.phaseChanged?'  → phase changed':''}`;
+  if (r.profile) return `${fmtOffset(offset)}  training  complete     100%  → profile built`;
+  if (r.trustScore === null) return `${fmtOffset(offset)}  scoring   (not enough data)`;
+  const flags = [];
+  if (r.identity)        flags.push(r.identity.known ? `user ${r.identity.name}` : 'user UNKNOWN');
+  if (r.bot.isBot)       flags.push(`BOT(${r.bot.reason})`);
+  if (r.replay.isReplay) flags.push(`REPLAY(${r.replay.reason})`);
+  if (r.anomaly)         flags.push(`ANOMALY(${[r.anomaly.severity, topFactors(r.explanation.trust)].filter(Boolean).join(': ')})`);
+  return `${fmtOffset(offset)}  trust ${r.trustScore.toFixed(1).padStart(5)}  bot ${String(r.bot.confidence).padStart(3)}  ${flags.join(' ')}`;
+}
+
+function run(opts) {
+  const events = readEvents(opts.file);
+  if (!events.length) throw new Error('No events in input');
+
+  let now = events[0].t;
+  const engine = new BehaviorEngine({
+    clock: () => now, sensitivity: opts.sensitivity,
+    quickTarget: opts.quick, fullTarget: opts.full, adaptive: opts.adaptive,
+    botDetectors: createDetectors({ classifier:opts.classifier || !!opts.botModel, model:opts.botModel && parseBotModel(JSON.parse(fs.readFileSync(opts.botModel, 'utf8'))) }),
+  });
+  opts.profiles.forEach((file, i) => {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (raw.format) throw new Error(`${file}: passphrase-sealed export; replay takes plain profiles such as --save-profile output`);
+    const { profile:p } = parseProfile(raw);
+    if (!p.uid) p.uid = `replay_${i}`;
+    if (!p.name) p.name = path.basename(file, '.json');
+    i ? engine.addProfile(p) : engine.loadProfile(p);
+  });
+  if (opts.replayStore && fs.existsSync(opts.replayStore))
+    engine.loadSequenceStore(JSON.parse(fs.readFileSync(opts.replayStore, 'utf8')));
+
+  const start = events[0].t, summary = { cycles:0, scored:0, bot:0, replay:0, anomaly:0, adapted:0, min:null, sum:0 };
+  let nextTick = start + opts.interval;
+
+  const cycle = () => {
+    const r = engine.evaluate();
+    summary.cycles++;
+    if (!r.training && !r.profile && r.trustScore !== null) {
+      summary.scored++; summary.sum += r.trustScore;
+      summary.min = summary.min === null ? r.trustScore : Math.min(summary.min, r.trustScore);
+      if (r.bot.isBot) summary.bot++;
+      if (r.replay.isReplay) summary.replay++;
+      if (r.anomaly) summary.anomaly++;
+      if (r.adapted) summary.adapted++;
+    }
+    const offset = now - start;
+    if (opts.json) console.log(JSON.stringify({ t:now, offset, ...r }));
+    else console.log(formatRow(offset, r));
+  };
+
+  for (const ev of events) {
+    while (ev.t >= nextTick) { now = nextTick; cycle(); nextTick += opts.interval; }
+    now = ev.t;
+    engine.ingest(ev);
+  }
+  now = nextTick; cycle();
+
+  if (opts.saveProfile) {
+    if (!engine.profile) throw new Error('Training did not complete; no profile to save');
+    fs.writeFileSync(opts.saveProfile, JSON.stringify(engine.profile, null, 2));
+  }
+  if (opts.replayStore) fs.writeFileSync(opts.replayStore, JSON.stringify(engine.sequenceStore()));
+
+  if (!opts.json) {
+    console.log('');
+    console.log(`events ${events.length}  cycles ${summary.cycles}  scored ${summary.scored}`);
+    if (summary.scored)
+      console.log(`trust  mean ${(summary.sum/summary.scored).toFixed(1)}  min ${summary.min.toFixed(1)}  bot ${summary.bot}  replay ${summary.replay}  anomaly ${summary.anomaly}${opts.adaptive?`  adapted ${summary.adapted}`:''}`);
+    const contexts = engine.stats().contexts;
+    if (contexts.length)
+      console.log(`contexts  ${contexts.map(c => `${c.key} ${c.samples}w ${c.pct}%${c.modelled ? '' : ' (no model)'}`).join('  ')}`);
+  }
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help || !opts.file) { console.log(USAGE); process.exit(opts.help ? 0 : 1); }
+  try { run(opts); }
+  catch (err) { console.error('[BG] replay failed:', err.message); process.exit(1); }
+}
+
+module.exports = { readEvents, run };
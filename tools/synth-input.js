@@ -0,0 +1,252 @@
+/**
+ * BehaviorGuard — Synthetic Input Generator
+ *
+ * Writes event streams in the tools/replay.js format for exercising the
+ * bot, replay and synthetic-input checks without a keyboard:
+ *
+ *   human    seeded human-like typing and pointer movement
+ *   xdotool  what `xdotool type` / `xdotool mousemove` produce: a fixed
+ *            delay, half of it as key hold time, no rollover, straight
+ *            pointer paths in equal steps
+ *   humanized  what "human-like" automation libraries produce: random
+ *            delays and hold times, eased Bézier pointer paths with noise,
+ *            but no per-key-pair rhythm and no rollover
+ *   replay   a segment of a recorded stream played back later, with
+ *            optional timing jitter
+ *
+ *   node tools/synth-input.js <mode> [options] > events.jsonl
+ */
+'use strict';
+
+const fs = require('fs');
+const { readEvents } = require('./replay');
+
+const USAGE = `Usage: node tools/synth-input.js <human|xdotool|humanized|replay> [options]
+
+Options:
+  --seed <n>         random seed (default 1)
+  --start <ms>       timestamp of the first event (default 1700000000000)
+  --out <file>       write to a file instead of stdout
+  --injected         mark every event as injected (as uiohook does for synthetic input)
+
+human, humanized:
+  --keys <n>         keystrokes (default 600)
+
+xdotool:
+  --text <s>         text to type (default a pangram)
+  --repeat <n>       type it n times (default 4)
+  --delay <ms>       delay between keystrokes, like xdotool --delay (default 12)
+  --dwell <ms>       key hold time (default delay / 2)
+  --moves <n>        straight pointer moves after each repeat (default 2)
+
+humanized:
+  --delay <ms>       mean delay between keystrokes (default 120, spread ±60%)
+
+replay:
+  --from <file>      recorded stream (replay.js format)
+  --offset <ms>      segment start, relative to the first event (default 0)
+  --length <ms>      segment length (default 30000)
+  --jitter <ms>      shift each event by up to ±jitter ms (default 0)
+  --gap <ms>         pause between the recording and the replay (default 60000)
+  --append           output the recording followed by the replay
+`;
+
+// uiohook key codes (PC scan codes) for the characters the generators type.
+const KEYCODES = {
+  '1':2, '2':3, '3':4, '4':5, '5':6, '6':7, '7':8, '8':9, '9':10, '0':11, '-':12, '=':13,
+  q:16, w:17, e:18, r:19, t:20, y:21, u:22, i:23, o:24, p:25, '[':26, ']':27, '\n':28,
+  a:30, s:31, d:32, f:33, g:34, h:35, j:36, k:37, l:38, ';':39, "'":40,
+  z:44, x:45, c:46, v:47, b:48, n:49, m:50, ',':51, '.':52, '/':53, ' ':57,
+};
+const SHIFT = 42;
+const SHIFTED = { '!':'1', '@':'2', '#':'3', '$':'4', '%':'5', '^':'6', '&':'7', '*':'8', '(':'9', ')':'0',
+                  '_':'-', '+':'=', '{':'[', '}':']', ':':';', '"':"'", '<':',', '>':'.', '?':'/' };
+
+function parseArgs(argv) {
+  const opts = { mode:argv[0], seed:1, start:1700000000000, injected:false, keys:600,
+                 text:'The quick brown fox jumps over the lazy dog.', repeat:4, delay:12, dwell:null, moves:2,
+                 offset:0, length:30000, jitter:0, gap:60000, append:false };
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--seed':     opts.seed = Number(argv[++i]); break;
+      case '--start':    opts.start = Number(argv[++i]); break;
+      case '--out':      opts.out = argv[++i]; break;
+      case '--injected': opts.injected = true; break;
+      case '--keys':     opts.keys = Number(argv[++i]); break;
+      case '--text':     opts.text = argv[++i]; break;
+      case '--repeat':   opts.repeat = Number(argv[++i]); break;
+      case '--delay':    opts.delay = Number(argv[++i]); break;
+      case '--dwell':    opts.dwell = Number(argv[++i]); break;
+      case '--moves':    opts.moves = Number(argv[++i]); break;
+      case '--from':     opts.from = argv[++i]; break;
+      case '--offset':   opts.offset = Number(argv[++i]); break;
+      case '--length':   opts.length = Number(argv[++i]); break;
+      case '--jitter':   opts.jitter = Number(argv[++i]); break;
+      case '--gap':      opts.gap = Number(argv[++i]); break;
+      case '--append':   opts.append = true; break;
+      case '-h': case '--help': opts.help = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!opts.help && !['human', 'xdotool', 'humanized', 'replay'].includes(opts.mode)) throw new Error(`Unknown mode ${opts.mode}`);
+  if (opts.mode === 'replay' && !opts.help && !opts.from) throw new Error('replay needs --from <file>');
+  if (opts.mode === 'humanized' && !argv.includes('--delay')) opts.delay = 120;
+  return opts;
+}
+
+function _rand(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function _gauss(rand) { return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand()); }
+
+// ── Generators ────────────────────────────────────────────
+/** Log-normal key-pair latencies, overlapping key holds, curved and jittery pointer paths, scroll flicks. */
+function human(opts) {
+  const rand = _rand(opts.seed), out = [];
+  const keys = Object.values(KEYCODES).filter(k => k >= 16 && k <= 50 || k === 57);
+  const pair = new Map(), dwellBase = 80 + 30 * rand(), pace = 100 + 120 * rand();
+  const latency = (a, b) => {
+    const k = `${a}_${b}`;
+    if (!pair.has(k)) pair.set(k, pace * Math.exp(_gauss(rand) * 0.35));
+    return pair.get(k);
+  };
+  let t = opts.start, x = 500, y = 400, prev = keys[0];
+  for (let i = 0; i < opts.keys; i++) {
+    const kc = keys[Math.floor(rand() ** 2 * keys.length)];
+    t += Math.round(latency(prev, kc) * Math.exp(_gauss(rand) * 0.15) + (rand() < 0.03 ? 900 * rand() : 0));
+    out.push({ type:'keydown', t, keycode:kc }, { type:'keyup', t:t + Math.round(dwellBase * Math.exp(_gauss(rand) * 0.2)), keycode:kc });
+    prev = kc;
+    if (i % 12 === 0) {
+      const tx = x + (rand() - 0.5) * 600, ty = y + (rand() - 0.5) * 400, n = 20 + Math.floor(rand() * 20);
+      let mt = t + 10;
+      for (let j = 1; j <= n; j++) {
+        const s = j / n, ease = s * s * (3 - 2 * s), bow = Math.sin(Math.PI * s) * 40;
+        mt += Math.round(8 + rand() * 10);
+        out.push({ type:'mousemove', t:mt, x:Math.round(x + (tx - x) * ease + bow + _gauss(rand)), y:Math.round(y + (ty - y) * ease + _gauss(rand)) });
+      }
+      x = Math.round(tx); y = Math.round(ty);
+      if (rand() < 0.5) out.push({ type:'click', t:mt + 80 + Math.round(rand() * 120), x, y, button:1 });
+    }
+    if (i % 30 === 0) {
+      // Ticks speed up then trail off; the odd one goes the other way.
+      const n = 3 + Math.floor(rand() * 8), dir = rand() < 0.85 ? 1 : -1;
+      let st = t + 200;
+      for (let j = 0; j < n; j++) {
+        st += Math.round((30 + 60 * Math.abs(j / (n - 1 || 1) - 0.35)) * Math.exp(_gauss(rand) * 0.25));
+        out.push({ type:'wheel', t:st, rotation:rand() < 0.03 ? -dir : dir });
+      }
+    }
+  }
+  return out;
+}
+
+/** Fixed delay, press and release per character (shift around capitals), no overlap. */
+function xdotool(opts) {
+  const rand = _rand(opts.seed), out = [], dwell = opts.dwell ?? opts.delay / 2;
+  let t = opts.start, x = 200, y = 200;
+  const press = kc => { out.push({ type:'keydown', t, keycode:kc }, { type:'keyup', t:t + dwell, keycode:kc }); t += opts.delay; };
+  for (let r = 0; r < opts.repeat; r++) {
+    for (const ch of opts.text) {
+      const base = SHIFTED[ch] || ch.toLowerCase(), kc = KEYCODES[base];
+      if (kc === undefined) continue;
+      if (base !== ch) {
+        out.push({ type:'keydown', t, keycode:SHIFT });
+        press(kc);
+        out.push({ type:'keyup', t, keycode:SHIFT });
+        t += opts.delay;
+      } else press(kc);
+    }
+    for (let m = 0; m < opts.moves; m++) {
+      const tx = Math.round(100 + rand() * 1000), ty = Math.round(100 + rand() * 600), n = 40;
+      for (let j = 1; j <= n; j++) {
+        t += 8;
+        out.push({ type:'mousemove', t, x:Math.round(x + (tx - x) * j / n), y:Math.round(y + (ty - y) * j / n) });
+      }
+      x = tx; y = ty;
+      out.push({ type:'click', t:t += opts.delay, x, y, button:1 });
+    }
+    t += 500;
+  }
+  return out;
+}
+
+/** Uniform random delays and holds, one key at a time; cubic Bézier pointer paths eased in and out. */
+function humanized(opts) {
+  const rand = _rand(opts.seed), out = [];
+  const keys = Object.values(KEYCODES).filter(k => k >= 16 && k <= 50 || k === 57);
+  const between = (lo, hi) => lo + rand() * (hi - lo);
+  let t = opts.start, x = 500, y = 400;
+  for (let i = 0; i < opts.keys; i++) {
+    const kc = keys[Math.floor(rand() ** 2 * keys.length)], dwell = Math.round(between(40, 110));
+    out.push({ type:'keydown', t, keycode:kc }, { type:'keyup', t:t + dwell, keycode:kc });
+    t += dwell + Math.round(between(0.4, 1.6) * opts.delay) + (rand() < 0.03 ? Math.round(between(300, 1200)) : 0);
+    if (i % 12 === 0) {
+      const tx = x + (rand() - 0.5) * 600, ty = y + (rand() - 0.5) * 400, d = Math.hypot(tx - x, ty - y);
+      const c1 = [x + (tx - x) * 0.3 + (rand() - 0.5) * d * 0.5, y + (ty - y) * 0.3 + (rand() - 0.5) * d * 0.5];
+      const c2 = [x + (tx - x) * 0.7 + (rand() - 0.5) * d * 0.5, y + (ty - y) * 0.7 + (rand() - 0.5) * d * 0.5];
+      const n = Math.max(20, Math.round(d / 12));
+      let mt = t;
+      for (let j = 1; j <= n; j++) {
+        const s = j / n, e = s < 0.5 ? 2 * s * s : 1 - 2 * (1 - s) * (1 - s), u = 1 - e;
+        const bx = u ** 3 * x + 3 * u * u * e * c1[0] + 3 * u * e * e * c2[0] + e ** 3 * tx;
+        const by = u ** 3 * y + 3 * u * u * e * c1[1] + 3 * u * e * e * c2[1] + e ** 3 * ty;
+        mt += 16;
+        out.push({ type:'mousemove', t:mt, x:Math.round(bx + _gauss(rand) * 0.7), y:Math.round(by + _gauss(rand) * 0.7) });
+      }
+      x = Math.round(tx); y = Math.round(ty);
+      out.push({ type:'click', t:mt + Math.round(between(50, 250)), x, y, button:1 });
+      t = Math.max(t, mt + 300);
+    }
+    if (i % 40 === 0) {
+      let st = t;
+      for (let j = 0, n = 4 + Math.floor(rand() * 8); j < n; j++) out.push({ type:'wheel', t:st += Math.round(between(40, 120)), rotation:1 });
+      t = st + 200;
+    }
+  }
+  return out;
+}
+
+/** A recorded segment played back `gap` ms after the recording ends. */
+function replay(opts) {
+  const rand = _rand(opts.seed), rec = readEvents(opts.from);
+  if (!rec.length) throw new Error('No events in recording');
+  const from = rec[0].t + opts.offset, seg = rec.filter(e => e.t >= from && e.t < from + opts.length);
+  if (!seg.length) throw new Error('No events in the selected segment');
+  const shift = rec[rec.length - 1].t + opts.gap - seg[0].t;
+  const played = seg.map(e => ({ ...e, t:e.t + shift + Math.round((rand() * 2 - 1) * opts.jitter) }));
+  // Jitter must not swap a key's press and release.
+  const down = new Map();
+  for (const e of played.sort((a, b) => a.t - b.t)) {
+    if (e.type === 'keydown') down.set(e.keycode, e.t);
+    else if (e.type === 'keyup' && down.has(e.keycode) && e.t <= down.get(e.keycode)) e.t = down.get(e.keycode) + 1;
+  }
+  return opts.append ? rec.concat(played) : played;
+}
+
+function run(opts) {
+  const events = { human, xdotool, humanized, replay }[opts.mode](opts).sort((a, b) => a.t - b.t);
+  if (opts.injected) events.forEach(e => { e.injected = true; });
+  const text = events.map(e => JSON.stringify(e)).join('\n') + '\n';
+  if (opts.out) fs.writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+  return events;
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help) { console.log(USAGE); process.exit(0); }
+  try { run(opts); }
+  catch (err) { console.error('[BG] synth-input failed:', err.message); process.exit(1); }
+}
+
+module.exports = { human, xdotool, humanized, replay, run };
@@ -0,0 +1,186 @@
+/**
+ * BehaviorGuard — Bot Classifier Training
+ *
+ * Fits the classifier detector of lib/bot-detect.js (logistic regression)
+ * on labelled recordings and reports precision / recall on held-out data:
+ *
+ *   node tools/train-bot.js --human a.jsonl --bot b.jsonl [options]
+ *
+ * Recordings use the tools/replay.js format. Each is replayed through the
+ * engine and a detector input is taken every --interval ms of stream time.
+ * The last --holdout share of every recording (by time) is replayed
+ * through an engine of its own, so no held-out window shares events with
+ * a training window. Held-out windows are scored by the classifier, the
+ * threshold rules, and both combined as the engine combines them.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { BehaviorEngine } = require('../lib/engine');
+const { FEATURES, MODEL_VERSION, rulesDetector, featureVector, classify, parseBotModel } = require('../lib/bot-detect');
+const { readEvents } = require('./replay');
+
+const USAGE = `Usage: node tools/train-bot.js --human <file> --bot <file> [options]
+
+Options:
+  --human <file>      recording of a person (repeat for more)
+  --bot <file>        recording of scripted input (repeat for more)
+  --interval <ms>     stream time between windows (default 3000)
+  --holdout <share>   tail of each recording kept for evaluation (default 0.3)
+  --threshold <p>     classifier probability that flags a bot (default 0.9)
+  --l2 <x>            weight decay (default 0.01)
+  --epochs <n>        gradient steps (default 3000)
+  --out <file>        write the model (lib/bot-model.json is the bundled default)
+  --json              print the report as JSON
+`;
+
+function parseArgs(argv) {
+  const opts = { human:[], bot:[], interval:3000, holdout:0.3, threshold:0.9, l2:0.01, epochs:3000, rate:0.1, json:false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--human':     opts.human.push(argv[++i]); break;
+      case '--bot':       opts.bot.push(argv[++i]); break;
+      case '--interval':  opts.interval = Number(argv[++i]); break;
+      case '--holdout':   opts.holdout = Number(argv[++i]); break;
+      case '--threshold': opts.threshold = Number(argv[++i]); break;
+      case '--l2':        opts.l2 = Number(argv[++i]); break;
+      case '--epochs':    opts.epochs = Number(argv[++i]); break;
+      case '--out':       opts.out = argv[++i]; break;
+      case '--json':      opts.json = true; break;
+      case '-h': case '--help': opts.help = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  if (!opts.help && (!opts.human.length || !opts.bot.length)) throw new Error('Need at least one --human and one --bot recording');
+  if (!(opts.holdout > 0 && opts.holdout < 1)) throw new Error('--holdout must be between 0 and 1');
+  if (!(opts.threshold > 0 && opts.threshold < 1)) throw new Error('--threshold must be between 0 and 1');
+  return opts;
+}
+
+// ── Windows ───────────────────────────────────────────────
+/** Detector inputs taken every `interval` ms while replaying `events` through a fresh engine. */
+function windows(events, interval) {
+  if (!events.length) return [];
+  let now = events[0].t;
+  const engine = new BehaviorEngine({ clock:() => now }), out = [];
+  let next = now + interval;
+  const take = () => {
+    const input = engine.botInput();
+    if (featureVector(input).some(Number.isFinite)) out.push(input);
+  };
+  for (const ev of events) {
+    while (ev.t >= next) { now = next; take(); next += interval; }
+    now = ev.t;
+    engine.ingest(ev);
+  }
+  now = next; take();
+  return out;
+}
+
+/** { train, test } windows of one recording, split by time at 1 − holdout. */
+function split(file, opts) {
+  const events = readEvents(file);
+  if (!events.length) throw new Error(`${path.basename(file)}: no events`);
+  const cut = events[0].t + (events[events.length - 1].t - events[0].t) * (1 - opts.holdout);
+  return { train:windows(events.filter(e => e.t < cut), opts.interval), test:windows(events.filter(e => e.t >= cut), opts.interval) };
+}
+
+// ── Fitting ───────────────────────────────────────────────
+function _standardize(X) {
+  const d = X[0].length, mean = [], std = [];
+  for (let j = 0; j < d; j++) {
+    const col = X.map(x => x[j]).filter(Number.isFinite);
+    const m = col.length ? col.reduce((s, v) => s + v, 0) / col.length : 0;
+    const v = col.length ? col.reduce((s, x) => s + (x - m) ** 2, 0) / col.length : 0;
+    mean.push(m); std.push(Math.sqrt(v) || 1);
+  }
+  return { mean, std };
+}
+
+/** Class-balanced logistic regression by full-batch gradient descent. */
+function fit(X, y, opts) {
+  const { mean, std } = _standardize(X), d = mean.length, n = X.length;
+  const Z = X.map(x => x.map((v, j) => Number.isFinite(v) ? Math.max(-6, Math.min(6, (v - mean[j]) / std[j])) : 0));
+  const pos = y.filter(Boolean).length, cw = [n / (2 * (n - pos)), n / (2 * pos)];
+  const w = new Array(d).fill(0);
+  let b = 0;
+  for (let e = 0; e < opts.epochs; e++) {
+    const g = new Array(d).fill(0);
+    let gb = 0;
+    for (let i = 0; i < n; i++) {
+      const s = Z[i].reduce((a, z, j) => a + z * w[j], b), err = (1 / (1 + Math.exp(-s)) - y[i]) * cw[y[i]];
+      for (let j = 0; j < d; j++) g[j] += err * Z[i][j];
+      gb += err;
+    }
+    for (let j = 0; j < d; j++) w[j] -= opts.rate * (g[j] / n + opts.l2 * w[j]);
+    b -= opts.rate * gb / n;
+  }
+  const r6 = x => Math.round(x * 1e6) / 1e6;
+  return parseBotModel({
+    v:MODEL_VERSION, features:Object.keys(FEATURES), mean:mean.map(r6), std:std.map(r6), weights:w.map(r6), bias:r6(b),
+    threshold:opts.threshold,
+  });
+}
+
+// ── Evaluation ────────────────────────────────────────────
+function metrics(pred, y) {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  pred.forEach((p, i) => { if (p && y[i]) tp++; else if (p) fp++; else if (y[i]) fn++; else tn++; });
+  const r3 = x => Number.isFinite(x) ? Math.round(x * 1000) / 1000 : null;
+  const precision = tp / (tp + fp), recall = tp / (tp + fn);
+  return { precision:r3(precision), recall:r3(recall), f1:r3(2 * precision * recall / (precision + recall)),
+           accuracy:r3((tp + tn) / y.length), tp, fp, fn, tn };
+}
+
+function run(opts) {
+  const sets = { train:{ X:[], y:[], inputs:[] }, test:{ X:[], y:[], inputs:[] } };
+  for (const [label, files] of [[0, opts.human], [1, opts.bot]]) {
+    for (const file of files) {
+      const s = split(file, opts);
+      for (const k of ['train', 'test']) for (const input of s[k]) {
+        sets[k].X.push(featureVector(input)); sets[k].y.push(label); sets[k].inputs.push(input);
+      }
+    }
+  }
+  const count = s => ({ windows:s.y.length, human:s.y.filter(v => !v).length, bot:s.y.filter(Boolean).length });
+  for (const k of ['train', 'test']) {
+    const c = count(sets[k]);
+    if (!c.human || !c.bot) throw new Error(`No ${c.human ? 'bot' : 'human'} windows in the ${k === 'train' ? 'training' : 'held-out'} set; recordings too short?`);
+  }
+
+  const model = fit(sets.train.X, sets.train.y, opts);
+  const T = sets.test, cls = T.X.map(x => classify(model, x).p >= model.threshold), rules = T.inputs.map(i => rulesDetector.detect(i).isBot);
+  const report = {
+    train:count(sets.train), test:count(T),
+    heldOut:{ classifier:metrics(cls, T.y), rules:metrics(rules, T.y), combined:metrics(cls.map((c, i) => c || rules[i]), T.y) },
+  };
+  model.trained = { at:new Date().toISOString(), human:opts.human.map(f => path.basename(f)), bot:opts.bot.map(f => path.basename(f)),
+                    train:report.train, heldOut:report.heldOut };
+  if (opts.out) fs.writeFileSync(opts.out, JSON.stringify(model, null, 2) + '\n');
+
+  if (opts.json) { console.log(JSON.stringify({ ...report, model }, null, 2)); return report; }
+  const c = (s) => `${s.windows} (human ${s.human}, bot ${s.bot})`;
+  console.log(`windows   train ${c(report.train)}   held-out ${c(report.test)}`);
+  console.log('');
+  console.log('held-out     precision  recall     f1  accuracy    tp    fp    fn    tn');
+  for (const [name, m] of Object.entries(report.heldOut)) {
+    const f = x => (x === null ? '—' : x.toFixed(3)).padStart(6);
+    console.log(`${name.padEnd(12)} ${f(m.precision)}    ${f(m.recall)} ${f(m.f1)}    ${f(m.accuracy)} ${[m.tp, m.fp, m.fn, m.tn].map(n => String(n).padStart(5)).join(' ')}`);
+  }
+  console.log('');
+  console.log('weights   ' + model.features.map((f, j) => `${f} ${model.weights[j] >= 0 ? '+' : ''}${model.weights[j].toFixed(2)}`).join('  '));
+  if (opts.out) console.log(`\nmodel written to ${opts.out}`);
+  return report;
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help) { console.log(USAGE); process.exit(0); }
+  try { run(opts); }
+  catch (err) { console.error('[BG] training failed:', err.message); process.exit(1); }
+}
+
+module.exports = { windows, fit, metrics, run };
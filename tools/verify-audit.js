@@ -0,0 +1,80 @@
+/**
+ * BehaviorGuard — Audit Log Check
+ *
+ * Verifies the hash chain of an audit log directory (lib/audit-log.js)
+ * outside the app, e.g. on a copy taken for incident response. The hashes
+ * are keyed with the install's chain key (`bgctl audit-key` prints it), so
+ * only a check with --key shows that no entry was rewritten; without it the
+ * links between entries are all that is checked. Sealed entries are checked
+ * without the data key; their contents stay unreadable.
+ *
+ *   node tools/verify-audit.js <audit dir> [--key <hex>] [--head <seq>:<hash>] [--json]
+ *
+ * Exits 0 when the chain is intact, 2 when it is not.
+ */
+'use strict';
+
+const { AuditLog } = require('../lib/audit-log');
+
+const USAGE = `Usage: node tools/verify-audit.js <audit dir> [options]
+
+The directory is "audit" in the app's data folder.
+
+Options:
+  --key <hex>          the install's chain key, from \`bgctl audit-key\`; without it
+                       a rewritten log whose hashes were recomputed still passes
+  --head <seq>:<hash>  last entry as recorded elsewhere (the app keeps it in its
+                       data store), so entries cut off the end are caught too
+  --json               print the result as JSON
+`;
+
+function parseArgs(argv) {
+  const opts = { json:false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    switch (a) {
+      case '--head': {
+        const m = /^(\d+):([0-9a-f]{64})$/.exec(argv[++i] || '');
+        if (!m) throw new Error('--head takes <seq>:<64 hex digits>');
+        opts.head = { seq:Number(m[1]), hash:m[2] };
+        break;
+      }
+      case '--key': {
+        const k = argv[++i] || '';
+        if (!/^[0-9a-f]{64}$/i.test(k)) throw new Error('--key takes 64 hex digits');
+        opts.key = Buffer.from(k, 'hex');
+        break;
+      }
+      case '--json': opts.json = true; break;
+      case '-h': case '--help': opts.help = true; break;
+      default:
+        if (a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+        rest.push(a);
+    }
+  }
+  opts.dir = rest[0];
+  if (!opts.dir && !opts.help) throw new Error('No audit directory given');
+  return opts;
+}
+
+function run(opts) {
+  const res = new AuditLog({ dir:opts.dir, key:() => null, macKey:() => opts.key || null }).verify(opts.head || null);
+  if (opts.json) { console.log(JSON.stringify(res, null, 2)); return res; }
+  console.log(`${res.entries} entries in ${res.files} file${res.files === 1 ? '' : 's'}${res.first ? ` (#${res.first}–#${res.last})` : ''}`);
+  if (res.ok) console.log(opts.head ? 'chain intact up to the given head' : 'chain intact (no head given: entries cut off the end would not show)');
+  if (!res.authenticated) console.log('links only (no --key given: a rewritten log with recomputed hashes would pass)');
+  for (const p of res.problems) console.log(`${p.file ? `${p.file}:${p.line}  ` : ''}${p.msg}`);
+  return res;
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help) { console.log(USAGE); process.exit(0); }
+  try { process.exit(run(opts).ok ? 0 : 2); }
+  catch (err) { console.error('[BG] audit check failed:', err.message); process.exit(1); }
+}
+
+module.exports = { run };
@@ -0,0 +1,78 @@
+/**
+ * BehaviorGuard — Webhook / Syslog Sink
+ *
+ * Local stand-in for a SIEM or webhook receiver when trying out alert
+ * rules: prints every webhook POST (checking its signature when a secret
+ * is given) and, optionally, every syslog line received over UDP or TCP.
+ *
+ *   node tools/webhook-sink.js [options]
+ */
+'use strict';
+
+const http   = require('http');
+const dgram  = require('dgram');
+const net    = require('net');
+const crypto = require('crypto');
+
+const USAGE = `Usage: node tools/webhook-sink.js [options]
+
+Options:
+  --port <n>      webhook port on 127.0.0.1 (default 8787)
+  --secret <s>    verify X-BG-Signature with this secret
+  --fail <n>      answer the first n webhooks with HTTP 500 (exercises retries)
+  --syslog <n>    also receive syslog on UDP and TCP port n
+`;
+
+function parseArgs(argv) {
+  const opts = { port:8787, secret:null, fail:0, syslog:null };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':   opts.port = Number(argv[++i]); break;
+      case '--secret': opts.secret = argv[++i]; break;
+      case '--fail':   opts.fail = Number(argv[++i]); break;
+      case '--syslog': opts.syslog = Number(argv[++i]); break;
+      case '-h': case '--help': opts.help = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return opts;
+}
+
+function run(opts) {
+  let failLeft = opts.fail;
+  http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      let sig = '';
+      if (opts.secret) {
+        const want = `sha256=${crypto.createHmac('sha256', opts.secret).update(body).digest('hex')}`;
+        sig = req.headers['x-bg-signature'] === want ? '  signature ok' : '  SIGNATURE MISMATCH';
+      }
+      const status = failLeft > 0 ? (failLeft--, 500) : 200;
+      console.log(`${new Date().toISOString()}  webhook ${req.method} ${req.url} → ${status}${sig}\n  ${body.toString()}`);
+      res.writeHead(status); res.end();
+    });
+  }).listen(opts.port, '127.0.0.1', () => console.log(`webhook sink on http://127.0.0.1:${opts.port}/`));
+
+  if (opts.syslog) {
+    const print = (proto, line) => console.log(`${new Date().toISOString()}  syslog/${proto}\n  ${line}`);
+    dgram.createSocket('udp4').on('message', m => print('udp', m.toString().trim())).bind(opts.syslog, '127.0.0.1');
+    net.createServer(s => {
+      let buf = '';
+      s.on('data', c => { buf += c; let i; while ((i = buf.indexOf('\n')) >= 0) { print('tcp', buf.slice(0, i)); buf = buf.slice(i + 1); } });
+      s.on('error', () => {});
+    }).listen(opts.syslog, '127.0.0.1', () => console.log(`syslog sink on udp/tcp 127.0.0.1:${opts.syslog}`));
+  }
+}
+
+if (require.main === module) {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); console.error(USAGE); process.exit(1); }
+  if (opts.help) { console.log(USAGE); process.exit(0); }
+  run(opts);
+}
+
+module.exports = { run };
@@ -0,0 +1,448 @@
+/**
+ * BehaviorGuard — Web Demo Bridge
+ *
+ * Browser-only stand-in for preload.js + the main-process analysis loop.
+ * Captures DOM input, feeds it to the shared detection engine and exposes
+ * the same `window.bgAPI` surface, so behaviorguard.html renders the same
+ * `stats-update` / `risk-update` payloads it gets from the desktop app.
+ *
+ * Bundled by tools/build-web.js into dist/web; the Electron app never loads it.
+ * Demo data lives unencrypted in localStorage.
+ */
+'use strict';
+
+const { BehaviorEngine } = require('../lib/engine');
+const { parseProfile, summarize } = require('../lib/profile-schema');
+const { POINT_MS, Downsampler, bucket, toCSV } = require('../lib/timeseries');
+const { topFactors, feedbackRecord } = require('../lib/explain');
+const { createDetectors } = require('../lib/bot-detect');
+const { DEFAULT_POLICY } = require('../lib/response-policy');
+const fixedText = require('../lib/fixed-text');
+const pkg = require('../package.json');
+
+const KEYS = {
+  settings:'bg_settings', users:'bg_users', activeUser:'bg_active_user', alerts:'bg_alerts', series:'bg_series', feedback:'bg_alert_feedback', replay:'bg_replay_store',
+  // keyed by user id
+  profiles:'bg_profiles', history:'bg_profile_history', training:'bg_training',
+};
+
+function load(key, fallback) {
+  try { const v = JSON.parse(localStorage.getItem(key)); return v === null ? fallback : v; }
+  catch { return fallback; }
+}
+function save(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
+}
+function saveFor(key, id, value) { save(key, { ...load(key, {}), [id]:value }); }
+function dropFor(key, id) { const all = load(key, {}); delete all[id]; save(key, all); }
+const newId = () => 'user_' + Math.random().toString(16).slice(2, 14);
+
+// Single-profile demo data (bg_profile, array history, bare training snapshot) → per-user layout.
+function migrate() {
+  const legacy = load('bg_profile', null), tr = load(KEYS.training, null), h = load(KEYS.history, null);
+  if (!legacy && !(tr && tr.ksEvents)) return;
+  const id = legacy?.uid || load(KEYS.activeUser, null) || newId(), name = legacy?.name || 'Primary';
+  if (!load(KEYS.users, []).length) save(KEYS.users, [{ id, name, createdAt:legacy?.createdAt || Date.now() }]);
+  save(KEYS.activeUser, id);
+  if (legacy) { save(KEYS.profiles, { [id]:{ ...legacy, uid:id, name } }); localStorage.removeItem('bg_profile'); }
+  save(KEYS.history, Array.isArray(h) ? { [id]:h } : {});
+  save(KEYS.training, tr && tr.ksEvents && !legacy ? { [id]:tr } : {});
+}
+
+// ── State ─────────────────────────────────────────────────────
+let SETTINGS = {
+  enabled: true, sensitivity: 'medium', privacyMode: true, notifications: true, autoBlock: false, systemLock: false, adaptive: false, botClassifier: false,
+  responsePolicy: DEFAULT_POLICY,
+  ...load(KEYS.settings, {}),
+};
+let ALERTS = load(KEYS.alerts, []);
+let isMonitoring = false;
+let analysisTimer = null, saveTimer = null;
+
+const engine = new BehaviorEngine({ sensitivity: SETTINGS.sensitivity, adaptive: SETTINGS.adaptive,
+                                   botDetectors: createDetectors({ classifier:SETTINGS.botClassifier === true }) });
+migrate();
+const savedHistory = load(KEYS.history, {});
+Object.values(load(KEYS.profiles, {})).forEach(p => { engine.addProfile(p); engine.loadHistory(p.uid, savedHistory[p.uid]); });
+engine.loadSequenceStore(load(KEYS.replay, null));
+if (!load(KEYS.users, []).length) {
+  const id = engine.enroll('Primary');
+  save(KEYS.users, [{ id, name:'Primary', createdAt:Date.now() }]); save(KEYS.activeUser, id);
+} else {
+  const users = load(KEYS.users, []), active = load(KEYS.activeUser, null);
+  activateUser(users.some(u => u.id === active) ? active : users[0].id);
+}
+
+// ── Event bus ─────────────────────────────────────────────────
+const listeners = new Map();
+function emit(channel, data) {
+  (listeners.get(channel) || []).forEach(cb => cb(data));
+}
+
+// ── DOM capture → uiohook-shaped events ───────────────────────
+const CAPTURE = {
+  keydown:   e => ({ type:'keydown',   keycode:e.keyCode, injected:!e.isTrusted }),
+  keyup:     e => ({ type:'keyup',     keycode:e.keyCode, injected:!e.isTrusted }),
+  mousemove: e => ({ type:'mousemove', x:e.screenX, y:e.screenY, injected:!e.isTrusted }),
+  click:     e => ({ type:'click',     x:e.screenX, y:e.screenY, button:e.button + 1, injected:!e.isTrusted }),
+  wheel:     e => ({ type:'wheel',     rotation:Math.sign(e.deltaY) }),
+};
+// The page cannot see the foreground app; the pointer kind comes from the last pointerdown.
+const CONTEXT = { app:null, device:null };
+document.addEventListener('pointerdown', e => { CONTEXT.device = e.pointerType || null; }, { capture:true, passive:true });
+const handlers = Object.entries(CAPTURE).map(([type, toEvent]) =>
+  [type, e => { if (isMonitoring && SETTINGS.enabled) engine.ingest({ ...toEvent(e), ctx:CONTEXT }); }]);
+
+// ── Analysis loop (mirrors tick() in main.js) ─────────────────
+const SYNTHETIC_KINDS = ['injected', 'pairing'];
+function tick() {
+  if (!isMonitoring) return;
+  const r = engine.evaluate();
+  if (r.training || r.profile) {
+    if (r.phaseChanged) emit('training-phase', { phase:r.phase });
+    if (r.profile) {
+      saveFor(KEYS.profiles, r.profile.uid, r.profile); dropFor(KEYS.training, r.profile.uid); dropFor(KEYS.history, r.profile.uid);
+      emit('training-complete', { size:r.profile.size, createdAt:r.profile.createdAt });
+    }
+    pushStats(); return;
+  }
+  if (r.trustScore !== null) {
+    const { bot, replay, anomaly, identity, explanation } = r;
+    const user = identity?.known ? { id:identity.id, name:identity.name } : null;
+    if (bot.isBot)       addAlert({ type:'bot', severity:'critical', user, msg:`Bot activity: ${bot.reason}`, explain:explanation });
+    if (replay.isReplay) addAlert({ type:'replay', severity:'high', user, msg:`${SYNTHETIC_KINDS.includes(replay.kind) ? 'Synthetic input' : 'Replay attack'}: ${replay.reason}`, explain:explanation });
+    if (anomaly) {
+      const why = topFactors(explanation.trust);
+      addAlert({ type:'anomaly', severity:anomaly.severity, user, explain:explanation,
+                 msg:`Trust score fell to ${Math.round(r.trustScore)}% — ${user ? `closest profile: ${user.name}` : 'no enrolled profile matches'}${why ? ` (${why})` : ''}` });
+    }
+    if (r.adapted) {
+      saveFor(KEYS.profiles, r.adapted.id, engine.profiles.get(r.adapted.id));
+      if (r.adapted.newRevision) saveFor(KEYS.history, r.adapted.id, engine.historyOf(r.adapted.id));
+    }
+    if (r.contextUpdated) saveFor(KEYS.profiles, r.contextUpdated, engine.profiles.get(r.contextUpdated));
+    const risk = { trustScore:r.trustScore, breakdown:r.breakdown, botScore:bot.confidence, botReason:bot.reason, identity, ngraph:r.ngraph,
+                   ksFeats:r.ksFeats, mouseFeats:r.mouseFeats, clickFeats:r.clickFeats, scrollFeats:r.scrollFeats };
+    emit('risk-update', risk);
+    sampler.add(risk);
+  }
+  pushStats();
+}
+
+function buildStatsPayload() { return { ...engine.stats(), isMonitoring }; }
+function pushStats() { emit('stats-update', buildStatsPayload()); }
+
+function saveTrainingProgress() {
+  const tr = engine.trainingSnapshot();
+  if (tr && engine.user.id) saveFor(KEYS.training, engine.user.id, tr);
+}
+
+// Replay fingerprints (key-sequence HMACs and timings) survive reloads like the desktop vault copy.
+function saveReplayStore() { save(KEYS.replay, engine.sequenceStore()); }
+
+function addAlert(a) {
+  const alert = { ...a, ts:Date.now(), id:Date.now() + Math.random() };
+  ALERTS.unshift(alert); if (ALERTS.length > 200) ALERTS.pop();
+  save(KEYS.alerts, ALERTS.slice(0, 100));
+  if (SETTINGS.notifications && 'Notification' in window && Notification.permission === 'granted')
+    new Notification('BehaviorGuard Alert', { body:a.msg });
+  emit('alert', alert);
+  return alert;
+}
+
+function alertFeedback(id, verdict) {
+  const alert = ALERTS.find(a => a.id === id);
+  if (!alert) throw new Error('Unknown alert');
+  const rec = feedbackRecord(alert, verdict, SETTINGS.sensitivity);
+  alert.feedback = { verdict, ts:rec.ts };
+  save(KEYS.alerts, ALERTS.slice(0, 100));
+  save(KEYS.feedback, [...load(KEYS.feedback, []).filter(f => f.alert !== id), rec].slice(-1000));
+  return alert.feedback;
+}
+
+// ── History ───────────────────────────────────────────────────
+// localStorage is small: the demo keeps DEMO_HISTORY_DAYS of points whatever the setting says.
+const DEMO_HISTORY_DAYS = 3;
+const sampler = new Downsampler(p => {
+  const cutoff = Date.now() - DEMO_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+  save(KEYS.series, [...load(KEYS.series, []).filter(x => x.t >= cutoff), p]);
+});
+
+function queryHistory(from, to, bucketMs) {
+  const points = load(KEYS.series, []).filter(p => p.t >= from && p.t < to);
+  const alerts = ALERTS.filter(a => a.ts >= from && a.ts < to).map(({ id, ts, type, severity, msg }) => ({ id, ts, type, severity, msg }));
+  return { points:bucket(points, bucketMs), alerts, bucketMs:Math.max(bucketMs || 0, POINT_MS), unreadable:0 };
+}
+
+function exportHistory(from, to, format = 'csv') {
+  const points = load(KEYS.series, []).filter(p => p.t >= from && p.t < to);
+  if (!points.length) throw new Error('No history in this range');
+  const json = format === 'json';
+  const body = json ? JSON.stringify({ from, to, stepMs:POINT_MS, points }, null, 2) : toCSV(points);
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([body], { type:json ? 'application/json' : 'text/csv' }));
+  a.download = `bg_history_${new Date(points[0].t).toISOString().slice(0, 10)}.${json ? 'json' : 'csv'}`; a.click();
+  URL.revokeObjectURL(a.href);
+  return points.length;
+}
+
+// ── Monitoring ────────────────────────────────────────────────
+function startMonitoring() {
+  if (isMonitoring) return;
+  handlers.forEach(([type, fn]) => document.addEventListener(type, fn, { capture:true, passive:true }));
+  isMonitoring = true;
+  analysisTimer = setInterval(tick, 3000);
+  saveTimer = setInterval(() => { saveTrainingProgress(); saveReplayStore(); }, 30000);
+  emit('monitoring-status', true);
+}
+
+function stopMonitoring() {
+  if (!isMonitoring) return;
+  isMonitoring = false;
+  handlers.forEach(([type, fn]) => document.removeEventListener(type, fn, { capture:true }));
+  clearInterval(analysisTimer); clearInterval(saveTimer);
+  analysisTimer = saveTimer = null;
+  saveTrainingProgress(); saveReplayStore(); sampler.flush();
+  emit('monitoring-status', false);
+}
+
+function resetProfile() {
+  const id = engine.user.id;
+  engine.reset();
+  ALERTS = ALERTS.filter(a => a.user?.id !== id); save(KEYS.alerts, ALERTS.slice(0, 100));
+  dropFor(KEYS.profiles, id); dropFor(KEYS.training, id); dropFor(KEYS.history, id);
+  emit('profile-reset', {});
+}
+
+// ── Profiles (mirrors main.js) ────────────────────────────────
+function activateUser(id) {
+  const u = load(KEYS.users, []).find(x => x.id === id);
+  if (!u) throw new Error('Unknown profile');
+  saveTrainingProgress();
+  if (!engine.selectUser(id)) {
+    engine.startTraining({ id, name:u.name });
+    engine.restoreTraining(load(KEYS.training, {})[id] || null);
+  }
+  save(KEYS.activeUser, id);
+}
+
+function listProfiles() {
+  return load(KEYS.users, []).map(u => ({ ...u, trained:engine.profiles.has(u.id), active:u.id === engine.user.id }));
+}
+
+function profilesChanged() { emit('profiles-changed', listProfiles()); pushStats(); }
+
+function enrollProfile(name) {
+  name = String(name || '').trim();
+  const users = load(KEYS.users, []);
+  if (!name || name.length > 40) throw new Error('Profile name must be 1–40 characters');
+  if (users.some(u => u.name.toLowerCase() === name.toLowerCase())) throw new Error(`A profile named "${name}" already exists`);
+  saveTrainingProgress();
+  const id = engine.enroll(name);
+  save(KEYS.users, [...users, { id, name, createdAt:Date.now() }]); save(KEYS.activeUser, id);
+  profilesChanged();
+  return id;
+}
+
+// ── Typing enrollment (mirrors main.js) ───────────────────────
+// Keystrokes come from the page's own capture, so the prompt must be typed here.
+let typingEnroll = null;   // { takes:[{ phrase, events }], since }
+
+function startTypingEnroll() {
+  if (!isMonitoring) throw new Error('Start monitoring first: enrollment reads the keystrokes monitoring captures');
+  typingEnroll = { takes:[], since:Date.now() };
+  return { phrases:fixedText.enrollmentPhrases(), repeats:fixedText.ENROLL_REPEATS };
+}
+
+function addTypingTake(phrase, text) {
+  if (!typingEnroll) throw new Error('No typing enrollment in progress');
+  if (!fixedText.enrollmentPhrases().includes(phrase)) throw new Error('Unknown enrollment phrase');
+  const events = engine.typedSince(typingEnroll.since);
+  typingEnroll.since = Date.now();
+  if (!fixedText.phraseMatches(text, phrase)) return { ok:false, why:'The text does not match the phrase' };
+  if (events.length < phrase.length * 0.8) return { ok:false, why:'Too few keystrokes captured; type the phrase rather than pasting it' };
+  typingEnroll.takes.push({ phrase, events });
+  return { ok:true, takes:typingEnroll.takes.length };
+}
+
+function finishTypingEnroll() {
+  if (!typingEnroll) throw new Error('No typing enrollment in progress');
+  const { takes } = typingEnroll, wasTraining = engine.isTraining;
+  typingEnroll = null;
+  const p = engine.enrollTyping(takes);
+  if (!p) throw new Error('Not enough input for a profile yet; move the mouse and type a little more, then enroll again');
+  saveFor(KEYS.profiles, p.uid, p);
+  if (wasTraining) {
+    dropFor(KEYS.training, p.uid); dropFor(KEYS.history, p.uid);
+    emit('training-complete', { size:p.size, createdAt:p.createdAt });
+  }
+  pushStats();
+  return { completed:wasTraining, phrases:fixedText.enrolledPhrases(p.fixedText).length };
+}
+
+function removeProfile(id) {
+  if (id === engine.user.id) throw new Error('Switch to another profile before removing this one');
+  const users = load(KEYS.users, []);
+  if (!users.some(u => u.id === id)) throw new Error('Unknown profile');
+  engine.removeProfile(id);
+  save(KEYS.users, users.filter(u => u.id !== id));
+  dropFor(KEYS.profiles, id); dropFor(KEYS.training, id); dropFor(KEYS.history, id);
+  profilesChanged();
+  return true;
+}
+
+// The demo exports plain JSON and cannot open passphrase-sealed desktop exports (no scrypt in the browser).
+function exportProfile(id = engine.user.id) {
+  const p = engine.profiles.get(id);
+  if (!p) throw new Error('No profile');
+  const blob = new Blob([JSON.stringify(p, null, 2)], { type:'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob); a.download = `bg_profile_${p.name.replace(/[^\w-]+/g, '_')}_${Date.now()}.json`; a.click();
+  URL.revokeObjectURL(a.href);
+  return true;
+}
+
+let pendingImport = null;   // { token, profile }
+
+function inspectProfileImport() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file'; input.accept = '.json';
+    input.addEventListener('cancel', () => resolve(null));
+    input.addEventListener('change', async () => {
+      const f = input.files[0];
+      if (!f) return resolve(null);
+      try {
+        let raw;
+        try { raw = JSON.parse(await f.text()); } catch { throw new Error('Not a profile file'); }
+        if (raw?.format === 'behaviorguard-profile') throw new Error('Passphrase-protected profiles can only be imported in the desktop app');
+        const { profile, from } = parseProfile(raw);
+        const known = load(KEYS.users, []).find(u => u.id === profile.uid);
+        pendingImport = { token:newId(), profile };
+        resolve({ token:pendingImport.token, summary:{ ...summarize(profile), signed:false, exportedAt:null,
+                                                       migratedFrom:from !== profile.v ? from : null, replaces:known?.name || null } });
+      } catch (err) { reject(err); }
+    });
+    input.click();
+  });
+}
+
+function importProfile(token) {
+  if (!pendingImport || pendingImport.token !== token) throw new Error('Import expired — choose the file again');
+  const raw = pendingImport.profile;
+  pendingImport = null;
+  const users = load(KEYS.users, []), known = users.find(u => u.id === raw.uid);
+  if (!raw.uid) raw.uid = newId();
+  if (!raw.name) raw.name = known?.name || `Imported ${users.length + 1}`;
+  if (!known && users.some(u => u.name.toLowerCase() === raw.name.toLowerCase())) raw.name = `${raw.name.slice(0, 27)} (${new Date(raw.createdAt).toLocaleDateString()})`;
+  saveTrainingProgress();
+  engine.loadProfile(raw); engine.loadHistory(raw.uid, null);
+  saveFor(KEYS.profiles, raw.uid, raw); dropFor(KEYS.training, raw.uid); dropFor(KEYS.history, raw.uid);
+  save(KEYS.users, known ? users.map(u => u.id === raw.uid ? { ...u, name:raw.name } : u)
+                         : [...users, { id:raw.uid, name:raw.name, createdAt:raw.createdAt }]);
+  save(KEYS.activeUser, raw.uid);
+  emit('profile-loaded', raw); profilesChanged();
+  return { ok:true, failures:0, retryIn:0 };
+}
+
+function rollbackProfile(rev) {
+  const p = engine.rollbackProfile(rev);
+  if (!p) throw new Error(`No profile revision ${rev}`);
+  saveFor(KEYS.profiles, p.uid, p); saveFor(KEYS.history, p.uid, engine.historyOf(p.uid));
+  emit('profile-loaded', { size:p.size, createdAt:p.createdAt });
+  return true;
+}
+
+const desktopOnly = () => Promise.reject(new Error('Password management requires the desktop app'));
+
+// ═════════════════════════════════════════════════════════════
+// bgAPI (same surface as preload.js)
+// ═════════════════════════════════════════════════════════════
+window.bgAPI = {
+  webDemo: true,
+
+  // ── Queries ───────────────────────────────────────────────
+  getStats:        async () => buildStatsPayload(),
+  getAlerts:       async () => ALERTS,
+  getSettings:     async () => SETTINGS,
+  getVersion:      async () => pkg.version,
+  getRecoveryInfo: async () => null,
+  getAuthStatus:   async () => ({ failures:0, retryIn:0 }),
+  getElevation:    async () => Infinity,   // no password in the demo: privileged calls always pass
+  hasSetup:        async () => true,
+  getProfileHistory: async () => engine.profileHistory(),
+  getProfiles:     async () => listProfiles(),
+  queryHistory:    async (from, to, bucketMs) => queryHistory(from, to, bucketMs),
+  listRecordings:  async () => null,
+  queryAudit:      async () => null,
+  verifyAudit:     async () => null,
+
+  // ── Commands ──────────────────────────────────────────────
+  saveSettings: async (s) => {
+    SETTINGS = { ...SETTINGS, ...s };
+    save(KEYS.settings, SETTINGS);
+    engine.configure({ sensitivity:SETTINGS.sensitivity, adaptive:SETTINGS.adaptive, botDetectors:createDetectors({ classifier:SETTINGS.botClassifier === true }) });
+    return true;
+  },
+  clearAlerts:      async () => { ALERTS = []; save(KEYS.alerts, []); return true; },
+  alertFeedback:    async (id, verdict) => alertFeedback(id, verdict),
+  resetProfile:     async () => { resetProfile(); return true; },
+  exportProfile:    async (id) => exportProfile(id),
+  inspectProfileImport: async () => inspectProfileImport(),
+  importProfile:    async (token) => importProfile(token),
+  rollbackProfile:  async (rev) => rollbackProfile(rev),
+  analyzeRecording: async () => null,
+  toggleRecording:  async () => false,
+  removeRecording:  async () => null,
+  enrollProfile:    async (name) => enrollProfile(name),
+  selectProfile:    async (id) => { activateUser(id); profilesChanged(); return true; },
+  removeProfile:    async (id) => removeProfile(id),
+  startMonitoring:  async () => { startMonitoring(); return isMonitoring; },
+  stopMonitoring:   async () => { stopMonitoring(); return isMonitoring; },
+  toggleMonitoring: async () => { isMonitoring ? stopMonitoring() : startMonitoring(); return isMonitoring; },
+  unlock:           async () => {},
+  startTypingEnroll:  async () => startTypingEnroll(),
+  addTypingTake:      async (phrase, text) => addTypingTake(phrase, text),
+  finishTypingEnroll: async () => finishTypingEnroll(),
+  getApiInfo:       async () => null,
+  getApiToken:      async () => null,
+  regenerateApiToken: async () => null,
+  getFleetInfo:     async () => null,
+  fleetEnroll:      async () => null,
+  fleetLeave:       async () => null,
+  getAlertRules:    async () => null,
+  saveAlertRules:   async () => null,
+  testAlertRule:    async () => null,
+  exportHistory:    async (from, to, format) => exportHistory(from, to, format),
+
+  // ── Password & Setup ──────────────────────────────────────
+  savePassword:   desktopOnly,
+  verifyPassword: desktopOnly,
+  verifyRecovery: desktopOnly,
+  changePassword: desktopOnly,
+  resetPassword:  desktopOnly,
+  elevate:        desktopOnly,
+  getChallenge:    async () => null,
+  getLockPhrase:   async () => null,
+  verifyLockPhrase: desktopOnly,
+  submitChallenge: desktopOnly,
+  finishSetup:   async () => true,
+
+  // ── Window chrome ─────────────────────────────────────────
+  minimize: async () => {},
+  maximize: async () => {},
+  hide:     async () => {},
+
+  // ── Event bus ─────────────────────────────────────────────
+  on(channel, cb) {
+    if (!listeners.has(channel)) listeners.set(channel, new Set());
+    listeners.get(channel).add(cb);
+    return () => listeners.get(channel).delete(cb);
+  },
+  off(channel, cb) {
+    if (listeners.has(channel)) listeners.get(channel).delete(cb);
+  },
+};
+
+window.addEventListener('load', () => { if (SETTINGS.enabled) startMonitoring(); });
+window.addEventListener('beforeunload', () => { saveTrainingProgress(); saveReplayStore(); sampler.flush(); });